@@ -1,48 +1,83 @@
 const express = require('express');
 const { connectToDatabase, client } = require('./config/database');
-const { startWhatsAppConnection } = require('./services/whatsappService');
+const { runMigrations } = require('./config/migrations');
+const { startWhatsAppConnection, getConnectionState } = require('./services/whatsappService');
+const { createAdminRouter } = require('./routes/admin');
+const { createWebhookRouter } = require('./routes/webhook');
+const { createChatRouter } = require('./routes/chat');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createMessageRouter } = require('./services/messageRouter');
+const { getLogger } = require('./config/logger');
 require('dotenv').config();
 
+const logger = getLogger('app');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(express.json());
 
-// Rota básica para verificar se o servidor está rodando
+// Rota básica para verificar se o servidor está rodando (para o orquestrador, use /health/live e /health/ready)
 app.get('/', (req, res) => {
   res.json({ status: 'online', message: 'Marvin IA WhatsApp Bot' });
 });
 
+// Métricas no formato do Prometheus
+app.use('/metrics', createMetricsRouter());
+
+// Banco de dados, disponível apenas depois da conexão e das migrações
+let dbPronto = null;
+
+// Verificações de vivacidade e prontidão para o orquestrador; respondem durante a inicialização,
+// com a prontidão indisponível até o MongoDB e o WhatsApp estarem prontos
+app.use('/health', createHealthRouter(() => dbPronto, { getWhatsAppState: getConnectionState }));
+
 // Função para iniciar a aplicação
 async function startApp() {
   try {
+    // Inicia o servidor Express antes das dependências, para o orquestrador acompanhar a inicialização
+    app.listen(PORT, () => {
+      logger.info({ porta: PORT }, 'Servidor HTTP iniciado');
+    });
+    
     // Conecta ao MongoDB
     const db = await connectToDatabase();
-    console.log('Conexão com MongoDB estabelecida.');
     
-    // Inicia a conexão com o WhatsApp
-    await startWhatsAppConnection(db);
+    // Aplica as migrações de dados pendentes
+    await runMigrations(db);
+    dbPronto = db;
     
-    // Inicia o servidor Express
-    app.listen(PORT, () => {
-      console.log(`Servidor rodando na porta ${PORT}`);
-    });
+    // API administrativa para curadoria do conhecimento
+    app.use('/admin', createAdminRouter(db));
+    
+    // Conversa com o bot por HTTP, com diagnóstico do processamento
+    app.use('/chat', createChatRouter(db));
+    
+    // Mensagens de todos os canais passam pelas mesmas regras e pela mesma fila por chat
+    const messageRouter = createMessageRouter(db);
+    
+    // Canal de webhook HTTP (chat interno, widget web)
+    app.use('/webhook', createWebhookRouter(messageRouter));
+    
+    // Inicia a conexão com o WhatsApp
+    await startWhatsAppConnection(db, messageRouter);
     
     // Manipula o encerramento da aplicação
     process.on('SIGINT', async () => {
-      console.log('Encerrando aplicação...');
+      logger.info('Encerrando aplicação');
       await client.close();
       process.exit(0);
     });
     
   } catch (error) {
-    console.error('Erro ao iniciar aplicação:', error.message);
+    logger.fatal({ err: error }, 'Erro ao iniciar aplicação');
     process.exit(1);
   }
 }
 
-// Suprime mensagens de erro detalhadas do baileys e outras bibliotecas
+// Falhas conhecidas do Baileys e de conexão são registradas apenas no nível debug
 process.on('unhandledRejection', (reason) => {
   // Converte o erro para string para verificação
   const errorString = String(reason);
@@ -72,13 +107,14 @@ process.on('unhandledRejection', (reason) => {
   // Verifica se o erro está na lista para ignorar
   const shouldIgnore = ignorePatterns.some(pattern => pattern.test(errorString));
   
-  // Se não deve ignorar, exibe o erro
-  if (!shouldIgnore) {
-    console.log('Erro não tratado:', typeof reason === 'object' ? reason.message || reason : reason);
+  if (shouldIgnore) {
+    logger.debug({ err: reason }, 'Rejeição não tratada ignorada');
+  } else {
+    logger.error({ err: reason }, 'Rejeição não tratada');
   }
 });
 
-// Suprime erros não capturados
+// Erros não capturados conhecidos também são registrados apenas no nível debug
 process.on('uncaughtException', (error) => {
   // Converte o erro para string para verificação
   const errorString = String(error);
@@ -96,9 +132,10 @@ process.on('uncaughtException', (error) => {
   // Verifica se o erro está na lista para ignorar
   const shouldIgnore = ignorePatterns.some(pattern => pattern.test(errorString));
   
-  // Se não deve ignorar, exibe o erro
-  if (!shouldIgnore) {
-    console.error('Erro não capturado:', error.message || error);
+  if (shouldIgnore) {
+    logger.debug({ err: error }, 'Erro não capturado ignorado');
+  } else {
+    logger.error({ err: error }, 'Erro não capturado');
   }
 });
 
@@ -0,0 +1,138 @@
+/**
+ * Linha de comando para importar e exportar a base de conhecimento
+ *
+ * Uso:
+ *   node src/cli.js exportar <facts|entities|responses> [--formato jsonl|csv] [--saida arquivo]
+ *   node src/cli.js importar <facts|entities|responses> <arquivo> [--formato jsonl|csv] [--simular]
+ *
+ * Sem --saida, a exportação é escrita na saída padrão. Na importação, o formato é deduzido
+ * pela extensão do arquivo quando --formato não é informado, e --simular (ou --dry-run)
+ * apenas valida os registros e informa o que seria criado ou atualizado.
+ */
+const fs = require('fs');
+const { setLogDestination } = require('./config/logger');
+const { connectToDatabase, client } = require('./config/database');
+const { runMigrations } = require('./config/migrations');
+const {
+  FORMATOS,
+  isSupportedCollection,
+  detectFormat,
+  exportCollection,
+  importCollection
+} = require('./services/knowledgeTransfer');
+
+const USO = `Uso:
+  node src/cli.js exportar <facts|entities|responses> [--formato jsonl|csv] [--saida arquivo]
+  node src/cli.js importar <facts|entities|responses> <arquivo> [--formato jsonl|csv] [--simular]`;
+
+// A exportação pode usar a saída padrão; os logs da aplicação vão para a saída de erro
+setLogDestination(process.stderr);
+
+/**
+ * Separa os argumentos posicionais das opções (--opcao valor ou --flag)
+ * @param {String[]} argv Argumentos da linha de comando
+ * @returns {Object} { posicionais, opcoes }
+ */
+function parseArgs(argv) {
+  const posicionais = [];
+  const opcoes = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--simular' || arg === '--dry-run') {
+      opcoes.simular = true;
+    } else if (arg.startsWith('--')) {
+      opcoes[arg.slice(2)] = argv[++i];
+    } else {
+      posicionais.push(arg);
+    }
+  }
+
+  return { posicionais, opcoes };
+}
+
+/**
+ * Exporta uma coleção para um arquivo ou para a saída padrão
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} colecao Nome da coleção
+ * @param {Object} opcoes Opções da linha de comando
+ */
+async function exportar(db, colecao, opcoes) {
+  const formato = opcoes.formato || detectFormat(opcoes.saida) || 'jsonl';
+  if (!FORMATOS.includes(formato)) {
+    throw new Error(`formato inválido: ${formato}. Use ${FORMATOS.join(' ou ')}`);
+  }
+
+  const saida = opcoes.saida ? fs.createWriteStream(opcoes.saida) : process.stdout;
+  const total = await exportCollection(db, colecao, formato, saida);
+
+  if (opcoes.saida) {
+    await new Promise((resolve, reject) => saida.end(error => (error ? reject(error) : resolve())));
+  }
+
+  console.error(`${total} documento(s) de ${colecao} exportado(s) em ${formato}${opcoes.saida ? ` para ${opcoes.saida}` : ''}.`);
+}
+
+/**
+ * Importa um arquivo para uma coleção e exibe o resumo
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} colecao Nome da coleção
+ * @param {String} arquivo Caminho do arquivo
+ * @param {Object} opcoes Opções da linha de comando
+ * @returns {Promise<Boolean>} true se nenhum registro foi rejeitado
+ */
+async function importar(db, colecao, arquivo, opcoes) {
+  if (!arquivo) throw new Error('informe o arquivo a importar');
+
+  const formato = opcoes.formato || detectFormat(arquivo);
+  if (!FORMATOS.includes(formato)) {
+    throw new Error(`não foi possível deduzir o formato de ${arquivo}. Use --formato ${FORMATOS.join('|')}`);
+  }
+
+  const conteudo = fs.readFileSync(arquivo, 'utf8');
+  const resumo = await importCollection(db, colecao, conteudo, { formato, simular: !!opcoes.simular });
+
+  const acoes = Object.entries(resumo.acoes).map(([acao, quantidade]) => `${acao}: ${quantidade}`).join(', ');
+  console.error(`${opcoes.simular ? '[simulação] ' : ''}${resumo.total} registro(s) lido(s) de ${arquivo}${acoes ? ` (${acoes})` : ''}.`);
+
+  for (const { linha, motivo } of resumo.rejeitados) {
+    console.error(`  linha ${linha}: ${motivo}`);
+  }
+
+  return resumo.rejeitados.length === 0;
+}
+
+/**
+ * Executa o comando informado na linha de comando
+ */
+async function main() {
+  const { posicionais, opcoes } = parseArgs(process.argv.slice(2));
+  const [comando, colecao, arquivo] = posicionais;
+
+  if (!['exportar', 'importar'].includes(comando) || !isSupportedCollection(colecao)) {
+    console.error(USO);
+    process.exit(1);
+  }
+
+  let sucesso = false;
+
+  try {
+    const db = await connectToDatabase();
+    await runMigrations(db);
+
+    if (comando === 'exportar') {
+      await exportar(db, colecao, opcoes);
+      sucesso = true;
+    } else {
+      sucesso = await importar(db, colecao, arquivo, opcoes);
+    }
+  } catch (error) {
+    console.error(`Erro: ${error.message}`);
+  } finally {
+    await client.close();
+  }
+
+  process.exit(sucesso ? 0 : 1);
+}
+
+main();
\ No newline at end of file
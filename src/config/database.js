@@ -1,20 +1,37 @@
 const { MongoClient } = require('mongodb');
+const { getLogger } = require('./logger');
 require('dotenv').config();
 
+const logger = getLogger('mongodb');
+
 const uri = process.env.MONGODB_URI;
 const dbName = process.env.MONGODB_DB_NAME;
 
-const client = new MongoClient(uri);
+// Com LOG_MONGO_COMMANDS=true, cada comando é registrado (nível debug) com o
+// ID de correlação da mensagem que o originou
+const monitorCommands = process.env.LOG_MONGO_COMMANDS === 'true';
+
+const client = new MongoClient(uri, { monitorCommands });
+
+if (monitorCommands) {
+  client.on('commandSucceeded', (evento) => {
+    logger.debug({ comando: evento.commandName, duracaoMs: evento.duration }, 'Comando do MongoDB concluído');
+  });
+
+  client.on('commandFailed', (evento) => {
+    logger.warn({ comando: evento.commandName, duracaoMs: evento.duration, err: evento.failure }, 'Comando do MongoDB falhou');
+  });
+}
 
 async function connectToDatabase() {
   try {
     await client.connect();
-    console.log('Conectado ao MongoDB com sucesso!');
+    logger.info('Conectado ao MongoDB com sucesso!');
     return client.db(dbName);
   } catch (error) {
-    console.error('Erro ao conectar ao MongoDB:', error);
+    logger.fatal({ err: error }, 'Erro ao conectar ao MongoDB');
     process.exit(1);
   }
 }
 
-module.exports = { connectToDatabase, client }; 
\ No newline at end of file
+module.exports = { connectToDatabase, client };
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Logger estruturado da aplicação (pino)
+ * Escreve uma linha JSON por evento, com nível, módulo e o ID de correlação da mensagem
+ * em processamento, que acompanha as chamadas à OpenAI e ao MongoDB feitas para ela.
+ * Números de telefone e JIDs são mascarados antes da escrita (LOG_REDACT_PHONES=false desativa).
+ *
+ * Uso:
+ *   const logger = getLogger('messageProcessor');
+ *   logger.info({ chatId }, 'Mensagem recebida');
+ *   logger.error({ err: error }, 'Erro ao processar mensagem');
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+require('dotenv').config();
+
+// Contexto da mensagem em processamento, propagado pelas chamadas assíncronas
+const correlationStorage = new AsyncLocalStorage();
+
+// Sequências longas de dígitos: números de telefone, JIDs e IDs de grupo
+const PHONE_PATTERN = /\d{8,}/g;
+
+// Profundidade máxima percorrida ao mascarar objetos registrados
+const MAX_REDACT_DEPTH = 6;
+
+/**
+ * Mascara os números de telefone de um texto, mantendo os 4 últimos dígitos
+ * Ex: "5511999990000@s.whatsapp.net" → "***0000@s.whatsapp.net"
+ * @param {String} texto Texto a ser mascarado
+ * @returns {String} Texto sem os números completos
+ */
+function maskPhones(texto) {
+  return texto.replace(PHONE_PATTERN, numero => `***${numero.slice(-4)}`);
+}
+
+/**
+ * Mascara os números de telefone de um valor registrado no log
+ * Erros são copiados, para que mensagem e pilha também sejam mascaradas.
+ * @param {*} valor Valor a ser mascarado
+ * @param {Number} profundidade Profundidade atual na estrutura
+ * @returns {*} Cópia do valor sem os números completos
+ */
+function redact(valor, profundidade = 0) {
+  if (typeof valor === 'string') return maskPhones(valor);
+  if (!valor || typeof valor !== 'object' || profundidade > MAX_REDACT_DEPTH) return valor;
+
+  if (valor instanceof Error) {
+    const copia = new Error(maskPhones(String(valor.message)));
+    copia.name = valor.name;
+    copia.stack = valor.stack ? maskPhones(valor.stack) : undefined;
+    if (valor.code !== undefined) copia.code = valor.code;
+    return copia;
+  }
+
+  if (valor instanceof Date || Buffer.isBuffer(valor)) return valor;
+
+  if (Array.isArray(valor)) {
+    return valor.map(item => redact(item, profundidade + 1));
+  }
+
+  return Object.fromEntries(Object.entries(valor).map(([chave, item]) => [chave, redact(item, profundidade + 1)]));
+}
+
+const redactPhones = process.env.LOG_REDACT_PHONES !== 'false';
+
+// Destino das linhas de log, substituível pela linha de comando e pelos testes
+let destinoAtual = process.stdout;
+const destination = {
+  write(linha) {
+    destinoAtual.write(linha);
+  }
+};
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: label => ({ level: label }),
+    bindings: bindings => (redactPhones ? redact(bindings) : bindings)
+  },
+  // Toda linha registrada durante o processamento de uma mensagem leva o seu ID de correlação
+  mixin() {
+    const contexto = correlationStorage.getStore();
+    return contexto ? { correlationId: contexto.correlationId } : {};
+  },
+  hooks: {
+    logMethod(args, method) {
+      method.apply(this, redactPhones ? args.map(arg => redact(arg)) : args);
+    }
+  }
+}, destination);
+
+/**
+ * Obtém o logger de um módulo da aplicação
+ * @param {String} modulo Nome do módulo, registrado em cada linha
+ * @param {Object} options Opções do logger filho (ex: { level })
+ * @returns {Object} Logger do módulo
+ */
+function getLogger(modulo, options = {}) {
+  return logger.child({ modulo }, options);
+}
+
+/**
+ * Executa uma função associando os logs gerados por ela a um ID de correlação
+ * @param {String} correlationId ID de correlação (gerado se não informado)
+ * @param {Function} fn Função a ser executada
+ * @returns {*} Retorno da função
+ */
+function runWithCorrelation(correlationId, fn) {
+  return correlationStorage.run({ correlationId: correlationId || crypto.randomUUID() }, fn);
+}
+
+/**
+ * Obtém o ID de correlação da mensagem em processamento
+ * @returns {String|null} ID de correlação ou null fora de um processamento
+ */
+function getCorrelationId() {
+  const contexto = correlationStorage.getStore();
+  return contexto ? contexto.correlationId : null;
+}
+
+/**
+ * Substitui o destino das linhas de log (ex: saída de erro na linha de comando)
+ * @param {Object} stream Destino com o método write
+ * @returns {Object} Destino anterior
+ */
+function setLogDestination(stream) {
+  const anterior = destinoAtual;
+  destinoAtual = stream;
+  return anterior;
+}
+
+module.exports = {
+  logger,
+  getLogger,
+  runWithCorrelation,
+  getCorrelationId,
+  setLogDestination,
+  maskPhones
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+/**
+ * Migrações de dados do MongoDB
+ * Cada migração é executada uma única vez; as já aplicadas ficam registradas
+ * na coleção "migrations".
+ */
+const ResponseModel = require('../models/Response');
+const { normalizeKeywords } = require('../services/keywordExtractor');
+const { registerEntity, linkFactEntities } = require('../services/entityResolver');
+const { getLogger } = require('./logger');
+
+const logger = getLogger('migrations');
+
+const MIGRATIONS = [
+  {
+    id: '001_responses_owner',
+    descricao: 'Registra o dono das respostas em cache e descarta respostas pessoais sem dono',
+    /**
+     * Respostas pessoais antigas não registravam o remetente, então não há como
+     * saber a quem pertencem. Como são apenas cache, são removidas e voltam a ser
+     * geradas sob demanda. Respostas globais recebem dono nulo.
+     */
+    up: async (db) => {
+      const responses = db.collection('responses');
+
+      const removidas = await responses.deleteMany({
+        remetente_id: { $exists: false },
+        classificacao: { $ne: 'global' }
+      });
+
+      const atualizadas = await responses.updateMany(
+        { remetente_id: { $exists: false }, classificacao: 'global' },
+        { $set: { remetente_id: null, grupo_id: null } }
+      );
+
+      return `${removidas.deletedCount} respostas pessoais removidas, ${atualizadas.modifiedCount} respostas globais atualizadas`;
+    }
+  },
+  {
+    id: '002_knowledge_scope',
+    descricao: 'Define o escopo global para fatos e respostas anteriores ao escopo por chat',
+    /**
+     * Antes do escopo por chat todo conhecimento era compartilhado entre os grupos,
+     * então os registros existentes mantêm esse comportamento como conhecimento global.
+     */
+    up: async (db) => {
+      const fatos = await db.collection('facts').updateMany(
+        { escopo: { $exists: false } },
+        { $set: { escopo: 'global' } }
+      );
+
+      const respostas = await db.collection('responses').updateMany(
+        { escopo: { $exists: false } },
+        { $set: { escopo: 'global' } }
+      );
+
+      return `${fatos.modifiedCount} fatos e ${respostas.modifiedCount} respostas marcados como globais`;
+    }
+  },
+  {
+    id: '003_normalized_keywords',
+    descricao: 'Converte as palavras-chave das respostas para radicais sem acentos',
+    /**
+     * As buscas passaram a comparar radicais normalizados ("empresas" → "empres"),
+     * então as palavras-chave gravadas no formato livre antigo são convertidas.
+     */
+    up: async (db) => {
+      const responses = db.collection('responses');
+      const documentos = await responses.find({}, { projection: { palavras_chave: 1 } }).toArray();
+
+      for (const documento of documentos) {
+        await responses.updateOne(
+          { _id: documento._id },
+          { $set: { palavras_chave: normalizeKeywords(documento.palavras_chave) } }
+        );
+      }
+
+      return `${documentos.length} respostas atualizadas`;
+    }
+  },
+  {
+    id: '004_fact_versions',
+    descricao: 'Registra o valor atual de cada fato como a primeira versão do seu histórico',
+    /**
+     * Fatos anteriores ao histórico não têm autor nem mensagem de origem conhecidos,
+     * então a versão inicial é registrada apenas com o valor e a data da última alteração.
+     */
+    up: async (db) => {
+      const facts = db.collection('facts');
+      const versions = db.collection('fact_versions');
+      const documentos = await facts.find({ versao: { $exists: false } }).toArray();
+
+      for (const fato of documentos) {
+        await versions.insertOne({
+          fato_id: fato._id,
+          versao: 1,
+          valor: fato.valor,
+          relacionamentos: fato.relacionamentos || [],
+          autor: null,
+          mensagem_id: null,
+          fonte: 'migracao',
+          revertido_de: null,
+          created_at: fato.last_updated || fato.created_at || new Date()
+        });
+        await facts.updateOne({ _id: fato._id }, { $set: { versao: 1 } });
+      }
+
+      return `${documentos.length} fatos com versão inicial registrada`;
+    }
+  },
+  {
+    id: '005_entity_ids',
+    descricao: 'Registra entidades para terceiros e conceitos dos fatos e passa a referenciá-las pelo ID canônico',
+    /**
+     * Fatos antigos guardavam terceiros e conceitos como texto livre em minúsculas.
+     * Entidades já cadastradas recebem um ID canônico, e os fatos passam a usar os IDs
+     * das entidades, registradas com os mesmos aliases do aprendizado pelo chat.
+     */
+    up: async (db) => {
+      const responseModel = new ResponseModel(db);
+      const facts = db.collection('facts');
+
+      const semId = await db.collection('entities').find({ entidade_id: { $exists: false } }).toArray();
+      for (const entidade of semId) {
+        await registerEntity(responseModel, { nome: entidade.nome, tipo: entidade.tipo, alias: entidade.alias || [] });
+      }
+
+      const documentos = await facts.find({}).toArray();
+      let atualizados = 0;
+
+      for (const fato of documentos) {
+        const [vinculado] = await linkFactEntities(responseModel, [fato]);
+        const alteracoes = {
+          entidade: vinculado.entidade,
+          conceito: vinculado.conceito,
+          relacionamentos: vinculado.relacionamentos
+        };
+
+        const original = { entidade: fato.entidade, conceito: fato.conceito, relacionamentos: fato.relacionamentos || [] };
+        if (JSON.stringify(alteracoes) === JSON.stringify(original)) continue;
+
+        if (alteracoes.conceito === undefined) delete alteracoes.conceito;
+        await facts.updateOne({ _id: fato._id }, { $set: alteracoes });
+        atualizados++;
+      }
+
+      return `${semId.length} entidades com ID canônico atribuído, ${atualizados} fatos vinculados a entidades`;
+    }
+  }
+];
+
+/**
+ * Executa as migrações pendentes, em ordem
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @returns {Promise<Number>} Quantidade de migrações aplicadas
+ */
+async function runMigrations(db) {
+  const migrationsCollection = db.collection('migrations');
+  let aplicadas = 0;
+
+  for (const migration of MIGRATIONS) {
+    const jaAplicada = await migrationsCollection.findOne({ _id: migration.id });
+    if (jaAplicada) continue;
+
+    logger.info({ migracao: migration.id, descricao: migration.descricao }, 'Aplicando migração');
+    const resumo = await migration.up(db);
+
+    await migrationsCollection.insertOne({
+      _id: migration.id,
+      descricao: migration.descricao,
+      resumo,
+      applied_at: new Date()
+    });
+
+    logger.info({ migracao: migration.id, resumo }, 'Migração concluída');
+    aplicadas++;
+  }
+
+  return aplicadas;
+}
+
+module.exports = { runMigrations };
\ No newline at end of file
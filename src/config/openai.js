@@ -1,9 +1,9 @@
-const OpenAI = require('openai');
+const { getLLMProvider } = require('../providers/llm');
+const { getLogger } = require('./logger');
+const { recordLLMCall, recordLLMError } = require('../services/metrics');
 require('dotenv').config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const logger = getLogger('openai');
 
 // Prompt padrão para estruturar as respostas
 const DEFAULT_SYSTEM_PROMPT = `
@@ -122,8 +122,16 @@ As respostas devem evitar termos ambíguos como "eu", "você", ou expressões qu
 Foque exclusivamente nos dados solicitados, sem introduções ou conclusões.
 `;
 
-// Função para fazer uma requisição à API da OpenAI
-async function getOpenAIResponse(userMessage, senderInfo) {
+/**
+ * Faz uma requisição ao provedor de LLM configurado (OpenAI, endpoint local ou simulado)
+ * @param {String} userMessage Mensagem do usuário
+ * @param {Object} senderInfo Informações do remetente
+ * @param {String|null} knowledgeContext Bloco com os dados do MongoDB relevantes para a mensagem
+ * @param {Object} options Opções da requisição
+ * @param {Boolean} options.isLearningCommand Se a mensagem veio de um /aprender (já sem o prefixo)
+ * @returns {Promise<Object>} Resultado da requisição
+ */
+async function getOpenAIResponse(userMessage, senderInfo, knowledgeContext = null, options = {}) {
   try {
     let systemPrompt = DEFAULT_SYSTEM_PROMPT;
 
@@ -138,39 +146,64 @@ async function getOpenAIResponse(userMessage, senderInfo) {
       systemPrompt += `\nUse este ID em todos os sujeitos ou objetos de tipo USUÁRIO.`;
     }
 
-    // Verifica se é um comando de aprendizado
-    const isLearningCommand = userMessage.startsWith('/aprender ');
+    // Anexa os dados recuperados do MongoDB para fundamentar a resposta
+    if (knowledgeContext) {
+      systemPrompt += `\n\n${knowledgeContext}`;
+    }
+
+    // Verifica se é um comando de aprendizado (informado pelo chamador ou pelo prefixo)
+    const isLearningCommand = options.isLearningCommand || userMessage.startsWith('/aprender ');
     
     // Se for comando de aprendizado, adiciona instrução específica
     if (isLearningCommand) {
       systemPrompt += `\n\nATENÇÃO: Esta mensagem é um comando de aprendizado. VOCÊ DEVE ativar o armazenamento de conhecimento definindo "conhecimento.armazenar" como true e extraindo todos os fatos relevantes. A mensagem a processar é: "${userMessage}"`;
     }
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userMessage }
-      ],
-      temperature: 0.2, // Reduzido para máxima consistência e precisão
-      max_tokens: 1000,
-      response_format: { type: "json_object" }
-    });
+    const provider = getLLMProvider();
+    const inicio = Date.now();
+    let response;
+    try {
+      response = await provider.createChatCompletion({
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userMessage }
+        ],
+        temperature: 0.2, // Reduzido para máxima consistência e precisão
+        maxTokens: 1000,
+        json: true
+      });
+    } catch (requestError) {
+      recordLLMCall({ provider: provider.name, model: provider.model, durationMs: Date.now() - inicio, error: 'request' });
+      throw requestError;
+    }
+    
+    const duracaoMs = Date.now() - inicio;
+    recordLLMCall({ provider: provider.name, model: response.model, durationMs: duracaoMs, usage: response.usage });
+    logger.debug({
+      provedor: provider.name,
+      modelo: response.model,
+      duracaoMs,
+      tokens: response.usage
+    }, 'Resposta do provedor de LLM recebida');
     
     // Tenta fazer o parse do JSON retornado
     try {
-      const content = response.choices[0].message.content.trim();
+      const content = response.content.trim();
       
       // Garantir que o conteúdo é um JSON válido
       const jsonData = JSON.parse(content);
       
       // Validar se tem todos os campos necessários
       if (!jsonData.palavras_chave || !jsonData.resposta || !jsonData.classificacao || !jsonData.analise_taxonomica) {
-        console.error('Resposta da OpenAI não contém todos os campos necessários');
+        logger.error('Resposta da OpenAI não contém todos os campos necessários');
+        recordLLMError(provider.name, 'response');
         return {
           success: false,
           error: "A resposta não contém todos os campos necessários",
-          rawResponse: content
+          rawResponse: content,
+          usage: response.usage,
+          model: response.model,
+          provider: provider.name
         };
       }
       
@@ -179,7 +212,7 @@ async function getOpenAIResponse(userMessage, senderInfo) {
         // Forçar o armazenamento para comandos de aprendizado
         if (!jsonData.conhecimento || !jsonData.conhecimento.entradas || jsonData.conhecimento.entradas.length === 0) {
           // Se não há entradas, extrai conhecimento básico do comando
-          const conteudoAprendizado = userMessage.substring(10).trim();
+          const conteudoAprendizado = userMessage.replace(/^\/aprender\s+/, '').trim();
           
           // Análise simplificada para extrair informações
           let tipo, sujeito, predicado;
@@ -246,8 +279,7 @@ async function getOpenAIResponse(userMessage, senderInfo) {
             }]
           };
           
-          console.log(`Comando de aprendizado detectado: "${conteudoAprendizado}"`);
-          console.log(`Conhecimento manualmente estruturado:`, JSON.stringify(jsonData.conhecimento));
+          logger.debug({ conhecimento: jsonData.conhecimento }, 'Conhecimento do comando de aprendizado estruturado manualmente');
         } else {
           // Apenas força armazenar = true
           jsonData.conhecimento.armazenar = true;
@@ -264,18 +296,25 @@ async function getOpenAIResponse(userMessage, senderInfo) {
       
       return {
         success: true,
-        data: jsonData
+        data: jsonData,
+        usage: response.usage,
+        model: response.model,
+        provider: provider.name
       };
     } catch (parseError) {
-      console.error("Erro ao fazer parse da resposta da OpenAI:", parseError);
+      logger.error({ err: parseError }, 'Erro ao fazer parse da resposta da OpenAI');
+      recordLLMError(provider.name, 'response');
       return {
         success: false,
         error: "Erro ao processar a resposta",
-        rawResponse: response.choices[0].message.content
+        rawResponse: response.content,
+        usage: response.usage,
+        model: response.model,
+        provider: provider.name
       };
     }
   } catch (error) {
-    console.error("Erro ao chamar API da OpenAI:", error.message);
+    logger.error({ err: error }, 'Erro ao chamar o provedor de LLM');
     return {
       success: false,
       error: error.message
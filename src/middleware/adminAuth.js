@@ -0,0 +1,43 @@
+/**
+ * Middleware de autenticação da API administrativa
+ * Exige o cabeçalho "Authorization: Bearer <ADMIN_API_TOKEN>".
+ * Sem ADMIN_API_TOKEN configurado, a API fica desativada.
+ */
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * Compara dois textos em tempo constante, evitando ataques de temporização
+ * @param {String} a Primeiro texto
+ * @param {String} b Segundo texto
+ * @returns {Boolean} true se forem iguais
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Valida o token de acesso da requisição
+ * @param {Object} req Requisição Express
+ * @param {Object} res Resposta Express
+ * @param {Function} next Próximo middleware
+ */
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+
+  if (!token) {
+    return res.status(503).json({ error: 'API administrativa desativada: defina ADMIN_API_TOKEN' });
+  }
+
+  const [esquema, credencial] = (req.get('authorization') || '').split(' ');
+
+  if (esquema !== 'Bearer' || !credencial || !safeEqual(credencial, token)) {
+    return res.status(401).json({ error: 'Token de acesso inválido' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdminToken, safeEqual };
\ No newline at end of file
@@ -0,0 +1,31 @@
+/**
+ * Middleware de autenticação do canal de webhook
+ * Exige o cabeçalho "Authorization: Bearer <WEBHOOK_TOKEN>".
+ * Sem WEBHOOK_TOKEN configurado, o canal fica desativado.
+ */
+const { safeEqual } = require('./adminAuth');
+require('dotenv').config();
+
+/**
+ * Valida o token de acesso da requisição
+ * @param {Object} req Requisição Express
+ * @param {Object} res Resposta Express
+ * @param {Function} next Próximo middleware
+ */
+function requireWebhookToken(req, res, next) {
+  const token = process.env.WEBHOOK_TOKEN;
+
+  if (!token) {
+    return res.status(503).json({ error: 'Canal de webhook desativado: defina WEBHOOK_TOKEN' });
+  }
+
+  const [esquema, credencial] = (req.get('authorization') || '').split(' ');
+
+  if (esquema !== 'Bearer' || !credencial || !safeEqual(credencial, token)) {
+    return res.status(401).json({ error: 'Token de acesso inválido' });
+  }
+
+  next();
+}
+
+module.exports = { requireWebhookToken };
\ No newline at end of file
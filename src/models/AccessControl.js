@@ -0,0 +1,199 @@
+/**
+ * Modelo para armazenar o controle de acesso do bot no MongoDB
+ * (papéis dos usuários, usuários bloqueados e grupos liberados)
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('AccessControl');
+
+class AccessControlModel {
+  constructor(db) {
+    this.db = db;
+    this.rolesCollection = db.collection('user_roles');
+    this.blockedCollection = db.collection('blocked_users');
+    this.groupsCollection = db.collection('allowed_groups');
+    this.rolesCollection.createIndex({ numero: 1 }, { unique: true });
+    this.blockedCollection.createIndex({ numero: 1 }, { unique: true });
+    this.groupsCollection.createIndex({ grupo_id: 1 }, { unique: true });
+  }
+
+  /**
+   * Busca o papel atribuído a um número
+   * @param {String} numero Número do usuário
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async getRole(numero) {
+    try {
+      const role = await this.rolesCollection.findOne({ numero });
+
+      if (role) {
+        return { success: true, papel: role.papel, role };
+      } else {
+        return { success: false, message: 'Número sem papel atribuído' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar papel do usuário');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Atribui um papel a um número
+   * @param {String} numero Número do usuário
+   * @param {String} papel Papel atribuído (admin, professor ou leitor)
+   * @param {String} alteradoPor ID de quem fez a alteração
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async setRole(numero, papel, alteradoPor) {
+    try {
+      const result = await this.rolesCollection.updateOne(
+        { numero },
+        {
+          $set: { papel, alterado_por: alteradoPor, last_updated: new Date() },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao salvar papel do usuário');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lista os números com papel atribuído
+   * @returns {Promise<Object>} Resultado da listagem
+   */
+  async listRoles() {
+    try {
+      const roles = await this.rolesCollection.find({}).sort({ papel: 1, numero: 1 }).toArray();
+      return { success: true, roles };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao listar papéis');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca o bloqueio de um número
+   * @param {String} numero Número do usuário
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findBlock(numero) {
+    try {
+      const block = await this.blockedCollection.findOne({ numero });
+
+      if (block) {
+        return { success: true, block };
+      } else {
+        return { success: false, message: 'Número não bloqueado' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar bloqueio');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Bloqueia um número
+   * @param {String} numero Número do usuário
+   * @param {String} motivo Motivo do bloqueio
+   * @param {String} bloqueadoPor ID de quem fez o bloqueio
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async blockUser(numero, motivo, bloqueadoPor) {
+    try {
+      const result = await this.blockedCollection.updateOne(
+        { numero },
+        {
+          $set: { motivo: motivo || null, bloqueado_por: bloqueadoPor, last_updated: new Date() },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao bloquear usuário');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove o bloqueio de um número
+   * @param {String} numero Número do usuário
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async unblockUser(numero) {
+    try {
+      const result = await this.blockedCollection.deleteOne({ numero });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao desbloquear usuário');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca a liberação de um grupo
+   * @param {String} grupoId JID do grupo
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findAllowedGroup(grupoId) {
+    try {
+      const group = await this.groupsCollection.findOne({ grupo_id: grupoId });
+
+      if (group) {
+        return { success: true, group };
+      } else {
+        return { success: false, message: 'Grupo não liberado' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar grupo liberado');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Libera o uso do bot em um grupo
+   * @param {String} grupoId JID do grupo
+   * @param {String} liberadoPor ID de quem liberou o grupo
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async allowGroup(grupoId, liberadoPor) {
+    try {
+      const result = await this.groupsCollection.updateOne(
+        { grupo_id: grupoId },
+        {
+          $set: { liberado_por: liberadoPor, last_updated: new Date() },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao liberar grupo');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a liberação de um grupo
+   * @param {String} grupoId JID do grupo
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async disallowGroup(grupoId) {
+    try {
+      const result = await this.groupsCollection.deleteOne({ grupo_id: grupoId });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover liberação do grupo');
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = AccessControlModel;
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Modelo para armazenar as configurações de cada grupo no MongoDB
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('GroupSettings');
+
+class GroupSettingsModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('group_settings');
+    this.collection.createIndex({ grupo_id: 1 }, { unique: true });
+  }
+
+  /**
+   * Busca as configurações de um grupo
+   * @param {String} grupoId JID do grupo
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async getSettings(grupoId) {
+    try {
+      const settings = await this.collection.findOne({ grupo_id: grupoId });
+
+      if (settings) {
+        return { success: true, settings };
+      } else {
+        return { success: false, message: 'Grupo sem configurações' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar configurações do grupo');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Define os modos de ativação do bot em um grupo
+   * @param {String} grupoId JID do grupo
+   * @param {Array} modos Modos de ativação (ver triggerPolicy)
+   * @param {String} alteradoPor ID de quem fez a alteração
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async setTriggerModes(grupoId, modos, alteradoPor) {
+    try {
+      const result = await this.collection.updateOne(
+        { grupo_id: grupoId },
+        {
+          $set: {
+            modos_ativacao: modos,
+            alterado_por: alteradoPor,
+            last_updated: new Date()
+          },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao salvar modos de ativação do grupo');
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = GroupSettingsModel;
\ No newline at end of file
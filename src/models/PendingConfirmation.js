@@ -0,0 +1,75 @@
+/**
+ * Modelo para armazenar no MongoDB os aprendizados que aguardam confirmação do remetente
+ * (quando um /aprender contradiz fatos já conhecidos)
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('PendingConfirmation');
+
+class PendingConfirmationModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('pending_confirmations');
+    // Cada remetente tem no máximo uma confirmação pendente por chat
+    this.collection.createIndex({ chat_id: 1, remetente_id: 1 }, { unique: true });
+    this.collection.createIndex({ expira_em: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Registra um aprendizado pendente, substituindo o anterior do mesmo remetente no chat
+   * @param {String} chatId JID do chat
+   * @param {String} remetenteId ID do remetente
+   * @param {Object} aprendizado Dados do aprendizado (fatos, conflitos, resposta e origem)
+   * @param {Date} expiraEm Instante em que a confirmação deixa de valer
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async savePending(chatId, remetenteId, aprendizado, expiraEm) {
+    try {
+      const result = await this.collection.replaceOne(
+        { chat_id: chatId, remetente_id: remetenteId },
+        {
+          chat_id: chatId,
+          remetente_id: remetenteId,
+          ...aprendizado,
+          expira_em: expiraEm,
+          created_at: new Date()
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao salvar confirmação pendente');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Retira o aprendizado pendente de um remetente em um chat, removendo-o de forma atômica:
+   * de duas confirmações simultâneas, apenas uma recebe o aprendizado.
+   * O MongoDB remove documentos expirados com atraso, então a validade é verificada aqui.
+   * @param {String} chatId JID do chat
+   * @param {String} remetenteId ID do remetente
+   * @returns {Promise<Object>} Resultado da operação, com o aprendizado retirado
+   */
+  async takePending(chatId, remetenteId) {
+    try {
+      const pending = await this.collection.findOneAndDelete({
+        chat_id: chatId,
+        remetente_id: remetenteId,
+        expira_em: { $gt: new Date() }
+      });
+
+      if (pending) {
+        return { success: true, pending };
+      } else {
+        return { success: false, message: 'Nenhuma confirmação pendente' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao retirar confirmação pendente');
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = PendingConfirmationModel;
\ No newline at end of file
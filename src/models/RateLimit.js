@@ -0,0 +1,191 @@
+/**
+ * Modelo para armazenar o uso do bot no MongoDB (limites de mensagens e cotas de tokens)
+ * O estado fica no banco para que os limites sobrevivam a reinicializações.
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('RateLimit');
+
+// Janela mais longa dos limites de mensagens; eventos mais antigos são descartados pelo MongoDB
+const MAX_WINDOW_SECONDS = 60 * 60;
+
+class RateLimitModel {
+  constructor(db) {
+    this.db = db;
+    this.eventsCollection = db.collection('rate_limit_events');
+    this.quotasCollection = db.collection('usage_quotas');
+    this.overridesCollection = db.collection('rate_limit_overrides');
+    this.noticesCollection = db.collection('rate_limit_notices');
+    // Índice para contar as mensagens de uma chave dentro de uma janela
+    this.eventsCollection.createIndex({ chave: 1, created_at: -1 });
+    this.eventsCollection.createIndex({ created_at: 1 }, { expireAfterSeconds: MAX_WINDOW_SECONDS });
+    this.quotasCollection.createIndex({ chave: 1, dia: 1 }, { unique: true });
+    this.overridesCollection.createIndex({ numero: 1 }, { unique: true });
+    this.noticesCollection.createIndex({ chave: 1, motivo: 1 }, { unique: true });
+    this.noticesCollection.createIndex({ expira_em: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  /**
+   * Conta as mensagens de uma chave desde um instante
+   * @param {String} chave Chave do limite (ex: "usuario:5511999999999")
+   * @param {Date} desde Início da janela
+   * @returns {Promise<Object>} Resultado da contagem
+   */
+  async countEvents(chave, desde) {
+    try {
+      const count = await this.eventsCollection.countDocuments({ chave, created_at: { $gt: desde } });
+      return { success: true, count };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao contar mensagens do limite');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Registra uma mensagem para as chaves informadas
+   * @param {Array} chaves Chaves dos limites (usuário e grupo)
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async recordEvent(chaves) {
+    try {
+      const agora = new Date();
+      await this.eventsCollection.insertMany(chaves.map(chave => ({ chave, created_at: agora })));
+      return { success: true };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao registrar mensagem do limite');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca os tokens consumidos por uma chave em um dia
+   * @param {String} chave Chave da cota
+   * @param {String} dia Dia no formato AAAA-MM-DD (UTC)
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async getTokenUsage(chave, dia) {
+    try {
+      const quota = await this.quotasCollection.findOne({ chave, dia });
+      return { success: true, tokens: quota ? quota.tokens : 0 };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar uso de tokens');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Soma tokens consumidos às cotas diárias das chaves informadas
+   * @param {Array} chaves Chaves das cotas (usuário e grupo)
+   * @param {String} dia Dia no formato AAAA-MM-DD (UTC)
+   * @param {Number} tokens Quantidade de tokens consumidos
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async addTokenUsage(chaves, dia, tokens) {
+    try {
+      await Promise.all(chaves.map(chave => this.quotasCollection.updateOne(
+        { chave, dia },
+        {
+          $inc: { tokens },
+          $set: { last_updated: new Date() },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      )));
+      return { success: true };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao registrar uso de tokens');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca os limites personalizados de um número
+   * @param {String} numero Número do usuário
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async getOverride(numero) {
+    try {
+      const override = await this.overridesCollection.findOne({ numero });
+
+      if (override) {
+        return { success: true, override };
+      } else {
+        return { success: false, message: 'Número sem limites personalizados' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar limites personalizados');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Define limites personalizados para um número
+   * @param {String} numero Número do usuário
+   * @param {Object} limites Limites a sobrescrever ({ porMinuto, porHora, tokensPorDia })
+   * @param {String} alteradoPor ID de quem fez a alteração
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async setOverride(numero, limites, alteradoPor) {
+    try {
+      const campos = Object.fromEntries(
+        Object.entries(limites).map(([limite, valor]) => [`limites.${limite}`, valor])
+      );
+
+      const result = await this.overridesCollection.updateOne(
+        { numero },
+        {
+          $set: { ...campos, alterado_por: alteradoPor, last_updated: new Date() },
+          $setOnInsert: { created_at: new Date() }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao salvar limites personalizados');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove os limites personalizados de um número
+   * @param {String} numero Número do usuário
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async removeOverride(numero) {
+    try {
+      const result = await this.overridesCollection.deleteOne({ numero });
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover limites personalizados');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Registra o aviso de limite atingido, indicando se ele ainda não havia sido enviado
+   * @param {String} chave Chave do limite
+   * @param {String} motivo Limite atingido
+   * @param {Date} expiraEm Fim da janela do limite (um novo aviso só é enviado depois dela)
+   * @returns {Promise<Object>} Resultado da operação, com notificar = true se o aviso deve ser enviado agora
+   */
+  async markNotified(chave, motivo, expiraEm) {
+    try {
+      const agora = new Date();
+      const avisoAtivo = await this.noticesCollection.findOne({ chave, motivo, expira_em: { $gt: agora } });
+      if (avisoAtivo) return { success: true, notificar: false };
+
+      await this.noticesCollection.updateOne(
+        { chave, motivo },
+        { $set: { expira_em: expiraEm, created_at: agora } },
+        { upsert: true }
+      );
+      return { success: true, notificar: true };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao registrar aviso de limite');
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = RateLimitModel;
\ No newline at end of file
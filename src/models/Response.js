@@ -1,56 +1,303 @@
 /**
  * Modelo para armazenar respostas no MongoDB
  */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('Response');
+
+/**
+ * Escapa caracteres especiais para uso seguro em expressões regulares
+ * @param {String} texto Texto a ser escapado
+ * @returns {String} Texto escapado
+ */
+function escapeRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escopo do conhecimento compartilhado por todos os chats
+const GLOBAL_SCOPE = 'global';
+
+/**
+ * Monta o filtro de escopo: o conhecimento do próprio chat e o conhecimento global.
+ * Sem escopo informado, não restringe a busca.
+ * @param {String|null} escopo JID do chat onde a consulta é feita
+ * @returns {Object} Filtro MongoDB
+ */
+function buildScopeFilter(escopo) {
+  if (!escopo) return {};
+  return { escopo: { $in: [escopo, GLOBAL_SCOPE] } };
+}
+
+/**
+ * Ordena documentos colocando os do próprio chat antes dos globais,
+ * para que o conhecimento local prevaleça
+ * @param {Array} documentos Documentos encontrados
+ * @param {String|null} escopo JID do chat onde a consulta é feita
+ * @returns {Array} Documentos ordenados
+ */
+function preferLocalScope(documentos, escopo) {
+  if (!escopo) return documentos;
+  return [...documentos].sort((a, b) => (b.escopo === escopo) - (a.escopo === escopo));
+}
+
+/**
+ * Normaliza os campos-chave de um fato para evitar inconsistências
+ * @param {Object} factData Dados do fato
+ * @returns {Object} Cópia do fato com tipo, chave, entidade e escopo normalizados
+ */
+function normalizeFactKeys(factData) {
+  return {
+    ...factData,
+    tipo: factData.tipo.toLowerCase().trim(),
+    chave: factData.chave.toLowerCase().trim(),
+    entidade: factData.entidade.toString().toLowerCase().trim(),
+    escopo: factData.escopo || GLOBAL_SCOPE
+  };
+}
+
+/**
+ * Monta o filtro que identifica um fato: dois fatos com a mesma identidade
+ * ocupam o mesmo lugar no banco, e o mais recente sobrescreve o anterior
+ * @param {Object} normalizedFact Fato com os campos-chave normalizados
+ * @returns {Object} Filtro MongoDB
+ */
+function buildFactIdentityQuery(normalizedFact) {
+  const query = {
+    tipo: normalizedFact.tipo,
+    chave: normalizedFact.chave,
+    entidade: normalizedFact.entidade,
+    escopo: normalizedFact.escopo
+  };
+  
+  // Em caso de propriedade de conceito, incluir o conceito na busca 
+  // para evitar conflitos entre diferentes conceitos
+  if (normalizedFact.tipo === 'propriedade' && normalizedFact.conceito) {
+    query.conceito = normalizedFact.conceito;
+  }
+  
+  return query;
+}
+
+// Limiar padrão de similaridade de cosseno para reutilizar uma resposta em cache
+const DEFAULT_SIMILARITY_THRESHOLD = 0.88;
+
+// Quantidade padrão de respostas candidatas comparadas por similaridade (RESPONSE_CACHE_MAX_CANDIDATES)
+const DEFAULT_MAX_CANDIDATES = 500;
+
+// Campos lidos de cada candidata no ranqueamento por similaridade; a vencedora é lida por inteiro depois
+const CANDIDATE_PROJECTION = { embedding: 1, escopo: 1, remetente_id: 1, grupo_id: 1 };
+
+/**
+ * Calcula a similaridade de cosseno entre dois vetores
+ * @param {Number[]} a Primeiro vetor
+ * @param {Number[]} b Segundo vetor
+ * @returns {Number} Similaridade entre -1 e 1 (0 se os vetores forem incompatíveis)
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Classificações aceitas para respostas em cache
+const CLASSIFICACOES = ['global', 'pessoal'];
+
+/**
+ * Normaliza a classificação de uma resposta; valores desconhecidos são tratados
+ * como pessoais para nunca expor respostas de um usuário a outro
+ * @param {String} classificacao Classificação informada
+ * @returns {String} 'global' ou 'pessoal'
+ */
+function normalizeClassification(classificacao) {
+  const normalizada = String(classificacao || '').toLowerCase().trim();
+  return CLASSIFICACOES.includes(normalizada) ? normalizada : 'pessoal';
+}
+
+/**
+ * Monta o filtro de visibilidade das respostas em cache:
+ * respostas globais são visíveis a todos, pessoais apenas ao dono
+ * @param {Object} opcoes Opções do filtro
+ * @param {String} opcoes.senderId ID do remetente que faz a consulta
+ * @param {String} opcoes.classificacao Restringe a uma classificação específica
+ * @returns {Object} Filtro MongoDB
+ */
+function buildOwnershipFilter({ senderId = null, classificacao = null } = {}) {
+  const globais = { classificacao: 'global' };
+  const pessoais = { classificacao: 'pessoal', remetente_id: senderId };
+
+  if (classificacao === 'global') return globais;
+  if (classificacao === 'pessoal') return senderId ? pessoais : null;
+
+  return senderId ? { $or: [globais, pessoais] } : globais;
+}
+
+/**
+ * Monta o filtro completo de visibilidade das respostas em cache (dono e escopo)
+ * @param {Object} options Opções de visibilidade ({ senderId, classificacao, escopo, somenteEscopo })
+ * @returns {Object|null} Filtro MongoDB ou null se nenhuma resposta for visível
+ */
+function buildResponseFilter(options = {}) {
+  const ownershipFilter = buildOwnershipFilter(options);
+  if (!ownershipFilter) return null;
+  
+  // Com somenteEscopo, ignora respostas globais (usado para evitar sobrescrevê-las)
+  const scopeFilter = options.somenteEscopo
+    ? { escopo: options.escopo || GLOBAL_SCOPE }
+    : buildScopeFilter(options.escopo);
+  
+  return { ...ownershipFilter, ...scopeFilter };
+}
+
+/**
+ * Verifica se o conteúdo de um fato (valor e relacionamentos) mudou
+ * @param {Object} anterior Fato antes da alteração
+ * @param {Object} atual Fato após a alteração
+ * @returns {Boolean} true se o conteúdo mudou
+ */
+function factContentChanged(anterior, atual) {
+  return anterior.valor !== atual.valor ||
+    JSON.stringify(anterior.relacionamentos || []) !== JSON.stringify(atual.relacionamentos || []);
+}
+
+// Tamanho padrão e máximo das páginas nas listagens administrativas
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Lista documentos de uma coleção com paginação, dos mais recentes para os mais antigos
+ * @param {Object} collection Coleção MongoDB
+ * @param {Object} query Filtro MongoDB
+ * @param {Object} paginacao Página (a partir de 1) e limite de itens por página
+ * @returns {Promise<Object>} Documentos da página e metadados da paginação
+ */
+async function paginate(collection, query, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const pagina = Math.max(parseInt(page, 10) || 1, 1);
+  const limite = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  
+  const [items, total] = await Promise.all([
+    collection.find(query)
+      .sort({ last_updated: -1, _id: -1 })
+      .skip((pagina - 1) * limite)
+      .limit(limite)
+      .toArray(),
+    collection.countDocuments(query)
+  ]);
+  
+  return {
+    items,
+    page: pagina,
+    limit: limite,
+    total,
+    totalPages: Math.ceil(total / limite)
+  };
+}
+
 class ResponseModel {
   constructor(db) {
     this.db = db;
     this.collection = db.collection('responses');
     this.factsCollection = db.collection('facts');
     this.entitiesCollection = db.collection('entities');
+    this.versionsCollection = db.collection('fact_versions');
     // Criando índice para palavras-chave para melhorar performance de busca
     this.collection.createIndex({ palavras_chave: 1 });
+    // Índice para localizar respostas construídas a partir de fatos
+    this.collection.createIndex({ fatos_ids: 1 });
+    // Índice para filtrar respostas por classificação e dono
+    this.collection.createIndex({ classificacao: 1, remetente_id: 1 });
+    this.collection.createIndex({ escopo: 1 });
+    this.collection.createIndex({ embedding_modelo: 1, last_updated: -1 });
     
     // Índices para busca eficiente de fatos
     this.factsCollection.createIndex({ tipo: 1 });
     this.factsCollection.createIndex({ chave: 1 });
     this.factsCollection.createIndex({ entidade: 1 });
+    this.factsCollection.createIndex({ escopo: 1 });
     this.factsCollection.createIndex({ "relacionamentos.entidade": 1 });
     this.factsCollection.createIndex({ valor: "text" }); // Índice de texto para busca semântica
     
+    // Histórico de versões de cada fato
+    this.versionsCollection.createIndex({ fato_id: 1, versao: -1 });
+    
     // Coleção para entidades
     this.entitiesCollection.createIndex({ nome: 1 });
     this.entitiesCollection.createIndex({ alias: 1 });
+    this.entitiesCollection.createIndex({ entidade_id: 1 }, { unique: true, sparse: true });
     this.entitiesCollection.createIndex({ tipo: 1 });
   }
 
   /**
    * Salva uma resposta no banco de dados
    * @param {Object} responseData Dados da resposta a ser salva
+   * @param {Object} owner Dono da resposta ({ senderId, groupId, escopo })
    * @returns {Promise<Object>} Resultado da operação
    */
-  async saveResponse(responseData) {
+  async saveResponse(responseData, owner = {}) {
     try {
-      // Verifica se já existe uma resposta com palavras-chave semelhantes
-      const existingResponse = await this.findResponseByKeywords(responseData.palavras_chave);
+      const classificacao = normalizeClassification(responseData.classificacao);
+      const visibilidade = {
+        senderId: owner.senderId,
+        classificacao,
+        escopo: owner.escopo,
+        somenteEscopo: true
+      };
+      
+      // Verifica se já existe uma resposta semelhante com a mesma classificação e dono,
+      // por similaridade quando há embedding e por palavras-chave caso contrário
+      const existingResponse = responseData.embedding
+        ? await this.findSimilarResponse(responseData.embedding, {
+          ...visibilidade,
+          modelo: responseData.embedding_modelo
+        })
+        : await this.findResponseByKeywords(responseData.palavras_chave, visibilidade);
+      
+      // Dados da pergunta usados pelo cache semântico
+      const dadosSemanticos = responseData.embedding
+        ? {
+          pergunta: responseData.pergunta,
+          embedding: responseData.embedding,
+          embedding_modelo: responseData.embedding_modelo
+        }
+        : {};
       
       if (existingResponse.success) {
-        // Atualiza a resposta existente
+        // Atualiza a resposta existente, acumulando os fatos de origem
         const result = await this.collection.updateOne(
           { _id: existingResponse.response._id },
-          { $set: { 
-            resposta: responseData.resposta,
-            classificacao: responseData.classificacao,
-            last_updated: new Date()
-          }}
+          { 
+            $set: { 
+              resposta: responseData.resposta,
+              classificacao,
+              ...dadosSemanticos,
+              last_updated: new Date()
+            },
+            $addToSet: { fatos_ids: { $each: responseData.fatos_ids || [] } }
+          }
         );
         
         return { success: true, updated: true, result };
       } else {
-        // Insere uma nova resposta
+        // Insere uma nova resposta registrando seu dono
         const result = await this.collection.insertOne({
           palavras_chave: responseData.palavras_chave,
           resposta: responseData.resposta,
-          classificacao: responseData.classificacao,
+          classificacao,
+          remetente_id: owner.senderId || null,
+          grupo_id: owner.groupId || null,
+          escopo: owner.escopo || GLOBAL_SCOPE,
+          fatos_ids: responseData.fatos_ids || [],
+          ...dadosSemanticos,
           created_at: new Date(),
           last_updated: new Date()
         });
@@ -58,88 +305,220 @@ class ResponseModel {
         return { success: true, updated: false, result };
       }
     } catch (error) {
-      console.error('Erro ao salvar resposta:', error.message);
+      logger.error({ err: error }, 'Erro ao salvar resposta');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Calcula as estatísticas de palavras-chave do corpus de respostas, usadas no IDF
+   * @returns {Promise<Object>} Frequência de documentos por termo e total de respostas
+   */
+  async getKeywordStatistics() {
+    try {
+      const [totalDocuments, frequencias] = await Promise.all([
+        this.collection.countDocuments({}),
+        this.collection.aggregate([
+          { $unwind: '$palavras_chave' },
+          { $group: { _id: '$palavras_chave', df: { $sum: 1 } } }
+        ]).toArray()
+      ]);
+      
+      const documentFrequencies = {};
+      frequencias.forEach(({ _id, df }) => {
+        documentFrequencies[_id] = df;
+      });
+      
+      return { success: true, totalDocuments, documentFrequencies };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao calcular estatísticas de palavras-chave');
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Encontra uma resposta com base nas palavras-chave
+   * Encontra uma resposta com base nas palavras-chave, respeitando a classificação
+   * (respostas pessoais só são devolvidas ao seu dono) e o escopo do chat
    * @param {Array} keywords Array de palavras-chave
+   * @param {Object} options Opções de visibilidade ({ senderId, classificacao, escopo, somenteEscopo }),
+   *   semEmbedding para considerar apenas respostas sem embedding (anteriores ao cache semântico)
+   *   e idf para ponderar as palavras-chave pela sua raridade no corpus
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findResponseByKeywords(keywords) {
+  async findResponseByKeywords(keywords, options = {}) {
     try {
+      const responseFilter = buildResponseFilter(options);
+      if (!responseFilter) {
+        return { success: false, message: 'Nenhuma resposta encontrada' };
+      }
+      
       // Limita a 10 palavras-chave para a busca
       const searchKeywords = keywords.slice(0, Math.min(keywords.length, 10));
       
-      // Busca por respostas que contenham pelo menos 60% das palavras-chave
-      const minKeywordsMatch = Math.ceil(searchKeywords.length * 0.6);
+      // Busca por respostas que contenham pelo menos 60% do peso das palavras-chave;
+      // sem IDF, todas pesam 1 e a regra equivale a 60% das palavras
+      const peso = keyword => (options.idf ? options.idf(keyword) : 1);
+      const pesoTotal = searchKeywords.reduce((total, kw) => total + peso(kw), 0);
+      const minWeightMatch = pesoTotal * 0.6;
       
       // Constrói a consulta para buscar documentos com correspondência de palavras-chave
       const query = {
-        palavras_chave: { $in: searchKeywords }
+        palavras_chave: { $in: searchKeywords },
+        ...responseFilter
       };
       
+      if (options.semEmbedding) {
+        query.embedding = { $exists: false };
+      }
+      
       // Realiza a busca
       const responses = await this.collection.find(query).toArray();
       
       // Filtra para respostas com pelo menos o mínimo de correspondências
       const filteredResponses = responses.filter(response => {
-        const matchCount = response.palavras_chave.filter(kw => 
-          searchKeywords.includes(kw)
-        ).length;
+        const matchWeight = searchKeywords
+          .filter(kw => response.palavras_chave.includes(kw))
+          .reduce((total, kw) => total + peso(kw), 0);
         
-        return matchCount >= minKeywordsMatch;
+        return matchWeight > 0 && matchWeight >= minWeightMatch;
       });
       
-      // Retorna a primeira resposta correspondente, se houver
+      // Retorna a primeira resposta correspondente, priorizando as do próprio chat
       if (filteredResponses.length > 0) {
-        return { success: true, response: filteredResponses[0] };
+        return { success: true, response: preferLocalScope(filteredResponses, options.escopo)[0] };
       } else {
         return { success: false, message: 'Nenhuma resposta encontrada' };
       }
     } catch (error) {
-      console.error('Erro ao buscar resposta por palavras-chave:', error.message);
+      logger.error({ err: error }, 'Erro ao buscar resposta por palavras-chave');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Encontra a resposta em cache mais similar a um embedding de pergunta,
+   * respeitando a classificação e o escopo do chat
+   * A comparação é feita em memória sobre as maxCandidates respostas visíveis atualizadas mais
+   * recentemente (RESPONSE_CACHE_MAX_CANDIDATES); respostas mais antigas que essa janela só são
+   * reutilizadas pela correspondência de palavras-chave.
+   * @param {Number[]} embedding Embedding da pergunta
+   * @param {Object} options Opções de visibilidade ({ senderId, classificacao, escopo, somenteEscopo })
+   *   e de ranqueamento ({ modelo, threshold, maxCandidates })
+   * @returns {Promise<Object>} Resultado da busca, com a similaridade da melhor resposta
+   */
+  async findSimilarResponse(embedding, options = {}) {
+    try {
+      const responseFilter = buildResponseFilter(options);
+      if (!responseFilter) {
+        return { success: false, message: 'Nenhuma resposta encontrada' };
+      }
+      
+      const threshold = options.threshold || DEFAULT_SIMILARITY_THRESHOLD;
+      const maxCandidates = options.maxCandidates || DEFAULT_MAX_CANDIDATES;
+      
+      // Apenas embeddings do mesmo modelo são comparáveis
+      const query = {
+        ...responseFilter,
+        embedding: { $exists: true },
+        ...(options.modelo ? { embedding_modelo: options.modelo } : {})
+      };
+      
+      const candidates = await this.collection.find(query, { projection: CANDIDATE_PROJECTION })
+        .sort({ last_updated: -1 })
+        .limit(maxCandidates)
+        .toArray();
+      
+      if (candidates.length === maxCandidates) {
+        logger.debug({ maxCandidates }, 'Janela de candidatas do cache semântico atingida');
+      }
+      
+      // Ranqueia os candidatos pela similaridade, priorizando o próprio chat em caso de empate
+      const ranked = preferLocalScope(candidates, options.escopo)
+        .map(response => ({ response, similarity: cosineSimilarity(embedding, response.embedding) }))
+        .sort((a, b) => b.similarity - a.similarity);
+      
+      if (ranked.length === 0 || ranked[0].similarity < threshold) {
+        return { success: false, message: 'Nenhuma resposta similar encontrada' };
+      }
+      
+      const response = await this.collection.findOne({ _id: ranked[0].response._id });
+      if (!response) {
+        return { success: false, message: 'Nenhuma resposta similar encontrada' };
+      }
+      
+      return { success: true, response, similarity: ranked[0].similarity };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar resposta por similaridade');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca o fato já armazenado com a mesma identidade de um novo fato
+   * (o fato que saveFact atualizaria em vez de criar um novo)
+   * @param {Object} factData Dados do novo fato
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findEquivalentFact(factData) {
+    try {
+      if (!factData.tipo || !factData.chave || !factData.entidade || !factData.valor) {
+        return { success: false, message: 'Dados incompletos' };
+      }
+      
+      const existingFact = await this.factsCollection.findOne(buildFactIdentityQuery(normalizeFactKeys(factData)));
+      
+      if (existingFact) {
+        return { success: true, fact: existingFact };
+      } else {
+        return { success: false, message: 'Nenhum fato equivalente encontrado' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar fato equivalente');
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Salva um fato no banco de dados
+   * Busca o fato que seria sobrescrito por um novo fato com valor diferente
+   * @param {Object} factData Dados do novo fato
+   * @returns {Promise<Object>} Resultado da busca, com o fato existente se houver conflito
+   */
+  async findConflictingFact(factData) {
+    const equivalente = await this.findEquivalentFact(factData);
+    if (!equivalente.success) {
+      return { success: false, message: 'Nenhum fato conflitante encontrado' };
+    }
+    
+    // Diferenças apenas de maiúsculas ou espaços não são contradições
+    const mesmoValor = String(equivalente.fact.valor).trim().toLowerCase() === String(factData.valor).trim().toLowerCase();
+    
+    if (!mesmoValor) {
+      return { success: true, fact: equivalente.fact };
+    } else {
+      return { success: false, message: 'Nenhum fato conflitante encontrado' };
+    }
+  }
+
+  /**
+   * Salva um fato no banco de dados, registrando uma nova versão quando o valor muda
    * @param {Object} factData Dados do fato a ser salvo
+   * @param {Object} origem Origem da alteração ({ autor, mensagemId, fonte })
    * @returns {Promise<Object>} Resultado da operação
    */
-  async saveFact(factData) {
+  async saveFact(factData, origem = {}) {
     try {
       // Verificações básicas de segurança
       if (!factData.tipo || !factData.chave || !factData.entidade || !factData.valor) {
-        console.error('Dado incompleto. Todos os campos essenciais devem estar presentes:', factData);
+        logger.error({ fato: factData }, 'Dado incompleto. Todos os campos essenciais devem estar presentes');
         return { success: false, error: 'Dados incompletos' };
       }
       
       // Normalização dos campos-chave para evitar inconsistências
-      const normalizedFact = {
-        ...factData,
-        tipo: factData.tipo.toLowerCase().trim(),
-        chave: factData.chave.toLowerCase().trim(),
-        entidade: factData.entidade.toString().toLowerCase().trim()
-      };
+      const normalizedFact = normalizeFactKeys(factData);
       
-      // Verifica se já existe um fato semelhante
-      const query = {
-        tipo: normalizedFact.tipo,
-        chave: normalizedFact.chave,
-        entidade: normalizedFact.entidade
-      };
-      
-      // Em caso de propriedade de conceito, incluir o conceito na busca 
-      // para evitar conflitos entre diferentes conceitos
-      if (normalizedFact.tipo === 'propriedade' && normalizedFact.conceito) {
-        query.conceito = normalizedFact.conceito;
-      }
-      
-      const existingFact = await this.factsCollection.findOne(query);
+      // Verifica se já existe um fato semelhante no mesmo escopo,
+      // para que um chat nunca sobrescreva o conhecimento de outro
+      const existingFact = await this.factsCollection.findOne(buildFactIdentityQuery(normalizedFact));
       
       // Metadados de atualização
       const now = new Date();
@@ -166,35 +545,45 @@ class ResponseModel {
       }
       
       if (existingFact) {
-        // Preserva informações importantes do registro existente
-        // e apenas atualiza o que realmente mudou
+        // O valor anterior é preservado no histórico; uma nova versão só é
+        // registrada quando o conteúdo do fato realmente muda
+        const alterado = factContentChanged(existingFact, { ...existingFact, ...updateData });
+        if (alterado) {
+          updateData.versao = (existingFact.versao || 1) + 1;
+        }
+        
         const result = await this.factsCollection.updateOne(
           { _id: existingFact._id },
-          { 
-            $set: updateData,
-            $currentDate: { last_updated: true }
-          }
+          { $set: updateData }
         );
         
+        if (alterado) {
+          await this.recordFactVersion({ ...existingFact, ...updateData }, origem);
+        }
+        
         // Log para depuração
-        console.log(`Fato atualizado: ${normalizedFact.tipo}/${normalizedFact.chave} para entidade ${normalizedFact.entidade}`);
+        logger.debug({ tipo: normalizedFact.tipo, chave: normalizedFact.chave, entidade: normalizedFact.entidade }, 'Fato atualizado');
         
-        return { success: true, updated: true, result };
+        return { success: true, updated: true, changed: alterado, factId: existingFact._id, result };
       } else {
         // Insere um novo fato com todos os dados normalizados
-        const result = await this.factsCollection.insertOne({
+        const novoFato = {
           ...normalizedFact,
+          versao: 1,
           created_at: now,
           last_updated: now
-        });
+        };
+        const result = await this.factsCollection.insertOne(novoFato);
+        
+        await this.recordFactVersion({ ...novoFato, _id: result.insertedId }, origem);
         
         // Log para depuração
-        console.log(`Novo fato registrado: ${normalizedFact.tipo}/${normalizedFact.chave} para entidade ${normalizedFact.entidade}`);
+        logger.debug({ tipo: normalizedFact.tipo, chave: normalizedFact.chave, entidade: normalizedFact.entidade }, 'Novo fato registrado');
         
-        return { success: true, updated: false, result };
+        return { success: true, updated: false, factId: result.insertedId, result };
       }
     } catch (error) {
-      console.error('Erro ao salvar fato:', error.message);
+      logger.error({ err: error }, 'Erro ao salvar fato');
       return { success: false, error: error.message };
     }
   }
@@ -204,18 +593,21 @@ class ResponseModel {
    * @param {String} tipo Tipo do fato (nome, definicao, etc)
    * @param {String} chave Chave do fato
    * @param {String} entidade Entidade a qual o fato pertence
+   * @param {String|null} escopo JID do chat onde a consulta é feita
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findFact(tipo, chave, entidade) {
+  async findFact(tipo, chave, entidade, escopo = null) {
     try {
-      const query = { tipo, chave, entidade };
+      const query = { tipo, chave, entidade, ...buildScopeFilter(escopo) };
       
       // Se a entidade for 'usuário', converte para minúsculas para padronização
       if (entidade === 'usuário') {
         query.entidade = entidade.toLowerCase();
       }
       
-      const fact = await this.factsCollection.findOne(query);
+      // O fato do próprio chat prevalece sobre o global
+      const facts = await this.factsCollection.find(query).toArray();
+      const [fact] = preferLocalScope(facts, escopo);
       
       if (fact) {
         return { success: true, fact };
@@ -223,7 +615,55 @@ class ResponseModel {
         return { success: false, message: 'Fato não encontrado' };
       }
     } catch (error) {
-      console.error('Erro ao buscar fato:', error.message);
+      logger.error({ err: error }, 'Erro ao buscar fato');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Obtém as chaves pelas quais os fatos podem se referir a um nome:
+   * o próprio nome em minúsculas e o ID canônico da entidade correspondente, se houver
+   * @param {String} nome Nome, alias ou ID canônico
+   * @returns {Promise<Array>} Chaves possíveis
+   */
+  async findEntityKeys(nome) {
+    const nomeLowerCase = nome.toLowerCase().trim();
+    const entidade = await this.findEntityByName(nomeLowerCase);
+    
+    if (entidade.success && entidade.entity.entidade_id && entidade.entity.entidade_id !== nomeLowerCase) {
+      return [nomeLowerCase, entidade.entity.entidade_id];
+    }
+    return [nomeLowerCase];
+  }
+
+  /**
+   * Busca a definição de um conceito pelo termo definido ou pela entidade do conceito
+   * @param {String} conceito Termo, alias ou ID canônico do conceito
+   * @param {String|null} escopo JID do chat onde a consulta é feita
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findDefinition(conceito, escopo = null) {
+    try {
+      const chaves = await this.findEntityKeys(conceito);
+      
+      const facts = await this.factsCollection.find({
+        tipo: 'definicao',
+        entidade: 'geral',
+        $or: [
+          { chave: { $in: chaves } },
+          { conceito: { $in: chaves } }
+        ],
+        ...buildScopeFilter(escopo)
+      }).toArray();
+      const [fact] = preferLocalScope(facts, escopo);
+      
+      if (fact) {
+        return { success: true, fact };
+      } else {
+        return { success: false, message: 'Definição não encontrada' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar definição');
       return { success: false, error: error.message };
     }
   }
@@ -233,24 +673,26 @@ class ResponseModel {
    * @param {String} tipo Tipo do fato (geralmente 'relacao')
    * @param {String} entidade Entidade principal (usuário)
    * @param {String} valor Valor específico a ser encontrado (opcional)
+   * @param {String|null} escopo JID do chat onde a consulta é feita
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findRelationalFacts(tipo, entidade, valor = null) {
+  async findRelationalFacts(tipo, entidade, valor = null, escopo = null) {
     try {
       // Constrói a query básica
       const query = { 
         tipo: tipo,
-        entidade: entidade
+        entidade: entidade,
+        ...buildScopeFilter(escopo)
       };
       
       // Se foi especificado um valor, adiciona à query
       if (valor) {
         const valorLowerCase = valor.toLowerCase();
         
-        // Query que busca por valor exato ou por entidade nos relacionamentos
+        // Query que busca por valor exato ou pela entidade (nome ou ID canônico) nos relacionamentos
         query.$or = [
           { valor: { $regex: new RegExp(`^${valorLowerCase}$`, 'i') } },
-          { 'relacionamentos.entidade': valorLowerCase }
+          { 'relacionamentos.entidade': { $in: await this.findEntityKeys(valorLowerCase) } }
         ];
       }
       
@@ -262,7 +704,56 @@ class ResponseModel {
         return { success: false, message: 'Fatos não encontrados' };
       }
     } catch (error) {
-      console.error('Erro ao buscar fatos relacionais:', error.message);
+      logger.error({ err: error }, 'Erro ao buscar fatos relacionais');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca as relações que ligam entidades a outras, em qualquer direção
+   * (a entidade pode ser a dona da relação ou o alvo de um relacionamento)
+   * @param {Array} entidades Entidades (nós do grafo) a partir das quais buscar
+   * @param {String|null} escopo JID do chat onde a consulta é feita
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findRelationEdges(entidades, escopo = null) {
+    try {
+      const facts = await this.factsCollection.find({
+        tipo: 'relacao',
+        $or: [
+          { entidade: { $in: entidades } },
+          { 'relacionamentos.entidade': { $in: entidades } }
+        ],
+        ...buildScopeFilter(escopo)
+      }).toArray();
+      
+      return { success: true, facts: preferLocalScope(facts, escopo) };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar relações do grafo');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca os atributos (fatos que não são relações) de entidades ou conceitos
+   * @param {Array} entidades Entidades (nós do grafo)
+   * @param {String|null} escopo JID do chat onde a consulta é feita
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findNodeAttributes(entidades, escopo = null) {
+    try {
+      const facts = await this.factsCollection.find({
+        tipo: { $ne: 'relacao' },
+        $or: [
+          { entidade: { $in: entidades } },
+          { conceito: { $in: entidades } }
+        ],
+        ...buildScopeFilter(escopo)
+      }).toArray();
+      
+      return { success: true, facts: preferLocalScope(facts, escopo) };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar atributos do grafo');
       return { success: false, error: error.message };
     }
   }
@@ -274,8 +765,10 @@ class ResponseModel {
    */
   async saveEntity(entityData) {
     try {
-      // Verifica se já existe uma entidade com o mesmo nome
-      const query = { nome: entityData.nome };
+      // Verifica se já existe uma entidade com o mesmo ID canônico ou o mesmo nome
+      const query = entityData.entidade_id
+        ? { $or: [{ entidade_id: entityData.entidade_id }, { nome: entityData.nome }] }
+        : { nome: entityData.nome };
       
       const existingEntity = await this.entitiesCollection.findOne(query);
       
@@ -292,6 +785,8 @@ class ResponseModel {
             $set: { 
               tipo: entityData.tipo,
               alias: combinedAliases,
+              // O ID canônico de uma entidade nunca muda depois de atribuído
+              entidade_id: existingEntity.entidade_id || entityData.entidade_id || null,
               last_updated: new Date()
             }
           }
@@ -310,14 +805,14 @@ class ResponseModel {
         return { success: true, updated: false, result };
       }
     } catch (error) {
-      console.error('Erro ao salvar entidade:', error.message);
+      logger.error({ err: error }, 'Erro ao salvar entidade');
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Busca entidades por nome ou alias
-   * @param {String} name Nome ou alias para busca
+   * Busca entidades por ID canônico, nome ou alias
+   * @param {String} name ID canônico, nome ou alias para busca
    * @returns {Promise<Object>} Resultado da busca
    */
   async findEntityByName(name) {
@@ -326,6 +821,7 @@ class ResponseModel {
       
       const query = {
         $or: [
+          { entidade_id: nameLowerCase },
           { nome_normalizado: nameLowerCase },
           { alias: nameLowerCase }
         ]
@@ -339,7 +835,7 @@ class ResponseModel {
         return { success: false, message: 'Entidade não encontrada' };
       }
     } catch (error) {
-      console.error('Erro ao buscar entidade:', error.message);
+      logger.error({ err: error }, 'Erro ao buscar entidade');
       return { success: false, error: error.message };
     }
   }
@@ -347,11 +843,12 @@ class ResponseModel {
   /**
    * Busca todos os fatos de uma categoria específica
    * @param {String} tipo Tipo de fato a ser buscado
+   * @param {String|null} escopo JID do chat onde a consulta é feita
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findFactsByType(tipo) {
+  async findFactsByType(tipo, escopo = null) {
     try {
-      const facts = await this.factsCollection.find({ tipo }).toArray();
+      const facts = await this.factsCollection.find({ tipo, ...buildScopeFilter(escopo) }).toArray();
       
       if (facts && facts.length > 0) {
         return { success: true, facts };
@@ -359,21 +856,48 @@ class ResponseModel {
         return { success: false, message: 'Nenhum fato encontrado para este tipo' };
       }
     } catch (error) {
-      console.error(`Erro ao buscar fatos do tipo ${tipo}:`, error.message);
+      logger.error({ err: error, tipo }, 'Erro ao buscar fatos do tipo');
       return { success: false, error: error.message };
     }
   }
-  
+
+  /**
+   * Busca todos os fatos pertencentes a uma entidade
+   * @param {String} entidade Entidade dona dos fatos (ID do usuário, nome do terceiro, 'geral')
+   * @param {String|null} escopo JID do chat onde a consulta é feita (sem escopo, busca em todos)
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findFactsByEntity(entidade, escopo = null) {
+    try {
+      const entidadeNormalizada = entidade.toString().toLowerCase().trim();
+      const facts = await this.factsCollection.find({
+        entidade: entidadeNormalizada,
+        ...buildScopeFilter(escopo)
+      }).toArray();
+
+      if (facts && facts.length > 0) {
+        return { success: true, facts };
+      } else {
+        return { success: false, message: 'Nenhum fato encontrado para esta entidade' };
+      }
+    } catch (error) {
+      logger.error({ err: error, entidade }, 'Erro ao buscar fatos da entidade');
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Busca fatos por correspondência parcial no valor
    * @param {String} valor Valor parcial para busca
+   * @param {String|null} escopo JID do chat onde a consulta é feita
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findFactsByPartialValue(valor) {
+  async findFactsByPartialValue(valor, escopo = null) {
     try {
       const valorLowerCase = valor.toLowerCase();
       const facts = await this.factsCollection.find({ 
-        valor: { $regex: new RegExp(valorLowerCase, 'i') } 
+        valor: { $regex: new RegExp(valorLowerCase, 'i') },
+        ...buildScopeFilter(escopo)
       }).toArray();
       
       if (facts && facts.length > 0) {
@@ -382,7 +906,167 @@ class ResponseModel {
         return { success: false, message: 'Nenhum fato encontrado com este valor' };
       }
     } catch (error) {
-      console.error(`Erro ao buscar fatos com valor parcial ${valor}:`, error.message);
+      logger.error({ err: error, valor }, 'Erro ao buscar fatos com valor parcial');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca fatos em que todos os termos aparecem na chave, valor, conceito ou entidade
+   * @param {Array} termos Termos que devem estar presentes no fato
+   * @param {Object} filtro Filtro adicional aplicado à busca (ex: entidade)
+   * @param {String|null} escopo JID do chat onde a consulta é feita
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findFactsByTerms(termos, filtro = {}, escopo = null) {
+    try {
+      if (!termos || termos.length === 0) {
+        return { success: false, message: 'Nenhum termo informado' };
+      }
+      
+      // Cada termo deve corresponder a pelo menos um dos campos descritivos do fato
+      const condicoes = termos.map(termo => {
+        const regex = new RegExp(escapeRegex(termo), 'i');
+        return {
+          $or: [
+            { chave: regex },
+            { valor: regex },
+            { conceito: regex },
+            { entidade: regex }
+          ]
+        };
+      });
+      
+      const facts = await this.factsCollection.find({
+        ...filtro,
+        ...buildScopeFilter(escopo),
+        $and: condicoes
+      }).toArray();
+      
+      if (facts && facts.length > 0) {
+        return { success: true, facts };
+      } else {
+        return { success: false, message: 'Nenhum fato encontrado para estes termos' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar fatos por termos');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lista os tipos de relação conhecidos: chaves dos fatos de relação e tipos dos seus relacionamentos
+   * @param {String|null} escopo JID do chat onde a consulta é feita
+   * @returns {Promise<Object>} Resultado da busca ({ tipos })
+   */
+  async listRelationTypes(escopo = null) {
+    try {
+      const filtro = { tipo: 'relacao', ...buildScopeFilter(escopo) };
+      const [chaves, relacionamentos] = await Promise.all([
+        this.factsCollection.aggregate([{ $match: filtro }, { $group: { _id: '$chave' } }]).toArray(),
+        this.factsCollection.aggregate([
+          { $match: filtro },
+          { $unwind: '$relacionamentos' },
+          { $group: { _id: '$relacionamentos.tipo' } }
+        ]).toArray()
+      ]);
+      
+      const tipos = [...chaves, ...relacionamentos].map(grupo => grupo._id).filter(Boolean);
+      return { success: true, tipos: [...new Set(tipos)] };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao listar tipos de relação');
+      return { success: false, error: error.message, tipos: [] };
+    }
+  }
+
+  /**
+   * Promove fatos de um chat a conhecimento global, visível em todos os chats.
+   * Quando já existe um fato global equivalente, o fato do chat é incorporado a ele:
+   * se o valor for outro, o global só é alterado com substituir=true, por updateFact
+   * (preservando o valor anterior no histórico), e as respostas em cache baseadas nele
+   * são removidas. Sem substituir, o fato é devolvido em conflitos e não é promovido.
+   * @param {Array} facts Fatos a promover
+   * @param {Object} origem Origem da alteração ({ autor, mensagemId, fonte })
+   * @param {Object} options Opções da promoção
+   * @param {Boolean} options.substituir Se valores globais diferentes devem ser substituídos
+   * @returns {Promise<Object>} Resultado da operação ({ promotedCount, conflitos: [{ fato, existente }] })
+   */
+  async promoteFactsToGlobal(facts, origem = {}, { substituir = false } = {}) {
+    try {
+      let promovidos = 0;
+      const conflitos = [];
+      
+      for (const fact of facts) {
+        if (fact.escopo === GLOBAL_SCOPE) continue;
+        
+        const existente = await this.factsCollection.findOne(buildFactIdentityQuery({ ...fact, escopo: GLOBAL_SCOPE }));
+        
+        if (!existente) {
+          await this.factsCollection.updateOne(
+            { _id: fact._id },
+            { $set: { escopo: GLOBAL_SCOPE, escopo_origem: fact.escopo, last_updated: new Date() } }
+          );
+          promovidos++;
+          continue;
+        }
+        
+        if (factContentChanged(existente, { ...existente, valor: fact.valor, relacionamentos: fact.relacionamentos || [] })) {
+          if (!substituir) {
+            conflitos.push({ fato: fact, existente });
+            continue;
+          }
+          
+          await this.updateFact(existente._id, {
+            valor: fact.valor,
+            relacionamentos: fact.relacionamentos || []
+          }, origem);
+          await this.deleteResponsesByFactIds([existente._id]);
+        }
+        
+        // O fato do chat passa a ser representado pelo global
+        await this.deleteResponsesByFactIds([fact._id]);
+        await this.deleteFactsByIds([fact._id]);
+        promovidos++;
+      }
+      
+      return { success: true, promotedCount: promovidos, conflitos };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao promover fatos');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove fatos pelo seu identificador, junto com seu histórico de versões
+   * @param {Array} ids Identificadores dos fatos a remover
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async deleteFactsByIds(ids) {
+    try {
+      const result = await this.factsCollection.deleteMany({ _id: { $in: ids } });
+      
+      // Fatos esquecidos não devem sobreviver no histórico
+      await this.versionsCollection.deleteMany({ fato_id: { $in: ids } });
+      
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover fatos');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove respostas em cache construídas a partir dos fatos informados
+   * @param {Array} factIds Identificadores dos fatos de origem
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async deleteResponsesByFactIds(factIds) {
+    try {
+      const result = await this.collection.deleteMany({ fatos_ids: { $in: factIds } });
+      
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover respostas em cache');
       return { success: false, error: error.message };
     }
   }
@@ -390,11 +1074,13 @@ class ResponseModel {
   /**
    * Busca propriedades de um conceito específico (ex: empresa)
    * @param {String} conceito O nome do conceito/empresa
+   * @param {String|null} escopo JID do chat onde a consulta é feita
    * @returns {Promise<Object>} Resultado da busca
    */
-  async findConceptProperties(conceito) {
+  async findConceptProperties(conceito, escopo = null) {
     try {
-      const conceitoLowerCase = conceito.toLowerCase();
+      // O conceito pode ser citado pelo nome, por um alias ou pelo ID canônico da entidade
+      const chaves = await this.findEntityKeys(conceito);
       
       // Busca tanto nas propriedades diretas quanto nos relacionamentos
       const query = {
@@ -402,20 +1088,20 @@ class ResponseModel {
           // Busca por entidade direta (fato_entidade)
           { 
             tipo: 'entidade',
-            entidade: conceitoLowerCase
+            entidade: { $in: chaves }
           },
           // Busca por propriedades de conceitos 
           { 
             tipo: 'propriedade',
             entidade: 'geral',
-            conceito: conceitoLowerCase
+            conceito: { $in: chaves }
           },
           // Busca por relacionamentos
           { 
-            'relacionamentos.tipo': 'propriedade_de',
-            'relacionamentos.entidade': conceitoLowerCase
+            relacionamentos: { $elemMatch: { tipo: 'propriedade_de', entidade: { $in: chaves } } }
           }
-        ]
+        ],
+        ...buildScopeFilter(escopo)
       };
       
       const facts = await this.factsCollection.find(query).toArray();
@@ -424,7 +1110,7 @@ class ResponseModel {
         return { success: true, facts };
       } else {
         // Tenta uma definição em último caso
-        const definicao = await this.findFact('definicao', conceitoLowerCase, 'geral');
+        const definicao = await this.findDefinition(conceito, escopo);
         if (definicao.success) {
           return { success: true, facts: [definicao.fact] };
         }
@@ -432,10 +1118,349 @@ class ResponseModel {
         return { success: false, message: 'Nenhuma propriedade encontrada para este conceito' };
       }
     } catch (error) {
-      console.error(`Erro ao buscar propriedades do conceito ${conceito}:`, error.message);
+      logger.error({ err: error, conceito }, 'Erro ao buscar propriedades do conceito');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lista fatos para curadoria, com filtros e paginação
+   * @param {Object} filtros Filtros da listagem ({ tipo, entidade, conceito, escopo, busca })
+   * @param {Object} paginacao Página e limite de itens por página
+   * @returns {Promise<Object>} Resultado da listagem
+   */
+  async listFacts(filtros = {}, paginacao = {}) {
+    try {
+      const query = {};
+      if (filtros.tipo) query.tipo = filtros.tipo.toLowerCase().trim();
+      if (filtros.entidade) query.entidade = filtros.entidade.toString().toLowerCase().trim();
+      if (filtros.conceito) query.conceito = filtros.conceito.toLowerCase().trim();
+      if (filtros.escopo) query.escopo = filtros.escopo;
+      if (filtros.busca) {
+        const regex = new RegExp(escapeRegex(filtros.busca), 'i');
+        query.$or = [{ chave: regex }, { valor: regex }, { conceito: regex }, { entidade: regex }];
+      }
+      
+      return { success: true, ...(await paginate(this.factsCollection, query, paginacao)) };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao listar fatos');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca um fato pelo seu identificador
+   * @param {ObjectId} id Identificador do fato
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findFactById(id) {
+    try {
+      const fact = await this.factsCollection.findOne({ _id: id });
+      
+      if (fact) {
+        return { success: true, fact };
+      } else {
+        return { success: false, message: 'Fato não encontrado' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar fato');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Altera os campos de um fato existente, registrando uma nova versão quando o valor muda
+   * @param {ObjectId} id Identificador do fato
+   * @param {Object} changes Campos a alterar (já validados)
+   * @param {Object} origem Origem da alteração ({ autor, mensagemId, fonte })
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async updateFact(id, changes, origem = {}) {
+    try {
+      const existingFact = await this.factsCollection.findOne({ _id: id });
+      if (!existingFact) {
+        return { success: true, matchedCount: 0 };
+      }
+      
+      const updateData = { ...changes, last_updated: new Date() };
+      const alterado = factContentChanged(existingFact, { ...existingFact, ...updateData });
+      if (alterado) {
+        updateData.versao = (existingFact.versao || 1) + 1;
+      }
+      
+      const result = await this.factsCollection.updateOne({ _id: id }, { $set: updateData });
+      
+      if (alterado) {
+        await this.recordFactVersion({ ...existingFact, ...updateData }, origem);
+      }
+      
+      return { success: true, matchedCount: result.matchedCount, changed: alterado };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao alterar fato');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lista entidades para curadoria, com filtros e paginação
+   * @param {Object} filtros Filtros da listagem ({ tipo, busca })
+   * @param {Object} paginacao Página e limite de itens por página
+   * @returns {Promise<Object>} Resultado da listagem
+   */
+  async listEntities(filtros = {}, paginacao = {}) {
+    try {
+      const query = {};
+      if (filtros.tipo) query.tipo = filtros.tipo;
+      if (filtros.busca) {
+        const regex = new RegExp(escapeRegex(filtros.busca), 'i');
+        query.$or = [{ nome: regex }, { alias: regex }];
+      }
+      
+      return { success: true, ...(await paginate(this.entitiesCollection, query, paginacao)) };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao listar entidades');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca uma entidade pelo seu identificador
+   * @param {ObjectId} id Identificador da entidade
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findEntityById(id) {
+    try {
+      const entity = await this.entitiesCollection.findOne({ _id: id });
+      
+      if (entity) {
+        return { success: true, entity };
+      } else {
+        return { success: false, message: 'Entidade não encontrada' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar entidade');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Altera os campos de uma entidade existente
+   * @param {ObjectId} id Identificador da entidade
+   * @param {Object} changes Campos a alterar (já validados)
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async updateEntity(id, changes) {
+    try {
+      const updateData = { ...changes, last_updated: new Date() };
+      if (changes.nome) updateData.nome_normalizado = changes.nome.toLowerCase();
+      
+      const result = await this.entitiesCollection.updateOne({ _id: id }, { $set: updateData });
+      
+      return { success: true, matchedCount: result.matchedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao alterar entidade');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove uma entidade pelo seu identificador
+   * @param {ObjectId} id Identificador da entidade
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async deleteEntity(id) {
+    try {
+      const result = await this.entitiesCollection.deleteOne({ _id: id });
+      
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover entidade');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Lista respostas em cache para curadoria, com filtros e paginação
+   * @param {Object} filtros Filtros da listagem ({ classificacao, escopo, grupo_id, remetente_id, busca })
+   * @param {Object} paginacao Página e limite de itens por página
+   * @returns {Promise<Object>} Resultado da listagem
+   */
+  async listResponses(filtros = {}, paginacao = {}) {
+    try {
+      const query = {};
+      if (filtros.classificacao) query.classificacao = normalizeClassification(filtros.classificacao);
+      if (filtros.escopo) query.escopo = filtros.escopo;
+      if (filtros.grupo_id) query.grupo_id = filtros.grupo_id;
+      if (filtros.remetente_id) query.remetente_id = filtros.remetente_id;
+      if (filtros.busca) {
+        const regex = new RegExp(escapeRegex(filtros.busca), 'i');
+        query.$or = [{ resposta: regex }, { pergunta: regex }, { palavras_chave: regex }];
+      }
+      
+      // Os vetores de embedding não são úteis na curadoria e tornam a listagem pesada
+      const resultado = await paginate(this.collection, query, paginacao);
+      resultado.items = resultado.items.map(({ embedding, ...response }) => response);
+      
+      return { success: true, ...resultado };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao listar respostas');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca uma resposta em cache pelo seu identificador
+   * @param {ObjectId} id Identificador da resposta
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async findResponseById(id) {
+    try {
+      const response = await this.collection.findOne({ _id: id }, { projection: { embedding: 0 } });
+      
+      if (response) {
+        return { success: true, response };
+      } else {
+        return { success: false, message: 'Resposta não encontrada' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar resposta');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Altera os campos de uma resposta em cache existente
+   * @param {ObjectId} id Identificador da resposta
+   * @param {Object} changes Campos a alterar (já validados)
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async updateResponse(id, changes) {
+    try {
+      const updateData = { ...changes, last_updated: new Date() };
+      if (changes.classificacao) updateData.classificacao = normalizeClassification(changes.classificacao);
+      
+      const result = await this.collection.updateOne({ _id: id }, { $set: updateData });
+      
+      return { success: true, matchedCount: result.matchedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao alterar resposta');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove uma resposta em cache pelo seu identificador
+   * @param {ObjectId} id Identificador da resposta
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async deleteResponse(id) {
+    try {
+      const result = await this.collection.deleteOne({ _id: id });
+      
+      return { success: true, deletedCount: result.deletedCount };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao remover resposta');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Registra o estado atual de um fato no histórico de versões
+   * @param {Object} fact Fato com _id, versao, valor e relacionamentos
+   * @param {Object} origem Origem da alteração ({ autor, mensagemId, fonte, revertidoDe })
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async recordFactVersion(fact, origem = {}) {
+    try {
+      const result = await this.versionsCollection.insertOne({
+        fato_id: fact._id,
+        versao: fact.versao || 1,
+        valor: fact.valor,
+        relacionamentos: fact.relacionamentos || [],
+        autor: origem.autor ? String(origem.autor) : null,
+        mensagem_id: origem.mensagemId || null,
+        fonte: origem.fonte || fact.contexto?.fonte || null,
+        revertido_de: origem.revertidoDe || null,
+        created_at: new Date()
+      });
+      
+      return { success: true, result };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao registrar versão do fato');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Busca o histórico de versões de um fato, da mais recente para a mais antiga
+   * @param {ObjectId} factId Identificador do fato
+   * @returns {Promise<Object>} Resultado da busca
+   */
+  async getFactHistory(factId) {
+    try {
+      const versions = await this.versionsCollection
+        .find({ fato_id: factId })
+        .sort({ versao: -1 })
+        .toArray();
+      
+      if (versions && versions.length > 0) {
+        return { success: true, versions };
+      } else {
+        return { success: false, message: 'Nenhuma versão encontrada para este fato' };
+      }
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao buscar histórico do fato');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Restaura o valor de uma versão anterior de um fato. A restauração é registrada
+   * como uma nova versão, preservando todo o histórico.
+   * @param {ObjectId} factId Identificador do fato
+   * @param {Number} versao Versão a restaurar
+   * @param {Object} origem Origem da alteração ({ autor, mensagemId, fonte })
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async rollbackFact(factId, versao, origem = {}) {
+    try {
+      const [fact, version] = await Promise.all([
+        this.factsCollection.findOne({ _id: factId }),
+        this.versionsCollection.findOne({ fato_id: factId, versao })
+      ]);
+      
+      if (!fact) {
+        return { success: false, message: 'Fato não encontrado' };
+      }
+      if (!version) {
+        return { success: false, message: `Versão ${versao} não encontrada para este fato` };
+      }
+      
+      const restaurado = {
+        valor: version.valor,
+        relacionamentos: version.relacionamentos || []
+      };
+      
+      if (!factContentChanged(fact, { ...fact, ...restaurado })) {
+        return { success: true, changed: false, fact };
+      }
+      
+      const updateData = { ...restaurado, versao: (fact.versao || 1) + 1, last_updated: new Date() };
+      await this.factsCollection.updateOne({ _id: factId }, { $set: updateData });
+      
+      const atualizado = { ...fact, ...updateData };
+      await this.recordFactVersion(atualizado, { ...origem, revertidoDe: versao });
+      
+      logger.info({ factId: String(factId), versao, novaVersao: updateData.versao }, 'Fato revertido');
+      
+      return { success: true, changed: true, fact: atualizado };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao reverter fato');
       return { success: false, error: error.message };
     }
   }
 }
 
+ResponseModel.GLOBAL_SCOPE = GLOBAL_SCOPE;
+
 module.exports = ResponseModel; 
\ No newline at end of file
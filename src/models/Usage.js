@@ -0,0 +1,120 @@
+/**
+ * Modelo para armazenar no MongoDB o consumo de cada chamada ao provedor de LLM
+ * (tokens e custo estimado), para acompanhar quais usuários e grupos geram os custos
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('Usage');
+
+// Campos pelos quais os totais podem ser agrupados, além do período
+const AGRUPAMENTOS = {
+  grupo: 'grupo_id',
+  remetente: 'remetente_id',
+  modelo: 'modelo',
+  tipo: 'tipo'
+};
+
+// Campo com o período de cada registro (AAAA-MM-DD ou AAAA-MM, em UTC)
+const PERIODOS = {
+  dia: 'dia',
+  mes: 'mes'
+};
+
+class UsageModel {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('usage');
+
+    // Cria índices para as consultas por período, grupo e remetente
+    this.collection.createIndex({ dia: 1 });
+    this.collection.createIndex({ mes: 1, grupo_id: 1 });
+    this.collection.createIndex({ remetente_id: 1, dia: 1 });
+  }
+
+  /**
+   * Registra o consumo de uma chamada
+   * @param {Object} registro Dados da chamada
+   * @param {String|null} registro.remetenteId Número de quem enviou a mensagem (null em chamadas da API administrativa)
+   * @param {String|null} registro.grupoId JID do grupo, se a mensagem veio de um grupo
+   * @param {String} registro.provedor Nome do provedor de LLM
+   * @param {String} registro.modelo Modelo usado
+   * @param {String} registro.tipo aprendizado (/aprender), pergunta ou embedding
+   * @param {Object} registro.tokens Tokens consumidos ({ prompt, completion, total })
+   * @param {Number} registro.custo Custo estimado em dólares
+   * @returns {Promise<Object>} Resultado da operação
+   */
+  async recordUsage({ remetenteId, grupoId = null, provedor, modelo, tipo, tokens, custo }) {
+    try {
+      const agora = new Date();
+      const dia = agora.toISOString().slice(0, 10);
+
+      const result = await this.collection.insertOne({
+        remetente_id: remetenteId === null ? null : String(remetenteId),
+        grupo_id: grupoId,
+        provedor,
+        modelo,
+        tipo,
+        prompt_tokens: tokens.prompt,
+        completion_tokens: tokens.completion,
+        total_tokens: tokens.total,
+        custo_estimado: custo,
+        dia,
+        mes: dia.slice(0, 7),
+        created_at: agora
+      });
+
+      return { success: true, id: result.insertedId };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao registrar consumo do LLM');
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Soma o consumo por período (dia ou mês), opcionalmente agrupado por grupo, remetente, modelo ou tipo
+   * @param {Object} consulta Parâmetros da consulta
+   * @param {String} consulta.periodo dia ou mes
+   * @param {String} consulta.inicio Primeiro período incluído (AAAA-MM-DD ou AAAA-MM)
+   * @param {String} consulta.fim Último período incluído
+   * @param {String|null} consulta.agruparPor grupo, remetente, modelo ou tipo
+   * @param {String|null} consulta.remetenteId Restringe ao consumo de um remetente
+   * @param {String|null} consulta.grupoId Restringe ao consumo de um grupo
+   * @returns {Promise<Object>} Totais ordenados do período mais recente para o mais antigo
+   */
+  async getTotals({ periodo, inicio, fim, agruparPor = null, remetenteId = null, grupoId = null }) {
+    try {
+      const campoPeriodo = PERIODOS[periodo];
+      const filtro = { [campoPeriodo]: { $gte: inicio, $lte: fim } };
+      if (remetenteId) filtro.remetente_id = String(remetenteId);
+      if (grupoId) filtro.grupo_id = grupoId;
+
+      const _id = { periodo: `$${campoPeriodo}` };
+      if (agruparPor) _id.chave = `$${AGRUPAMENTOS[agruparPor]}`;
+
+      const totals = await this.collection.aggregate([
+        { $match: filtro },
+        {
+          $group: {
+            _id,
+            chamadas: { $sum: 1 },
+            prompt_tokens: { $sum: '$prompt_tokens' },
+            completion_tokens: { $sum: '$completion_tokens' },
+            total_tokens: { $sum: '$total_tokens' },
+            custo_estimado: { $sum: '$custo_estimado' }
+          }
+        },
+        { $sort: { '_id.periodo': -1, custo_estimado: -1, total_tokens: -1 } }
+      ]).toArray();
+
+      return { success: true, totals };
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao somar consumo do LLM');
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+UsageModel.AGRUPAMENTOS = AGRUPAMENTOS;
+UsageModel.PERIODOS = PERIODOS;
+
+module.exports = UsageModel;
\ No newline at end of file
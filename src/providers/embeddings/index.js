@@ -0,0 +1,64 @@
+/**
+ * Seleção do provedor de embeddings usado pelo cache semântico de respostas
+ *
+ * Todo provedor expõe a mesma interface:
+ * - name: nome do provedor
+ * - model: modelo utilizado (vetores de modelos diferentes nunca são comparados)
+ * - embed(text): Promise<{ embedding: Number[], usage: Object|null }>
+ *
+ * O provedor é escolhido pela variável EMBEDDING_PROVIDER: openai (padrão), local, stub ou none.
+ * Com none, o cache volta a usar apenas a correspondência de palavras-chave. Sem OPENAI_API_KEY,
+ * o provedor openai dá lugar ao stub, para que o bot funcione offline sem configuração extra.
+ */
+const { createOpenAIEmbeddings, createLocalEmbeddings } = require('./openaiEmbeddings');
+const { createStubEmbeddings } = require('./stubEmbeddings');
+const { hasOpenAIKey } = require('../llm/openaiProvider');
+const { getLogger } = require('../../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('embeddings');
+
+const PROVIDERS = {
+  openai: createOpenAIEmbeddings,
+  local: createLocalEmbeddings,
+  stub: createStubEmbeddings,
+  none: () => null
+};
+
+// Provedor em uso; undefined indica que ainda não foi criado
+let currentProvider;
+
+/**
+ * Obtém o provedor de embeddings configurado
+ * @returns {Object|null} Provedor de embeddings ou null se desativado
+ */
+function getEmbeddingProvider() {
+  if (currentProvider === undefined) {
+    let name = (process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+    if (name === 'openai' && !hasOpenAIKey()) {
+      logger.warn('OPENAI_API_KEY não configurada; usando embeddings stub no cache semântico');
+      name = 'stub';
+    }
+
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Provedor de embeddings desconhecido: "${name}". Use openai, local, stub ou none.`);
+    }
+
+    currentProvider = factory();
+    logger.info({ modelo: currentProvider ? currentProvider.model : null }, currentProvider ? 'Provedor de embeddings configurado' : 'Embeddings desativados');
+  }
+
+  return currentProvider;
+}
+
+/**
+ * Substitui o provedor em uso (ex: provedor simulado em testes)
+ * @param {Object|null|undefined} provider Provedor a utilizar; undefined volta à configuração do ambiente
+ */
+function setEmbeddingProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = { getEmbeddingProvider, setEmbeddingProvider, createStubEmbeddings };
\ No newline at end of file
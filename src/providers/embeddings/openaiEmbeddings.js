@@ -0,0 +1,66 @@
+/**
+ * Provedor de embeddings baseado no SDK da OpenAI
+ * Também atende endpoints locais compatíveis com a API da OpenAI.
+ */
+const OpenAI = require('openai');
+require('dotenv').config();
+
+/**
+ * Cria um provedor de embeddings no formato da API da OpenAI
+ * @param {Object} options Opções do provedor
+ * @param {String} options.name Nome do provedor
+ * @param {String} options.model Modelo de embeddings
+ * @param {String} options.apiKey Chave de API
+ * @param {String} options.baseURL URL base da API (opcional, padrão da OpenAI)
+ * @returns {Object} Provedor de embeddings
+ */
+function createOpenAICompatibleEmbeddings({ name, model, apiKey, baseURL }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Calcula o embedding de um texto
+     * @param {String} text Texto de entrada
+     * @returns {Promise<Object>} Vetor do embedding e uso de tokens
+     */
+    async embed(text) {
+      const response = await client.embeddings.create({ model, input: text });
+      return { embedding: response.data[0].embedding, usage: response.usage || null };
+    }
+  };
+}
+
+/**
+ * Cria o provedor de embeddings da OpenAI
+ * @returns {Object} Provedor de embeddings
+ */
+function createOpenAIEmbeddings() {
+  return createOpenAICompatibleEmbeddings({
+    name: 'openai',
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+    apiKey: process.env.OPENAI_API_KEY
+  });
+}
+
+/**
+ * Cria o provedor de embeddings para um modelo auto-hospedado
+ * @returns {Object} Provedor de embeddings
+ */
+function createLocalEmbeddings() {
+  const baseURL = process.env.EMBEDDING_BASE_URL || process.env.LLM_BASE_URL;
+  if (!baseURL) {
+    throw new Error('EMBEDDING_BASE_URL ou LLM_BASE_URL deve ser definida para usar embeddings locais');
+  }
+
+  return createOpenAICompatibleEmbeddings({
+    name: 'local',
+    model: process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+    apiKey: process.env.LLM_API_KEY || 'local',
+    baseURL
+  });
+}
+
+module.exports = { createOpenAIEmbeddings, createLocalEmbeddings };
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Provedor de embeddings simulado, determinístico e sem acesso à rede
+ * Gera um vetor de "hashing trick" a partir das palavras-chave do texto:
+ * textos com as mesmas palavras produzem vetores próximos.
+ */
+const { extractKeywords } = require('../../services/keywordExtractor');
+
+// Dimensão dos vetores gerados
+const DIMENSIONS = 256;
+
+/**
+ * Calcula um hash numérico simples (FNV-1a) de uma palavra
+ * @param {String} word Palavra de entrada
+ * @returns {Number} Hash de 32 bits sem sinal
+ */
+function hashWord(word) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Cria o provedor de embeddings simulado
+ * @returns {Object} Provedor de embeddings
+ */
+function createStubEmbeddings() {
+  return {
+    name: 'stub',
+    model: `stub-${DIMENSIONS}`,
+
+    /**
+     * Calcula o embedding de um texto
+     * @param {String} text Texto de entrada
+     * @returns {Promise<Object>} Vetor normalizado, sem uso de tokens
+     */
+    async embed(text) {
+      const vector = new Array(DIMENSIONS).fill(0);
+
+      for (const word of extractKeywords(text, 50)) {
+        vector[hashWord(word) % DIMENSIONS] += 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+      return { embedding: norm > 0 ? vector.map(value => value / norm) : vector, usage: null };
+    }
+  };
+}
+
+module.exports = { createStubEmbeddings };
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Seleção do provedor de LLM
+ *
+ * Todo provedor expõe a mesma interface:
+ * - name: nome do provedor
+ * - model: modelo utilizado
+ * - createChatCompletion({ messages, temperature, maxTokens, json }): Promise<{ content, usage, model }>
+ *
+ * O provedor é escolhido pela variável LLM_PROVIDER: openai (padrão), local ou mock.
+ */
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createMockProvider } = require('./mockProvider');
+const { getLogger } = require('../../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('llm');
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+// Provedor em uso, criado sob demanda
+let currentProvider = null;
+
+/**
+ * Obtém o provedor de LLM configurado
+ * @returns {Object} Provedor de LLM
+ */
+function getLLMProvider() {
+  if (!currentProvider) {
+    const name = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Provedor de LLM desconhecido: "${name}". Use openai, local ou mock.`);
+    }
+
+    currentProvider = factory();
+    logger.info({ provedor: currentProvider.name, modelo: currentProvider.model }, 'Provedor de LLM configurado');
+  }
+
+  return currentProvider;
+}
+
+/**
+ * Substitui o provedor em uso (ex: provedor simulado em testes)
+ * @param {Object|null} provider Provedor a utilizar; null volta à configuração do ambiente
+ */
+function setLLMProvider(provider) {
+  currentProvider = provider;
+}
+
+module.exports = { getLLMProvider, setLLMProvider, createMockProvider };
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Provedor de LLM para modelos auto-hospedados com API compatível com a OpenAI
+ * (ex: Ollama, vLLM, LM Studio, llama.cpp server)
+ */
+const { createOpenAICompatibleProvider } = require('./openaiProvider');
+require('dotenv').config();
+
+/**
+ * Cria o provedor local a partir das variáveis de ambiente
+ * @returns {Object} Provedor de LLM
+ */
+function createLocalProvider() {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL deve ser definida para usar o provedor local');
+  }
+
+  return createOpenAICompatibleProvider({
+    name: 'local',
+    model: process.env.LLM_MODEL || 'llama3',
+    // Servidores locais costumam ignorar a chave, mas o SDK exige uma
+    apiKey: process.env.LLM_API_KEY || 'local',
+    baseURL: process.env.LLM_BASE_URL,
+    jsonMode: process.env.LLM_JSON_MODE !== 'false'
+  });
+}
+
+module.exports = { createLocalProvider };
\ No newline at end of file
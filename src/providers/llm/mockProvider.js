@@ -0,0 +1,148 @@
+/**
+ * Provedor de LLM simulado, determinístico e sem acesso à rede
+ * Usado em testes e em desenvolvimento offline. As respostas vêm de fixtures
+ * (quando a mensagem corresponde a alguma) ou de heurísticas simples que
+ * reproduzem o formato JSON esperado do modelo.
+ */
+const fs = require('fs');
+const { extractTerms, normalizeText } = require('../../services/keywordExtractor');
+require('dotenv').config();
+
+// Marcador que o prompt de sistema inclui em comandos de aprendizado
+const LEARNING_MARKER = 'comando de aprendizado';
+
+/**
+ * Carrega fixtures de um arquivo JSON no formato [{ match, response }]
+ * @param {String} filePath Caminho do arquivo
+ * @returns {Array} Fixtures carregadas
+ */
+function loadFixtures(filePath) {
+  if (!filePath) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Verifica se a mensagem corresponde a uma fixture.
+ * O campo match pode ser uma RegExp, um texto no formato "/padrão/flags" ou um trecho da mensagem.
+ * @param {Object} fixture Fixture a verificar
+ * @param {String} text Mensagem do usuário
+ * @returns {Boolean} true se corresponder
+ */
+function matchesFixture(fixture, text) {
+  if (fixture.match instanceof RegExp) return fixture.match.test(text);
+
+  const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(fixture.match);
+  if (regexLiteral) return new RegExp(regexLiteral[1], regexLiteral[2]).test(text);
+
+  return text.toLowerCase().includes(String(fixture.match).toLowerCase());
+}
+
+/**
+ * Classifica a mensagem com heurísticas equivalentes à taxonomia do prompt
+ * @param {String} text Mensagem do usuário
+ * @returns {Object} Análise taxonômica
+ */
+function classifyMessage(text) {
+  // Sem acentos, pois \b não reconhece "é" como letra (ex: "o que é", "quem é")
+  const texto = normalizeText(text);
+  const isPergunta = text.trim().endsWith('?') || /^(qual|quais|quem|que|o que|como|quando|onde)\b/.test(texto);
+
+  let sujeito = 'CONCEITO';
+  let categoria = 'DEFINIÇÃO';
+
+  if (/\b(meu nome|me chamo|como me chamo)\b/.test(texto)) {
+    sujeito = 'USUÁRIO';
+    categoria = 'IDENTIDADE';
+  } else if (/\b(o que e|significa|significado)\b/.test(texto)) {
+    categoria = 'DEFINIÇÃO';
+  } else if (/\bquem e\b/.test(texto)) {
+    sujeito = 'TERCEIRO';
+    categoria = 'RELAÇÃO';
+  } else if (/\b(meus|minhas|meu|minha)\b/.test(texto)) {
+    sujeito = 'USUÁRIO';
+    categoria = 'RELAÇÃO';
+  } else if (/\b(quais|tem|possui)\b/.test(texto)) {
+    categoria = 'PROPRIEDADE';
+  }
+
+  return {
+    tipo_interacao: isPergunta ? 'pergunta' : 'informativa',
+    sujeito_principal: sujeito,
+    categoria_conhecimento: categoria,
+    contexto_aplicacao: sujeito === 'USUÁRIO' ? 'PESSOAL' : 'GLOBAL',
+    nivel_certeza: 'ALTA'
+  };
+}
+
+/**
+ * Monta a resposta padrão do modelo simulado
+ * @param {String} text Mensagem do usuário
+ * @param {Boolean} isLearning Se a mensagem é um comando de aprendizado
+ * @returns {Object} Resposta no formato JSON esperado
+ */
+function buildDefaultResponse(text, isLearning) {
+  const analise = classifyMessage(text);
+
+  return {
+    palavras_chave: extractTerms(text),
+    resposta: isLearning
+      ? 'Armazenei esta informação'
+      : 'Não encontrei essa informação nos dados cadastrados.',
+    classificacao: analise.contexto_aplicacao === 'PESSOAL' ? 'pessoal' : 'global',
+    analise_taxonomica: isLearning ? { ...analise, tipo_interacao: 'informativa' } : analise,
+    // Entradas vazias fazem getOpenAIResponse estruturar o conhecimento do /aprender
+    conhecimento: { armazenar: isLearning, entradas: [] }
+  };
+}
+
+/**
+ * Cria o provedor simulado
+ * @param {Object} options Opções do provedor
+ * @param {Array} options.fixtures Fixtures no formato [{ match, response }]
+ * @returns {Object} Provedor de LLM
+ */
+function createMockProvider({ fixtures } = {}) {
+  const fixtureList = fixtures || loadFixtures(process.env.LLM_MOCK_FIXTURES);
+  const calls = [];
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    // Requisições recebidas, para inspeção em testes
+    calls,
+
+    /**
+     * Gera uma resposta de chat determinística
+     * @param {Object} request Requisição ({ messages, temperature, maxTokens, json })
+     * @returns {Promise<Object>} Conteúdo gerado e uso de tokens estimado
+     */
+    async createChatCompletion(request) {
+      calls.push(request);
+
+      const systemMessage = request.messages.find(m => m.role === 'system');
+      const userMessage = [...request.messages].reverse().find(m => m.role === 'user');
+      const text = userMessage ? userMessage.content : '';
+      const isLearning = Boolean(systemMessage && systemMessage.content.includes(LEARNING_MARKER));
+
+      const fixture = fixtureList.find(f => matchesFixture(f, text));
+      const response = fixture ? fixture.response : buildDefaultResponse(text, isLearning);
+      const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+      // Estimativa de tokens: aproximadamente 4 caracteres por token
+      const promptTokens = Math.ceil(request.messages.reduce((total, m) => total + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        },
+        model: 'mock'
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider };
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Provedor de LLM baseado no SDK da OpenAI
+ * Também atende qualquer endpoint compatível com a API da OpenAI (ver localProvider).
+ */
+const OpenAI = require('openai');
+require('dotenv').config();
+
+// Chave de API de exemplo do .env.example, que não autentica na OpenAI
+const CHAVE_DE_EXEMPLO = 'sua_api_key_aqui';
+
+/**
+ * Indica se há uma chave de API da OpenAI configurada (ausente ou de exemplo não conta)
+ * @returns {Boolean} Se OPENAI_API_KEY contém uma chave utilizável
+ */
+function hasOpenAIKey() {
+  return Boolean(process.env.OPENAI_API_KEY) && process.env.OPENAI_API_KEY !== CHAVE_DE_EXEMPLO;
+}
+
+/**
+ * Cria um provedor que conversa com uma API no formato da OpenAI
+ * @param {Object} options Opções do provedor
+ * @param {String} options.name Nome do provedor
+ * @param {String} options.model Modelo a ser utilizado
+ * @param {String} options.apiKey Chave de API
+ * @param {String} options.baseURL URL base da API (opcional, padrão da OpenAI)
+ * @param {Boolean} options.jsonMode Se o endpoint aceita response_format json_object
+ * @returns {Object} Provedor de LLM
+ */
+function createOpenAICompatibleProvider({ name, model, apiKey, baseURL, jsonMode = true }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+  return {
+    name,
+    model,
+
+    /**
+     * Gera uma resposta de chat
+     * @param {Object} request Requisição ({ messages, temperature, maxTokens, json })
+     * @returns {Promise<Object>} Conteúdo gerado e uso de tokens
+     */
+    async createChatCompletion({ messages, temperature, maxTokens, json }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        usage: response.usage || null,
+        model: response.model || model
+      };
+    }
+  };
+}
+
+/**
+ * Cria o provedor da OpenAI
+ * @returns {Object} Provedor de LLM
+ */
+function createOpenAIProvider() {
+  return createOpenAICompatibleProvider({
+    name: 'openai',
+    model: process.env.OPENAI_MODEL || 'gpt-4o',
+    apiKey: process.env.OPENAI_API_KEY
+  });
+}
+
+module.exports = { createOpenAIProvider, createOpenAICompatibleProvider, hasOpenAIKey };
\ No newline at end of file
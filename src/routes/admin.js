@@ -0,0 +1,392 @@
+/**
+ * API administrativa para curadoria da base de conhecimento
+ * Permite listar, buscar, criar, alterar e remover fatos, entidades e respostas em cache
+ * sem acesso direto ao MongoDB, e consultar o consumo de tokens e o custo estimado do
+ * provedor de LLM. Todas as rotas exigem o token ADMIN_API_TOKEN.
+ */
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const ResponseModel = require('../models/Response');
+const { requireAdminToken } = require('../middleware/adminAuth');
+const { validarFato, validarEntidade, validarResposta } = require('../services/knowledgeValidator');
+const { cacheResponse } = require('../services/responseCache');
+const { normalizeKeywords } = require('../services/keywordExtractor');
+const { prepareEntity } = require('../services/entityResolver');
+const { parseUsageQuery, getUsageReport } = require('../services/usageAccounting');
+
+// Origem registrada no histórico dos fatos alterados pela API
+const ORIGEM_API = { autor: 'admin_api', fonte: 'admin_api' };
+
+// Campos de um fato que podem ser informados pela API
+const CAMPOS_FATO = ['tipo', 'chave', 'entidade', 'valor', 'conceito', 'categoria', 'relacionamentos', 'escopo'];
+
+/**
+ * Copia apenas os campos permitidos de um objeto
+ * @param {Object} origem Objeto de origem (corpo da requisição)
+ * @param {Array} campos Campos permitidos
+ * @returns {Object} Objeto apenas com os campos permitidos presentes na origem
+ */
+function pick(origem, campos) {
+  return campos.reduce((resultado, campo) => {
+    if (origem && origem[campo] !== undefined) resultado[campo] = origem[campo];
+    return resultado;
+  }, {});
+}
+
+/**
+ * Converte o parâmetro :id da rota em ObjectId, respondendo 400 se for inválido
+ * @param {Object} req Requisição Express
+ * @param {Object} res Resposta Express
+ * @returns {ObjectId|null} Identificador ou null se a resposta já foi enviada
+ */
+function parseId(req, res) {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: 'Identificador inválido' });
+    return null;
+  }
+  return new ObjectId(req.params.id);
+}
+
+/**
+ * Extrai a paginação da query string
+ * @param {Object} query Query string da requisição
+ * @returns {Object} Página e limite de itens por página
+ */
+function parsePagination(query) {
+  return { page: query.page, limit: query.limit };
+}
+
+/**
+ * Envia o resultado de uma listagem paginada
+ * @param {Object} res Resposta Express
+ * @param {Object} resultado Resultado do modelo
+ */
+function sendPage(res, resultado) {
+  if (!resultado.success) {
+    return res.status(500).json({ error: resultado.error });
+  }
+
+  const { items, page, limit, total, totalPages } = resultado;
+  res.json({ items, page, limit, total, totalPages });
+}
+
+/**
+ * Cria o roteador da API administrativa
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @returns {Object} Roteador Express
+ */
+function createAdminRouter(db) {
+  const router = express.Router();
+  const responseModel = new ResponseModel(db);
+
+  router.use(requireAdminToken);
+
+  // Fatos
+
+  router.get('/facts', async (req, res) => {
+    const { tipo, entidade, conceito, busca } = req.query;
+    const escopo = req.query.escopo || req.query.grupo;
+
+    sendPage(res, await responseModel.listFacts({ tipo, entidade, conceito, escopo, busca }, parsePagination(req.query)));
+  });
+
+  router.get('/facts/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.findFactById(id);
+    if (!resultado.success) {
+      return res.status(resultado.error ? 500 : 404).json({ error: resultado.error || resultado.message });
+    }
+
+    res.json(resultado.fact);
+  });
+
+  router.post('/facts', async (req, res) => {
+    const validacao = validarFato({ escopo: ResponseModel.GLOBAL_SCOPE, ...pick(req.body, CAMPOS_FATO) });
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const resultado = await responseModel.saveFact({
+      ...validacao.fato,
+      contexto: { certeza: 'ALTA', fonte: 'admin_api', timestamp: new Date().toISOString() }
+    }, ORIGEM_API);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+
+    res.status(resultado.updated ? 200 : 201).json({ id: resultado.factId, updated: resultado.updated });
+  });
+
+  router.patch('/facts/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const existente = await responseModel.findFactById(id);
+    if (!existente.success) {
+      return res.status(existente.error ? 500 : 404).json({ error: existente.error || existente.message });
+    }
+
+    // As regras de validação se aplicam ao fato resultante da alteração
+    const alteracoes = pick(req.body, CAMPOS_FATO);
+    const validacao = validarFato({ ...pick(existente.fact, CAMPOS_FATO), ...alteracoes });
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const resultado = await responseModel.updateFact(id, pick(validacao.fato, Object.keys(alteracoes)), ORIGEM_API);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+
+    // Respostas em cache construídas com o valor antigo deixam de ser válidas
+    await responseModel.deleteResponsesByFactIds([id]);
+
+    res.json({ id, updated: true });
+  });
+
+  router.get('/facts/:id/history', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.getFactHistory(id);
+    if (!resultado.success) {
+      return res.status(resultado.error ? 500 : 404).json({ error: resultado.error || resultado.message });
+    }
+
+    res.json({ id, versions: resultado.versions });
+  });
+
+  router.post('/facts/:id/rollback', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const versao = parseInt(req.body && req.body.versao, 10);
+    if (!Number.isInteger(versao) || versao < 1) {
+      return res.status(400).json({ error: 'informe a versao a restaurar (número inteiro a partir de 1)' });
+    }
+
+    const resultado = await responseModel.rollbackFact(id, versao, ORIGEM_API);
+    if (!resultado.success) {
+      return res.status(resultado.error ? 500 : 404).json({ error: resultado.error || resultado.message });
+    }
+
+    // Respostas em cache construídas com o valor substituído deixam de ser válidas
+    if (resultado.changed) {
+      await responseModel.deleteResponsesByFactIds([id]);
+    }
+
+    res.json({ id, changed: resultado.changed, fact: resultado.fact });
+  });
+
+  router.delete('/facts/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.deleteFactsByIds([id]);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+    if (resultado.deletedCount === 0) {
+      return res.status(404).json({ error: 'Fato não encontrado' });
+    }
+
+    const respostas = await responseModel.deleteResponsesByFactIds([id]);
+    res.json({ id, deleted: true, deletedResponses: respostas.deletedCount || 0 });
+  });
+
+  // Entidades
+
+  router.get('/entities', async (req, res) => {
+    const { tipo, busca } = req.query;
+
+    sendPage(res, await responseModel.listEntities({ tipo, busca }, parsePagination(req.query)));
+  });
+
+  router.get('/entities/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.findEntityById(id);
+    if (!resultado.success) {
+      return res.status(resultado.error ? 500 : 404).json({ error: resultado.error || resultado.message });
+    }
+
+    res.json(resultado.entity);
+  });
+
+  router.post('/entities', async (req, res) => {
+    const validacao = validarEntidade(req.body);
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    // Entidades cadastradas pela API recebem o mesmo ID canônico e aliases das aprendidas no chat
+    const entidade = prepareEntity(validacao.entidade);
+    const resultado = await responseModel.saveEntity(entidade);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+
+    res.status(resultado.updated ? 200 : 201).json({
+      updated: resultado.updated,
+      id: resultado.result.insertedId,
+      entidade_id: entidade.entidade_id
+    });
+  });
+
+  router.patch('/entities/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const validacao = validarEntidade(req.body, { parcial: true });
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const resultado = await responseModel.updateEntity(id, validacao.entidade);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+    if (resultado.matchedCount === 0) {
+      return res.status(404).json({ error: 'Entidade não encontrada' });
+    }
+
+    res.json({ id, updated: true });
+  });
+
+  router.delete('/entities/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.deleteEntity(id);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+    if (resultado.deletedCount === 0) {
+      return res.status(404).json({ error: 'Entidade não encontrada' });
+    }
+
+    res.json({ id, deleted: true });
+  });
+
+  // Respostas em cache
+
+  router.get('/responses', async (req, res) => {
+    const { classificacao, escopo, busca } = req.query;
+    const filtros = {
+      classificacao,
+      escopo,
+      busca,
+      grupo_id: req.query.grupo,
+      remetente_id: req.query.remetente
+    };
+
+    sendPage(res, await responseModel.listResponses(filtros, parsePagination(req.query)));
+  });
+
+  router.get('/responses/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.findResponseById(id);
+    if (!resultado.success) {
+      return res.status(resultado.error ? 500 : 404).json({ error: resultado.error || resultado.message });
+    }
+
+    res.json(resultado.response);
+  });
+
+  router.post('/responses', async (req, res) => {
+    const validacao = validarResposta(req.body);
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const pergunta = typeof req.body.pergunta === 'string' ? req.body.pergunta.trim() : '';
+    if (!pergunta && !validacao.resposta.palavras_chave) {
+      return res.status(400).json({ error: 'informe a pergunta ou as palavras_chave da resposta' });
+    }
+
+    // Respostas criadas pela API são globais, salvo indicação contrária
+    const { escopo = ResponseModel.GLOBAL_SCOPE, ...dados } = validacao.resposta;
+    const resultado = await cacheResponse(responseModel, { classificacao: 'global', ...dados }, {
+      text: pergunta,
+      owner: { senderId: req.body.remetente_id || null, groupId: req.body.grupo_id || null, escopo }
+    });
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+
+    res.status(resultado.updated ? 200 : 201).json({ updated: resultado.updated, id: resultado.result.insertedId });
+  });
+
+  router.patch('/responses/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const validacao = validarResposta(req.body, { parcial: true });
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    // Palavras-chave no mesmo formato usado nas buscas do cache
+    const alteracoes = { ...validacao.resposta };
+    if (alteracoes.palavras_chave) alteracoes.palavras_chave = normalizeKeywords(alteracoes.palavras_chave);
+
+    const resultado = await responseModel.updateResponse(id, alteracoes);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+    if (resultado.matchedCount === 0) {
+      return res.status(404).json({ error: 'Resposta não encontrada' });
+    }
+
+    res.json({ id, updated: true });
+  });
+
+  router.delete('/responses/:id', async (req, res) => {
+    const id = parseId(req, res);
+    if (!id) return;
+
+    const resultado = await responseModel.deleteResponse(id);
+    if (!resultado.success) {
+      return res.status(500).json({ error: resultado.error });
+    }
+    if (resultado.deletedCount === 0) {
+      return res.status(404).json({ error: 'Resposta não encontrada' });
+    }
+
+    res.json({ id, deleted: true });
+  });
+
+  // Consumo do provedor de LLM
+
+  // GET /usage?periodo=dia|mes&inicio=&fim=&agrupar=grupo|remetente|modelo|tipo&remetente=&grupo=
+  router.get('/usage', async (req, res) => {
+    const validacao = parseUsageQuery({
+      periodo: req.query.periodo,
+      inicio: req.query.inicio,
+      fim: req.query.fim,
+      agruparPor: req.query.agrupar,
+      remetenteId: req.query.remetente,
+      grupoId: req.query.grupo
+    });
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const relatorio = await getUsageReport(db, validacao.consulta);
+    if (!relatorio.success) {
+      return res.status(500).json({ error: relatorio.error });
+    }
+
+    const { success, ...corpo } = relatorio;
+    res.json(corpo);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
\ No newline at end of file
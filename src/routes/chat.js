@@ -0,0 +1,69 @@
+/**
+ * Conversa com o bot por HTTP, sem WhatsApp
+ * Executa o mesmo processamento das mensagens do WhatsApp (comandos, cache, /aprender,
+ * consultas pela taxonomia e OpenAI) e devolve as respostas junto com o diagnóstico.
+ * Como o remetente é informado pelo cliente, a rota exige o token ADMIN_API_TOKEN e os
+ * remetentes recebem o prefixo http: (ver src/transports/httpTransport.js).
+ *
+ * O bloqueio de usuários e a liberação de grupos se aplicam como no WhatsApp; a política
+ * de ativação em grupos não, pois toda mensagem é tratada como dirigida ao bot.
+ */
+const express = require('express');
+const { requireAdminToken } = require('../middleware/adminAuth');
+const { processMessage } = require('../services/messageProcessor');
+const { checkAccess } = require('../services/authorization');
+const { createHttpTransport, parseChatRequest } = require('../transports/httpTransport');
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('chat');
+
+/**
+ * Cria o roteador da conversa por HTTP
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @returns {Object} Roteador Express
+ */
+function createChatRouter(db) {
+  const router = express.Router();
+
+  router.use(requireAdminToken);
+
+  // Processa uma mensagem e responde com { chatId, correlationId, respostas, diagnostico }
+  router.post('/', async (req, res) => {
+    const validacao = parseChatRequest(req.body);
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    const { mensagem } = validacao;
+    const transport = createHttpTransport();
+    const inicio = Date.now();
+
+    try {
+      const access = await checkAccess(db, {
+        chatId: mensagem.chatId,
+        isGroup: mensagem.isGroup,
+        senderId: mensagem.sender.id,
+        text: mensagem.text
+      });
+      if (!access.allowed) {
+        return res.status(403).json({ chatId: mensagem.chatId, correlationId: mensagem.correlationId, error: access.motivo });
+      }
+
+      const diagnostico = await processMessage(mensagem, transport, db);
+
+      res.json({
+        chatId: mensagem.chatId,
+        correlationId: mensagem.correlationId,
+        respostas: transport.respostas,
+        diagnostico: { ...diagnostico, duracaoMs: Date.now() - inicio }
+      });
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao processar mensagem do chat HTTP');
+      res.status(500).json({ error: 'Erro ao processar a mensagem' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createChatRouter };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Verificações de saúde para o orquestrador (ver src/services/health.js)
+ * GET /health/live responde 200 enquanto o processo não precisa ser reiniciado e
+ * GET /health/ready responde 200 apenas quando o bot consegue atender; nos demais
+ * casos ambas respondem 503 com o detalhe das verificações. As rotas não exigem token e
+ * ficam disponíveis desde o início do processo, antes da conexão com o MongoDB.
+ */
+const express = require('express');
+const { checkLiveness, checkReadiness } = require('../services/health');
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('healthRoute');
+
+/**
+ * Cria o roteador das verificações de saúde
+ * @param {Function} getDb Função que retorna a instância do MongoDB, ou null enquanto a conexão
+ * e as migrações não terminaram
+ * @param {Object} options Opções do roteador
+ * @param {Function|null} options.getWhatsAppState Função que retorna o estado da conexão com o WhatsApp
+ * @returns {Object} Roteador Express
+ */
+function createHealthRouter(getDb, { getWhatsAppState = null } = {}) {
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    const { ok, ...detalhes } = checkLiveness({ getWhatsAppState });
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'falha', ...detalhes });
+  });
+
+  router.get('/ready', async (req, res) => {
+    try {
+      const { ok, verificacoes } = await checkReadiness(getDb(), { getWhatsAppState });
+      res.status(ok ? 200 : 503).json({ status: ok ? 'pronto' : 'indisponivel', verificacoes });
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao verificar prontidão');
+      res.status(503).json({ status: 'indisponivel', error: 'Erro ao verificar prontidão' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
\ No newline at end of file
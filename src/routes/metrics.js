@@ -0,0 +1,32 @@
+/**
+ * Métricas de operação no formato de texto do Prometheus (ver src/services/metrics.js)
+ * A rota não exige token, como é usual para o Prometheus: restrinja o acesso na rede
+ * se a porta do servidor for pública.
+ */
+const express = require('express');
+const { registry } = require('../services/metrics');
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('metrics');
+
+/**
+ * Cria o roteador das métricas
+ * @returns {Object} Roteador Express
+ */
+function createMetricsRouter() {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      res.set('Content-Type', registry.contentType);
+      res.send(await registry.metrics());
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao gerar métricas');
+      res.status(500).json({ error: 'Erro ao gerar métricas' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
\ No newline at end of file
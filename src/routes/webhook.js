@@ -0,0 +1,53 @@
+/**
+ * Canal de webhook HTTP
+ * Recebe mensagens de outros canais (chat interno, widget web) e as encaminha ao mesmo
+ * roteador usado pelo WhatsApp. As respostas são entregues de forma assíncrona pelo
+ * transporte de webhook (ver src/transports/webhookTransport.js).
+ */
+const express = require('express');
+const { requireWebhookToken } = require('../middleware/webhookAuth');
+const { createWebhookTransport, parseWebhookMessage } = require('../transports/webhookTransport');
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('webhook');
+
+/**
+ * Cria o roteador do canal de webhook
+ * @param {Object} messageRouter Roteador que filtra e enfileira as mensagens recebidas
+ * @param {Object} transport Transporte usado para responder (padrão: configurado pelo ambiente)
+ * @returns {Object} Roteador Express
+ */
+function createWebhookRouter(messageRouter, transport = createWebhookTransport()) {
+  const router = express.Router();
+
+  router.use(requireWebhookToken);
+
+  // Recebe uma mensagem; 202 indica que ela foi aceita e a resposta virá pela URL de saída
+  router.post('/messages', async (req, res) => {
+    if (!transport.configured) {
+      return res.status(503).json({ error: 'Canal de webhook desativado: defina WEBHOOK_OUTBOUND_URL' });
+    }
+
+    const validacao = parseWebhookMessage(req.body);
+    if (!validacao.valido) {
+      return res.status(400).json({ error: validacao.motivo });
+    }
+
+    try {
+      const { aceita, motivo } = await messageRouter.route(validacao.mensagem, transport);
+      res.status(aceita ? 202 : 200).json({
+        id: validacao.mensagem.id,
+        correlationId: validacao.mensagem.correlationId,
+        aceita,
+        motivo
+      });
+    } catch (error) {
+      logger.error({ err: error }, 'Erro ao receber mensagem do webhook');
+      res.status(500).json({ error: 'Erro ao processar a mensagem' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWebhookRouter };
\ No newline at end of file
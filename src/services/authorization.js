@@ -0,0 +1,174 @@
+/**
+ * Serviço de autorização
+ * Define quem pode usar o bot e quais operações cada usuário pode executar:
+ * - papéis armazenados no MongoDB: admin, professor e leitor (padrão)
+ * - usuários bloqueados, que são ignorados pelo bot
+ * - grupos liberados, quando BOT_GROUP_ALLOWLIST=true
+ * Os números de BOT_ADMIN_NUMBERS são sempre administradores, garantindo o acesso inicial.
+ * Papéis valem apenas para números do WhatsApp: remetentes de outros canais (ex: webhook:42, http:42)
+ * não são verificados pelo canal e são sempre leitores.
+ */
+const AccessControlModel = require('../models/AccessControl');
+require('dotenv').config();
+
+// Papéis em ordem crescente de permissão
+const ROLES = ['leitor', 'professor', 'admin'];
+
+// Papel de quem não tem papel atribuído
+const DEFAULT_ROLE = 'leitor';
+
+// IDs de remetente que são números do WhatsApp (os de outros canais têm prefixo)
+const WHATSAPP_SENDER_PATTERN = /^\d+$/;
+
+// Tempo de validade da liberação dos grupos em memória
+const GROUP_CACHE_TTL_MS = 60 * 1000;
+
+// Liberação dos grupos já consultada no banco
+const groupCache = new Map();
+
+/**
+ * Obtém a lista de números administradores configurada no ambiente
+ * @returns {String[]} Números dos administradores (sem sufixo do WhatsApp)
+ */
+function getAdminNumbers() {
+  return (process.env.BOT_ADMIN_NUMBERS || '')
+    .split(',')
+    .map(numero => numero.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normaliza um número informado em comandos (ex: "+55 11 99999-9999" → "5511999999999")
+ * @param {String} numero Número informado
+ * @returns {String} Apenas os dígitos do número
+ */
+function normalizeNumber(numero) {
+  return String(numero || '').replace(/\D/g, '');
+}
+
+/**
+ * Obtém o papel de um usuário
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} senderId ID do remetente (apenas o número)
+ * @returns {Promise<String>} admin, professor ou leitor
+ */
+async function getRole(db, senderId) {
+  if (!WHATSAPP_SENDER_PATTERN.test(String(senderId))) return DEFAULT_ROLE;
+  if (getAdminNumbers().includes(String(senderId))) return 'admin';
+
+  const resultado = await new AccessControlModel(db).getRole(String(senderId));
+  return resultado.success && ROLES.includes(resultado.papel) ? resultado.papel : DEFAULT_ROLE;
+}
+
+/**
+ * Verifica se o usuário tem pelo menos o papel informado
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} senderId ID do remetente (apenas o número)
+ * @param {String} papelMinimo Papel mínimo exigido
+ * @returns {Promise<Boolean>} true se o usuário tiver o papel exigido ou superior
+ */
+async function hasRole(db, senderId, papelMinimo) {
+  const papel = await getRole(db, senderId);
+  return ROLES.indexOf(papel) >= ROLES.indexOf(papelMinimo);
+}
+
+/**
+ * Verifica se o remetente é administrador do bot
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} senderId ID do remetente (apenas o número)
+ * @returns {Promise<Boolean>} true se o remetente for administrador
+ */
+async function isAdmin(db, senderId) {
+  return hasRole(db, senderId, 'admin');
+}
+
+/**
+ * Verifica se o bot pode responder em um grupo
+ * Sem BOT_GROUP_ALLOWLIST=true, todos os grupos são aceitos.
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} grupoId JID do grupo
+ * @returns {Promise<Boolean>} true se o grupo estiver liberado
+ */
+async function isGroupAllowed(db, grupoId) {
+  if (process.env.BOT_GROUP_ALLOWLIST !== 'true') return true;
+
+  const cached = groupCache.get(grupoId);
+  if (cached && Date.now() - cached.loadedAt < GROUP_CACHE_TTL_MS) {
+    return cached.allowed;
+  }
+
+  const resultado = await new AccessControlModel(db).findAllowedGroup(grupoId);
+  groupCache.set(grupoId, { allowed: resultado.success, loadedAt: Date.now() });
+  return resultado.success;
+}
+
+/**
+ * Libera ou remove a liberação de um grupo, atualizando a memória
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} grupoId JID do grupo
+ * @param {Boolean} allowed Se o grupo deve ser liberado
+ * @param {String} alteradoPor ID de quem fez a alteração
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function setGroupAllowed(db, grupoId, allowed, alteradoPor) {
+  const accessModel = new AccessControlModel(db);
+  const resultado = allowed
+    ? await accessModel.allowGroup(grupoId, alteradoPor)
+    : await accessModel.disallowGroup(grupoId);
+
+  if (resultado.success) {
+    groupCache.set(grupoId, { allowed, loadedAt: Date.now() });
+  }
+
+  return resultado;
+}
+
+/**
+ * Verifica se um usuário está bloqueado
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} senderId ID do remetente (apenas o número)
+ * @returns {Promise<Boolean>} true se o usuário estiver bloqueado
+ */
+async function isBlocked(db, senderId) {
+  const resultado = await new AccessControlModel(db).findBlock(String(senderId));
+  return resultado.success;
+}
+
+/**
+ * Decide se o bot pode atender uma mensagem: o remetente não pode estar bloqueado
+ * e o grupo precisa estar liberado. Em grupos não liberados, administradores ainda
+ * podem usar /grupo para liberá-los.
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} params Origem da mensagem
+ * @param {String} params.chatId ID do chat
+ * @param {Boolean} params.isGroup Se o chat é um grupo
+ * @param {String} params.senderId ID do remetente (apenas o número)
+ * @param {String} params.text Texto da mensagem
+ * @returns {Promise<Object>} { allowed, motivo }
+ */
+async function checkAccess(db, { chatId, isGroup, senderId, text }) {
+  if (await isBlocked(db, senderId)) {
+    return { allowed: false, motivo: 'usuario_bloqueado' };
+  }
+
+  if (isGroup && !(await isGroupAllowed(db, chatId))) {
+    const liberandoGrupo = /^\/grupo\b/i.test(text) && await isAdmin(db, senderId);
+    if (!liberandoGrupo) {
+      return { allowed: false, motivo: 'grupo_nao_liberado' };
+    }
+  }
+
+  return { allowed: true, motivo: null };
+}
+
+module.exports = {
+  ROLES,
+  normalizeNumber,
+  getRole,
+  hasRole,
+  isAdmin,
+  isBlocked,
+  isGroupAllowed,
+  setGroupAllowed,
+  checkAccess
+};
\ No newline at end of file
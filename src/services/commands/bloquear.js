@@ -0,0 +1,44 @@
+/**
+ * Comando /bloquear: faz o bot ignorar as mensagens de um número
+ */
+const AccessControlModel = require('../../models/AccessControl');
+const { isAdmin, normalizeNumber } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:bloquear');
+
+/**
+ * Executa o comando /bloquear
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, db }) {
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem bloquear usuários.' }];
+  }
+
+  const [numeroInformado, ...motivo] = args.split(/\s+/).filter(Boolean);
+  const numero = normalizeNumber(numeroInformado);
+  if (!numero) {
+    return [{ text: 'Uso: /bloquear <número> [motivo]\nExemplo: /bloquear 5511999999999 spam' }];
+  }
+
+  if (await isAdmin(db, numero)) {
+    return [{ text: 'Administradores não podem ser bloqueados.' }];
+  }
+
+  const resultado = await new AccessControlModel(db).blockUser(numero, motivo.join(' '), senderInfo.id);
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao bloquear o usuário. Por favor, tente novamente.' }];
+  }
+
+  logger.info({ numero, autor: senderInfo.id }, 'Usuário bloqueado');
+
+  return [{ text: `${numero} foi bloqueado e será ignorado pelo bot.` }];
+}
+
+module.exports = {
+  name: '/bloquear',
+  description: 'Faz o bot ignorar as mensagens de um número',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Comando /cancelar: descarta um aprendizado que contradizia fatos já conhecidos
+ */
+const { cancelLearning } = require('../knowledgeWriter');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:cancelar');
+
+/**
+ * Executa o comando /cancelar
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ senderInfo, chatId, db }) {
+  const cancelado = await cancelLearning(db, { chatId, senderId: senderInfo.id });
+
+  if (!cancelado) {
+    return [{ text: 'Você não tem nenhum aprendizado aguardando confirmação neste chat (ele pode ter expirado).' }];
+  }
+
+  logger.info({ autor: senderInfo.id }, 'Aprendizado pendente descartado');
+
+  return [{ text: 'Aprendizado cancelado. Mantive os valores que eu já conhecia.' }];
+}
+
+module.exports = {
+  name: '/cancelar',
+  description: 'Descarta um aprendizado que substituiria fatos já conhecidos',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Comando /confirmar: grava um aprendizado que contradizia fatos já conhecidos
+ */
+const { confirmLearning } = require('../knowledgeWriter');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:confirmar');
+
+/**
+ * Executa o comando /confirmar
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ senderInfo, chatId, db, responseModel }) {
+  const resultado = await confirmLearning(db, responseModel, {
+    chatId,
+    senderId: senderInfo.id
+  });
+
+  if (resultado.reconfirmacao) {
+    return [{ text: `Os valores mudaram desde o seu /aprender.\n\n${resultado.reconfirmacao}` }];
+  }
+
+  if (!resultado.success) {
+    return [{ text: 'Você não tem nenhum aprendizado aguardando confirmação neste chat (ele pode ter expirado).' }];
+  }
+
+  logger.info({ fatos: resultado.fatosIds.length, autor: senderInfo.id }, 'Aprendizado pendente confirmado');
+
+  return [{ text: `Aprendizado concluído com sucesso. ${resultado.totalFatos} fatos foram armazenados.` }];
+}
+
+module.exports = {
+  name: '/confirmar',
+  description: 'Confirma um aprendizado que substitui fatos já conhecidos',
+  execute
+};
\ No newline at end of file
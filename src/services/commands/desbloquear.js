@@ -0,0 +1,43 @@
+/**
+ * Comando /desbloquear: volta a atender as mensagens de um número bloqueado
+ */
+const AccessControlModel = require('../../models/AccessControl');
+const { isAdmin, normalizeNumber } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:desbloquear');
+
+/**
+ * Executa o comando /desbloquear
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, db }) {
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem desbloquear usuários.' }];
+  }
+
+  const numero = normalizeNumber(args);
+  if (!numero) {
+    return [{ text: 'Uso: /desbloquear <número>\nExemplo: /desbloquear 5511999999999' }];
+  }
+
+  const resultado = await new AccessControlModel(db).unblockUser(numero);
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao desbloquear o usuário. Por favor, tente novamente.' }];
+  }
+
+  if (resultado.deletedCount === 0) {
+    return [{ text: `${numero} não estava bloqueado.` }];
+  }
+
+  logger.info({ numero, autor: senderInfo.id }, 'Usuário desbloqueado');
+
+  return [{ text: `${numero} foi desbloqueado.` }];
+}
+
+module.exports = {
+  name: '/desbloquear',
+  description: 'Volta a atender as mensagens de um número bloqueado',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,65 @@
+/**
+ * Comando /esquecer: remove fatos aprendidos e as respostas em cache construídas a partir deles
+ */
+const { resolveFacts, describeFact } = require('../factResolver');
+const { hasRole } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:esquecer');
+
+// Limite de fatos removidos por comando, para evitar remoções acidentais em massa
+const MAX_FATOS_POR_REMOCAO = 10;
+
+/**
+ * Executa o comando /esquecer
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, db, responseModel }) {
+  if (!args) {
+    return [{ text: 'Uso: /esquecer <descrição>\nExemplo: /esquecer meu nome' }];
+  }
+
+  const fatos = await resolveFacts(responseModel, args, {
+    senderId: senderInfo.id,
+    incluirGlobais: await hasRole(db, senderInfo.id, 'professor'),
+    escopo: chatId
+  });
+
+  if (fatos.length === 0) {
+    return [{ text: `Nenhum fato encontrado para "${args}".` }];
+  }
+
+  const listaFatos = fatos.map(fato => `- ${describeFact(fato)}`).join('\n');
+
+  if (fatos.length > MAX_FATOS_POR_REMOCAO) {
+    return [{
+      text: `Encontrei ${fatos.length} fatos para "${args}". Seja mais específico para remover no máximo ${MAX_FATOS_POR_REMOCAO} por vez:\n${listaFatos}`
+    }];
+  }
+
+  const ids = fatos.map(fato => fato._id);
+
+  const remocaoFatos = await responseModel.deleteFactsByIds(ids);
+  if (!remocaoFatos.success) {
+    return [{ text: 'Houve um erro ao remover os fatos. Por favor, tente novamente.' }];
+  }
+
+  const remocaoRespostas = await responseModel.deleteResponsesByFactIds(ids);
+  const respostasRemovidas = remocaoRespostas.success ? remocaoRespostas.deletedCount : 0;
+
+  logger.info({ fatos: remocaoFatos.deletedCount, respostas: respostasRemovidas }, 'Conhecimento esquecido');
+
+  let texto = `Removi ${remocaoFatos.deletedCount} fato(s):\n${listaFatos}`;
+  if (respostasRemovidas > 0) {
+    texto += `\n\n${respostasRemovidas} resposta(s) em cache também foram removidas.`;
+  }
+
+  return [{ text: texto }];
+}
+
+module.exports = {
+  name: '/esquecer',
+  description: 'Remove fatos aprendidos que correspondem à descrição',
+  execute
+};
\ No newline at end of file
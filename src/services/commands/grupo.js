@@ -0,0 +1,58 @@
+/**
+ * Comando /grupo: libera ou remove o acesso do bot ao grupo atual
+ * (efetivo quando BOT_GROUP_ALLOWLIST=true)
+ */
+const { isAdmin, isGroupAllowed, setGroupAllowed } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:grupo');
+
+/**
+ * Executa o comando /grupo
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, db }) {
+  if (!senderInfo.isGroup) {
+    return [{ text: 'O comando /grupo só pode ser usado dentro de um grupo.' }];
+  }
+
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem liberar grupos.' }];
+  }
+
+  const acao = args.toLowerCase();
+  const allowlistAtiva = process.env.BOT_GROUP_ALLOWLIST === 'true';
+
+  if (acao === 'liberar' || acao === 'remover') {
+    const liberar = acao === 'liberar';
+    const resultado = await setGroupAllowed(db, chatId, liberar, senderInfo.id);
+    if (!resultado.success) {
+      return [{ text: 'Houve um erro ao alterar o acesso do grupo. Por favor, tente novamente.' }];
+    }
+
+    logger.info({ chatId, autor: senderInfo.id }, liberar ? 'Grupo liberado' : 'Liberação do grupo removida');
+
+    const texto = liberar
+      ? 'Grupo liberado: o bot passa a responder aqui.'
+      : 'Liberação removida: o bot deixa de responder aqui.';
+    return [{ text: allowlistAtiva ? texto : `${texto}\nObservação: BOT_GROUP_ALLOWLIST está desativado, então todos os grupos são atendidos.` }];
+  }
+
+  if (acao && acao !== 'status') {
+    return [{ text: 'Uso: /grupo [liberar|remover|status]' }];
+  }
+
+  if (!allowlistAtiva) {
+    return [{ text: 'BOT_GROUP_ALLOWLIST está desativado: o bot atende todos os grupos.' }];
+  }
+
+  const liberado = await isGroupAllowed(db, chatId);
+  return [{ text: liberado ? 'Este grupo está liberado.' : 'Este grupo não está liberado. Use /grupo liberar.' }];
+}
+
+module.exports = {
+  name: '/grupo',
+  description: 'Libera ou remove o acesso do bot ao grupo atual',
+  execute
+};
\ No newline at end of file
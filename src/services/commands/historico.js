@@ -0,0 +1,67 @@
+/**
+ * Comando /historico: mostra as versões anteriores de fatos aprendidos
+ */
+const { resolveFacts, describeFact } = require('../factResolver');
+
+// Quantidade máxima de fatos e de versões por fato exibidas
+const MAX_FATOS = 5;
+const MAX_VERSOES = 10;
+
+/**
+ * Descreve uma versão de um fato em uma linha
+ * @param {Object} versao Documento da coleção fact_versions
+ * @param {Number} versaoAtual Versão atual do fato
+ * @returns {String} Descrição da versão
+ */
+function describeVersion(versao, versaoAtual) {
+  const data = versao.created_at ? new Date(versao.created_at).toISOString().slice(0, 16).replace('T', ' ') : '?';
+  const autor = versao.autor ? ` por ${versao.autor}` : '';
+  const atual = versao.versao === versaoAtual ? ' (atual)' : '';
+  const revertido = versao.revertido_de ? ` [restaurada da v${versao.revertido_de}]` : '';
+
+  return `  v${versao.versao}${atual} - ${data}${autor}: ${versao.valor}${revertido}`;
+}
+
+/**
+ * Executa o comando /historico
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, responseModel }) {
+  if (!args) {
+    return [{ text: 'Uso: /historico <descrição>\nExemplo: /historico meu nome' }];
+  }
+
+  const fatos = await resolveFacts(responseModel, args, {
+    senderId: senderInfo.id,
+    incluirGlobais: true,
+    escopo: chatId
+  });
+
+  if (fatos.length === 0) {
+    return [{ text: `Nenhum fato encontrado para "${args}".` }];
+  }
+
+  const blocos = [];
+  for (const fato of fatos.slice(0, MAX_FATOS)) {
+    const historico = await responseModel.getFactHistory(fato._id);
+    const versoes = historico.success ? historico.versions.slice(0, MAX_VERSOES) : [];
+    const linhas = versoes.map(versao => describeVersion(versao, fato.versao || 1));
+
+    blocos.push(`- ${describeFact(fato)}\n${linhas.join('\n') || '  (sem histórico registrado)'}`);
+  }
+
+  let texto = `Histórico de "${args}":\n${blocos.join('\n\n')}`;
+  if (fatos.length > MAX_FATOS) {
+    texto += `\n\nMais ${fatos.length - MAX_FATOS} fato(s) encontrados. Seja mais específico para vê-los.`;
+  }
+  texto += '\n\nPara restaurar uma versão: /reverter <versão> <descrição>';
+
+  return [{ text: texto }];
+}
+
+module.exports = {
+  name: '/historico',
+  description: 'Mostra as versões anteriores de fatos aprendidos',
+  execute
+};
\ No newline at end of file
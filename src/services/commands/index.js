@@ -0,0 +1,66 @@
+/**
+ * Registro dos comandos de barra aceitos pelo bot
+ * Cada comando exporta { name, description, execute } e devolve as mensagens de resposta.
+ */
+const bloquear = require('./bloquear');
+const cancelar = require('./cancelar');
+const confirmar = require('./confirmar');
+const desbloquear = require('./desbloquear');
+const esquecer = require('./esquecer');
+const grupo = require('./grupo');
+const historico = require('./historico');
+const limite = require('./limite');
+const meusdados = require('./meusdados');
+const modo = require('./modo');
+const papel = require('./papel');
+const promover = require('./promover');
+const reverter = require('./reverter');
+const uso = require('./uso');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando');
+
+const COMMANDS = [
+  bloquear, cancelar, confirmar, desbloquear, esquecer, grupo, historico, limite, meusdados, modo, papel, promover,
+  reverter, uso
+].reduce((registro, comando) => {
+  registro[comando.name] = comando;
+  return registro;
+}, {});
+
+/**
+ * Separa o nome do comando e seus argumentos
+ * @param {String} text Texto da mensagem
+ * @returns {Object|null} Nome e argumentos do comando ou null se não for um comando registrado
+ */
+function parseCommand(text) {
+  if (!text || !text.startsWith('/')) return null;
+
+  const [nome, ...resto] = text.trim().split(/\s+/);
+  const comando = COMMANDS[nome.toLowerCase()];
+  if (!comando) return null;
+
+  return { comando, args: resto.join(' ').trim() };
+}
+
+/**
+ * Executa o comando presente no texto, se houver
+ * @param {String} text Texto da mensagem
+ * @param {Object} context Contexto do comando (senderInfo, chatId, message, db, responseModel)
+ * @returns {Promise<Array|null>} Mensagens de resposta ou null se o texto não for um comando
+ */
+async function executeCommand(text, context) {
+  const parsed = parseCommand(text);
+  if (!parsed) return null;
+
+  logger.info({ comando: parsed.comando.name }, 'Comando recebido');
+
+  try {
+    return await parsed.comando.execute({ ...context, args: parsed.args });
+  } catch (error) {
+    logger.error({ err: error, comando: parsed.comando.name }, 'Erro ao executar comando');
+    return [{ text: 'Houve um erro ao executar o comando. Por favor, tente novamente.' }];
+  }
+}
+
+module.exports = { executeCommand };
\ No newline at end of file
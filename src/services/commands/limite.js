@@ -0,0 +1,93 @@
+/**
+ * Comando /limite: consulta e ajusta os limites de uso de um número
+ */
+const RateLimitModel = require('../../models/RateLimit');
+const { getUsageSummary } = require('../rateLimiter');
+const { isAdmin, normalizeNumber } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:limite');
+
+// Nomes aceitos no comando para cada limite
+const LIMITES = {
+  minuto: 'porMinuto',
+  hora: 'porHora',
+  tokens: 'tokensPorDia'
+};
+
+const USO = 'Uso:\n/limite <número> - mostra limites e uso atual\n' +
+  '/limite <número> minuto=<n> hora=<n> tokens=<n> - define limites personalizados (0 desativa o limite)\n' +
+  '/limite <número> padrao - volta aos limites padrão\n' +
+  'Exemplo: /limite 5511999999999 minuto=20 tokens=200000';
+
+/**
+ * Formata os limites e o uso de um número
+ * @param {String} numero Número do usuário
+ * @param {Object} resumo Resumo retornado por getUsageSummary
+ * @returns {String} Texto formatado
+ */
+function formatarResumo(numero, { limites, personalizado, uso }) {
+  const formatar = (usado, limite) => `${usado}/${limite || 'sem limite'}`;
+
+  return `Limites de ${numero}${personalizado ? ' (personalizados)' : ''}:\n` +
+    `- Mensagens no último minuto: ${formatar(uso.porMinuto, limites.porMinuto)}\n` +
+    `- Mensagens na última hora: ${formatar(uso.porHora, limites.porHora)}\n` +
+    `- Tokens hoje: ${formatar(uso.tokensPorDia, limites.tokensPorDia)}`;
+}
+
+/**
+ * Executa o comando /limite
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, db }) {
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem consultar e alterar limites de uso.' }];
+  }
+
+  const [numeroInformado, ...opcoes] = args.split(/\s+/).filter(Boolean);
+  const numero = normalizeNumber(numeroInformado);
+  if (!numero) {
+    return [{ text: USO }];
+  }
+
+  if (opcoes.length === 0) {
+    return [{ text: formatarResumo(numero, await getUsageSummary(db, numero)) }];
+  }
+
+  const rateLimitModel = new RateLimitModel(db);
+
+  if (opcoes.length === 1 && opcoes[0].toLowerCase() === 'padrao') {
+    const resultado = await rateLimitModel.removeOverride(numero);
+    if (!resultado.success) {
+      return [{ text: 'Houve um erro ao remover os limites personalizados. Por favor, tente novamente.' }];
+    }
+    return [{ text: `${numero} voltou aos limites padrão.` }];
+  }
+
+  const limites = {};
+  for (const opcao of opcoes) {
+    const [nome, valor] = opcao.toLowerCase().split('=');
+    const quantidade = parseInt(valor, 10);
+
+    if (!LIMITES[nome] || Number.isNaN(quantidade) || quantidade < 0) {
+      return [{ text: `Opção inválida: "${opcao}"\n\n${USO}` }];
+    }
+    limites[LIMITES[nome]] = quantidade;
+  }
+
+  const resultado = await rateLimitModel.setOverride(numero, limites, senderInfo.id);
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao salvar os limites. Por favor, tente novamente.' }];
+  }
+
+  logger.info({ numero, autor: senderInfo.id }, 'Limites personalizados alterados');
+
+  return [{ text: formatarResumo(numero, await getUsageSummary(db, numero)) }];
+}
+
+module.exports = {
+  name: '/limite',
+  description: 'Consulta e ajusta os limites de uso de um número',
+  execute
+};
\ No newline at end of file
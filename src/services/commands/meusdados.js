@@ -0,0 +1,121 @@
+/**
+ * Comando /meusdados: lista o que o bot sabe sobre o remetente no chat atual
+ * (fatos aprendidos nele e fatos globais), para que um /meusdados enviado em um grupo
+ * não publique o que foi ensinado no privado ou em outros grupos.
+ * Use "/meusdados json" para receber a exportação completa como documento.
+ */
+const { describeFact } = require('../factResolver');
+
+// Tamanho máximo de cada mensagem enviada ao WhatsApp
+const MAX_CARACTERES_POR_MENSAGEM = 3000;
+
+// Títulos das seções, na ordem em que são exibidas
+const SECOES = {
+  nome: 'Identidade',
+  relacao: 'Relações',
+  propriedade: 'Propriedades'
+};
+
+/**
+ * Agrupa os fatos por tipo, em linhas prontas para exibição
+ * @param {Array} fatos Fatos do remetente
+ * @returns {Array} Linhas agrupadas por seção
+ */
+function agruparFatos(fatos) {
+  const grupos = {};
+
+  for (const fato of fatos) {
+    const titulo = SECOES[fato.tipo] || 'Outros';
+    if (!grupos[titulo]) grupos[titulo] = [];
+    grupos[titulo].push(`- ${describeFact(fato)}`);
+  }
+
+  const ordem = [...Object.values(SECOES), 'Outros'];
+  const linhas = [];
+
+  for (const titulo of ordem) {
+    if (!grupos[titulo]) continue;
+    linhas.push(`*${titulo}*`, ...grupos[titulo], '');
+  }
+
+  return linhas;
+}
+
+/**
+ * Divide as linhas em páginas que cabem em uma mensagem do WhatsApp
+ * @param {Array} linhas Linhas a paginar
+ * @returns {Array} Textos de cada página
+ */
+function paginar(linhas) {
+  const paginas = [];
+  let atual = '';
+
+  for (const linha of linhas) {
+    if (atual.length + linha.length + 1 > MAX_CARACTERES_POR_MENSAGEM && atual.length > 0) {
+      paginas.push(atual.trim());
+      atual = '';
+    }
+    atual += `${linha}\n`;
+  }
+
+  if (atual.trim().length > 0) paginas.push(atual.trim());
+
+  return paginas;
+}
+
+/**
+ * Monta o documento JSON com os fatos do remetente
+ * @param {String} senderId ID do remetente
+ * @param {Array} fatos Fatos do remetente
+ * @returns {Object} Conteúdo de documento para envio
+ */
+function montarExportacao(senderId, fatos) {
+  const exportacao = {
+    usuario: senderId,
+    exportado_em: new Date().toISOString(),
+    fatos: fatos.map(({ _id, ...fato }) => ({ id: _id.toString(), ...fato }))
+  };
+
+  return {
+    document: Buffer.from(JSON.stringify(exportacao, null, 2), 'utf-8'),
+    mimetype: 'application/json',
+    fileName: `meusdados-${senderId}.json`,
+    caption: `Exportação com ${fatos.length} fato(s).`
+  };
+}
+
+/**
+ * Executa o comando /meusdados
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, responseModel }) {
+  const resultado = await responseModel.findFactsByEntity(senderInfo.id, chatId);
+
+  if (!resultado.success) {
+    return [{ text: 'Ainda não tenho nenhuma informação sobre você neste chat.' }];
+  }
+
+  const fatos = resultado.facts;
+
+  if (args.toLowerCase() === 'json') {
+    return [montarExportacao(senderInfo.id, fatos)];
+  }
+
+  const paginas = paginar([
+    `Sei ${fatos.length} fato(s) sobre você neste chat:`,
+    '',
+    ...agruparFatos(fatos),
+    'Envie "/meusdados json" para receber a exportação completa.'
+  ]);
+
+  return paginas.map((pagina, indice) => ({
+    text: paginas.length > 1 ? `(${indice + 1}/${paginas.length})\n${pagina}` : pagina
+  }));
+}
+
+module.exports = {
+  name: '/meusdados',
+  description: 'Lista os fatos que o bot sabe sobre você neste chat',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Comando /modo: define quando o bot responde neste grupo
+ */
+const { TRIGGER_MODES, parseModes, getGroupModes, setGroupModes } = require('../triggerPolicy');
+const { isAdmin } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:modo');
+
+// Descrição de cada modo de ativação exibida na ajuda do comando
+const DESCRICOES = {
+  mencao: 'quando o bot é mencionado (@bot)',
+  resposta: 'quando alguém responde uma mensagem do bot',
+  prefixo: `quando a mensagem começa com "${process.env.BOT_NAME || 'Marvin'}"`,
+  comandos: 'apenas comandos de barra (ex: /aprender)',
+  todas: 'todas as mensagens'
+};
+
+/**
+ * Executa o comando /modo
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, db }) {
+  if (!senderInfo.isGroup) {
+    return [{ text: 'O comando /modo só pode ser usado em grupos. Em conversas privadas o bot responde a todas as mensagens.' }];
+  }
+
+  if (!args) {
+    const modos = await getGroupModes(db, chatId);
+    const ajuda = TRIGGER_MODES.map(modo => `- ${modo}: ${DESCRICOES[modo]}`).join('\n');
+    return [{ text: `Modos ativos neste grupo: ${modos.join(', ')}\n\nUso: /modo <modos>\n${ajuda}\n\nExemplo: /modo mencao,resposta` }];
+  }
+
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem alterar o modo de ativação do bot.' }];
+  }
+
+  const modos = [...new Set(parseModes(args))];
+  if (modos.length === 0) {
+    return [{ text: `Nenhum modo válido informado. Modos disponíveis: ${TRIGGER_MODES.join(', ')}` }];
+  }
+
+  const resultado = await setGroupModes(db, chatId, modos, senderInfo.id);
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao alterar o modo de ativação. Por favor, tente novamente.' }];
+  }
+
+  logger.info({ chatId, modos }, 'Modos de ativação do grupo alterados');
+
+  return [{ text: `Modo de ativação atualizado: ${modos.join(', ')}\nComandos de barra continuam sempre disponíveis.` }];
+}
+
+module.exports = {
+  name: '/modo',
+  description: 'Define quando o bot responde neste grupo',
+  execute
+};
\ No newline at end of file
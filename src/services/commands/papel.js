@@ -0,0 +1,79 @@
+/**
+ * Comando /papel: consulta e atribui papéis (admin, professor, leitor)
+ */
+const AccessControlModel = require('../../models/AccessControl');
+const { ROLES, getRole, isAdmin, normalizeNumber } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:papel');
+
+const USO = 'Uso:\n/papel - lista os papéis atribuídos\n' +
+  '/papel <número> - mostra o papel de um número\n' +
+  `/papel <número> <${ROLES.join('|')}> - atribui um papel\n` +
+  'Exemplo: /papel 5511999999999 professor';
+
+/**
+ * Executa o comando /papel
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, db }) {
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem gerenciar papéis.' }];
+  }
+
+  const accessModel = new AccessControlModel(db);
+  const [numeroInformado, papelInformado] = args.split(/\s+/).filter(Boolean);
+
+  if (!numeroInformado) {
+    const resultado = await accessModel.listRoles();
+    if (!resultado.success) {
+      return [{ text: 'Houve um erro ao listar os papéis. Por favor, tente novamente.' }];
+    }
+
+    const atribuidos = resultado.roles.filter(role => role.papel !== 'leitor');
+    if (atribuidos.length === 0) {
+      return [{ text: `Nenhum papel atribuído. Os demais usuários são leitores.\n\n${USO}` }];
+    }
+
+    const lista = atribuidos.map(role => `- ${role.numero}: ${role.papel}`).join('\n');
+    return [{ text: `Papéis atribuídos:\n${lista}\n\nOs demais usuários são leitores.` }];
+  }
+
+  const numero = normalizeNumber(numeroInformado);
+  if (!numero) {
+    return [{ text: USO }];
+  }
+
+  if (!papelInformado) {
+    return [{ text: `${numero} é ${await getRole(db, numero)}.` }];
+  }
+
+  const papel = papelInformado.toLowerCase();
+  if (!ROLES.includes(papel)) {
+    return [{ text: `Papel inválido: "${papelInformado}". Papéis disponíveis: ${ROLES.join(', ')}` }];
+  }
+
+  if (numero === String(senderInfo.id) && papel !== 'admin') {
+    return [{ text: 'Você não pode remover seu próprio papel de administrador.' }];
+  }
+
+  const resultado = await accessModel.setRole(numero, papel, senderInfo.id);
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao atribuir o papel. Por favor, tente novamente.' }];
+  }
+
+  logger.info({ numero, papel, autor: senderInfo.id }, 'Papel do usuário alterado');
+
+  // Administradores do ambiente continuam administradores, independentemente do papel salvo
+  const papelEfetivo = await getRole(db, numero);
+  const aviso = papelEfetivo !== papel ? `\nObservação: ${numero} está em BOT_ADMIN_NUMBERS e continua admin.` : '';
+
+  return [{ text: `${numero} agora é ${papel}.${aviso}` }];
+}
+
+module.exports = {
+  name: '/papel',
+  description: 'Consulta e atribui papéis de usuários',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Comando /promover: torna fatos aprendidos no chat atual conhecimento global do bot
+ * Um valor global diferente só é substituído por um administrador, com /promover substituir.
+ */
+const { resolveFacts, describeFact } = require('../factResolver');
+const { hasRole, isAdmin } = require('../authorization');
+const ResponseModel = require('../../models/Response');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:promover');
+
+const USO = 'Uso: /promover [substituir] <descrição>\nExemplo: /promover definição de API';
+
+/**
+ * Executa o comando /promover
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, message, db, responseModel }) {
+  if (!(await hasRole(db, senderInfo.id, 'professor'))) {
+    return [{ text: 'Apenas professores e administradores podem promover conhecimento para todos os chats.' }];
+  }
+
+  const substituir = /^substituir\b/i.test(args);
+  const descricao = substituir ? args.replace(/^substituir\b/i, '').trim() : args;
+
+  if (!descricao) {
+    return [{ text: USO }];
+  }
+
+  if (substituir && !(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem substituir valores que já valem para todos os chats.' }];
+  }
+
+  // Apenas fatos compartilhados deste chat; fatos pessoais nunca se tornam globais
+  const fatos = (await resolveFacts(responseModel, descricao, {
+    senderId: senderInfo.id,
+    incluirGlobais: true,
+    escopo: chatId
+  })).filter(fato => fato.escopo === chatId && fato.entidade !== String(senderInfo.id));
+
+  if (fatos.length === 0) {
+    return [{ text: `Nenhum fato deste chat encontrado para "${descricao}".` }];
+  }
+
+  const resultado = await responseModel.promoteFactsToGlobal(fatos, {
+    autor: senderInfo.id,
+    mensagemId: message.id,
+    fonte: message.channel
+  }, { substituir });
+  if (!resultado.success) {
+    return [{ text: 'Houve um erro ao promover os fatos. Por favor, tente novamente.' }];
+  }
+
+  logger.info({ fatos: resultado.promotedCount, escopo: ResponseModel.GLOBAL_SCOPE }, 'Fatos promovidos');
+
+  const emConflito = new Set(resultado.conflitos.map(({ fato }) => String(fato._id)));
+  const listaFatos = fatos
+    .filter(fato => !emConflito.has(String(fato._id)))
+    .map(fato => `- ${describeFact(fato)}`)
+    .join('\n');
+  let texto = `${resultado.promotedCount} fato(s) agora valem para todos os chats${listaFatos ? `:\n${listaFatos}` : '.'}`;
+
+  if (resultado.conflitos.length > 0) {
+    const listaConflitos = resultado.conflitos
+      .map(({ fato, existente }) => `- ${describeFact(existente)} (valor deste chat: ${fato.valor})`)
+      .join('\n');
+    texto += `\n\nJá existe um valor diferente para todos os chats:\n${listaConflitos}\n\n` +
+      `Um administrador pode substituí-lo com /promover substituir ${descricao} (o valor anterior fica no /historico).`;
+  }
+
+  return [{ text: texto }];
+}
+
+module.exports = {
+  name: '/promover',
+  description: 'Torna fatos deste chat conhecimento global',
+  execute
+};
\ No newline at end of file
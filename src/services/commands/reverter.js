@@ -0,0 +1,65 @@
+/**
+ * Comando /reverter: restaura uma versão anterior de um fato aprendido
+ */
+const { resolveFacts, describeFact } = require('../factResolver');
+const { hasRole } = require('../authorization');
+const { getLogger } = require('../../config/logger');
+
+const logger = getLogger('comando:reverter');
+
+/**
+ * Executa o comando /reverter
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, message, db, responseModel }) {
+  const [, versaoInformada, descricao] = args.match(/^v?(\d+)\s+(.+)$/i) || [];
+  if (!versaoInformada) {
+    return [{ text: 'Uso: /reverter <versão> <descrição>\nExemplo: /reverter 1 meu nome\nUse /historico para ver as versões.' }];
+  }
+
+  // Fatos compartilhados só podem ser revertidos por professores; fatos próprios, pelo dono
+  const podeReverterCompartilhados = await hasRole(db, senderInfo.id, 'professor');
+  const fatos = await resolveFacts(responseModel, descricao, {
+    senderId: senderInfo.id,
+    incluirGlobais: podeReverterCompartilhados,
+    escopo: chatId
+  });
+
+  if (fatos.length === 0) {
+    return [{ text: `Nenhum fato que você possa reverter foi encontrado para "${descricao}".` }];
+  }
+
+  if (fatos.length > 1) {
+    const listaFatos = fatos.map(fato => `- ${describeFact(fato)}`).join('\n');
+    return [{ text: `Encontrei ${fatos.length} fatos para "${descricao}". Seja mais específico para reverter apenas um:\n${listaFatos}` }];
+  }
+
+  const [fato] = fatos;
+  const resultado = await responseModel.rollbackFact(fato._id, parseInt(versaoInformada, 10), {
+    autor: senderInfo.id,
+    mensagemId: message.id,
+    fonte: message.channel
+  });
+
+  if (!resultado.success) {
+    return [{ text: resultado.message || 'Houve um erro ao reverter o fato. Por favor, tente novamente.' }];
+  }
+
+  if (!resultado.changed) {
+    return [{ text: `O fato já está com o valor da versão ${versaoInformada}:\n- ${describeFact(fato)}` }];
+  }
+
+  // Respostas em cache construídas com o valor substituído deixam de ser válidas
+  await responseModel.deleteResponsesByFactIds([fato._id]);
+
+  logger.info({ factId: String(fato._id), versao: versaoInformada }, 'Fato restaurado');
+
+  return [{ text: `Fato restaurado para a versão ${versaoInformada}:\n- ${describeFact(resultado.fact)}` }];
+}
+
+module.exports = {
+  name: '/reverter',
+  description: 'Restaura uma versão anterior de um fato aprendido',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Comando /uso: mostra os tokens consumidos e o custo estimado do provedor de LLM
+ */
+const { isAdmin } = require('../authorization');
+const { parseUsageQuery, getUsageReport } = require('../usageAccounting');
+
+// Quantidade máxima de grupos, remetentes ou modelos exibidos por período
+const MAX_CHAVES = 5;
+
+const USO = 'Uso: /uso [dia|mes] [grupo|remetente|modelo|tipo] [aqui]\n' +
+  '- dia (padrão): últimos 7 dias; mes: últimos 3 meses\n' +
+  '- grupo, remetente, modelo ou tipo: detalha cada período\n' +
+  '- aqui: apenas o consumo deste grupo\n' +
+  'Exemplo: /uso mes grupo';
+
+/**
+ * Formata o consumo de um período ou de uma chave
+ * @param {Object} item Item do relatório ({ chamadas, tokens, custo })
+ * @returns {String} Texto formatado
+ */
+function formatarConsumo({ chamadas, tokens, custo }) {
+  return `${chamadas} chamada(s), ${tokens.total.toLocaleString('pt-BR')} tokens, US$ ${custo.toFixed(4).replace('.', ',')}`;
+}
+
+/**
+ * Descreve a chave de um agrupamento
+ * @param {String} agruparPor Campo do agrupamento
+ * @param {String|null} chave Valor da chave
+ * @returns {String} Descrição da chave
+ */
+function descreverChave(agruparPor, chave) {
+  if (chave === null || chave === undefined) {
+    return agruparPor === 'grupo' ? 'conversas privadas' : 'desconhecido';
+  }
+  return chave;
+}
+
+/**
+ * Formata o relatório de consumo
+ * @param {Object} relatorio Relatório retornado por getUsageReport
+ * @returns {String} Texto formatado
+ */
+function formatarRelatorio({ periodo, inicio, fim, agruparPor, grupoId, itens, total }) {
+  const titulo = `Consumo do LLM por ${periodo === 'mes' ? 'mês' : 'dia'} (${inicio} a ${fim})${grupoId ? ' neste grupo' : ''}:`;
+
+  if (itens.length === 0) {
+    return `${titulo}\nNenhum consumo registrado.`;
+  }
+
+  const periodos = [...new Set(itens.map(item => item.periodo))];
+  const linhas = periodos.map(atual => {
+    const doPeriodo = itens.filter(item => item.periodo === atual);
+
+    if (!agruparPor) {
+      return `- ${atual}: ${formatarConsumo(doPeriodo[0])}`;
+    }
+
+    const detalhes = doPeriodo.slice(0, MAX_CHAVES)
+      .map(item => `  • ${descreverChave(agruparPor, item.chave)}: ${formatarConsumo(item)}`);
+    if (doPeriodo.length > MAX_CHAVES) {
+      detalhes.push(`  • mais ${doPeriodo.length - MAX_CHAVES}`);
+    }
+
+    return `- ${atual}:\n${detalhes.join('\n')}`;
+  });
+
+  return `${titulo}\n${linhas.join('\n')}\n\nTotal: ${formatarConsumo(total)}`;
+}
+
+/**
+ * Executa o comando /uso
+ * @param {Object} context Contexto do comando
+ * @returns {Promise<Array>} Mensagens de resposta
+ */
+async function execute({ args, senderInfo, chatId, db }) {
+  if (!(await isAdmin(db, senderInfo.id))) {
+    return [{ text: 'Apenas administradores podem consultar o consumo do LLM.' }];
+  }
+
+  const params = {};
+  for (const opcao of args.toLowerCase().split(/\s+/).filter(Boolean)) {
+    if (opcao === 'dia' || opcao === 'mes') params.periodo = opcao;
+    else if (['grupo', 'remetente', 'modelo', 'tipo'].includes(opcao)) params.agruparPor = opcao;
+    else if (opcao === 'aqui' && senderInfo.isGroup) params.grupoId = chatId;
+    else return [{ text: USO }];
+  }
+
+  const validacao = parseUsageQuery(params);
+  if (!validacao.valido) {
+    return [{ text: USO }];
+  }
+
+  const relatorio = await getUsageReport(db, validacao.consulta);
+  if (!relatorio.success) {
+    return [{ text: 'Não foi possível consultar o consumo. Tente novamente.' }];
+  }
+
+  return [{ text: formatarRelatorio(relatorio) }];
+}
+
+module.exports = {
+  name: '/uso',
+  description: 'Mostra os tokens consumidos e o custo estimado do LLM (administradores)',
+  execute
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Serviço de resolução de entidades
+ * Terceiros e conceitos citados no conhecimento ensinado viram entidades da coleção
+ * entities, com um ID canônico (ex: "ent_empresa_x") e aliases. Variações como
+ * "Empresa X", "empresa x" e "EX" resolvem para a mesma entidade, e os fatos
+ * referenciam esse ID em vez do nome em texto livre.
+ */
+const { normalizeText } = require('./keywordExtractor');
+
+// Prefixo dos IDs canônicos de entidades
+const ENTITY_ID_PREFIX = 'ent_';
+
+// Entidades compostas apenas por dígitos são IDs de usuários do WhatsApp (ou do webhook e da rota /chat, com prefixo)
+const USER_ENTITY_PATTERN = /^(?:webhook:|http:)?\d+$/;
+
+// Entidade usada pelos fatos sobre conceitos em geral (definições e propriedades)
+const GENERAL_ENTITY = 'geral';
+
+// Palavras ignoradas ao formar as iniciais de um nome ("Banco do Brasil" → "bb")
+const INITIALS_STOP_WORDS = ['a', 'as', 'da', 'das', 'de', 'do', 'dos', 'e', 'o', 'os'];
+
+/**
+ * Verifica se um valor já é um ID canônico de entidade
+ * @param {String} valor Valor a verificar
+ * @returns {Boolean} true se for um ID de entidade
+ */
+function isEntityId(valor) {
+  return typeof valor === 'string' && valor.startsWith(ENTITY_ID_PREFIX);
+}
+
+/**
+ * Gera o ID canônico de uma entidade a partir do nome
+ * @param {String} nome Nome da entidade
+ * @returns {String} ID canônico (ex: "Empresa X" → "ent_empresa_x")
+ */
+function buildEntityId(nome) {
+  return ENTITY_ID_PREFIX + normalizeText(nome).replace(/\s+/g, '_');
+}
+
+/**
+ * Gera os aliases de um nome: a forma normalizada e, para nomes compostos, as iniciais
+ * @param {String} nome Nome da entidade
+ * @returns {String[]} Aliases normalizados
+ */
+function buildAliases(nome) {
+  const normalizado = normalizeText(nome);
+  const palavras = normalizado.split(' ').filter(palavra => !INITIALS_STOP_WORDS.includes(palavra));
+  const aliases = [normalizado];
+
+  if (palavras.length >= 2) {
+    aliases.push(palavras.map(palavra => palavra[0]).join(''));
+  }
+
+  return aliases.filter(Boolean);
+}
+
+/**
+ * Completa uma entidade informada manualmente (API ou importação) com o ID canônico e os aliases gerados
+ * @param {Object} entidade Entidade validada ({ nome, tipo, alias })
+ * @param {String|null} entidadeId ID canônico já atribuído (ex: em um backup), se houver
+ * @returns {Object} Entidade pronta para saveEntity
+ */
+function prepareEntity(entidade, entidadeId = null) {
+  return {
+    ...entidade,
+    entidade_id: isEntityId(entidadeId) ? entidadeId : buildEntityId(entidade.nome),
+    alias: [...new Set([...buildAliases(entidade.nome), ...(entidade.alias || [])])]
+  };
+}
+
+/**
+ * Obtém o nome de exibição de uma referência a entidade
+ * @param {String} referencia ID canônico ou nome em texto livre
+ * @returns {String} Nome legível (ex: "ent_empresa_x" → "empresa x")
+ */
+function entityLabel(referencia) {
+  if (!isEntityId(referencia)) return referencia;
+  return referencia.slice(ENTITY_ID_PREFIX.length).replace(/_/g, ' ');
+}
+
+/**
+ * Busca a entidade correspondente a um nome, alias ou ID
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {String} nome Nome, alias ou ID canônico
+ * @returns {Promise<Object|null>} Entidade encontrada ou null
+ */
+async function findEntity(responseModel, nome) {
+  if (!nome) return null;
+
+  const chave = isEntityId(nome) ? nome : normalizeText(nome);
+  if (!chave) return null;
+
+  const resultado = await responseModel.findEntityByName(chave);
+  return resultado.success ? resultado.entity : null;
+}
+
+/**
+ * Obtém a chave usada pelos fatos para se referir a um nome citado em uma pergunta
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {String} nome Nome citado
+ * @returns {Promise<String>} ID canônico da entidade, ou o nome em minúsculas se não houver entidade
+ */
+async function resolveEntityKey(responseModel, nome) {
+  const entidade = await findEntity(responseModel, nome);
+  if (entidade && entidade.entidade_id) return entidade.entidade_id;
+
+  return String(nome).toLowerCase().trim();
+}
+
+/**
+ * Registra uma entidade (ou um novo alias de uma entidade existente) e devolve seu ID canônico
+ * Um alias já usado por outra entidade não é atribuído, para não criar ambiguidade.
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} dados Dados da entidade
+ * @param {String} dados.nome Nome como foi citado
+ * @param {String} dados.tipo Tipo da entidade (terceiro, conceito, organizacao...)
+ * @param {String[]} dados.alias Aliases adicionais informados
+ * @returns {Promise<String|null>} ID canônico da entidade ou null em caso de erro
+ */
+async function registerEntity(responseModel, { nome, tipo, alias = [] }) {
+  const existente = await findEntity(responseModel, nome) || await findEntity(responseModel, buildEntityId(nome));
+  const entidadeId = existente ? (existente.entidade_id || buildEntityId(existente.nome)) : buildEntityId(nome);
+
+  const candidatos = [...buildAliases(nome), ...alias.map(normalizeText)].filter(Boolean);
+  const aliases = [];
+
+  for (const candidato of new Set(candidatos)) {
+    const dono = await findEntity(responseModel, candidato);
+    if (!dono || dono.entidade_id === entidadeId || (existente && String(dono._id) === String(existente._id))) {
+      aliases.push(candidato);
+    }
+  }
+
+  const resultado = await responseModel.saveEntity({
+    entidade_id: entidadeId,
+    nome: existente ? existente.nome : nome,
+    tipo: existente && existente.tipo ? existente.tipo : tipo,
+    alias: aliases
+  });
+
+  return resultado.success ? entidadeId : null;
+}
+
+/**
+ * Substitui os nomes de terceiros e conceitos dos fatos pelos IDs canônicos das entidades,
+ * registrando as entidades que ainda não existem
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Array} fatos Fatos traduzidos para o modelo de dados
+ * @param {Object} opcoes Opções da vinculação
+ * @param {Boolean} opcoes.registrar Se false, apenas resolve entidades já existentes, sem gravar nada
+ * @returns {Promise<Array>} Fatos com as entidades resolvidas
+ */
+async function linkFactEntities(responseModel, fatos, { registrar = true } = {}) {
+  const resolvidas = new Map();
+
+  const resolver = async (nome, tipo) => {
+    if (!nome || isEntityId(nome) || USER_ENTITY_PATTERN.test(nome) || nome === GENERAL_ENTITY) return nome;
+
+    const chave = normalizeText(nome);
+    if (!resolvidas.has(chave)) {
+      const entidadeId = registrar
+        ? await registerEntity(responseModel, { nome, tipo })
+        : (await findEntity(responseModel, nome) || {}).entidade_id;
+      resolvidas.set(chave, entidadeId || nome);
+    }
+    return resolvidas.get(chave);
+  };
+
+  const vinculados = [];
+
+  for (const fato of fatos) {
+    const vinculado = { ...fato };
+    const tipoSujeito = fato.tipo === 'entidade' ? (fato.categoria || 'organizacao') : 'terceiro';
+
+    vinculado.entidade = await resolver(fato.entidade, tipoSujeito);
+
+    if (fato.conceito) {
+      vinculado.conceito = await resolver(fato.conceito, 'conceito');
+    }
+
+    // Definições são sobre o conceito nomeado na chave
+    if (fato.tipo === 'definicao') {
+      vinculado.conceito = await resolver(fato.chave, 'conceito');
+    }
+
+    vinculado.relacionamentos = [];
+    for (const rel of fato.relacionamentos || []) {
+      const tipoRelacionado = rel.tipo === 'propriedade_de' ? 'conceito' : 'terceiro';
+      // O valor do fato preserva a grafia original do nome relacionado (ex: "Pedro")
+      const nome = String(fato.valor).toLowerCase() === rel.entidade ? fato.valor : rel.entidade;
+      vinculado.relacionamentos.push({ ...rel, entidade: await resolver(nome, tipoRelacionado) });
+    }
+
+    vinculados.push(vinculado);
+  }
+
+  return vinculados;
+}
+
+module.exports = {
+  USER_ENTITY_PATTERN,
+  isEntityId,
+  buildEntityId,
+  buildAliases,
+  prepareEntity,
+  entityLabel,
+  findEntity,
+  resolveEntityKey,
+  registerEntity,
+  linkFactEntities
+};
\ No newline at end of file
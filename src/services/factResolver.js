@@ -0,0 +1,53 @@
+/**
+ * Serviço para localizar fatos armazenados a partir de uma descrição livre
+ * (ex: "meu nome", "amigo Pedro", "definição de API")
+ */
+const { extractTerms } = require('./keywordExtractor');
+const { entityLabel, USER_ENTITY_PATTERN } = require('./entityResolver');
+
+/**
+ * Resolve uma descrição para os fatos que o remetente pode gerenciar
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {String} descricao Descrição livre dos fatos
+ * @param {Object} opcoes Opções da busca
+ * @param {String} opcoes.senderId ID do remetente
+ * @param {Boolean} opcoes.incluirGlobais Se fatos globais (sem dono) também podem ser resolvidos
+ * @param {String|null} opcoes.escopo JID do chat; limita a busca ao conhecimento visível nele
+ * @returns {Promise<Array>} Fatos encontrados
+ */
+async function resolveFacts(responseModel, descricao, { senderId, incluirGlobais = false, escopo = null }) {
+  const termos = extractTerms(descricao);
+  if (termos.length === 0) return [];
+
+  const fatos = [];
+
+  // Fatos pertencentes ao próprio remetente
+  const proprios = await responseModel.findFactsByTerms(termos, { entidade: String(senderId) }, escopo);
+  if (proprios.success) fatos.push(...proprios.facts);
+
+  // Fatos globais (conceitos, definições, terceiros), nunca fatos de outros usuários
+  if (incluirGlobais) {
+    const globais = await responseModel.findFactsByTerms(termos, {
+      entidade: { $not: USER_ENTITY_PATTERN }
+    }, escopo);
+    if (globais.success) fatos.push(...globais.facts);
+  }
+
+  return fatos;
+}
+
+/**
+ * Descreve um fato em uma linha legível para o usuário
+ * @param {Object} fato Documento da coleção facts
+ * @returns {String} Descrição do fato
+ */
+function describeFact(fato) {
+  // Propriedades de conceitos indicam a qual conceito pertencem
+  if (fato.tipo === 'propriedade' && fato.conceito) {
+    return `${fato.chave} de ${entityLabel(fato.conceito)}: ${fato.valor}`;
+  }
+
+  return `${fato.chave}: ${fato.valor}`;
+}
+
+module.exports = { resolveFacts, describeFact };
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * Verificações de saúde do bot (expostas em GET /health/live e GET /health/ready)
+ * A vivacidade indica se o processo precisa ser reiniciado: falha apenas quando a conexão
+ * com o WhatsApp desistiu de reconectar. A prontidão indica se o bot consegue atender:
+ * MongoDB respondendo, WhatsApp conectado, provedor de LLM configurado e, opcionalmente,
+ * uma mensagem processada com sucesso dentro do intervalo de HEALTH_MAX_MESSAGE_AGE_MINUTES.
+ */
+const { getLLMProvider } = require('../providers/llm');
+const { hasOpenAIKey } = require('../providers/llm/openaiProvider');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('health');
+
+// Tempo máximo de espera pelo ping do MongoDB
+const MONGO_PING_TIMEOUT_MS = 2000;
+
+// Início do processo e horário da última mensagem processada com sucesso
+const iniciadoEm = new Date();
+let ultimaMensagem = null;
+
+/**
+ * Registra uma mensagem processada com sucesso
+ */
+function recordSuccessfulMessage() {
+  ultimaMensagem = new Date();
+}
+
+/**
+ * Verifica se o MongoDB responde ao ping
+ * @param {Object|null} db Instância do banco de dados MongoDB (null durante a inicialização)
+ * @returns {Promise<Object>} Resultado da verificação
+ */
+async function verificarMongo(db) {
+  if (!db) {
+    return { ok: false, erro: 'Conexão e migrações do MongoDB ainda em andamento' };
+  }
+
+  const inicio = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      db.command({ ping: 1 }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Sem resposta em ${MONGO_PING_TIMEOUT_MS}ms`)), MONGO_PING_TIMEOUT_MS);
+      })
+    ]);
+
+    return { ok: true, latenciaMs: Date.now() - inicio };
+  } catch (error) {
+    logger.warn({ err: error }, 'MongoDB não respondeu ao ping');
+    return { ok: false, erro: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Verifica o estado da conexão com o WhatsApp
+ * @param {Function|null} getWhatsAppState Função que retorna o estado da conexão (ver whatsappService)
+ * @returns {Object} Resultado da verificação
+ */
+function verificarWhatsApp(getWhatsAppState) {
+  if (!getWhatsAppState) {
+    return { ok: true, estado: 'desativado' };
+  }
+
+  const { estado, desde, tentativas, desistiu } = getWhatsAppState();
+  return {
+    ok: estado === 'open',
+    estado,
+    desde: desde.toISOString(),
+    tentativas,
+    desistiu
+  };
+}
+
+/**
+ * Verifica o horário da última mensagem processada com sucesso
+ * Sem HEALTH_MAX_MESSAGE_AGE_MINUTES (padrão: 0) o resultado é apenas informativo, já que
+ * um bot pode passar horas sem ser acionado.
+ * @returns {Object} Resultado da verificação
+ */
+function verificarUltimaMensagem() {
+  const limiteMinutos = parseFloat(process.env.HEALTH_MAX_MESSAGE_AGE_MINUTES || '0');
+  const referencia = ultimaMensagem || iniciadoEm;
+  const idadeSegundos = Math.round((Date.now() - referencia.getTime()) / 1000);
+
+  return {
+    ok: !(limiteMinutos > 0) || idadeSegundos <= limiteMinutos * 60,
+    ultimaMensagem: ultimaMensagem ? ultimaMensagem.toISOString() : null,
+    idadeSegundos,
+    ...(limiteMinutos > 0 ? { limiteSegundos: limiteMinutos * 60 } : {})
+  };
+}
+
+/**
+ * Verifica a configuração do provedor de LLM
+ * @returns {Object} Resultado da verificação
+ */
+function verificarLLM() {
+  try {
+    const provider = getLLMProvider();
+
+    if (provider.name === 'openai' && !hasOpenAIKey()) {
+      return { ok: false, provedor: provider.name, erro: 'OPENAI_API_KEY não configurada' };
+    }
+
+    return { ok: true, provedor: provider.name, modelo: provider.model };
+  } catch (error) {
+    return { ok: false, erro: error.message };
+  }
+}
+
+/**
+ * Verifica se o processo está vivo
+ * @param {Object} options Opções da verificação
+ * @param {Function|null} options.getWhatsAppState Função que retorna o estado da conexão com o WhatsApp
+ * @returns {Object} { ok, uptimeSegundos, motivo? }
+ */
+function checkLiveness({ getWhatsAppState = null } = {}) {
+  const resultado = { ok: true, uptimeSegundos: Math.round(process.uptime()) };
+
+  if (getWhatsAppState && getWhatsAppState().desistiu) {
+    resultado.ok = false;
+    resultado.motivo = 'A conexão com o WhatsApp desistiu de reconectar';
+  }
+
+  return resultado;
+}
+
+/**
+ * Verifica se o bot está pronto para atender
+ * @param {Object|null} db Instância do banco de dados MongoDB (null durante a inicialização)
+ * @param {Object} options Opções da verificação
+ * @param {Function|null} options.getWhatsAppState Função que retorna o estado da conexão com o WhatsApp
+ * @returns {Promise<Object>} { ok, verificacoes: { mongodb, whatsapp, ultimaMensagem, llm } }
+ */
+async function checkReadiness(db, { getWhatsAppState = null } = {}) {
+  const verificacoes = {
+    mongodb: await verificarMongo(db),
+    whatsapp: verificarWhatsApp(getWhatsAppState),
+    ultimaMensagem: verificarUltimaMensagem(),
+    llm: verificarLLM()
+  };
+
+  return {
+    ok: Object.values(verificacoes).every(verificacao => verificacao.ok),
+    verificacoes
+  };
+}
+
+module.exports = {
+  recordSuccessfulMessage,
+  checkLiveness,
+  checkReadiness
+};
\ No newline at end of file
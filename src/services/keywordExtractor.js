@@ -1,7 +1,10 @@
 /**
- * Serviço simples para extrair palavras-chave de um texto
- * Em uma implementação completa, poderíamos usar algoritmos como TF-IDF,
- * processamento de linguagem natural ou serviços especializados.
+ * Serviço para extrair palavras-chave de um texto em português
+ * O texto é normalizado (minúsculas, sem acentos e sem pontuação), as stop words
+ * são descartadas e cada palavra é reduzida ao seu radical por um stemmer leve
+ * inspirado no RSLP. Bigramas de radicais também são considerados e a relevância
+ * de cada termo é ponderada por TF-IDF, com o IDF calculado a partir das
+ * respostas armazenadas.
  */
 
 // Lista de palavras comuns (stop words) em português que devem ser ignoradas
@@ -18,45 +21,271 @@ const STOP_WORDS = [
   'quem', 'se', 'seja', 'sejam', 'sejamos', 'sem', 'será', 'serão', 'serei',
   'seremos', 'seria', 'seriam', 'seríamos', 'seu', 'seus', 'só', 'somos', 'sou',
   'sua', 'suas', 'também', 'te', 'tem', 'tém', 'temos', 'tenho', 'teu', 'teus',
-  'tu', 'tua', 'tuas', 'um', 'uma', 'umas', 'uns', 'você', 'vocês', 'vos'
+  'tu', 'tua', 'tuas', 'um', 'uma', 'umas', 'uns', 'você', 'vocês', 'vos',
+  'quais', 'são', 'é', 'está', 'estão', 'ser', 'ter', 'tinha'
 ];
 
 /**
- * Extrai palavras-chave de um texto
+ * Remove acentos e converte para minúsculas
+ * @param {string} text Texto de entrada
+ * @returns {string} Texto sem acentos, em minúsculas
+ */
+function foldAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Stop words comparadas sem acentos ("nao" e "não" são equivalentes)
+const FOLDED_STOP_WORDS = new Set(STOP_WORDS.map(foldAccents));
+
+/**
+ * Regras do stemmer, aplicadas em etapas como no RSLP.
+ * Cada regra é [sufixo, substituição, tamanho mínimo do radical restante, exceções].
+ * Os sufixos já estão sem acentos, pois o stemmer recebe palavras normalizadas.
+ */
+const STEM_RULES = {
+  plural: [
+    ['ns', 'm', 1],
+    ['oes', 'ao', 3],
+    ['aes', 'ao', 1, ['maes']],
+    ['ais', 'al', 1, ['cais', 'mais', 'pais']],
+    ['eis', 'el', 2],
+    ['ois', 'ol', 2],
+    ['les', 'l', 3],
+    ['res', 'r', 3],
+    ['s', '', 2, ['lapis', 'cais', 'mais', 'pais', 'tras', 'atras', 'gas', 'onibus', 'virus', 'bonus']]
+  ],
+  feminino: [
+    ['ona', 'ao', 3],
+    ['ora', 'or', 3],
+    ['inha', 'inho', 3],
+    ['esa', 'es', 3],
+    ['osa', 'oso', 3],
+    ['ica', 'ico', 3],
+    ['ada', 'ado', 2],
+    ['ida', 'ido', 3],
+    ['ima', 'imo', 3],
+    ['iva', 'ivo', 3],
+    ['eira', 'eiro', 3]
+  ],
+  adverbio: [
+    ['mente', '', 4]
+  ],
+  grau: [
+    ['issimo', '', 3],
+    ['zinho', '', 2],
+    ['inho', '', 3],
+    ['zao', '', 2]
+  ],
+  substantivo: [
+    ['amento', '', 3],
+    ['imento', '', 3],
+    ['mento', '', 4],
+    ['acao', '', 3],
+    ['icao', '', 3],
+    ['cao', '', 3],
+    ['idade', '', 4],
+    ['ismo', '', 3],
+    ['ista', '', 3],
+    ['avel', '', 2],
+    ['ivel', '', 3],
+    ['eiro', '', 3],
+    ['ico', '', 3]
+  ],
+  verbo: [
+    ['aremos', '', 2],
+    ['eremos', '', 2],
+    ['iremos', '', 3],
+    ['ariam', '', 2],
+    ['eriam', '', 2],
+    ['iriam', '', 3],
+    ['aram', '', 2],
+    ['eram', '', 3],
+    ['iram', '', 3],
+    ['avam', '', 2],
+    ['ando', '', 2],
+    ['endo', '', 3],
+    ['indo', '', 3],
+    ['ado', '', 2],
+    ['ido', '', 3],
+    ['ava', '', 2],
+    ['ar', '', 2],
+    ['er', '', 2],
+    ['ir', '', 3],
+    ['ou', '', 3]
+  ],
+  vogal: [
+    ['ao', '', 3],
+    ['a', '', 3],
+    ['e', '', 3],
+    ['o', '', 3]
+  ]
+};
+
+/**
+ * Aplica a primeira regra de uma etapa que corresponda à palavra
+ * @param {string} word Palavra normalizada
+ * @param {Array} rules Regras da etapa
+ * @returns {Object} Palavra resultante e se alguma regra foi aplicada
+ */
+function applyStep(word, rules) {
+  for (const [suffix, replacement, minStem, exceptions] of rules) {
+    if (!word.endsWith(suffix)) continue;
+    if (exceptions && exceptions.includes(word)) return { word, applied: false };
+    if (word.length - suffix.length < minStem) continue;
+
+    return { word: word.slice(0, word.length - suffix.length) + replacement, applied: true };
+  }
+
+  return { word, applied: false };
+}
+
+/**
+ * Reduz uma palavra em português ao seu radical
+ * Ex: "empresas" e "empresa" → "empres"; "definições" e "definir" → "defin"
+ * @param {string} word Palavra (com ou sem acentos)
+ * @returns {string} Radical da palavra
+ */
+function stemWord(word) {
+  let stem = foldAccents(word);
+  if (stem.length <= 3) return stem;
+
+  if (stem.endsWith('s')) stem = applyStep(stem, STEM_RULES.plural).word;
+  if (stem.endsWith('a')) stem = applyStep(stem, STEM_RULES.feminino).word;
+
+  stem = applyStep(stem, STEM_RULES.adverbio).word;
+  stem = applyStep(stem, STEM_RULES.grau).word;
+
+  // Sufixos verbais só são removidos se nenhum sufixo nominal foi encontrado
+  const substantivo = applyStep(stem, STEM_RULES.substantivo);
+  stem = substantivo.applied ? substantivo.word : applyStep(stem, STEM_RULES.verbo).word;
+
+  return applyStep(stem, STEM_RULES.vogal).word;
+}
+
+/**
+ * Normaliza um texto: minúsculas, sem acentos e sem pontuação
+ * @param {string} text Texto de entrada
+ * @returns {string} Texto normalizado
+ */
+function normalizeText(text) {
+  return foldAccents(text)
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Separa o texto em palavras relevantes (sem stop words e palavras muito curtas)
+ * @param {string} text Texto de entrada
+ * @returns {string[]} Palavras normalizadas, na ordem em que aparecem
+ */
+function tokenize(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return normalizeText(text)
+    .split(' ')
+    .filter(word => word.length > 2 && !FOLDED_STOP_WORDS.has(word));
+}
+
+/**
+ * Cria a função de IDF a partir das estatísticas do corpus de respostas
+ * @param {Object} stats Estatísticas do corpus
+ * @param {Object} stats.documentFrequencies Quantidade de respostas em que cada termo aparece
+ * @param {number} stats.totalDocuments Quantidade total de respostas
+ * @returns {Function} Função que devolve o IDF de um termo
+ */
+function createIdf({ documentFrequencies = {}, totalDocuments = 0 } = {}) {
+  return (term) => {
+    const df = documentFrequencies[term] || 0;
+    return Math.log((totalDocuments + 1) / (df + 1)) + 1;
+  };
+}
+
+/**
+ * Extrai palavras-chave de um texto: radicais e bigramas de radicais,
+ * ordenados por TF-IDF
  * @param {string} text Texto para extrair palavras-chave
  * @param {number} maxKeywords Número máximo de palavras-chave a retornar
+ * @param {Object} options Opções da extração
+ * @param {Function} options.idf Função de IDF (ver createIdf); sem ela, todos os termos pesam 1
+ * @param {boolean} options.ngrams Se bigramas devem ser incluídos (padrão: true)
  * @returns {string[]} Array de palavras-chave
  */
-function extractKeywords(text, maxKeywords = 10) {
-  if (!text || typeof text !== 'string') {
-    return [];
+function extractKeywords(text, maxKeywords = 10, { idf = null, ngrams = true } = {}) {
+  const stems = tokenize(text).map(stemWord);
+
+  const terms = [...stems];
+  if (ngrams) {
+    for (let i = 0; i < stems.length - 1; i++) {
+      if (stems[i] !== stems[i + 1]) terms.push(`${stems[i]} ${stems[i + 1]}`);
+    }
   }
 
-  // Converte para minúsculas e remove caracteres especiais
-  const normalizedText = text.toLowerCase()
-    .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, '')
-    .replace(/\s{2,}/g, ' ');
+  // Conta a frequência de cada termo, guardando a primeira ocorrência para desempate
+  const termFrequency = {};
+  const firstPosition = {};
+  terms.forEach((term, position) => {
+    termFrequency[term] = (termFrequency[term] || 0) + 1;
+    if (firstPosition[term] === undefined) firstPosition[term] = position;
+  });
 
-  // Divide o texto em palavras
-  const words = normalizedText.split(' ');
+  const score = term => termFrequency[term] * (idf ? idf(term) : 1);
 
-  // Remove stop words e palavras muito curtas
-  const filteredWords = words.filter(word => 
-    word.length > 2 && !STOP_WORDS.includes(word)
-  );
+  // Ordena os termos por TF-IDF e retorna os mais relevantes até o limite definido
+  return Object.keys(termFrequency)
+    .sort((a, b) => score(b) - score(a) || firstPosition[a] - firstPosition[b])
+    .slice(0, maxKeywords);
+}
+
+/**
+ * Normaliza palavras-chave livres (ex: as devolvidas pela OpenAI) para o mesmo
+ * formato produzido por extractKeywords, permitindo compará-las
+ * @param {string[]} keywords Palavras-chave livres
+ * @returns {string[]} Radicais e bigramas únicos
+ */
+function normalizeKeywords(keywords) {
+  if (!Array.isArray(keywords)) return [];
+
+  const normalized = new Set();
+  for (const keyword of keywords) {
+    for (const term of extractKeywords(String(keyword), 20)) {
+      normalized.add(term);
+    }
+  }
+
+  return [...normalized];
+}
+
+/**
+ * Extrai os termos de busca de um texto, sem reduzi-los ao radical
+ * (usado para localizar conceitos e entidades pelo nome)
+ * @param {string} text Texto de entrada
+ * @param {number} maxTerms Número máximo de termos a retornar
+ * @returns {string[]} Termos em minúsculas, preservando acentos, ordenados por frequência
+ */
+function extractTerms(text, maxTerms = 10) {
+  if (!text || typeof text !== 'string') return [];
+
+  const words = text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !FOLDED_STOP_WORDS.has(foldAccents(word)));
 
-  // Conta a frequência de cada palavra
   const wordFrequency = {};
-  filteredWords.forEach(word => {
+  words.forEach(word => {
     wordFrequency[word] = (wordFrequency[word] || 0) + 1;
   });
 
-  // Ordena as palavras por frequência
-  const sortedWords = Object.keys(wordFrequency)
-    .sort((a, b) => wordFrequency[b] - wordFrequency[a]);
-
-  // Retorna as palavras mais frequentes até o limite definido
-  return sortedWords.slice(0, maxKeywords);
+  return Object.keys(wordFrequency)
+    .sort((a, b) => wordFrequency[b] - wordFrequency[a])
+    .slice(0, maxTerms);
 }
 
-module.exports = { extractKeywords }; 
\ No newline at end of file
+module.exports = {
+  extractKeywords,
+  extractTerms,
+  normalizeKeywords,
+  normalizeText,
+  stemWord,
+  createIdf
+};
\ No newline at end of file
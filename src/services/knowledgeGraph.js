@@ -0,0 +1,411 @@
+/**
+ * Serviço de consultas ao grafo de conhecimento
+ * Os fatos do tipo relacao formam as arestas (dono da relação → entidade relacionada)
+ * e os demais fatos são atributos dos nós. Responde perguntas de múltiplos saltos, como
+ * "qual o aniversário da irmã do meu amigo Pedro?", "quem são os amigos em comum de Ana
+ * e Bruno?" e "qual a ligação entre Ana e Carlos?", sempre com limite de profundidade.
+ */
+const { stemWord } = require('./keywordExtractor');
+const { resolveEntityKey, entityLabel, USER_ENTITY_PATTERN } = require('./entityResolver');
+require('dotenv').config();
+
+// Profundidade padrão e máxima (em saltos) das consultas
+const DEFAULT_MAX_DEPTH = 3;
+const MAX_DEPTH_LIMIT = 5;
+
+// Número máximo de nós visitados em uma busca de caminho
+const MAX_VISITED_NODES = 200;
+
+// Palavras que indicam o próprio remetente na pergunta
+const SELF_REFERENCES = ['eu', 'mim', 'você', 'voce'];
+
+/**
+ * Obtém a profundidade máxima das consultas, configurada no ambiente
+ * @returns {Number} Quantidade máxima de saltos
+ */
+function getMaxDepth() {
+  const profundidade = parseInt(process.env.KNOWLEDGE_GRAPH_MAX_DEPTH, 10);
+  if (Number.isNaN(profundidade) || profundidade <= 0) return DEFAULT_MAX_DEPTH;
+  return Math.min(profundidade, MAX_DEPTH_LIMIT);
+}
+
+/**
+ * Reduz o nome de uma relação ao radical, para que variações de gênero e número
+ * sejam equivalentes (ex: "irmã", "irmão" e "irmãos")
+ * @param {String} relacao Nome da relação
+ * @returns {String} Radical da relação
+ */
+function relationRoot(relacao) {
+  return String(relacao || '')
+    .split(/[\s_]+/)
+    .filter(Boolean)
+    .map(stemWord)
+    .join(' ');
+}
+
+/**
+ * Remove artigos do início de um trecho da pergunta
+ * @param {String} trecho Trecho da pergunta
+ * @returns {String} Trecho sem artigo inicial
+ */
+function removerArtigo(trecho) {
+  return trecho.trim().replace(/^(?:o|a|os|as)\s+/i, '').trim();
+}
+
+/**
+ * Interpreta um passo da cadeia (ex: "amigo Pedro" → relação amigo, nome Pedro)
+ * @param {String} trecho Trecho da pergunta
+ * @returns {Object} Passo ({ relacao, nome })
+ */
+function parsePasso(trecho) {
+  const [relacao, ...nome] = removerArtigo(trecho).split(/\s+/);
+  return { relacao: relacao.toLowerCase(), nome: nome.length > 0 ? nome.join(' ') : null };
+}
+
+/**
+ * Identifica perguntas que exigem percorrer o grafo de conhecimento
+ * Perguntas de um único salto continuam com as consultas diretas do processador, assim
+ * como cadeias cujas relações não são tipos de relação conhecidos (ex: "o professor de
+ * matemática da turma A"), que seriam uma busca sem resultado no grafo.
+ * @param {String} texto Texto da pergunta
+ * @param {Object} opcoes Opções da interpretação
+ * @param {Array} opcoes.relacoes Tipos de relação conhecidos (ver ResponseModel.listRelationTypes)
+ * @returns {Object|null} Consulta ({ tipo: 'grafo', alvo, parametros }) ou null
+ */
+function parseGraphQuestion(texto, { relacoes = [] } = {}) {
+  if (!texto) return null;
+  const pergunta = texto.trim().replace(/[?!.\s]+$/, '');
+
+  // "quem são os amigos em comum de Ana e Bruno"
+  const comum = pergunta.match(/^(?:quem|quais)\s+(?:s[ãa]o\s+)?(?:os\s+|as\s+)?(\S+)\s+em\s+comum\s+(?:de|entre)\s+(.+?)\s+e\s+(.+)$/i) ||
+    pergunta.match(/^(?:quais\s+)?(\S+)\s+em\s+comum\s+(?:de|entre)\s+(.+?)\s+e\s+(.+)$/i);
+  if (comum) {
+    return {
+      tipo: 'grafo',
+      alvo: 'comum',
+      parametros: { relacao: comum[1].toLowerCase(), origem: removerArtigo(comum[2]), destino: removerArtigo(comum[3]) }
+    };
+  }
+
+  // "qual a ligação entre Ana e Carlos" / "como Ana conhece Carlos"
+  const caminho = pergunta.match(/(?:rela[çc][ãa]o|liga[çc][ãa]o|conex[ãa]o)\s+entre\s+(.+?)\s+e\s+(.+)$/i) ||
+    pergunta.match(/^como\s+(?:o\s+|a\s+)?(.+?)\s+conhece\s+(.+)$/i);
+  if (caminho) {
+    return {
+      tipo: 'grafo',
+      alvo: 'caminho',
+      parametros: { origem: removerArtigo(caminho[1]), destino: removerArtigo(caminho[2]) }
+    };
+  }
+
+  // "qual o aniversário da irmã do meu amigo Pedro"
+  const cadeia = pergunta.replace(/^(?:qual|quais|quem|quando|onde)\s+(?:(?:é|e|são|sao|foi|fica)\s+)?/i, '');
+  if (cadeia === pergunta) return null;
+
+  const trechos = cadeia.split(/\s+(?:d[oa]s?|de)\s+/i).map(removerArtigo).filter(Boolean);
+  if (trechos.length < 2) return null;
+
+  const alvo = trechos[0].toLowerCase();
+  const intermediarios = trechos.slice(1, -1).reverse().map(parsePasso);
+  const inicio = trechos[trechos.length - 1];
+
+  // "meu amigo Pedro": a cadeia começa no remetente
+  const possessivo = inicio.match(/^(?:meu|minha|meus|minhas)\s+(.+)$/i);
+  const passos = possessivo ? [parsePasso(possessivo[1]), ...intermediarios] : intermediarios;
+
+  // Um único salto a partir de uma entidade ("o significado de API") fica com as consultas diretas
+  if (passos.length === 0) return null;
+
+  const conhecidas = new Set(relacoes.map(relationRoot));
+  if (!passos.every(passo => conhecidas.has(relationRoot(passo.relacao)))) return null;
+
+  return {
+    tipo: 'grafo',
+    alvo: 'cadeia',
+    parametros: { inicio: possessivo ? null : inicio, passos, atributo: alvo }
+  };
+}
+
+/**
+ * Resolve um nome citado na pergunta para o nó correspondente do grafo
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {String} nome Nome citado
+ * @param {String} senderId ID do remetente
+ * @returns {Promise<String>} Nó do grafo
+ */
+async function resolveNode(responseModel, nome, senderId) {
+  const normalizado = nome.toLowerCase().trim();
+  if (SELF_REFERENCES.includes(normalizado)) return String(senderId);
+
+  return resolveEntityKey(responseModel, normalizado);
+}
+
+/**
+ * Obtém o nome de exibição de um nó
+ * @param {String} no Nó do grafo
+ * @param {Object} contexto Contexto da consulta ({ senderId, rotulos })
+ * @returns {String} Nome de exibição
+ */
+function rotuloDoNo(no, { senderId, rotulos }) {
+  if (no === String(senderId)) return 'você';
+  if (rotulos.has(no)) return rotulos.get(no);
+
+  const nome = entityLabel(no);
+  return nome.charAt(0).toUpperCase() + nome.slice(1);
+}
+
+/**
+ * Converte um fato de relação nas arestas que ele representa
+ * @param {Object} fato Documento da coleção facts do tipo relacao
+ * @returns {Array} Arestas ({ origem, destino, tipo, rotulo, fato })
+ */
+function extrairArestas(fato) {
+  const relacionamentos = Array.isArray(fato.relacionamentos) && fato.relacionamentos.length > 0
+    ? fato.relacionamentos
+    : [{ tipo: fato.chave, entidade: String(fato.valor).toLowerCase() }];
+
+  // Com um único relacionamento, o valor do fato é o nome da entidade relacionada
+  const rotulo = relacionamentos.length === 1 ? fato.valor : null;
+
+  return relacionamentos
+    .filter(rel => rel.entidade)
+    .map(rel => ({ origem: fato.entidade, destino: rel.entidade, tipo: rel.tipo || fato.chave, rotulo, fato }));
+}
+
+/**
+ * Carrega as arestas ligadas a um conjunto de nós
+ * Arestas que passam por outros usuários do WhatsApp são descartadas,
+ * para que fatos pessoais de terceiros nunca apareçam nas respostas.
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Array} nos Nós do grafo
+ * @param {Object} contexto Contexto da consulta ({ senderId, escopo, rotulos })
+ * @returns {Promise<Array>} Arestas encontradas
+ */
+async function carregarArestas(responseModel, nos, contexto) {
+  if (nos.length === 0) return [];
+
+  const resultado = await responseModel.findRelationEdges(nos, contexto.escopo);
+  if (!resultado.success) return [];
+
+  const permitido = no => !USER_ENTITY_PATTERN.test(no) || no === String(contexto.senderId);
+
+  const arestas = resultado.facts
+    .flatMap(extrairArestas)
+    .filter(aresta => permitido(aresta.origem) && permitido(aresta.destino));
+
+  // O valor original do fato preserva a grafia do nome (ex: "Pedro" em vez de "ent_pedro")
+  for (const aresta of arestas) {
+    if (aresta.rotulo && !contexto.rotulos.has(aresta.destino)) {
+      contexto.rotulos.set(aresta.destino, aresta.rotulo);
+    }
+  }
+
+  return arestas;
+}
+
+/**
+ * Segue uma sequência de relações a partir de um conjunto de nós
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Array} inicio Pontos de partida ({ no, caminho })
+ * @param {Array} passos Relações a seguir ({ relacao, nome })
+ * @param {Object} contexto Contexto da consulta
+ * @returns {Promise<Array>} Nós alcançados ({ no, caminho })
+ */
+async function seguirRelacoes(responseModel, inicio, passos, contexto) {
+  let fronteira = inicio;
+
+  for (const passo of passos) {
+    const origens = [...new Set(fronteira.map(item => item.no))];
+    const arestas = await carregarArestas(responseModel, origens, contexto);
+    const raiz = relationRoot(passo.relacao);
+    const nome = passo.nome ? await resolveNode(responseModel, passo.nome, contexto.senderId) : null;
+
+    fronteira = fronteira.flatMap(item => arestas
+      .filter(aresta => aresta.origem === item.no && relationRoot(aresta.tipo) === raiz)
+      .filter(aresta => !nome || aresta.destino === nome)
+      .map(aresta => ({ no: aresta.destino, caminho: [...item.caminho, aresta] })));
+
+    if (fronteira.length === 0) break;
+  }
+
+  return fronteira;
+}
+
+/**
+ * Responde uma cadeia de relações terminada em um atributo ou em outra relação
+ * (ex: aniversário ← irmã ← amigo Pedro ← remetente)
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} parametros Parâmetros da consulta ({ inicio, passos, atributo })
+ * @param {Object} contexto Contexto da consulta
+ * @returns {Promise<Object>} Resultado da consulta
+ */
+async function consultarCadeia(responseModel, { inicio, passos, atributo }, contexto) {
+  const noInicial = inicio ? await resolveNode(responseModel, inicio, contexto.senderId) : String(contexto.senderId);
+  const alcancados = await seguirRelacoes(responseModel, [{ no: noInicial, caminho: [] }], passos, contexto);
+
+  if (alcancados.length === 0) {
+    return { success: false, message: 'Nenhum caminho encontrado para a pergunta' };
+  }
+
+  // O último trecho pode ser mais uma relação ("quem é a irmã do amigo de Ana")
+  const relacionados = await seguirRelacoes(responseModel, alcancados, [{ relacao: atributo, nome: null }], contexto);
+  if (relacionados.length > 0) {
+    return { success: true, tipo: 'entidades', resultados: relacionados };
+  }
+
+  // ... ou um atributo dos nós alcançados ("qual o aniversário da irmã de Pedro")
+  const nos = [...new Set(alcancados.map(item => item.no))];
+  const atributos = await responseModel.findNodeAttributes(nos, contexto.escopo);
+  if (!atributos.success) {
+    return { success: false, message: 'Erro ao buscar atributos' };
+  }
+
+  const raiz = relationRoot(atributo);
+  const resultados = alcancados.flatMap(item => atributos.facts
+    .filter(fato => (fato.entidade === item.no || fato.conceito === item.no) && relationRoot(fato.chave) === raiz)
+    .map(fato => ({ ...item, fato })));
+
+  if (resultados.length === 0) {
+    return { success: false, message: `Atributo ${atributo} não encontrado` };
+  }
+
+  return { success: true, tipo: 'atributos', resultados };
+}
+
+/**
+ * Obtém os vizinhos de um nó, nas duas direções, opcionalmente por tipo de relação
+ * @param {Array} arestas Arestas carregadas
+ * @param {String} no Nó do grafo
+ * @param {String|null} raiz Radical da relação exigida
+ * @returns {Set} Vizinhos do nó
+ */
+function vizinhos(arestas, no, raiz) {
+  const resultado = new Set();
+
+  for (const aresta of arestas) {
+    if (raiz && relationRoot(aresta.tipo) !== raiz) continue;
+    if (aresta.origem === no) resultado.add(aresta.destino);
+    if (aresta.destino === no) resultado.add(aresta.origem);
+  }
+
+  return resultado;
+}
+
+/**
+ * Encontra os nós ligados a duas entidades pela mesma relação (ex: amigos em comum)
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} parametros Parâmetros da consulta ({ relacao, origem, destino })
+ * @param {Object} contexto Contexto da consulta
+ * @returns {Promise<Object>} Resultado da consulta
+ */
+async function consultarComuns(responseModel, { relacao, origem, destino }, contexto) {
+  const noA = await resolveNode(responseModel, origem, contexto.senderId);
+  const noB = await resolveNode(responseModel, destino, contexto.senderId);
+  const arestas = await carregarArestas(responseModel, [noA, noB], contexto);
+  const raiz = relationRoot(relacao);
+
+  const vizinhosB = vizinhos(arestas, noB, raiz);
+  const comuns = [...vizinhos(arestas, noA, raiz)]
+    .filter(no => vizinhosB.has(no) && no !== noA && no !== noB);
+
+  if (comuns.length === 0) {
+    return { success: false, message: 'Nenhuma relação em comum encontrada' };
+  }
+
+  return { success: true, tipo: 'comuns', resultados: comuns.map(no => ({ no })), nos: [noA, noB] };
+}
+
+/**
+ * Busca o caminho mais curto entre duas entidades, em largura e nas duas direções
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} parametros Parâmetros da consulta ({ origem, destino })
+ * @param {Object} contexto Contexto da consulta
+ * @returns {Promise<Object>} Resultado da consulta
+ */
+async function consultarCaminho(responseModel, { origem, destino }, contexto) {
+  const noOrigem = await resolveNode(responseModel, origem, contexto.senderId);
+  const noDestino = await resolveNode(responseModel, destino, contexto.senderId);
+
+  const visitados = new Map([[noOrigem, []]]);
+  let fronteira = [noOrigem];
+
+  for (let profundidade = 0; profundidade < contexto.maxDepth && fronteira.length > 0; profundidade++) {
+    const arestas = await carregarArestas(responseModel, fronteira, contexto);
+    const proxima = [];
+
+    for (const no of fronteira) {
+      for (const aresta of arestas) {
+        const vizinho = aresta.origem === no ? aresta.destino : aresta.destino === no ? aresta.origem : null;
+        if (!vizinho || visitados.has(vizinho)) continue;
+
+        const caminho = [...visitados.get(no), aresta];
+        if (vizinho === noDestino) {
+          return { success: true, tipo: 'caminho', resultados: [{ no: vizinho, caminho }], nos: [noOrigem, noDestino] };
+        }
+
+        visitados.set(vizinho, caminho);
+        proxima.push(vizinho);
+      }
+    }
+
+    if (visitados.size >= MAX_VISITED_NODES) break;
+    fronteira = proxima;
+  }
+
+  return { success: false, message: 'Nenhum caminho encontrado dentro da profundidade máxima' };
+}
+
+/**
+ * Executa uma consulta ao grafo identificada por parseGraphQuestion
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} consulta Consulta ({ tipo: 'grafo', alvo, parametros })
+ * @param {Object} opcoes Origem da pergunta
+ * @param {String} opcoes.senderId ID do remetente
+ * @param {String|null} opcoes.escopo JID do chat onde a consulta é feita
+ * @returns {Promise<Object>} { success, tipo, resultados, rotulo } ou { success: false, message }
+ */
+async function answerGraphQuery(responseModel, consulta, { senderId, escopo = null }) {
+  const contexto = { senderId, escopo, maxDepth: getMaxDepth(), rotulos: new Map() };
+  const { alvo, parametros } = consulta;
+
+  // A cadeia percorre um salto por relação, mais o atributo final
+  if (alvo === 'cadeia' && parametros.passos.length + 1 > contexto.maxDepth) {
+    return { success: false, message: `A pergunta excede a profundidade máxima de ${contexto.maxDepth} saltos` };
+  }
+
+  let resultado;
+  switch (alvo) {
+    case 'cadeia':
+      resultado = await consultarCadeia(responseModel, parametros, contexto);
+      break;
+    case 'comum':
+      resultado = await consultarComuns(responseModel, parametros, contexto);
+      break;
+    case 'caminho':
+      resultado = await consultarCaminho(responseModel, parametros, contexto);
+      break;
+    default:
+      return { success: false, message: `Consulta ao grafo desconhecida: ${alvo}` };
+  }
+
+  return { ...resultado, rotulo: no => rotuloDoNo(no, contexto) };
+}
+
+/**
+ * Descreve um caminho do grafo em linguagem natural (ex: "Pedro é amigo de você; Ana é irmã de Pedro")
+ * @param {Array} caminho Arestas percorridas
+ * @param {Function} rotulo Função que devolve o nome de exibição de um nó
+ * @returns {String} Descrição do caminho
+ */
+function describePath(caminho, rotulo) {
+  return caminho
+    .map(aresta => `${rotulo(aresta.destino)} é ${aresta.tipo} de ${rotulo(aresta.origem)}`)
+    .join('; ');
+}
+
+module.exports = {
+  parseGraphQuestion,
+  answerGraphQuery,
+  describePath,
+  relationRoot
+};
\ No newline at end of file
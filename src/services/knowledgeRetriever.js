@@ -0,0 +1,194 @@
+/**
+ * Serviço de recuperação de conhecimento
+ * Reúne os fatos e entidades do MongoDB relevantes para uma mensagem,
+ * para que a OpenAI responda com base no que foi ensinado ao bot.
+ */
+const { extractTerms } = require('./keywordExtractor');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('knowledgeRetriever');
+
+// Orçamento padrão de tokens para o bloco de contexto
+const DEFAULT_MAX_CONTEXT_TOKENS = 800;
+
+// Número máximo de conceitos da mensagem consultados no banco
+const MAX_CONCEITOS = 5;
+
+/**
+ * Estima a quantidade de tokens de um texto (aproximadamente 4 caracteres por token)
+ * @param {String} texto Texto a ser medido
+ * @returns {Number} Quantidade estimada de tokens
+ */
+function estimarTokens(texto) {
+  return Math.ceil(texto.length / 4);
+}
+
+/**
+ * Reduz um fato aos campos úteis para o modelo, descartando metadados
+ * @param {Object} fato Documento da coleção facts
+ * @returns {Object} Fato compacto
+ */
+function compactarFato(fato) {
+  const compacto = {
+    tipo: fato.tipo,
+    chave: fato.chave,
+    entidade: fato.entidade,
+    valor: fato.valor
+  };
+
+  if (fato.conceito) compacto.conceito = fato.conceito;
+
+  if (Array.isArray(fato.relacionamentos) && fato.relacionamentos.length > 0) {
+    compacto.relacionamentos = fato.relacionamentos.map(rel => ({
+      tipo: rel.tipo,
+      entidade: rel.entidade
+    }));
+  }
+
+  return compacto;
+}
+
+/**
+ * Reduz uma entidade aos campos úteis para o modelo
+ * @param {Object} entidade Documento da coleção entities
+ * @returns {Object} Entidade compacta
+ */
+function compactarEntidade(entidade) {
+  return {
+    id: entidade.entidade_id,
+    nome: entidade.nome,
+    tipo: entidade.tipo,
+    alias: entidade.alias || []
+  };
+}
+
+/**
+ * Coleta os fatos e entidades relevantes para a mensagem, em ordem de prioridade:
+ * fatos do remetente e fatos dos conceitos mencionados.
+ * Apenas o conhecimento do próprio chat e o conhecimento global são considerados.
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} params Parâmetros da coleta
+ * @param {String} params.text Texto da mensagem
+ * @param {Object} params.senderInfo Informações do remetente
+ * @param {String} params.chatId ID do chat onde a mensagem foi enviada
+ * @returns {Promise<Object>} Fatos e entidades encontrados
+ */
+async function coletarConhecimento(responseModel, { text, senderInfo, chatId }) {
+  const fatos = [];
+  const entidades = [];
+  const idsVistos = new Set();
+
+  const adicionarFatos = (resultado) => {
+    if (!resultado || !resultado.success) return;
+
+    for (const fato of resultado.facts) {
+      const id = fato._id ? fato._id.toString() : JSON.stringify(compactarFato(fato));
+      if (idsVistos.has(id)) continue;
+
+      idsVistos.add(id);
+      fatos.push(fato);
+    }
+  };
+
+  // Fatos do próprio remetente (nome, relações, propriedades)
+  if (senderInfo && senderInfo.id) {
+    adicionarFatos(await responseModel.findFactsByEntity(senderInfo.id, chatId));
+  }
+
+  // Conceitos e terceiros mencionados na mensagem
+  const conceitos = extractTerms(text, MAX_CONCEITOS);
+
+  for (const conceito of conceitos) {
+    adicionarFatos(await responseModel.findConceptProperties(conceito, chatId));
+
+    // Fatos de terceiros referenciam o ID canônico da entidade, quando ela existe
+    const entidade = await responseModel.findEntityByName(conceito);
+    if (entidade.success) {
+      entidades.push(entidade.entity);
+    }
+
+    const chaveEntidade = entidade.success && entidade.entity.entidade_id ? entidade.entity.entidade_id : conceito;
+    adicionarFatos(await responseModel.findFactsByEntity(chaveEntidade, chatId));
+  }
+
+  return { fatos, entidades };
+}
+
+/**
+ * Formata o conhecimento coletado como um bloco estruturado,
+ * respeitando o orçamento de tokens
+ * @param {Object} conhecimento Fatos e entidades coletados
+ * @param {Number} maxTokens Orçamento máximo de tokens do bloco
+ * @param {Boolean} aprendizado Se a mensagem é um /aprender, que não pergunta nada ao banco
+ * @returns {Object} Bloco de contexto para o prompt e os fatos e entidades incluídos nele
+ */
+function formatarContexto({ fatos, entidades }, maxTokens, aprendizado) {
+  const cabecalho = 'DADOS DO MONGODB (única fonte permitida para a resposta):\n';
+
+  if (fatos.length === 0 && entidades.length === 0) {
+    const aviso = aprendizado ? '' : '\nNenhum dado relevante foi encontrado. Informe que a informação não está cadastrada.';
+    return {
+      contexto: `${cabecalho}{"fatos":[],"entidades":[]}${aviso}`,
+      fatos: [],
+      entidades: []
+    };
+  }
+
+  const bloco = { fatos: [], entidades: [] };
+  let truncado = false;
+
+  const caberNoOrcamento = () => estimarTokens(cabecalho + JSON.stringify(bloco)) <= maxTokens;
+
+  for (const fato of fatos) {
+    bloco.fatos.push(compactarFato(fato));
+
+    if (!caberNoOrcamento()) {
+      bloco.fatos.pop();
+      truncado = true;
+      break;
+    }
+  }
+
+  for (const entidade of entidades) {
+    bloco.entidades.push(compactarEntidade(entidade));
+
+    if (!caberNoOrcamento()) {
+      bloco.entidades.pop();
+      truncado = true;
+      break;
+    }
+  }
+
+  if (truncado) {
+    logger.info({ incluidos: bloco.fatos.length, total: fatos.length }, 'Contexto de conhecimento truncado');
+  }
+
+  return {
+    contexto: `${cabecalho}${JSON.stringify(bloco)}`,
+    fatos: fatos.slice(0, bloco.fatos.length),
+    entidades: entidades.slice(0, bloco.entidades.length)
+  };
+}
+
+/**
+ * Recupera o conhecimento armazenado relevante para a mensagem
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} params Parâmetros da busca (text, senderInfo, chatId e isLearningCommand)
+ * @returns {Promise<Object|null>} { contexto, fatos, entidades } com o que coube no orçamento, ou null em caso de erro
+ */
+async function retrieveKnowledge(responseModel, params) {
+  try {
+    const maxTokens = parseInt(process.env.KNOWLEDGE_CONTEXT_MAX_TOKENS, 10) || DEFAULT_MAX_CONTEXT_TOKENS;
+    const conhecimento = await coletarConhecimento(responseModel, params);
+
+    logger.debug({ fatos: conhecimento.fatos.length, entidades: conhecimento.entidades.length }, 'Conhecimento recuperado');
+
+    return formatarContexto(conhecimento, maxTokens, Boolean(params.isLearningCommand));
+  } catch (error) {
+    logger.error({ err: error }, 'Erro ao recuperar conhecimento');
+    return null;
+  }
+}
+
+module.exports = { retrieveKnowledge, compactarFato };
\ No newline at end of file
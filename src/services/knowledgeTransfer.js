@@ -0,0 +1,386 @@
+/**
+ * Serviço de importação e exportação da base de conhecimento
+ * Exporta as coleções facts, entities e responses para JSON Lines ou CSV (uma linha por
+ * documento) e importa esses arquivos de volta. A importação aplica as mesmas regras de
+ * validação do aprendizado pelo WhatsApp e grava os fatos com saveFact, que atualiza o
+ * fato equivalente já existente em vez de duplicá-lo. Fatos novos mantêm o _id exportado,
+ * para que os fatos_ids das respostas continuem apontando para eles: importe os fatos
+ * antes das respostas.
+ */
+const { ObjectId } = require('mongodb');
+const ResponseModel = require('../models/Response');
+const { validarFato, validarEntidade, validarResposta } = require('./knowledgeValidator');
+const { linkFactEntities, prepareEntity, findEntity } = require('./entityResolver');
+const { normalizeKeywords } = require('./keywordExtractor');
+
+// Formatos de arquivo aceitos
+const FORMATOS = ['jsonl', 'csv'];
+
+// Origem registrada no histórico dos fatos importados
+const ORIGEM_IMPORTACAO = { autor: 'importacao', fonte: 'importacao' };
+
+// Colunas exportadas de cada coleção; listas e objetos são gravados como JSON no CSV
+const COLECOES = {
+  facts: {
+    colunas: ['_id', 'tipo', 'chave', 'entidade', 'valor', 'conceito', 'categoria', 'escopo', 'relacionamentos', 'versao', 'created_at', 'last_updated']
+  },
+  entities: {
+    colunas: ['_id', 'entidade_id', 'nome', 'tipo', 'alias', 'created_at', 'last_updated']
+  },
+  responses: {
+    colunas: ['_id', 'pergunta', 'resposta', 'classificacao', 'escopo', 'remetente_id', 'grupo_id', 'palavras_chave', 'fatos_ids', 'created_at', 'last_updated'],
+    // O embedding é recalculado pelo cache semântico e não faz sentido fora do banco
+    projecao: { embedding: 0 }
+  }
+};
+
+/**
+ * Verifica se uma coleção pode ser importada/exportada
+ * @param {String} colecao Nome da coleção
+ * @returns {Boolean} true se a coleção for suportada
+ */
+function isSupportedCollection(colecao) {
+  return Object.prototype.hasOwnProperty.call(COLECOES, colecao);
+}
+
+/**
+ * Deduz o formato de um arquivo pela extensão
+ * @param {String} arquivo Caminho do arquivo
+ * @returns {String|null} jsonl, csv ou null se a extensão não for reconhecida
+ */
+function detectFormat(arquivo) {
+  const extensao = String(arquivo || '').split('.').pop().toLowerCase();
+  if (extensao === 'csv') return 'csv';
+  if (extensao === 'jsonl' || extensao === 'ndjson') return 'jsonl';
+  return null;
+}
+
+/**
+ * Converte um valor do MongoDB em texto para uma célula CSV
+ * @param {*} valor Valor do campo
+ * @returns {String} Conteúdo da célula
+ */
+function formatarCelula(valor) {
+  if (valor === undefined || valor === null) return '';
+  if (valor instanceof Date) return valor.toISOString();
+
+  const texto = typeof valor === 'object' && !valor._bsontype ? JSON.stringify(valor) : String(valor);
+
+  // Aspas, vírgulas e quebras de linha exigem a célula entre aspas
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Separa um texto CSV em linhas e células, respeitando células entre aspas
+ * @param {String} texto Conteúdo do arquivo CSV
+ * @returns {Array} Linhas, cada uma uma lista de células
+ */
+function parseCsv(texto) {
+  const linhas = [];
+  let linha = [];
+  let celula = '';
+  let entreAspas = false;
+
+  const conteudo = texto.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < conteudo.length; i++) {
+    const caractere = conteudo[i];
+
+    if (entreAspas) {
+      if (caractere === '"' && conteudo[i + 1] === '"') {
+        celula += '"';
+        i++;
+      } else if (caractere === '"') {
+        entreAspas = false;
+      } else {
+        celula += caractere;
+      }
+      continue;
+    }
+
+    if (caractere === '"') {
+      entreAspas = true;
+    } else if (caractere === ',') {
+      linha.push(celula);
+      celula = '';
+    } else if (caractere === '\n' || caractere === '\r') {
+      if (caractere === '\r' && conteudo[i + 1] === '\n') i++;
+      linha.push(celula);
+      linhas.push(linha);
+      linha = [];
+      celula = '';
+    } else {
+      celula += caractere;
+    }
+  }
+
+  if (celula !== '' || linha.length > 0) {
+    linha.push(celula);
+    linhas.push(linha);
+  }
+
+  // Linhas em branco (ex: ao final do arquivo) são ignoradas
+  return linhas.filter(celulas => celulas.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * Converte uma célula CSV de volta ao valor do documento
+ * Listas e objetos exportados como JSON são restaurados; nas listas de textos
+ * também é aceito o formato de planilha "valor1|valor2".
+ * @param {String} coluna Nome da coluna
+ * @param {String} celula Conteúdo da célula
+ * @returns {*} Valor do campo ou undefined se a célula estiver vazia
+ */
+function lerCelula(coluna, celula) {
+  const texto = celula.trim();
+  if (texto === '') return undefined;
+
+  if (['relacionamentos', 'alias', 'palavras_chave', 'fatos_ids'].includes(coluna)) {
+    if (texto.startsWith('[')) return JSON.parse(texto);
+    return texto.split('|').map(valor => valor.trim()).filter(Boolean);
+  }
+
+  if (coluna === 'versao') return Number(texto);
+
+  return texto;
+}
+
+/**
+ * Converte um identificador exportado (texto hexadecimal) em ObjectId
+ * @param {*} valor Identificador lido do arquivo
+ * @returns {ObjectId|null} Identificador ou null se for inválido
+ */
+function lerObjectId(valor) {
+  if (valor instanceof ObjectId) return valor;
+  return typeof valor === 'string' && ObjectId.isValid(valor) && /^[0-9a-f]{24}$/i.test(valor)
+    ? new ObjectId(valor)
+    : null;
+}
+
+/**
+ * Lê os registros de um arquivo exportado
+ * @param {String} conteudo Conteúdo do arquivo
+ * @param {String} formato jsonl ou csv
+ * @returns {Array} Registros ({ linha, registro } ou { linha, erro })
+ */
+function parseRecords(conteudo, formato) {
+  if (formato === 'jsonl') {
+    return conteudo.split(/\r?\n/)
+      .map((texto, indice) => ({ texto: texto.trim(), linha: indice + 1 }))
+      .filter(({ texto }) => texto !== '')
+      .map(({ texto, linha }) => {
+        try {
+          return { linha, registro: JSON.parse(texto) };
+        } catch (error) {
+          return { linha, erro: `JSON inválido: ${error.message}` };
+        }
+      });
+  }
+
+  const [cabecalho, ...linhas] = parseCsv(conteudo);
+  if (!cabecalho) return [];
+  const colunas = cabecalho.map(coluna => coluna.trim());
+
+  // A linha 1 é o cabeçalho
+  return linhas.map((celulas, indice) => {
+    const linha = indice + 2;
+    try {
+      const registro = {};
+      colunas.forEach((coluna, posicao) => {
+        const valor = lerCelula(coluna, celulas[posicao] || '');
+        if (valor !== undefined) registro[coluna] = valor;
+      });
+      return { linha, registro };
+    } catch (error) {
+      return { linha, erro: `célula inválida: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Exporta uma coleção, escrevendo um documento por linha
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} colecao facts, entities ou responses
+ * @param {String} formato jsonl ou csv
+ * @param {Object} saida Stream de escrita (arquivo ou stdout)
+ * @returns {Promise<Number>} Quantidade de documentos exportados
+ */
+async function exportCollection(db, colecao, formato, saida) {
+  const { colunas, projecao } = COLECOES[colecao];
+  const cursor = db.collection(colecao).find({}, { projection: projecao }).sort({ _id: 1 });
+  let total = 0;
+
+  if (formato === 'csv') {
+    saida.write(colunas.join(',') + '\n');
+  }
+
+  for await (const documento of cursor) {
+    const linha = formato === 'csv'
+      ? colunas.map(coluna => formatarCelula(documento[coluna])).join(',')
+      : JSON.stringify(documento);
+
+    saida.write(linha + '\n');
+    total++;
+  }
+
+  return total;
+}
+
+/**
+ * Importa um fato: valida, vincula entidades e grava com saveFact
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} registro Registro lido do arquivo
+ * @param {Boolean} simular Se true, apenas valida e informa o que seria feito
+ * @returns {Promise<Object>} { acao, motivo }
+ */
+async function importarFato(responseModel, registro, simular) {
+  const { _id, versao, created_at, last_updated, ...campos } = registro;
+  const validacao = validarFato({ escopo: ResponseModel.GLOBAL_SCOPE, ...campos });
+  if (!validacao.valido) return { acao: 'invalido', motivo: validacao.motivo };
+
+  const fato = {
+    ...validacao.fato,
+    relacionamentos: validacao.fato.relacionamentos || [],
+    contexto: { certeza: 'ALTA', fonte: 'importacao', timestamp: new Date().toISOString() }
+  };
+
+  // Na simulação, apenas entidades já existentes são resolvidas, sem registrar novas
+  const [vinculado] = await linkFactEntities(responseModel, [fato], { registrar: !simular });
+
+  if (simular) {
+    const existente = await responseModel.findEquivalentFact(vinculado);
+    if (!existente.success) return { acao: 'criado' };
+    return { acao: existente.fact.valor === vinculado.valor ? 'inalterado' : 'atualizado' };
+  }
+
+  // Um fato novo mantém o _id exportado, se ele ainda não estiver em uso
+  const idExportado = lerObjectId(_id);
+  if (idExportado && !(await responseModel.findFactById(idExportado)).success) {
+    vinculado._id = idExportado;
+  }
+
+  const resultado = await responseModel.saveFact(vinculado, ORIGEM_IMPORTACAO);
+  if (!resultado.success) return { acao: 'erro', motivo: resultado.error };
+
+  if (!resultado.updated) return { acao: 'criado' };
+  if (!resultado.changed) return { acao: 'inalterado' };
+
+  // Respostas em cache construídas a partir do valor anterior deixam de valer
+  await responseModel.deleteResponsesByFactIds([resultado.factId]);
+  return { acao: 'atualizado' };
+}
+
+/**
+ * Importa uma entidade, preservando o ID canônico exportado
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} registro Registro lido do arquivo
+ * @param {Boolean} simular Se true, apenas valida
+ * @returns {Promise<Object>} { acao, motivo }
+ */
+async function importarEntidade(responseModel, registro, simular) {
+  const validacao = validarEntidade(registro);
+  if (!validacao.valido) return { acao: 'invalido', motivo: validacao.motivo };
+
+  if (simular) {
+    const existente = await findEntity(responseModel, validacao.entidade.nome);
+    return { acao: existente ? 'atualizado' : 'criado' };
+  }
+
+  const resultado = await responseModel.saveEntity(prepareEntity(validacao.entidade, registro.entidade_id));
+  if (!resultado.success) return { acao: 'erro', motivo: resultado.error };
+
+  return { acao: resultado.updated ? 'atualizado' : 'criado' };
+}
+
+/**
+ * Importa uma resposta em cache
+ * As palavras-chave são gravadas como estão (no formato normalizado da exportação);
+ * a pergunta, quando informada em texto livre, acrescenta as suas. Os fatos_ids são
+ * restaurados, para que alterar ou esquecer os fatos de origem invalide a resposta.
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} registro Registro lido do arquivo
+ * @param {Boolean} simular Se true, apenas valida
+ * @returns {Promise<Object>} { acao, motivo }
+ */
+async function importarResposta(responseModel, registro, simular) {
+  const validacao = validarResposta(registro);
+  if (!validacao.valido) return { acao: 'invalido', motivo: validacao.motivo };
+
+  const pergunta = typeof registro.pergunta === 'string' ? registro.pergunta.trim() : '';
+  const palavrasChave = [...new Set([
+    ...(validacao.resposta.palavras_chave || []),
+    ...normalizeKeywords(pergunta ? [pergunta] : [])
+  ])];
+
+  if (palavrasChave.length === 0) {
+    return { acao: 'invalido', motivo: 'informe a pergunta ou as palavras_chave da resposta' };
+  }
+
+  const fatosIds = registro.fatos_ids || [];
+  if (!Array.isArray(fatosIds) || fatosIds.some(id => !lerObjectId(id))) {
+    return { acao: 'invalido', motivo: 'fatos_ids deve ser uma lista de identificadores de fatos' };
+  }
+
+  // Respostas semelhantes são mescladas por palavras-chave, o que só se sabe ao gravar
+  if (simular) return { acao: 'valido' };
+
+  const { escopo = ResponseModel.GLOBAL_SCOPE, ...dados } = validacao.resposta;
+  const resultado = await responseModel.saveResponse({
+    classificacao: 'global',
+    ...dados,
+    palavras_chave: palavrasChave,
+    fatos_ids: fatosIds.map(lerObjectId)
+  }, {
+    senderId: registro.remetente_id || null,
+    groupId: registro.grupo_id || null,
+    escopo
+  });
+  if (!resultado.success) return { acao: 'erro', motivo: resultado.error };
+
+  return { acao: resultado.updated ? 'atualizado' : 'criado' };
+}
+
+// Função de importação de cada coleção
+const IMPORTADORES = {
+  facts: importarFato,
+  entities: importarEntidade,
+  responses: importarResposta
+};
+
+/**
+ * Importa os registros de um arquivo para uma coleção
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} colecao facts, entities ou responses
+ * @param {String} conteudo Conteúdo do arquivo
+ * @param {Object} opcoes Opções da importação
+ * @param {String} opcoes.formato jsonl ou csv
+ * @param {Boolean} opcoes.simular Se true (dry-run), nada é gravado
+ * @returns {Promise<Object>} Resumo: total, contagem por ação e registros rejeitados ({ linha, motivo })
+ */
+async function importCollection(db, colecao, conteudo, { formato, simular = false }) {
+  const responseModel = new ResponseModel(db);
+  const importar = IMPORTADORES[colecao];
+  const resumo = { total: 0, acoes: {}, rejeitados: [] };
+
+  for (const { linha, registro, erro } of parseRecords(conteudo, formato)) {
+    resumo.total++;
+
+    const { acao, motivo } = erro
+      ? { acao: 'invalido', motivo: erro }
+      : await importar(responseModel, registro, simular);
+
+    resumo.acoes[acao] = (resumo.acoes[acao] || 0) + 1;
+    if (motivo) resumo.rejeitados.push({ linha, motivo });
+  }
+
+  return resumo;
+}
+
+module.exports = {
+  FORMATOS,
+  isSupportedCollection,
+  detectFormat,
+  parseCsv,
+  exportCollection,
+  importCollection
+};
\ No newline at end of file
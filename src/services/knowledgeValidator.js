@@ -0,0 +1,272 @@
+/**
+ * Regras de validação do conhecimento armazenado
+ * Usadas tanto no aprendizado pelo WhatsApp (entradas extraídas pela OpenAI)
+ * quanto na curadoria pela API administrativa (fatos informados diretamente).
+ */
+const { getLogger } = require('../config/logger');
+
+const logger = getLogger('knowledgeValidator');
+
+// Tipos de entrada aceitos no conhecimento extraído e o tipo de fato correspondente
+const TIPOS_ENTRADA = {
+  fato_identidade: 'nome',
+  fato_relacao: 'relacao',
+  fato_definicao: 'definicao',
+  fato_propriedade: 'propriedade',
+  fato_entidade: 'entidade'
+};
+
+// Tipos de fato aceitos na coleção facts
+const TIPOS_FATO = Object.values(TIPOS_ENTRADA);
+
+// Tipos de sujeito aceitos no conhecimento extraído
+const SUJEITOS_PERMITIDOS = ['USUÁRIO', 'TERCEIRO', 'CONCEITO'];
+
+// Tamanho máximo do valor de um fato
+const MAX_TAMANHO_VALOR = 500;
+
+/**
+ * Normaliza um valor: remove espaços extras e caracteres especiais no início/fim
+ * @param {*} valor Valor a ser normalizado
+ * @returns {*} Valor normalizado (valores que não são texto são devolvidos intactos)
+ */
+function normalizarValor(valor) {
+  if (typeof valor !== 'string') return valor;
+  return valor.trim().replace(/^[^\w]+|[^\w]+$/g, '');
+}
+
+/**
+ * Valida uma entrada de conhecimento extraída pela OpenAI
+ * @param {Object} entrada Entrada no formato { tipo, sujeito, predicado, objeto, contexto }
+ * @returns {Object} { valido, motivo }
+ */
+function validarEntrada(entrada) {
+  if (!entrada || !entrada.tipo || !entrada.sujeito || !entrada.predicado) {
+    return { valido: false, motivo: 'estrutura incompleta' };
+  }
+
+  if (entrada.contexto?.certeza !== 'ALTA') {
+    return { valido: false, motivo: 'certeza não é ALTA' };
+  }
+
+  if (!TIPOS_ENTRADA[entrada.tipo]) {
+    return { valido: false, motivo: `tipo não permitido "${entrada.tipo}"` };
+  }
+
+  if (!SUJEITOS_PERMITIDOS.includes(entrada.sujeito.tipo)) {
+    return { valido: false, motivo: `tipo de sujeito não permitido "${entrada.sujeito.tipo}"` };
+  }
+
+  if (!entrada.sujeito.valor || !entrada.predicado.valor) {
+    return { valido: false, motivo: 'dados incompletos' };
+  }
+
+  switch (entrada.tipo) {
+    case 'fato_identidade':
+      // Valor não pode conter símbolos ou caracteres especiais
+      if (/[^\w\s]/i.test(entrada.predicado.valor)) {
+        return { valido: false, motivo: 'valor contém caracteres inválidos' };
+      }
+      break;
+
+    case 'fato_relacao':
+      if (!entrada.objeto || !entrada.objeto.valor) {
+        return { valido: false, motivo: 'dados incompletos' };
+      }
+
+      if (entrada.sujeito.tipo === entrada.objeto.tipo &&
+          entrada.sujeito.valor === entrada.objeto.valor) {
+        return { valido: false, motivo: 'relação circular' };
+      }
+      break;
+
+    case 'fato_definicao':
+      // Definição deve ser substantiva
+      if (entrada.predicado.valor.length < 5) {
+        return { valido: false, motivo: 'definição muito curta' };
+      }
+      break;
+
+    case 'fato_propriedade':
+      // Propriedade deve ter predicado claro
+      if (!entrada.predicado.tipo || entrada.predicado.tipo.length < 2) {
+        return { valido: false, motivo: 'tipo de predicado inválido' };
+      }
+      break;
+  }
+
+  return { valido: true };
+}
+
+/**
+ * Valida e normaliza um fato no formato da coleção facts
+ * @param {Object} fato Fato com tipo, chave, entidade e valor
+ * @returns {Object} { valido, fato, motivo } com uma cópia normalizada do fato
+ */
+function validarFato(fato) {
+  if (!fato || !fato.tipo || !fato.chave || !fato.entidade || !fato.valor) {
+    return { valido: false, motivo: 'campos obrigatórios ausentes (tipo, chave, entidade, valor)' };
+  }
+
+  const tipo = String(fato.tipo).toLowerCase().trim();
+  if (!TIPOS_FATO.includes(tipo)) {
+    return { valido: false, motivo: `tipo não permitido "${fato.tipo}"` };
+  }
+
+  const normalizado = {
+    ...fato,
+    tipo,
+    chave: String(fato.chave).toLowerCase().trim(),
+    entidade: String(fato.entidade).toLowerCase().trim()
+  };
+
+  if (typeof normalizado.valor === 'string') {
+    normalizado.valor = normalizado.valor.trim();
+
+    if (normalizado.valor.length === 0) {
+      return { valido: false, motivo: 'valor vazio após normalização' };
+    }
+
+    if (normalizado.valor.length > MAX_TAMANHO_VALOR) {
+      logger.info({ limite: MAX_TAMANHO_VALOR }, 'Valor truncado por exceder o tamanho máximo');
+      normalizado.valor = normalizado.valor.substring(0, MAX_TAMANHO_VALOR) + '...';
+    }
+  }
+
+  switch (tipo) {
+    case 'nome':
+      if (/[^\w\s]/i.test(normalizado.valor)) {
+        return { valido: false, motivo: 'valor contém caracteres inválidos' };
+      }
+      break;
+
+    case 'relacao':
+      if (normalizado.entidade === String(normalizado.valor).toLowerCase()) {
+        return { valido: false, motivo: 'relação circular' };
+      }
+      break;
+
+    case 'definicao':
+      if (String(normalizado.valor).length < 5) {
+        return { valido: false, motivo: 'definição muito curta' };
+      }
+      break;
+
+    case 'propriedade':
+      if (normalizado.chave.length < 2) {
+        return { valido: false, motivo: 'tipo de predicado inválido' };
+      }
+      break;
+  }
+
+  if (normalizado.relacionamentos !== undefined && !Array.isArray(normalizado.relacionamentos)) {
+    return { valido: false, motivo: 'relacionamentos deve ser uma lista' };
+  }
+
+  if (normalizado.escopo !== undefined && typeof normalizado.escopo !== 'string') {
+    return { valido: false, motivo: 'escopo deve ser um texto (JID do chat ou global)' };
+  }
+
+  return { valido: true, fato: normalizado };
+}
+
+/**
+ * Valida e normaliza uma entidade no formato da coleção entities
+ * @param {Object} entidade Entidade com nome, tipo e alias
+ * @param {Object} options Opções da validação
+ * @param {Boolean} options.parcial Se apenas os campos informados devem ser validados (alteração)
+ * @returns {Object} { valido, entidade, motivo } com apenas os campos aceitos
+ */
+function validarEntidade(entidade, { parcial = false } = {}) {
+  if (!entidade || typeof entidade !== 'object') {
+    return { valido: false, motivo: 'entidade inválida' };
+  }
+
+  const normalizada = {};
+
+  if (entidade.nome !== undefined || !parcial) {
+    if (typeof entidade.nome !== 'string' || !normalizarValor(entidade.nome)) {
+      return { valido: false, motivo: 'nome é obrigatório' };
+    }
+    normalizada.nome = normalizarValor(entidade.nome);
+  }
+
+  if (entidade.tipo !== undefined) {
+    if (typeof entidade.tipo !== 'string' || !entidade.tipo.trim()) {
+      return { valido: false, motivo: 'tipo deve ser um texto' };
+    }
+    normalizada.tipo = entidade.tipo.toLowerCase().trim();
+  }
+
+  if (entidade.alias !== undefined) {
+    if (!Array.isArray(entidade.alias) || entidade.alias.some(alias => typeof alias !== 'string')) {
+      return { valido: false, motivo: 'alias deve ser uma lista de textos' };
+    }
+    normalizada.alias = [...new Set(entidade.alias.map(alias => alias.toLowerCase().trim()).filter(Boolean))];
+  }
+
+  if (parcial && Object.keys(normalizada).length === 0) {
+    return { valido: false, motivo: 'nenhum campo para alterar (nome, tipo, alias)' };
+  }
+
+  return { valido: true, entidade: normalizada };
+}
+
+/**
+ * Valida uma resposta em cache informada manualmente
+ * @param {Object} resposta Resposta com resposta, classificacao, palavras_chave e escopo
+ * @param {Object} options Opções da validação
+ * @param {Boolean} options.parcial Se apenas os campos informados devem ser validados (alteração)
+ * @returns {Object} { valido, resposta, motivo } com apenas os campos aceitos
+ */
+function validarResposta(resposta, { parcial = false } = {}) {
+  if (!resposta || typeof resposta !== 'object') {
+    return { valido: false, motivo: 'resposta inválida' };
+  }
+
+  const normalizada = {};
+
+  if (resposta.resposta !== undefined || !parcial) {
+    if (typeof resposta.resposta !== 'string' || !resposta.resposta.trim()) {
+      return { valido: false, motivo: 'resposta é obrigatória' };
+    }
+    normalizada.resposta = resposta.resposta.trim();
+  }
+
+  if (resposta.classificacao !== undefined) {
+    if (!['global', 'pessoal'].includes(resposta.classificacao)) {
+      return { valido: false, motivo: 'classificacao deve ser "global" ou "pessoal"' };
+    }
+    normalizada.classificacao = resposta.classificacao;
+  }
+
+  if (resposta.palavras_chave !== undefined) {
+    if (!Array.isArray(resposta.palavras_chave) || resposta.palavras_chave.some(palavra => typeof palavra !== 'string')) {
+      return { valido: false, motivo: 'palavras_chave deve ser uma lista de textos' };
+    }
+    normalizada.palavras_chave = resposta.palavras_chave;
+  }
+
+  if (resposta.escopo !== undefined) {
+    if (typeof resposta.escopo !== 'string' || !resposta.escopo.trim()) {
+      return { valido: false, motivo: 'escopo deve ser um texto (JID do chat ou global)' };
+    }
+    normalizada.escopo = resposta.escopo.trim();
+  }
+
+  if (parcial && Object.keys(normalizada).length === 0) {
+    return { valido: false, motivo: 'nenhum campo para alterar (resposta, classificacao, palavras_chave, escopo)' };
+  }
+
+  return { valido: true, resposta: normalizada };
+}
+
+module.exports = {
+  TIPOS_ENTRADA,
+  TIPOS_FATO,
+  normalizarValor,
+  validarEntrada,
+  validarFato,
+  validarEntidade,
+  validarResposta
+};
\ No newline at end of file
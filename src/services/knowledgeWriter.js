@@ -0,0 +1,190 @@
+/**
+ * Serviço de gravação do conhecimento ensinado com /aprender
+ * Fatos que contradizem o que o bot já sabe não são sobrescritos na hora: o aprendizado
+ * fica pendente até o próprio remetente responder /confirmar ou /cancelar.
+ */
+const PendingConfirmationModel = require('../models/PendingConfirmation');
+const { cacheResponse } = require('./responseCache');
+const { describeFact } = require('./factResolver');
+const { linkFactEntities } = require('./entityResolver');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('knowledgeWriter');
+
+// Tempo padrão para o remetente confirmar um aprendizado conflitante
+const DEFAULT_CONFIRMATION_TIMEOUT_MINUTES = 5;
+
+/**
+ * Obtém o tempo para confirmar um aprendizado, configurado no ambiente
+ * @returns {Number} Tempo em minutos
+ */
+function getConfirmationTimeoutMinutes() {
+  const minutos = parseInt(process.env.BOT_CONFIRMATION_TIMEOUT_MINUTES, 10);
+  return Number.isNaN(minutos) || minutos <= 0 ? DEFAULT_CONFIRMATION_TIMEOUT_MINUTES : minutos;
+}
+
+/**
+ * Encontra os fatos já armazenados que seriam sobrescritos com outro valor
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Array} fatos Fatos a serem gravados
+ * @returns {Promise<Array>} Conflitos ({ fato, existente })
+ */
+async function findConflicts(responseModel, fatos) {
+  const conflitos = [];
+
+  for (const fato of fatos) {
+    const resultado = await responseModel.findConflictingFact(fato);
+    if (resultado.success) {
+      conflitos.push({ fato, existente: resultado.fact });
+    }
+  }
+
+  return conflitos;
+}
+
+/**
+ * Grava os fatos aprendidos e a resposta associada a eles
+ * As entidades novas citadas nos fatos só são registradas aqui, para que um aprendizado
+ * cancelado não deixe entidades e aliases órfãos.
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} aprendizado Dados do aprendizado
+ * @param {Array} aprendizado.fatos Fatos traduzidos para o modelo de dados
+ * @param {Object} aprendizado.resposta Resposta da OpenAI ({ palavras_chave, resposta, classificacao })
+ * @param {String} aprendizado.texto Texto ensinado, usado como pergunta da resposta em cache
+ * @param {Object} aprendizado.owner Dono da resposta em cache ({ senderId, groupId, escopo })
+ * @param {Object} aprendizado.origem Origem da alteração ({ autor, mensagemId, fonte })
+ * @returns {Promise<Object>} IDs dos fatos gravados e os fatos com as entidades registradas
+ */
+async function storeLearning(responseModel, { fatos: fatosAprendidos, resposta, texto, owner, origem }) {
+  const fatos = await linkFactEntities(responseModel, fatosAprendidos);
+  const fatosIds = [];
+
+  if (fatos.length > 0) {
+    logger.info({ fatos: fatos.length }, 'Armazenando conhecimento');
+
+    for (const fato of fatos) {
+      try {
+        const saveResult = await responseModel.saveFact(fato, origem);
+        if (saveResult.success) {
+          fatosIds.push(saveResult.factId);
+        }
+        logger.debug({ tipo: fato.tipo, chave: fato.chave }, saveResult.updated ? 'Fato atualizado' : 'Fato salvo');
+      } catch (factError) {
+        logger.error({ err: factError }, 'Erro ao salvar fato');
+      }
+    }
+  }
+
+  // Salva a resposta associada aos fatos de origem, permitindo removê-la com /esquecer
+  await cacheResponse(responseModel, { ...resposta, fatos_ids: fatosIds }, { text: texto, owner });
+
+  return { fatosIds, fatos };
+}
+
+/**
+ * Guarda um aprendizado conflitante até o remetente confirmá-lo ou cancelá-lo
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} params Chat e remetente que ensinaram
+ * @param {String} params.chatId JID do chat
+ * @param {String} params.senderId ID do remetente
+ * @param {Object} aprendizado Dados do aprendizado (os mesmos de storeLearning)
+ * @param {Array} conflitos Conflitos encontrados por findConflicts
+ * @returns {Promise<String>} Mensagem pedindo a confirmação
+ */
+async function holdLearning(db, { chatId, senderId }, aprendizado, conflitos) {
+  const minutos = getConfirmationTimeoutMinutes();
+  const expiraEm = new Date(Date.now() + minutos * 60 * 1000);
+
+  const resultado = await new PendingConfirmationModel(db).savePending(chatId, String(senderId), {
+    ...aprendizado,
+    conflitos: conflitos.map(({ fato, existente }) => ({
+      fato_id: existente._id,
+      valor_atual: existente.valor,
+      valor_novo: fato.valor
+    }))
+  }, expiraEm);
+
+  if (!resultado.success) {
+    return 'Houve um erro ao armazenar o conhecimento. Por favor, tente novamente.';
+  }
+
+  logger.info({ senderId, conflitos: conflitos.length }, 'Aprendizado aguardando confirmação');
+
+  const listaConflitos = conflitos
+    .map(({ fato, existente }) => `- ${describeFact(existente)} (novo valor: ${fato.valor})`)
+    .join('\n');
+
+  return `Isso contradiz o que eu já sei:\n${listaConflitos}\n\n` +
+    `Responda /confirmar para substituir pelos novos valores ou /cancelar para manter os atuais. ` +
+    `Aguardo sua confirmação por ${minutos} minuto(s).`;
+}
+
+/**
+ * Verifica se algum fato em conflito mudou desde o pedido de confirmação
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Array} conflitos Conflitos guardados por holdLearning ({ fato_id, valor_atual })
+ * @returns {Promise<Boolean>} true se algum fato foi alterado ou removido
+ */
+async function conflictsChanged(responseModel, conflitos) {
+  for (const { fato_id: fatoId, valor_atual: valorAtual } of conflitos) {
+    const resultado = await responseModel.findFactById(fatoId);
+    if (!resultado.success || resultado.fact.valor !== valorAtual) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Grava o aprendizado pendente do remetente no chat
+ * Se os fatos em conflito mudaram desde o pedido, o remetente confirmou a substituição de
+ * valores que não são mais os atuais: a confirmação é pedida de novo com os valores novos.
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} params Chat e remetente que confirmaram
+ * @param {String} params.chatId JID do chat
+ * @param {String} params.senderId ID do remetente
+ * @returns {Promise<Object>} { success, fatosIds, totalFatos }, { success: false, reconfirmacao }
+ *   com o novo pedido de confirmação ou { success: false } se não houver pendência
+ */
+async function confirmLearning(db, responseModel, { chatId, senderId }) {
+  // Retira a pendência antes de gravar, para que uma confirmação repetida não grave duas vezes
+  const resultado = await new PendingConfirmationModel(db).takePending(chatId, String(senderId));
+  if (!resultado.success) return { success: false };
+
+  const { fatos, resposta, texto, owner, origem, conflitos = [] } = resultado.pending;
+  const aprendizado = { fatos, resposta, texto, owner, origem };
+
+  if (await conflictsChanged(responseModel, conflitos)) {
+    const novosConflitos = await findConflicts(responseModel, fatos);
+    if (novosConflitos.length > 0) {
+      logger.info({ senderId }, 'Fatos em conflito alterados antes da confirmação');
+      return { success: false, reconfirmacao: await holdLearning(db, { chatId, senderId }, aprendizado, novosConflitos) };
+    }
+  }
+
+  const { fatosIds } = await storeLearning(responseModel, aprendizado);
+
+  return { success: true, fatosIds, totalFatos: fatos.length };
+}
+
+/**
+ * Descarta o aprendizado pendente do remetente no chat
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} params Chat e remetente que cancelaram
+ * @param {String} params.chatId JID do chat
+ * @param {String} params.senderId ID do remetente
+ * @returns {Promise<Boolean>} true se havia um aprendizado pendente
+ */
+async function cancelLearning(db, { chatId, senderId }) {
+  const resultado = await new PendingConfirmationModel(db).takePending(chatId, String(senderId));
+  return resultado.success;
+}
+
+module.exports = {
+  findConflicts,
+  storeLearning,
+  holdLearning,
+  confirmLearning,
+  cancelLearning
+};
\ No newline at end of file
@@ -1,64 +1,56 @@
 const { getOpenAIResponse } = require('../config/openai');
 const ResponseModel = require('../models/Response');
-const { extractKeywords } = require('./keywordExtractor');
+const { retrieveKnowledge, compactarFato } = require('./knowledgeRetriever');
+const { parseGraphQuestion, answerGraphQuery, describePath } = require('./knowledgeGraph');
+const { executeCommand } = require('./commands');
+const { findCachedResponse } = require('./responseCache');
+const { findConflicts, storeLearning, holdLearning } = require('./knowledgeWriter');
+const { linkFactEntities } = require('./entityResolver');
+const { hasRole, isAdmin } = require('./authorization');
+const { checkRateLimit, recordTokenUsage } = require('./rateLimiter');
+const { recordLLMUsage } = require('./usageAccounting');
+const { validarEntrada, validarFato, normalizarValor } = require('./knowledgeValidator');
+const { getLogger, runWithCorrelation } = require('../config/logger');
+const { recordMessageProcessed, recordTaxonomyQuery, recordSendFailure } = require('./metrics');
+const { recordSuccessfulMessage } = require('./health');
 require('dotenv').config();
 
-/**
- * Extrai o texto da mensagem do WhatsApp
- * @param {Object} message Objeto de mensagem do WhatsApp
- * @returns {String|null} Texto da mensagem ou null se não encontrado
- */
-function extractMessageText(message) {
-  // Se não há mensagem, retorna null
-  if (!message || !message.message) return null;
+const logger = getLogger('messageProcessor');
 
-  // Verifica diferentes tipos de mensagem
-  if (message.message.conversation) {
-    return message.message.conversation.trim();
-  }
-  
-  if (message.message.extendedTextMessage && message.message.extendedTextMessage.text) {
-    return message.message.extendedTextMessage.text.trim();
-  }
-  
-  if (message.message.imageMessage && message.message.imageMessage.caption) {
-    return message.message.imageMessage.caption.trim();
-  }
-  
-  return null;
-}
+// Origens em que a mensagem não foi atendida, mesmo que um aviso tenha sido entregue
+const ORIGENS_SEM_ATENDIMENTO = ['limite', 'permissao', 'erro'];
 
 /**
- * Extrai informações sobre o remetente
- * @param {Object} message Objeto de mensagem do WhatsApp
+ * Obtém as informações do remetente de uma mensagem de entrada
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
  * @returns {Object} Objeto com informações do remetente
  */
-function extractSenderInfo(message) {
-  const senderInfo = {
-    id: message.key.participant || message.key.remoteJid,
-    name: message.pushName || null,
-    isGroup: message.key.remoteJid.includes('@g.us')
+function extractSenderInfo(inbound) {
+  return {
+    id: inbound.sender.id,
+    name: inbound.sender.name,
+    isGroup: inbound.isGroup
   };
-  
-  // Remove o sufixo do ID para obter apenas o número
-  senderInfo.id = senderInfo.id.split('@')[0];
-  
-  return senderInfo;
 }
 
 /**
  * Analisa a taxonomia da mensagem para determinar o tipo de consulta
  * @param {Object} taxonomia Objeto com a análise taxonômica da mensagem
  * @param {String} mensagemOriginal Texto original da mensagem
+ * @param {Array} relacoes Tipos de relação conhecidos no chat, usados pelas consultas ao grafo
  * @returns {Object|null} Objeto com informações da consulta ou null
  */
-function analisarTaxonomia(taxonomia, mensagemOriginal) {
+function analisarTaxonomia(taxonomia, mensagemOriginal, relacoes = []) {
   // Se não há taxonomia, retorna null
   if (!taxonomia) return null;
   
   // Se não é uma pergunta, não é uma consulta
   if (taxonomia.tipo_interacao !== 'pergunta') return null;
   
+  // Perguntas de múltiplos saltos ("o aniversário da irmã do meu amigo Pedro") percorrem o grafo
+  const consultaGrafo = parseGraphQuestion(mensagemOriginal, { relacoes });
+  if (consultaGrafo) return consultaGrafo;
+  
   // Criamos a consulta com base na taxonomia
   const consulta = {
     tipo: null,
@@ -140,12 +132,13 @@ function analisarTaxonomia(taxonomia, mensagemOriginal) {
  * Traduz o formato da nova taxonomia para o formato usado no modelo de dados
  * @param {Object} conhecimento Objeto com o conhecimento extraído
  * @param {String} idUsuario ID do usuário que enviou a mensagem
+ * @param {String} escopo Escopo do conhecimento (JID do chat ou global)
  * @returns {Array} Array de fatos no formato do modelo de dados
  */
-function traduzirParaModeloDados(conhecimento, idUsuario) {
+function traduzirParaModeloDados(conhecimento, idUsuario, escopo) {
   // Se não há conhecimento a armazenar, retorna array vazio
   if (!conhecimento.armazenar || !Array.isArray(conhecimento.entradas) || conhecimento.entradas.length === 0) {
-    console.log("Nenhum conhecimento para armazenar ou formato inválido");
+    logger.debug('Nenhum conhecimento para armazenar ou formato inválido');
     return [];
   }
   
@@ -155,94 +148,12 @@ function traduzirParaModeloDados(conhecimento, idUsuario) {
   // Validar cada entrada antes de processar
   for (const entrada of conhecimento.entradas) {
     // Verificações de segurança para evitar ambiguidade e conflitos
-    if (!entrada || !entrada.tipo || !entrada.sujeito || !entrada.predicado) {
-      console.log("Entrada ignorada: estrutura incompleta", entrada);
-      continue;
-    }
-    
-    // Verificar nível de certeza
-    if (entrada.contexto?.certeza !== "ALTA") {
-      console.log("Entrada ignorada: certeza não é ALTA", entrada);
+    const validacaoEntrada = validarEntrada(entrada);
+    if (!validacaoEntrada.valido) {
+      logger.info({ motivo: validacaoEntrada.motivo, entrada }, 'Entrada ignorada');
       continue;
     }
     
-    // Validação adicional de tipos permitidos
-    const tiposPermitidos = ['fato_identidade', 'fato_relacao', 'fato_definicao', 'fato_propriedade', 'fato_entidade'];
-    if (!tiposPermitidos.includes(entrada.tipo)) {
-      console.log(`Entrada ignorada: tipo não permitido "${entrada.tipo}"`, entrada);
-      continue;
-    }
-    
-    // Validação adicional de sujeitos permitidos
-    const sujeitosPermitidos = ['USUÁRIO', 'TERCEIRO', 'CONCEITO'];
-    if (!sujeitosPermitidos.includes(entrada.sujeito.tipo)) {
-      console.log(`Entrada ignorada: tipo de sujeito não permitido "${entrada.sujeito.tipo}"`, entrada);
-      continue;
-    }
-    
-    // Validar campos obrigatórios específicos por tipo
-    switch (entrada.tipo) {
-      case 'fato_identidade':
-        if (!entrada.sujeito.valor || !entrada.predicado.valor) {
-          console.log("Fato identidade ignorado: dados incompletos", entrada);
-          continue;
-        }
-        
-        // Validação semântica - valor não pode conter símbolos ou caracteres especiais
-        if (/[^\w\s]/i.test(entrada.predicado.valor)) {
-          console.log("Fato identidade ignorado: valor contém caracteres inválidos", entrada);
-          continue;
-        }
-        break;
-        
-      case 'fato_relacao':
-        if (!entrada.sujeito.valor || !entrada.predicado.valor || !entrada.objeto || !entrada.objeto.valor) {
-          console.log("Fato relação ignorado: dados incompletos", entrada);
-          continue;
-        }
-        
-        // Validação semântica - verificar circularidade
-        if (entrada.sujeito.tipo === entrada.objeto.tipo && 
-            entrada.sujeito.valor === entrada.objeto.valor) {
-          console.log("Fato relação ignorado: relação circular", entrada);
-          continue;
-        }
-        break;
-        
-      case 'fato_definicao':
-        if (!entrada.sujeito.valor || !entrada.predicado.valor) {
-          console.log("Fato definição ignorado: dados incompletos", entrada);
-          continue;
-        }
-        
-        // Validação semântica - definição deve ser substantiva
-        if (entrada.predicado.valor.length < 5) {
-          console.log("Fato definição ignorado: definição muito curta", entrada);
-          continue;
-        }
-        break;
-        
-      case 'fato_propriedade':
-        if (!entrada.sujeito.valor || !entrada.predicado.valor) {
-          console.log("Fato propriedade ignorado: dados incompletos", entrada);
-          continue;
-        }
-        
-        // Validação semântica - propriedade deve ter predicado claro
-        if (!entrada.predicado.tipo || entrada.predicado.tipo.length < 2) {
-          console.log("Fato propriedade ignorado: tipo de predicado inválido", entrada);
-          continue;
-        }
-        break;
-        
-      case 'fato_entidade':
-        if (!entrada.sujeito.valor || !entrada.predicado.valor) {
-          console.log("Fato entidade ignorado: dados incompletos", entrada);
-          continue;
-        }
-        break;
-    }
-    
     // Cria um fato base com os campos comuns
     const fato = {
       tipo: null,
@@ -250,6 +161,7 @@ function traduzirParaModeloDados(conhecimento, idUsuario) {
       entidade: null,
       valor: null,
       relacionamentos: [],
+      escopo,
       contexto: {
         certeza: "ALTA",
         fonte: entrada.contexto?.fonte || "api",
@@ -257,13 +169,6 @@ function traduzirParaModeloDados(conhecimento, idUsuario) {
       }
     };
     
-    // Normaliza valores antes do processamento para evitar inconsistências
-    const normalizarValor = (valor) => {
-      if (typeof valor !== 'string') return valor;
-      // Remove espaços extras, caracteres especiais no início/fim
-      return valor.trim().replace(/^[^\w]+|[^\w]+$/g, '');
-    };
-    
     // Normaliza os valores no objeto entrada
     if (entrada.sujeito.valor) entrada.sujeito.valor = normalizarValor(entrada.sujeito.valor);
     if (entrada.predicado.valor) entrada.predicado.valor = normalizarValor(entrada.predicado.valor);
@@ -355,41 +260,24 @@ function traduzirParaModeloDados(conhecimento, idUsuario) {
         
       default:
         // Se não conseguir mapear, pula esta entrada
-        console.log("Tipo de entrada desconhecido:", entrada.tipo);
+        logger.info({ tipo: entrada.tipo }, 'Tipo de entrada desconhecido');
         continue;
     }
     
-    // Verificação final de segurança - todos os campos essenciais devem estar presentes
-    if (!fato.tipo || !fato.chave || !fato.entidade || !fato.valor) {
-      console.log("Fato ignorado: campos obrigatórios ausentes após processamento", fato);
+    // Verificação final de segurança - campos essenciais e regras de cada tipo de fato
+    const validacaoFato = validarFato(fato);
+    if (!validacaoFato.valido) {
+      logger.info({ motivo: validacaoFato.motivo, fato }, 'Fato ignorado');
       continue;
     }
     
-    // Normalização adicional para evitar inconsistências
-    fato.chave = fato.chave.toLowerCase().trim();
-    if (typeof fato.valor === 'string') {
-      fato.valor = fato.valor.trim();
-      
-      // Se o valor estiver vazio após normalização, ignorar
-      if (fato.valor.length === 0) {
-        console.log("Fato ignorado: valor vazio após normalização", fato);
-        continue;
-      }
-      
-      // Limitar tamanho do valor para evitar dados muito grandes
-      if (fato.valor.length > 500) {
-        console.log("Valor truncado por exceder 500 caracteres");
-        fato.valor = fato.valor.substring(0, 500) + '...';
-      }
-    }
-    
     // Adiciona o fato ao array
-    fatos.push(fato);
+    fatos.push(validacaoFato.fato);
   }
   
   // Se não temos fatos após todas as validações, retornamos array vazio
   if (fatos.length === 0) {
-    console.log("Nenhum fato válido após processamento");
+    logger.info('Nenhum fato válido após processamento');
     return [];
   }
   
@@ -405,11 +293,11 @@ function traduzirParaModeloDados(conhecimento, idUsuario) {
       chavesProcessadas.add(chaveUnica);
       fatosUnicos.push(fato);
     } else {
-      console.log(`Fato duplicado ignorado: ${chaveUnica}`);
+      logger.debug({ chave: chaveUnica }, 'Fato duplicado ignorado');
     }
   }
   
-  console.log(`Total de fatos após validação: ${fatosUnicos.length} de ${conhecimento.entradas.length} originais`);
+  logger.debug({ validos: fatosUnicos.length, entradas: conhecimento.entradas.length }, 'Fatos validados');
   return fatosUnicos;
 }
 
@@ -425,6 +313,11 @@ function construirRespostaConsulta(consulta, resultados) {
     return null;
   }
   
+  // Consultas ao grafo têm formato próprio de resultado
+  if (consulta.tipo === 'grafo') {
+    return construirRespostaGrafo(consulta, resultados);
+  }
+  
   // Se o resultado é um único fato
   if (resultados.fact) {
     const fato = resultados.fact;
@@ -519,75 +412,307 @@ function construirRespostaConsulta(consulta, resultados) {
 }
 
 /**
- * Processa mensagem recebida do WhatsApp
- * @param {Object} message Objeto de mensagem do WhatsApp
- * @param {Object} sock Instância do cliente WhatsApp
+ * Constrói uma resposta para consultas ao grafo de conhecimento, explicando o caminho percorrido
+ * @param {Object} consulta Objeto com informações da consulta ao grafo
+ * @param {Object} resultado Resultado de answerGraphQuery
+ * @returns {String|null} Resposta formatada ou null se não puder responder
+ */
+function construirRespostaGrafo(consulta, resultado) {
+  if (!resultado.success || !resultado.resultados || resultado.resultados.length === 0) {
+    return null;
+  }
+  
+  const { rotulo, resultados } = resultado;
+  
+  switch (resultado.tipo) {
+    case 'atributos':
+      return resultados
+        .map(item => `${item.fato.chave} de ${rotulo(item.no)}: ${item.fato.valor}\n(${describePath(item.caminho, rotulo)})`)
+        .join('\n');
+      
+    case 'entidades':
+      return resultados
+        .map(item => `${consulta.parametros.atributo}: ${rotulo(item.no)}\n(${describePath(item.caminho, rotulo)})`)
+        .join('\n');
+      
+    case 'comuns': {
+      const [noA, noB] = resultado.nos;
+      const nomes = resultados.map(item => rotulo(item.no)).join(', ');
+      return `${consulta.parametros.relacao} em comum de ${rotulo(noA)} e ${rotulo(noB)}: ${nomes}.`;
+    }
+      
+    case 'caminho': {
+      const [noA, noB] = resultado.nos;
+      const passos = resultados[0].caminho
+        .map(aresta => `- ${describePath([aresta], rotulo)}`)
+        .join('\n');
+      return `${rotulo(noA)} e ${rotulo(noB)} estão ligados assim:\n${passos}`;
+    }
+      
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resume um fato para o diagnóstico do processamento
+ * @param {Object} fato Documento da coleção facts
+ * @returns {Object} Fato compacto, com ID e escopo
+ */
+function resumirFato(fato) {
+  return {
+    id: fato._id ? fato._id.toString() : null,
+    ...compactarFato(fato),
+    escopo: fato.escopo || null
+  };
+}
+
+/**
+ * Obtém os fatos usados para responder uma consulta específica
+ * @param {Object} resultado Resultado da consulta ao banco ou ao grafo
+ * @returns {Array} Fatos encontrados, sem repetições
+ */
+function fatosDaConsulta(resultado) {
+  let fatos = [];
+
+  if (resultado.fact) {
+    fatos = [resultado.fact];
+  } else if (Array.isArray(resultado.facts)) {
+    fatos = resultado.facts;
+  } else if (Array.isArray(resultado.resultados)) {
+    // No grafo, valem os fatos das arestas percorridas e o atributo encontrado
+    fatos = resultado.resultados.flatMap(item => [
+      ...(item.caminho || []).map(aresta => aresta.fato),
+      ...(item.fato ? [item.fato] : [])
+    ]);
+  }
+
+  return [...new Set(fatos.filter(Boolean))];
+}
+
+/**
+ * Envia uma resposta pelo transporte do canal, sem interromper o processamento em caso de falha
+ * @param {Object} transport Transporte do canal
+ * @param {String} chatId ID do chat de destino
+ * @param {Object} content Conteúdo da resposta ({ text } ou documento)
+ * @param {Object} replyTo Mensagem de entrada respondida
+ * @returns {Promise<Boolean>} true se a resposta foi entregue ao canal
+ */
+async function sendReply(transport, chatId, content, replyTo) {
+  try {
+    await transport.send(chatId, content, { replyTo });
+    logger.debug('Resposta enviada');
+    return true;
+  } catch (sendError) {
+    logger.error({ err: sendError }, 'Erro ao enviar resposta');
+    recordSendFailure(transport.name);
+    return false;
+  }
+}
+
+/**
+ * Indica que o bot começou ou terminou de digitar
+ * @param {Object} transport Transporte do canal
+ * @param {String} chatId ID do chat
+ * @param {Boolean} active Se o bot está digitando
+ */
+async function setTyping(transport, chatId, active) {
+  try {
+    await transport.setTyping(chatId, active);
+  } catch (presenceError) {
+    // Ignora erros de presença
+  }
+}
+
+/**
+ * Processa uma mensagem recebida por qualquer canal (ver processMessage)
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+ * @param {Object} transport Transporte do canal, usado para responder
  * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} options Opções do processamento
+ * @param {String} options.text Texto já tratado pela política de ativação (sem menção ou prefixo)
+ * @returns {Promise<Object>} Diagnóstico do processamento: origem da resposta (limite, comando,
+ * permissao, cache, consulta, aprendizado, llm ou erro), se a resposta foi entregue, cache,
+ * taxonomia, consulta e fatos usados
  */
-async function processMessage(message, sock, db) {
+async function processarMensagem(inbound, transport, db, options = {}) {
+  const diagnostico = {
+    origem: null,
+    entregue: false,
+    cache: { hit: false, metodo: null, similaridade: null },
+    taxonomia: null,
+    consulta: null,
+    fatos: [],
+    contexto: null,
+    modelo: null,
+    tokens: null
+  };
+
   try {
     // Obtém texto da mensagem
-    const messageText = extractMessageText(message);
-    if (!messageText) return;
+    const messageText = options.text || inbound.text;
+    if (!messageText) return diagnostico;
 
-    console.log(`Mensagem recebida: "${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}"`);
-    
     // Extrai informações da mensagem e remetente
-    const { remoteJid } = message.key;
-    const senderInfo = extractSenderInfo(message);
+    const { chatId } = inbound;
     
-    try {
-      // Envia indicação de que está digitando
-      await sock.presenceSubscribe(remoteJid);
-      await sock.sendPresenceUpdate('composing', remoteJid);
-    } catch (presenceError) {
-      // Ignora erros de presença
+    logger.info({
+      canal: inbound.channel,
+      chatId,
+      mensagemId: inbound.id,
+      texto: `${messageText.substring(0, 50)}${messageText.length > 50 ? '...' : ''}`
+    }, 'Mensagem recebida');
+    const senderInfo = extractSenderInfo(inbound);
+    
+    // Aplica os limites de uso antes de qualquer processamento; administradores ficam de fora
+    // para sempre poderem usar /limite e /desbloquear
+    const usageOrigin = { senderId: senderInfo.id, groupId: senderInfo.isGroup ? chatId : null };
+    const rateLimit = (await isAdmin(db, senderInfo.id)) ? { allowed: true } : await checkRateLimit(db, usageOrigin);
+    if (!rateLimit.allowed) {
+      // O aviso é enviado apenas uma vez por janela, para não gerar mais mensagens
+      if (rateLimit.notificar) {
+        await sendReply(transport, chatId, { text: rateLimit.mensagem }, inbound);
+      }
+      diagnostico.origem = 'limite';
+      return diagnostico;
     }
+    
+    // Envia indicação de que está digitando
+    await setTyping(transport, chatId, true);
 
     // Inicializa modelo de resposta
     const responseModel = new ResponseModel(db);
     
+    // Executa comandos registrados (ex: /esquecer) sem consultar a OpenAI
+    const commandReplies = await executeCommand(messageText, {
+      senderInfo,
+      chatId,
+      message: inbound,
+      db,
+      responseModel
+    });
+    
+    if (commandReplies) {
+      let entregues = 0;
+      for (const reply of commandReplies) {
+        if (await sendReply(transport, chatId, reply, inbound)) entregues++;
+      }
+      diagnostico.entregue = commandReplies.length > 0 && entregues === commandReplies.length;
+      await setTyping(transport, chatId, false);
+      diagnostico.origem = 'comando';
+      return diagnostico;
+    }
+    
     // Verifica se é um comando de aprendizado
     const isLearningCommand = messageText.startsWith('/aprender ');
     // Remove o prefixo '/aprender ' se for um comando de aprendizado
-    const processText = isLearningCommand ? messageText.substring(10).trim() : messageText;
+    let processText = isLearningCommand ? messageText.substring(10).trim() : messageText;
     
-    // Extrai palavras-chave da mensagem para busca padrão
-    const extractedKeywords = extractKeywords(processText);
+    // "/aprender global <texto>" grava diretamente no conhecimento de todos os chats
+    const isGlobalLearning = isLearningCommand && /^global\s+/i.test(processText);
+    if (isGlobalLearning) {
+      if (!(await hasRole(db, senderInfo.id, 'professor'))) {
+        await sendReply(transport, chatId, { text: 'Apenas professores e administradores podem ensinar conhecimento global.' }, inbound);
+        await setTyping(transport, chatId, false);
+        diagnostico.origem = 'permissao';
+        return diagnostico;
+      }
+      processText = processText.replace(/^global\s+/i, '');
+    }
     
-    // Verifica se já temos uma resposta semelhante no banco
-    let existingResponse;
-    try {
-      existingResponse = await responseModel.findResponseByKeywords(extractedKeywords);
-    } catch (dbError) {
-      console.error('Erro ao buscar resposta no banco:', dbError.message);
-      existingResponse = { success: false };
+    // Conhecimento aprendido fica restrito ao chat, salvo promoção explícita
+    const knowledgeScope = isGlobalLearning ? ResponseModel.GLOBAL_SCOPE : chatId;
+    
+    // Dono das respostas em cache: respostas pessoais só são servidas a ele
+    const responseOwner = {
+      senderId: senderInfo.id,
+      groupId: senderInfo.isGroup ? chatId : null,
+      escopo: knowledgeScope
+    };
+    
+    // Verifica se já temos uma resposta semelhante no banco; um /aprender sempre passa
+    // pelo LLM, então não paga pelo embedding da busca
+    let existingResponse = { success: false };
+    if (!isLearningCommand) {
+      try {
+        existingResponse = await findCachedResponse(responseModel, {
+          text: processText,
+          owner: responseOwner
+        });
+      } catch (dbError) {
+        logger.error({ err: dbError }, 'Erro ao buscar resposta no banco');
+      }
+    }
+    
+    if (existingResponse.success) {
+      diagnostico.cache = {
+        hit: true,
+        metodo: existingResponse.metodo || null,
+        similaridade: existingResponse.similarity ?? null
+      };
     }
     
     let finalResponse;
     let consultaProcessada = false;
     
-    if (existingResponse.success && !isLearningCommand) {
-      console.log("Resposta encontrada no banco de dados");
+    if (existingResponse.success) {
+      logger.info({ metodo: existingResponse.metodo }, 'Resposta encontrada no cache');
       finalResponse = existingResponse.response.resposta;
+      diagnostico.origem = 'cache';
     } else {
-      console.log("Solicitando resposta da OpenAI...");
+      logger.debug('Solicitando resposta da OpenAI');
       
       try {
-        // Obtém resposta da OpenAI, passando informações do remetente
-        const openAIResult = await getOpenAIResponse(processText, senderInfo);
+        // Recupera os fatos armazenados relevantes para fundamentar a resposta
+        const conhecimento = await retrieveKnowledge(responseModel, {
+          text: processText,
+          senderInfo,
+          chatId,
+          isLearningCommand
+        });
+        
+        if (conhecimento) {
+          diagnostico.contexto = {
+            fatos: conhecimento.fatos.map(resumirFato),
+            entidades: conhecimento.entidades.map(entidade => entidade.entidade_id || entidade.nome)
+          };
+        }
+        
+        // Obtém resposta da OpenAI, passando informações do remetente e o conhecimento recuperado
+        const openAIResult = await getOpenAIResponse(processText, senderInfo, conhecimento ? conhecimento.contexto : null, {
+          isLearningCommand
+        });
+        
+        // Contabiliza os tokens consumidos (mesmo quando a resposta é inválida) nas cotas
+        // diárias e no registro de consumo por remetente e grupo
+        if (openAIResult.usage) {
+          diagnostico.modelo = openAIResult.model || null;
+          diagnostico.tokens = openAIResult.usage;
+          
+          await recordTokenUsage(db, usageOrigin, openAIResult.usage);
+          await recordLLMUsage(db, {
+            ...usageOrigin,
+            provider: openAIResult.provider,
+            model: openAIResult.model,
+            isLearningCommand,
+            usage: openAIResult.usage
+          });
+        }
         
         if (openAIResult.success) {
           const { data } = openAIResult;
+          diagnostico.taxonomia = data.analise_taxonomica || null;
           
           // Se não é um comando de aprendizado, tenta processar como consulta
           if (!isLearningCommand) {
             // Analisa a taxonomia para verificar se é uma consulta específica
-            const analiseConsulta = analisarTaxonomia(data.analise_taxonomica, processText);
+            const { tipos: relacoes } = await responseModel.listRelationTypes(chatId);
+            const analiseConsulta = analisarTaxonomia(data.analise_taxonomica, processText, relacoes);
             
             // Se identificou uma consulta específica
             if (analiseConsulta) {
-              console.log(`Consulta específica identificada: ${analiseConsulta.tipo} -> ${analiseConsulta.alvo}`);
+              logger.info({ tipo: analiseConsulta.tipo, alvo: analiseConsulta.alvo }, 'Consulta específica identificada');
+              diagnostico.consulta = { tipo: analiseConsulta.tipo, alvo: analiseConsulta.alvo, parametros: analiseConsulta.parametros };
               
               let resultadoConsulta = null;
               
@@ -596,31 +721,31 @@ async function processMessage(message, sock, db) {
                 case 'identidade':
                   if (analiseConsulta.alvo === 'usuario') {
                     // Busca informação de identidade do usuário (ex: nome)
-                    resultadoConsulta = await responseModel.findFact('nome', 'nome', senderInfo.id);
+                    resultadoConsulta = await responseModel.findFact('nome', 'nome', senderInfo.id, chatId);
                   }
                   break;
                   
                 case 'relacao':
                   if (analiseConsulta.alvo === 'usuario') {
                     // Busca todas as relações do usuário
-                    resultadoConsulta = await responseModel.findRelationalFacts('relacao', senderInfo.id);
+                    resultadoConsulta = await responseModel.findRelationalFacts('relacao', senderInfo.id, null, chatId);
                   } else if (analiseConsulta.alvo === 'terceiro' && analiseConsulta.parametros.valor) {
                     // Busca relações específicas com um terceiro
                     resultadoConsulta = await responseModel.findRelationalFacts(
                       'relacao', 
                       senderInfo.id, 
-                      analiseConsulta.parametros.valor
+                      analiseConsulta.parametros.valor,
+                      chatId
                     );
                   }
                   break;
                   
                 case 'definicao':
                   if (analiseConsulta.alvo === 'conceito' && analiseConsulta.parametros.valor) {
-                    // Busca definição de um conceito
-                    resultadoConsulta = await responseModel.findFact(
-                      'definicao', 
-                      analiseConsulta.parametros.valor, 
-                      'geral'
+                    // Busca definição de um conceito (pelo termo ou por um alias da entidade)
+                    resultadoConsulta = await responseModel.findDefinition(
+                      analiseConsulta.parametros.valor,
+                      chatId
                     );
                   }
                   break;
@@ -629,10 +754,22 @@ async function processMessage(message, sock, db) {
                   if (analiseConsulta.alvo === 'conceito' && analiseConsulta.parametros.valor) {
                     // Busca propriedades de um conceito (ex: uma empresa)
                     resultadoConsulta = await responseModel.findConceptProperties(
-                      analiseConsulta.parametros.valor
+                      analiseConsulta.parametros.valor,
+                      chatId
                     );
                   }
                   break;
+                  
+                case 'grafo':
+                  // Percorre relações entre fatos e entidades, com limite de profundidade
+                  resultadoConsulta = await answerGraphQuery(responseModel, analiseConsulta, {
+                    senderId: senderInfo.id,
+                    escopo: chatId
+                  });
+                  if (!resultadoConsulta.success) {
+                    logger.info({ motivo: resultadoConsulta.message }, 'Consulta ao grafo sem resposta');
+                  }
+                  break;
               }
               
               // Se encontrou resultados para a consulta
@@ -645,103 +782,131 @@ async function processMessage(message, sock, db) {
                 if (respostaConsulta) {
                   finalResponse = respostaConsulta;
                   consultaProcessada = true;
-                  console.log("Consulta processada com sucesso");
+                  diagnostico.origem = 'consulta';
+                  diagnostico.fatos = fatosDaConsulta(resultadoConsulta).map(resumirFato);
+                  logger.debug('Consulta processada');
                 }
               }
+              
+              recordTaxonomyQuery(analiseConsulta.tipo, consultaProcessada);
             }
           }
           
           // Se não processou como consulta específica ou é um comando de aprendizado
           if (!consultaProcessada || isLearningCommand) {
             // Traduz o conhecimento para o formato do modelo de dados
-            const fatos = traduzirParaModeloDados(data.conhecimento, senderInfo.id);
+            const fatos = traduzirParaModeloDados(data.conhecimento, senderInfo.id, knowledgeScope);
             
-            // Adiciona logs de depuração
-            console.log("Análise taxonômica:", JSON.stringify(data.analise_taxonomica));
-            console.log("Conhecimento recebido:", JSON.stringify(data.conhecimento));
-            console.log("Fatos traduzidos:", JSON.stringify(fatos));
+            logger.debug({
+              taxonomia: data.analise_taxonomica,
+              conhecimento: data.conhecimento,
+              fatos
+            }, 'Conhecimento traduzido para o modelo de dados');
             
             // Salva a resposta no banco de dados apenas para comandos de aprendizado
             // ou se for informação relevante e não ambígua
             if (isLearningCommand) {
+              diagnostico.origem = 'aprendizado';
               try {
-                await responseModel.saveResponse({
-                  palavras_chave: data.palavras_chave,
-                  resposta: data.resposta,
-                  classificacao: data.classificacao
-                });
+                // Terceiros e conceitos passam a referenciar entidades canônicas; as entidades
+                // novas só são registradas quando os fatos forem gravados
+                const fatosVinculados = await linkFactEntities(responseModel, fatos, { registrar: false });
+                diagnostico.fatos = fatosVinculados.map(resumirFato);
+                
+                const aprendizado = {
+                  fatos: fatosVinculados,
+                  resposta: {
+                    palavras_chave: data.palavras_chave,
+                    resposta: data.resposta,
+                    classificacao: data.classificacao
+                  },
+                  texto: processText,
+                  owner: responseOwner,
+                  origem: { autor: senderInfo.id, mensagemId: inbound.id, fonte: inbound.channel }
+                };
+                
+                // Fatos que contradizem o que já sabemos só são gravados após confirmação
+                const conflitos = await findConflicts(responseModel, fatosVinculados);
                 
-                // Processa e salva os fatos traduzidos
-                if (fatos.length > 0) {
-                  console.log(`Conhecimento para armazenar: ${fatos.length} fatos`);
+                if (conflitos.length > 0) {
+                  finalResponse = await holdLearning(db, { chatId, senderId: senderInfo.id }, aprendizado, conflitos);
+                } else {
+                  const { fatos: fatosGravados } = await storeLearning(responseModel, aprendizado);
+                  diagnostico.fatos = fatosGravados.map(resumirFato);
                   
-                  for (const fato of fatos) {
-                    try {
-                      const saveResult = await responseModel.saveFact(fato);
-                      console.log(`Fato ${saveResult.updated ? 'atualizado' : 'salvo'}: ${fato.tipo} - ${fato.chave}`);
-                    } catch (factError) {
-                      console.error('Erro ao salvar fato:', factError.message);
-                    }
-                  }
+                  // Informa que o aprendizado foi concluído
+                  finalResponse = `Aprendizado concluído com sucesso. ${fatos.length} fatos foram armazenados.`;
                 }
-                
-                // Informa que o aprendizado foi concluído
-                finalResponse = `Aprendizado concluído com sucesso. ${fatos.length} fatos foram armazenados.`;
               } catch (saveError) {
-                console.error('Erro ao salvar conhecimento:', saveError.message);
+                logger.error({ err: saveError }, 'Erro ao salvar conhecimento');
                 finalResponse = "Houve um erro ao armazenar o conhecimento. Por favor, tente novamente.";
               }
             } else {
               // Se não é comando de aprendizado, apenas usa a resposta
               finalResponse = data.resposta;
+              diagnostico.origem = 'llm';
+              diagnostico.fatos = diagnostico.contexto ? diagnostico.contexto.fatos : [];
             }
           }
         } else {
-          console.error('Erro na resposta da OpenAI:', openAIResult.error);
+          logger.error({ erro: openAIResult.error }, 'Erro na resposta da OpenAI');
+          diagnostico.origem = 'erro';
+          diagnostico.erro = openAIResult.error;
           finalResponse = "Desculpe, não consegui processar sua pergunta. Por favor, tente novamente mais tarde.";
         }
       } catch (openaiError) {
-        console.error('Erro ao solicitar resposta da OpenAI:', openaiError.message);
+        logger.error({ err: openaiError }, 'Erro ao solicitar resposta da OpenAI');
+        diagnostico.origem = 'erro';
+        diagnostico.erro = openaiError.message;
         finalResponse = "Estou com problemas para obter uma resposta no momento. Por favor, tente novamente mais tarde.";
       }
     }
     
-    // Formata a resposta para envio
-    const formattedResponse = `*${process.env.BOT_NAME || 'Marvin'}*\n\n${finalResponse}`;
-    
-    // Envia resposta ao WhatsApp
-    try {
-      await sock.sendMessage(remoteJid, { text: formattedResponse }, { quoted: message });
-      console.log('Resposta enviada com sucesso');
-    } catch (sendError) {
-      console.error('Erro ao enviar resposta:', sendError.message);
-      // Tenta enviar sem citação caso falhe
-      try {
-        await sock.sendMessage(remoteJid, { text: formattedResponse });
-      } catch (secondSendError) {
-        console.error('Falha ao enviar resposta mesmo sem citação');
-      }
-    }
+    // Envia a resposta pelo canal de origem
+    diagnostico.entregue = await sendReply(transport, chatId, { text: finalResponse }, inbound);
     
     // Indica que terminou de digitar
-    try {
-      await sock.sendPresenceUpdate('paused', remoteJid);
-    } catch (presenceError) {
-      // Ignora erros de presença
-    }
+    await setTyping(transport, chatId, false);
     
+    return diagnostico;
   } catch (error) {
-    console.error("Erro ao processar mensagem:", error.message);
+    logger.error({ err: error }, 'Erro ao processar mensagem');
+    diagnostico.origem = 'erro';
+    diagnostico.erro = error.message;
     try {
       // Tenta enviar mensagem de erro
-      await sock.sendMessage(
-        message.key.remoteJid, 
+      await transport.send(
+        inbound.chatId,
         { text: "Ocorreu um erro ao processar sua mensagem. Por favor, tente novamente." }
       );
     } catch (sendError) {
-      console.error("Erro ao enviar mensagem de erro");
+      logger.error({ err: sendError }, 'Erro ao enviar mensagem de erro');
+      recordSendFailure(transport.name);
     }
+    return diagnostico;
   }
 }
 
+/**
+ * Processa uma mensagem recebida por qualquer canal, associando os logs gerados
+ * (inclusive nas chamadas à OpenAI e ao MongoDB) ao ID de correlação da mensagem
+ * e contabilizando a origem da resposta nas métricas e, quando a mensagem foi atendida e a
+ * resposta entregue, nas verificações de saúde
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+ * @param {Object} transport Transporte do canal, usado para responder
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} options Opções do processamento (ver processarMensagem)
+ * @returns {Promise<Object>} Diagnóstico do processamento
+ */
+function processMessage(inbound, transport, db, options = {}) {
+  return runWithCorrelation(inbound.correlationId, async () => {
+    const diagnostico = await processarMensagem(inbound, transport, db, options);
+    recordMessageProcessed(inbound, diagnostico.origem);
+    if (diagnostico.entregue && !ORIGENS_SEM_ATENDIMENTO.includes(diagnostico.origem)) {
+      recordSuccessfulMessage();
+    }
+    return diagnostico;
+  });
+}
+
 module.exports = { processMessage };
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Fila de mensagens por chat
+ * Mensagens de um mesmo chat são processadas em ordem, uma de cada vez; chats diferentes
+ * são processados em paralelo até o limite configurado. Mensagens consecutivas do mesmo
+ * remetente enviadas em sequência rápida são unidas em uma única solicitação.
+ */
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('messageQueue');
+
+// Quantidade padrão de chats processados ao mesmo tempo
+const DEFAULT_MAX_CONCURRENT_CHATS = 4;
+
+// Tempo padrão de espera por mensagens complementares do mesmo remetente
+const DEFAULT_DEBOUNCE_MS = 1000;
+
+/**
+ * Lê um inteiro não negativo do ambiente
+ * @param {String} nome Nome da variável de ambiente
+ * @param {Number} padrao Valor padrão
+ * @returns {Number} Valor configurado ou o padrão
+ */
+function lerInteiro(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+/**
+ * Cria uma fila de mensagens por chat
+ * @param {Object} options Opções da fila
+ * @param {Function} options.handler Função assíncrona que processa um item ({ message, text, senderId, transport })
+ * @param {Number} options.maxConcurrentChats Quantidade máxima de chats processados ao mesmo tempo
+ * @param {Number} options.debounceMs Janela para unir mensagens consecutivas do mesmo remetente (0 desativa)
+ * @returns {Object} Fila com enqueue e whenIdle
+ */
+function createMessageQueue({
+  handler,
+  maxConcurrentChats = lerInteiro('BOT_MAX_CONCURRENT_CHATS', DEFAULT_MAX_CONCURRENT_CHATS) || 1,
+  debounceMs = lerInteiro('BOT_DEBOUNCE_MS', DEFAULT_DEBOUNCE_MS)
+}) {
+  // Estado de cada chat: itens pendentes, se está em processamento e o timer de espera
+  const chats = new Map();
+  // Chats com itens prontos aguardando uma vaga, em ordem de chegada
+  const prontos = [];
+  // Funções a chamar quando a fila esvaziar
+  const aguardandoOcioso = [];
+  let ativos = 0;
+
+  /**
+   * Verifica se um novo item pode ser unido ao último item pendente do chat
+   * @param {Object} ultimo Último item pendente
+   * @param {Object} item Novo item
+   * @returns {Boolean} true se os itens devem ser unidos
+   */
+  const podeUnir = (ultimo, item) => {
+    if (!ultimo || debounceMs === 0) return false;
+    if (ultimo.senderId !== item.senderId) return false;
+
+    // Comandos são sempre processados isoladamente
+    if (ultimo.text.startsWith('/') || item.text.startsWith('/')) return false;
+
+    return item.receivedAt - ultimo.updatedAt <= debounceMs;
+  };
+
+  const notificarSeOcioso = () => {
+    if (ativos > 0 || chats.size > 0) return;
+    aguardandoOcioso.splice(0).forEach(resolve => resolve());
+  };
+
+  const despachar = () => {
+    while (ativos < maxConcurrentChats && prontos.length > 0) {
+      executar(prontos.shift());
+    }
+  };
+
+  /**
+   * Marca o chat como pronto após a janela de espera do último item pendente
+   * @param {String} chatId ID do chat
+   */
+  const agendar = (chatId) => {
+    const chat = chats.get(chatId);
+    if (!chat || chat.ativo || chat.pendentes.length === 0) return;
+
+    clearTimeout(chat.timer);
+    const ultimo = chat.pendentes[chat.pendentes.length - 1];
+    const espera = Math.max(0, ultimo.updatedAt + debounceMs - Date.now());
+
+    chat.timer = setTimeout(() => {
+      chat.timer = null;
+      if (!chat.ativo && !prontos.includes(chatId)) prontos.push(chatId);
+      despachar();
+    }, espera);
+  };
+
+  /**
+   * Processa o próximo item do chat e devolve a vaga, permitindo que outros chats avancem
+   * @param {String} chatId ID do chat
+   */
+  const executar = async (chatId) => {
+    const chat = chats.get(chatId);
+    const item = chat.pendentes.shift();
+
+    clearTimeout(chat.timer);
+    chat.timer = null;
+    ativos++;
+    chat.ativo = true;
+
+    try {
+      await handler(item);
+    } catch (error) {
+      logger.error({ err: error, chatId }, 'Erro ao processar mensagem da fila');
+    } finally {
+      ativos--;
+      chat.ativo = false;
+
+      if (chat.pendentes.length > 0) {
+        agendar(chatId);
+      } else {
+        chats.delete(chatId);
+      }
+
+      despachar();
+      notificarSeOcioso();
+    }
+  };
+
+  return {
+    /**
+     * Adiciona uma mensagem à fila do seu chat
+     * @param {String} chatId ID do chat
+     * @param {Object} entrada Mensagem a processar
+     * @param {Object} entrada.message Mensagem de entrada (modelo neutro de src/transports)
+     * @param {String} entrada.text Texto da mensagem
+     * @param {String} entrada.senderId ID do remetente
+     * @param {Object} entrada.transport Transporte do canal de origem
+     */
+    enqueue(chatId, { message, text, senderId, transport }) {
+      if (!chats.has(chatId)) {
+        chats.set(chatId, { pendentes: [], ativo: false, timer: null });
+      }
+
+      const chat = chats.get(chatId);
+      const agora = Date.now();
+      const item = { message, text, senderId, transport, receivedAt: agora, updatedAt: agora };
+      const ultimo = chat.pendentes[chat.pendentes.length - 1];
+
+      if (podeUnir(ultimo, item)) {
+        // A resposta cita a mensagem mais recente do remetente
+        ultimo.text = `${ultimo.text}\n${item.text}`;
+        ultimo.message = item.message;
+        ultimo.updatedAt = agora;
+        logger.debug({ chatId }, 'Mensagem unida à anterior do mesmo remetente');
+      } else {
+        chat.pendentes.push(item);
+      }
+
+      agendar(chatId);
+    },
+
+    /**
+     * Aguarda até que todas as mensagens da fila tenham sido processadas
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+      return new Promise(resolve => {
+        aguardandoOcioso.push(resolve);
+        notificarSeOcioso();
+      });
+    }
+  };
+}
+
+module.exports = { createMessageQueue };
\ No newline at end of file
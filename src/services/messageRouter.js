@@ -0,0 +1,120 @@
+/**
+ * Roteador de mensagens recebidas
+ * Aplica a todos os canais as mesmas regras antes do processamento: ignora mensagens
+ * do próprio bot e sem texto, respeita BOT_GROUP_ONLY, a política de ativação em grupos
+ * e o controle de acesso, e enfileira as mensagens aceitas na fila por chat.
+ */
+const { processMessage } = require('./messageProcessor');
+const { shouldRespond } = require('./triggerPolicy');
+const { checkAccess } = require('./authorization');
+const { createMessageQueue } = require('./messageQueue');
+const { getLogger } = require('../config/logger');
+const { recordMessageReceived, recordMessageIgnored } = require('./metrics');
+require('dotenv').config();
+
+const logger = getLogger('messageRouter');
+
+/**
+ * Registra no log uma mensagem ignorada, se BOT_LOG_IGNORED=true
+ * @param {Object} inbound Mensagem de entrada
+ * @param {String} motivo Motivo da recusa
+ */
+function logIgnored(inbound, motivo) {
+  if (process.env.BOT_LOG_IGNORED !== 'true') return;
+
+  const text = inbound.text || '';
+  logger.info({
+    correlationId: inbound.correlationId,
+    canal: inbound.channel,
+    chatId: inbound.chatId,
+    motivo,
+    texto: `${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`
+  }, 'Mensagem ignorada');
+}
+
+/**
+ * Cria o roteador de mensagens, com uma fila compartilhada entre os canais
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} options Opções do roteador
+ * @param {Object} options.queueOptions Opções repassadas à fila (ex: { debounceMs: 0 })
+ * @returns {Object} Roteador com route e whenIdle
+ */
+function createMessageRouter(db, { queueOptions = {} } = {}) {
+  const messageQueue = createMessageQueue({
+    ...queueOptions,
+    handler: (item) => processMessage(item.message, item.transport, db, { text: item.text })
+  });
+
+  return {
+    /**
+     * Decide se uma mensagem deve ser processada e, se sim, a enfileira
+     * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+     * @param {Object} transport Transporte do canal de origem, usado para responder
+     * @returns {Promise<Object>} { aceita, motivo }
+     */
+    async route(inbound, transport) {
+      if (!inbound) {
+        return { aceita: false, motivo: 'mensagem_propria' };
+      }
+
+      recordMessageReceived(inbound);
+
+      // Registra a recusa nas métricas
+      const ignorar = (motivo) => {
+        recordMessageIgnored(inbound, motivo);
+        return { aceita: false, motivo };
+      };
+
+      if (inbound.fromSelf) {
+        return ignorar('mensagem_propria');
+      }
+
+      if (!inbound.text) {
+        return ignorar('sem_texto');
+      }
+
+      // Processa apenas mensagens de grupo se a configuração BOT_GROUP_ONLY estiver ativa
+      if (process.env.BOT_GROUP_ONLY === 'true' && !inbound.isGroup) {
+        return ignorar('apenas_grupos');
+      }
+
+      // Em grupos, responde apenas quando o bot é acionado (menção, resposta, prefixo ou comando)
+      const trigger = await shouldRespond(inbound, { text: inbound.text, db });
+      if (!trigger.triggered) {
+        logIgnored(inbound, 'nao_acionado');
+        return ignorar('nao_acionado');
+      }
+
+      // Usuários bloqueados e grupos não liberados são ignorados
+      const access = await checkAccess(db, {
+        chatId: inbound.chatId,
+        isGroup: inbound.isGroup,
+        senderId: inbound.sender.id,
+        text: trigger.text
+      });
+      if (!access.allowed) {
+        logIgnored(inbound, access.motivo);
+        return ignorar(access.motivo);
+      }
+
+      messageQueue.enqueue(inbound.chatId, {
+        message: inbound,
+        text: trigger.text,
+        senderId: inbound.sender.id,
+        transport
+      });
+
+      return { aceita: true, motivo: trigger.motivo };
+    },
+
+    /**
+     * Aguarda até que todas as mensagens enfileiradas tenham sido processadas
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+      return messageQueue.whenIdle();
+    }
+  };
+}
+
+module.exports = { createMessageRouter };
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Métricas de operação do bot no formato do Prometheus (expostas em GET /metrics)
+ * Além das métricas padrão do processo Node.js, registra mensagens recebidas,
+ * processadas e ignoradas, o uso do cache de respostas e das consultas pela taxonomia,
+ * latência, erros e tokens do provedor de LLM, falhas de envio e reconexões do WhatsApp.
+ * Os rótulos não incluem chats nem remetentes, para manter a cardinalidade baixa.
+ */
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'marvin_' });
+
+const messagesReceived = new client.Counter({
+  name: 'marvin_messages_received_total',
+  help: 'Mensagens recebidas pelo roteador',
+  labelNames: ['channel', 'chat_type'],
+  registers: [registry]
+});
+
+const messagesIgnored = new client.Counter({
+  name: 'marvin_messages_ignored_total',
+  help: 'Mensagens recebidas que não foram processadas, por motivo',
+  labelNames: ['channel', 'chat_type', 'reason'],
+  registers: [registry]
+});
+
+const messagesProcessed = new client.Counter({
+  name: 'marvin_messages_processed_total',
+  help: 'Mensagens processadas, pela origem da resposta (cache, consulta, llm, comando...)',
+  labelNames: ['channel', 'chat_type', 'origin'],
+  registers: [registry]
+});
+
+const cacheLookups = new client.Counter({
+  name: 'marvin_response_cache_lookups_total',
+  help: 'Buscas no cache de respostas, por método (semantico, palavras_chave) e resultado (hit, miss)',
+  labelNames: ['method', 'result'],
+  registers: [registry]
+});
+
+const taxonomyQueries = new client.Counter({
+  name: 'marvin_taxonomy_queries_total',
+  help: 'Consultas específicas identificadas pela taxonomia, por tipo e resultado (hit, miss)',
+  labelNames: ['type', 'result'],
+  registers: [registry]
+});
+
+const llmDuration = new client.Histogram({
+  name: 'marvin_llm_request_duration_seconds',
+  help: 'Latência das chamadas ao provedor de LLM',
+  labelNames: ['provider', 'status'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 16, 32],
+  registers: [registry]
+});
+
+const llmErrors = new client.Counter({
+  name: 'marvin_llm_errors_total',
+  help: 'Erros nas chamadas ao provedor de LLM (request: falha na chamada; response: resposta inválida)',
+  labelNames: ['provider', 'kind'],
+  registers: [registry]
+});
+
+const llmTokens = new client.Counter({
+  name: 'marvin_llm_tokens_total',
+  help: 'Tokens consumidos no provedor de LLM, por tipo (prompt, completion)',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [registry]
+});
+
+const sendFailures = new client.Counter({
+  name: 'marvin_send_failures_total',
+  help: 'Falhas ao enviar respostas pelo canal',
+  labelNames: ['channel'],
+  registers: [registry]
+});
+
+const whatsappReconnects = new client.Counter({
+  name: 'marvin_whatsapp_reconnects_total',
+  help: 'Tentativas de reconexão ao WhatsApp, por motivo (closed, error)',
+  labelNames: ['reason'],
+  registers: [registry]
+});
+
+/**
+ * Obtém o tipo de chat usado nos rótulos
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+ * @returns {String} grupo ou privado
+ */
+function chatType(inbound) {
+  return inbound.isGroup ? 'grupo' : 'privado';
+}
+
+/**
+ * Registra uma mensagem recebida pelo roteador
+ * @param {Object} inbound Mensagem de entrada
+ */
+function recordMessageReceived(inbound) {
+  messagesReceived.inc({ channel: inbound.channel, chat_type: chatType(inbound) });
+}
+
+/**
+ * Registra uma mensagem ignorada pelo roteador
+ * @param {Object} inbound Mensagem de entrada
+ * @param {String} motivo Motivo da recusa (ex: nao_acionado, bloqueado)
+ */
+function recordMessageIgnored(inbound, motivo) {
+  messagesIgnored.inc({ channel: inbound.channel, chat_type: chatType(inbound), reason: motivo });
+}
+
+/**
+ * Registra uma mensagem processada
+ * @param {Object} inbound Mensagem de entrada
+ * @param {String|null} origem Origem da resposta no diagnóstico do processamento
+ */
+function recordMessageProcessed(inbound, origem) {
+  messagesProcessed.inc({ channel: inbound.channel, chat_type: chatType(inbound), origin: origem || 'nenhuma' });
+}
+
+/**
+ * Registra uma busca no cache de respostas
+ * @param {String} metodo Método da busca (semantico ou palavras_chave)
+ * @param {Boolean} encontrada Se uma resposta foi encontrada
+ */
+function recordCacheLookup(metodo, encontrada) {
+  cacheLookups.inc({ method: metodo, result: encontrada ? 'hit' : 'miss' });
+}
+
+/**
+ * Registra uma consulta específica identificada pela taxonomia
+ * @param {String} tipo Tipo da consulta (identidade, relacao, definicao, propriedade, grafo)
+ * @param {Boolean} respondida Se a consulta produziu uma resposta
+ */
+function recordTaxonomyQuery(tipo, respondida) {
+  taxonomyQueries.inc({ type: tipo, result: respondida ? 'hit' : 'miss' });
+}
+
+/**
+ * Registra uma chamada ao provedor de LLM
+ * @param {Object} params Dados da chamada
+ * @param {String} params.provider Nome do provedor
+ * @param {String} params.model Modelo usado
+ * @param {Number} params.durationMs Duração da chamada em milissegundos
+ * @param {Object} params.usage Uso de tokens informado pelo provedor
+ * @param {String|null} params.error Tipo do erro (request ou response), se houve
+ */
+function recordLLMCall({ provider, model, durationMs, usage = null, error = null }) {
+  llmDuration.observe({ provider, status: error ? 'error' : 'ok' }, durationMs / 1000);
+
+  if (error) {
+    recordLLMError(provider, error);
+  }
+
+  if (usage) {
+    llmTokens.inc({ provider, model: model || 'desconhecido', type: 'prompt' }, usage.prompt_tokens || 0);
+    llmTokens.inc({ provider, model: model || 'desconhecido', type: 'completion' }, usage.completion_tokens || 0);
+  }
+}
+
+/**
+ * Registra um erro do provedor de LLM
+ * @param {String} provider Nome do provedor
+ * @param {String} kind request (falha na chamada) ou response (resposta inválida)
+ */
+function recordLLMError(provider, kind) {
+  llmErrors.inc({ provider, kind });
+}
+
+/**
+ * Registra uma falha ao enviar uma resposta
+ * @param {String} channel Nome do canal
+ */
+function recordSendFailure(channel) {
+  sendFailures.inc({ channel: channel || 'desconhecido' });
+}
+
+/**
+ * Registra uma tentativa de reconexão ao WhatsApp
+ * @param {String} motivo closed (conexão fechada) ou error (erro ao conectar)
+ */
+function recordReconnect(motivo) {
+  whatsappReconnects.inc({ reason: motivo });
+}
+
+module.exports = {
+  registry,
+  recordMessageReceived,
+  recordMessageIgnored,
+  recordMessageProcessed,
+  recordCacheLookup,
+  recordTaxonomyQuery,
+  recordLLMCall,
+  recordLLMError,
+  recordSendFailure,
+  recordReconnect
+};
\ No newline at end of file
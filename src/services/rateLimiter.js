@@ -0,0 +1,218 @@
+/**
+ * Serviço de limites de uso
+ * Aplica limites de mensagens em janelas deslizantes (por remetente e por grupo)
+ * e cotas diárias de tokens da OpenAI. Limites podem ser aumentados por número com /limite.
+ * Um limite configurado com 0 fica desativado.
+ */
+const RateLimitModel = require('../models/RateLimit');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('rateLimiter');
+
+const MINUTO_MS = 60 * 1000;
+const HORA_MS = 60 * MINUTO_MS;
+
+// Limites padrão, usados quando o ambiente não define outros valores
+const DEFAULT_LIMITS = {
+  usuario: { porMinuto: 6, porHora: 60, tokensPorDia: 50000 },
+  grupo: { porMinuto: 20, porHora: 300, tokensPorDia: 200000 }
+};
+
+// Respostas educadas enviadas (uma vez por janela) quando um limite é atingido
+const MENSAGENS_LIMITE = {
+  usuario_minuto: 'Você está enviando mensagens muito rápido. Aguarde um minuto e tente novamente, por favor.',
+  usuario_hora: 'Você atingiu o limite de mensagens desta hora. Tente novamente mais tarde, por favor.',
+  usuario_tokens: 'Você atingiu sua cota diária de uso. Volto a responder suas perguntas amanhã!',
+  grupo_minuto: 'Este grupo está enviando muitas mensagens. Aguarde um minuto e tente novamente, por favor.',
+  grupo_hora: 'Este grupo atingiu o limite de mensagens desta hora. Tente novamente mais tarde, por favor.',
+  grupo_tokens: 'Este grupo atingiu a cota diária de uso. Volto a responder amanhã!'
+};
+
+/**
+ * Lê um limite do ambiente
+ * @param {String} nome Nome da variável de ambiente
+ * @param {Number} padrao Valor padrão
+ * @returns {Number} Limite configurado ou o padrão
+ */
+function lerLimite(nome, padrao) {
+  const valor = parseInt(process.env[nome], 10);
+  return Number.isNaN(valor) || valor < 0 ? padrao : valor;
+}
+
+/**
+ * Obtém os limites padrão configurados no ambiente
+ * @returns {Object} Limites de usuários e grupos
+ */
+function getDefaultLimits() {
+  return {
+    usuario: {
+      porMinuto: lerLimite('RATE_LIMIT_USER_PER_MINUTE', DEFAULT_LIMITS.usuario.porMinuto),
+      porHora: lerLimite('RATE_LIMIT_USER_PER_HOUR', DEFAULT_LIMITS.usuario.porHora),
+      tokensPorDia: lerLimite('TOKEN_QUOTA_USER_DAILY', DEFAULT_LIMITS.usuario.tokensPorDia)
+    },
+    grupo: {
+      porMinuto: lerLimite('RATE_LIMIT_GROUP_PER_MINUTE', DEFAULT_LIMITS.grupo.porMinuto),
+      porHora: lerLimite('RATE_LIMIT_GROUP_PER_HOUR', DEFAULT_LIMITS.grupo.porHora),
+      tokensPorDia: lerLimite('TOKEN_QUOTA_GROUP_DAILY', DEFAULT_LIMITS.grupo.tokensPorDia)
+    }
+  };
+}
+
+/**
+ * Obtém o dia atual (UTC) usado nas cotas de tokens
+ * @returns {String} Dia no formato AAAA-MM-DD
+ */
+function diaAtual() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Obtém o início do próximo dia (UTC), quando as cotas de tokens são renovadas
+ * @returns {Date} Meia-noite UTC do próximo dia
+ */
+function proximoDia() {
+  const amanha = new Date();
+  amanha.setUTCHours(24, 0, 0, 0);
+  return amanha;
+}
+
+/**
+ * Obtém os limites efetivos de um remetente (padrão com os limites personalizados aplicados)
+ * @param {RateLimitModel} rateLimitModel Instância do modelo de limites
+ * @param {String} senderId ID do remetente (apenas o número)
+ * @returns {Promise<Object>} Limites do remetente
+ */
+async function getUserLimits(rateLimitModel, senderId) {
+  const limites = getDefaultLimits().usuario;
+  const personalizado = await rateLimitModel.getOverride(String(senderId));
+
+  return personalizado.success ? { ...limites, ...personalizado.override.limites } : limites;
+}
+
+/**
+ * Verifica os limites de uma chave, na ordem: minuto, hora e tokens do dia
+ * @param {RateLimitModel} rateLimitModel Instância do modelo de limites
+ * @param {String} chave Chave do limite
+ * @param {Object} limites Limites aplicáveis
+ * @returns {Promise<Object|null>} Limite atingido ({ motivo, expiraEm }) ou null
+ */
+async function verificarChave(rateLimitModel, chave, limites) {
+  const agora = Date.now();
+
+  const janelas = [
+    { motivo: 'minuto', limite: limites.porMinuto, duracao: MINUTO_MS },
+    { motivo: 'hora', limite: limites.porHora, duracao: HORA_MS }
+  ];
+
+  for (const { motivo, limite, duracao } of janelas) {
+    if (!limite) continue;
+
+    const resultado = await rateLimitModel.countEvents(chave, new Date(agora - duracao));
+    if (resultado.success && resultado.count >= limite) {
+      return { motivo, expiraEm: new Date(agora + duracao) };
+    }
+  }
+
+  if (limites.tokensPorDia) {
+    const uso = await rateLimitModel.getTokenUsage(chave, diaAtual());
+    if (uso.success && uso.tokens >= limites.tokensPorDia) {
+      return { motivo: 'tokens', expiraEm: proximoDia() };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Verifica se uma mensagem pode ser processada e, se puder, registra-a nos limites
+ * Falhas no banco não bloqueiam o bot: a mensagem é liberada.
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} params Origem da mensagem
+ * @param {String} params.senderId ID do remetente (apenas o número)
+ * @param {String|null} params.groupId JID do grupo, se a mensagem veio de um grupo
+ * @returns {Promise<Object>} { allowed } ou { allowed: false, motivo, mensagem, notificar }
+ */
+async function checkRateLimit(db, { senderId, groupId = null }) {
+  const rateLimitModel = new RateLimitModel(db);
+  const padrao = getDefaultLimits();
+
+  const verificacoes = [
+    { tipo: 'usuario', chave: `usuario:${senderId}`, limites: await getUserLimits(rateLimitModel, senderId) }
+  ];
+  if (groupId) {
+    verificacoes.push({ tipo: 'grupo', chave: `grupo:${groupId}`, limites: padrao.grupo });
+  }
+
+  for (const { tipo, chave, limites } of verificacoes) {
+    const atingido = await verificarChave(rateLimitModel, chave, limites);
+    if (!atingido) continue;
+
+    const motivo = `${tipo}_${atingido.motivo}`;
+    const aviso = await rateLimitModel.markNotified(chave, motivo, atingido.expiraEm);
+
+    logger.info({ motivo, chave }, 'Limite de uso atingido');
+    return {
+      allowed: false,
+      motivo,
+      mensagem: MENSAGENS_LIMITE[motivo],
+      notificar: aviso.success && aviso.notificar
+    };
+  }
+
+  await rateLimitModel.recordEvent(verificacoes.map(({ chave }) => chave));
+  return { allowed: true };
+}
+
+/**
+ * Registra os tokens consumidos por uma resposta nas cotas diárias
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} params Origem da mensagem ({ senderId, groupId })
+ * @param {Object|null} usage Uso informado pelo provedor de LLM ({ total_tokens })
+ * @returns {Promise<void>}
+ */
+async function recordTokenUsage(db, { senderId, groupId = null }, usage) {
+  const tokens = usage && usage.total_tokens;
+  if (!tokens) return;
+
+  const chaves = [`usuario:${senderId}`];
+  if (groupId) chaves.push(`grupo:${groupId}`);
+
+  await new RateLimitModel(db).addTokenUsage(chaves, diaAtual(), tokens);
+}
+
+/**
+ * Resume os limites e o uso atual de um número (usado pelo comando /limite)
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} senderId Número do usuário
+ * @returns {Promise<Object>} Limites efetivos, se são personalizados e uso atual
+ */
+async function getUsageSummary(db, senderId) {
+  const rateLimitModel = new RateLimitModel(db);
+  const chave = `usuario:${senderId}`;
+  const agora = Date.now();
+
+  const [limites, personalizado, minuto, hora, tokens] = await Promise.all([
+    getUserLimits(rateLimitModel, senderId),
+    rateLimitModel.getOverride(String(senderId)),
+    rateLimitModel.countEvents(chave, new Date(agora - MINUTO_MS)),
+    rateLimitModel.countEvents(chave, new Date(agora - HORA_MS)),
+    rateLimitModel.getTokenUsage(chave, diaAtual())
+  ]);
+
+  return {
+    limites,
+    personalizado: personalizado.success,
+    uso: {
+      porMinuto: minuto.count || 0,
+      porHora: hora.count || 0,
+      tokensPorDia: tokens.tokens || 0
+    }
+  };
+}
+
+module.exports = {
+  checkRateLimit,
+  recordTokenUsage,
+  getUsageSummary
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * Cache semântico de respostas
+ * Compara o embedding da pergunta com o das perguntas já respondidas e reutiliza
+ * a resposta mais similar acima do limiar configurado. Sem provedor de embeddings,
+ * ou para respostas antigas sem embedding, usa a correspondência de palavras-chave
+ * ponderada por TF-IDF.
+ */
+const { getEmbeddingProvider } = require('../providers/embeddings');
+const { extractKeywords, normalizeKeywords, createIdf } = require('./keywordExtractor');
+const { getLogger } = require('../config/logger');
+const { recordCacheLookup } = require('./metrics');
+const { recordLLMUsage } = require('./usageAccounting');
+require('dotenv').config();
+
+const logger = getLogger('responseCache');
+
+// Tempo de validade das estatísticas de IDF em memória
+const IDF_TTL_MS = 10 * 60 * 1000;
+
+// Estatísticas de IDF carregadas do corpus de respostas
+let idfCache = { idf: null, loadedAt: 0 };
+
+/**
+ * Lê as opções de ranqueamento do ambiente
+ * @returns {Object} Limiar de similaridade e quantidade máxima de candidatos
+ */
+function getRankingOptions() {
+  return {
+    threshold: parseFloat(process.env.RESPONSE_CACHE_SIMILARITY_THRESHOLD) || undefined,
+    maxCandidates: parseInt(process.env.RESPONSE_CACHE_MAX_CANDIDATES, 10) || undefined
+  };
+}
+
+/**
+ * Obtém a função de IDF do corpus de respostas, recarregando-a periodicamente
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @returns {Promise<Function|null>} Função de IDF ou null se indisponível
+ */
+async function getIdf(responseModel) {
+  if (idfCache.idf && Date.now() - idfCache.loadedAt < IDF_TTL_MS) {
+    return idfCache.idf;
+  }
+
+  const stats = await responseModel.getKeywordStatistics();
+  if (!stats.success) return idfCache.idf;
+
+  idfCache = { idf: createIdf(stats), loadedAt: Date.now() };
+  return idfCache.idf;
+}
+
+/**
+ * Calcula o embedding de um texto com o provedor configurado, registrando os tokens
+ * consumidos no nome do dono da pergunta
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {String} text Texto de entrada
+ * @param {Object} owner Dono da pergunta ({ senderId, groupId })
+ * @returns {Promise<Object|null>} Embedding e modelo, ou null se indisponível
+ */
+async function embedText(responseModel, text, owner = {}) {
+  try {
+    const provider = getEmbeddingProvider();
+    if (!provider) return null;
+
+    const { embedding, usage } = await provider.embed(text);
+
+    if (usage) {
+      await recordLLMUsage(responseModel.db, {
+        senderId: owner.senderId || null,
+        groupId: owner.groupId || null,
+        provider: provider.name,
+        model: provider.model,
+        tipo: 'embedding',
+        usage
+      });
+    }
+
+    return { embedding, modelo: provider.model };
+  } catch (error) {
+    logger.error({ err: error }, 'Erro ao calcular embedding');
+    return null;
+  }
+}
+
+/**
+ * Procura uma resposta em cache para a pergunta
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} params Parâmetros da busca
+ * @param {String} params.text Texto da pergunta
+ * @param {Object} params.owner Dono da consulta ({ senderId, groupId, escopo })
+ * @returns {Promise<Object>} Resultado da busca, com o método usado e a similaridade
+ */
+async function findCachedResponse(responseModel, { text, owner }) {
+  const vetor = await embedText(responseModel, text, owner);
+
+  if (vetor) {
+    const similar = await responseModel.findSimilarResponse(vetor.embedding, {
+      ...owner,
+      ...getRankingOptions(),
+      modelo: vetor.modelo
+    });
+
+    recordCacheLookup('semantico', similar.success);
+    if (similar.success) {
+      logger.info({ similaridade: Number(similar.similarity.toFixed(3)) }, 'Resposta em cache encontrada por similaridade');
+      return { ...similar, metodo: 'semantico' };
+    }
+  }
+
+  // Respostas anteriores ao cache semântico (ou sem provedor) usam palavras-chave
+  const idf = await getIdf(responseModel);
+  const keywords = extractKeywords(text, 10, { idf });
+
+  const porPalavras = await responseModel.findResponseByKeywords(keywords, {
+    ...owner,
+    idf,
+    semEmbedding: Boolean(vetor)
+  });
+  recordCacheLookup('palavras_chave', porPalavras.success);
+
+  return { ...porPalavras, metodo: 'palavras_chave' };
+}
+
+/**
+ * Armazena uma resposta no cache, junto do embedding da pergunta quando disponível
+ * @param {ResponseModel} responseModel Instância do modelo de respostas
+ * @param {Object} responseData Dados da resposta (palavras_chave, resposta, classificacao, fatos_ids)
+ * @param {Object} params Parâmetros do armazenamento
+ * @param {String} params.text Texto da pergunta
+ * @param {Object} params.owner Dono da resposta ({ senderId, groupId, escopo })
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function cacheResponse(responseModel, responseData, { text, owner }) {
+  const vetor = await embedText(responseModel, text, owner);
+
+  // Palavras-chave no mesmo formato usado nas buscas: as do modelo somadas às da pergunta
+  const palavrasChave = normalizeKeywords([...(responseData.palavras_chave || []), text]);
+
+  const dados = { ...responseData, palavras_chave: palavrasChave };
+
+  if (vetor) {
+    dados.pergunta = text;
+    dados.embedding = vetor.embedding;
+    dados.embedding_modelo = vetor.modelo;
+  }
+
+  return responseModel.saveResponse(dados, owner);
+}
+
+module.exports = { findCachedResponse, cacheResponse };
\ No newline at end of file
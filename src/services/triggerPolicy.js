@@ -0,0 +1,156 @@
+/**
+ * Política de ativação do bot em grupos
+ * Define quando uma mensagem de grupo é endereçada ao bot:
+ * - mencao: a mensagem menciona o número do bot (@bot)
+ * - resposta: a mensagem responde (cita) uma mensagem do bot
+ * - prefixo: a mensagem começa com o nome do bot (ex: "Marvin, ...")
+ * - comandos: apenas comandos de barra (ex: /aprender)
+ * - todas: qualquer mensagem
+ * Comandos de barra são sempre aceitos. Cada grupo pode escolher seus modos com /modo.
+ */
+const GroupSettingsModel = require('../models/GroupSettings');
+require('dotenv').config();
+
+const TRIGGER_MODES = ['mencao', 'resposta', 'prefixo', 'comandos', 'todas'];
+
+// Tempo de validade dos modos de cada grupo em memória
+const SETTINGS_TTL_MS = 60 * 1000;
+
+// Modos de ativação por grupo já carregados do banco
+const settingsCache = new Map();
+
+/**
+ * Converte uma lista de modos em texto (separados por vírgula ou espaço) em um array válido
+ * @param {String} texto Modos informados
+ * @returns {Array} Modos reconhecidos
+ */
+function parseModes(texto) {
+  return (texto || '')
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(modo => TRIGGER_MODES.includes(modo));
+}
+
+/**
+ * Obtém os modos de ativação padrão configurados no ambiente
+ * @returns {Array} Modos padrão
+ */
+function getDefaultModes() {
+  const modos = parseModes(process.env.BOT_TRIGGER_MODES);
+  return modos.length > 0 ? modos : ['todas'];
+}
+
+/**
+ * Escapa caracteres especiais para uso seguro em expressões regulares
+ * @param {String} texto Texto a ser escapado
+ * @returns {String} Texto escapado
+ */
+function escapeRegex(texto) {
+  return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Avalia se uma mensagem de grupo aciona o bot
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+ * @param {Object} params Parâmetros da avaliação
+ * @param {String} params.text Texto da mensagem
+ * @param {Array} params.modes Modos de ativação do grupo
+ * @returns {Object} { triggered, motivo, text } com o texto sem o prefixo
+ */
+function evaluateTrigger(inbound, { text, modes }) {
+  if (text.startsWith('/')) {
+    return { triggered: true, motivo: 'comando', text };
+  }
+
+  if (modes.includes('todas')) {
+    return { triggered: true, motivo: 'todas', text };
+  }
+
+  // O transporte já remove a menção ao bot do texto
+  if (modes.includes('mencao') && inbound.mentionsBot) {
+    return { triggered: true, motivo: 'mencao', text };
+  }
+
+  if (modes.includes('resposta') && inbound.replyToBot) {
+    return { triggered: true, motivo: 'resposta', text };
+  }
+
+  if (modes.includes('prefixo')) {
+    const botName = escapeRegex(process.env.BOT_NAME || 'Marvin');
+    const prefixo = new RegExp(`^@?${botName}\\b[\\s,:!?.-]*`, 'i');
+    if (prefixo.test(text)) {
+      return { triggered: true, motivo: 'prefixo', text: text.replace(prefixo, '').trim() };
+    }
+  }
+
+  return { triggered: false, motivo: null, text };
+}
+
+/**
+ * Obtém os modos de ativação de um grupo (configuração do grupo ou padrão do ambiente)
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} grupoId ID do chat do grupo
+ * @returns {Promise<Array>} Modos de ativação
+ */
+async function getGroupModes(db, grupoId) {
+  const cached = settingsCache.get(grupoId);
+  if (cached && Date.now() - cached.loadedAt < SETTINGS_TTL_MS) {
+    return cached.modes;
+  }
+
+  const settingsModel = new GroupSettingsModel(db);
+  const resultado = await settingsModel.getSettings(grupoId);
+
+  const modes = resultado.success && Array.isArray(resultado.settings.modos_ativacao) && resultado.settings.modos_ativacao.length > 0
+    ? resultado.settings.modos_ativacao
+    : getDefaultModes();
+
+  settingsCache.set(grupoId, { modes, loadedAt: Date.now() });
+  return modes;
+}
+
+/**
+ * Altera os modos de ativação de um grupo
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {String} grupoId JID do grupo
+ * @param {Array} modes Novos modos de ativação
+ * @param {String} alteradoPor ID de quem fez a alteração
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function setGroupModes(db, grupoId, modes, alteradoPor) {
+  const settingsModel = new GroupSettingsModel(db);
+  const resultado = await settingsModel.setTriggerModes(grupoId, modes, alteradoPor);
+
+  if (resultado.success) {
+    settingsCache.set(grupoId, { modes, loadedAt: Date.now() });
+  }
+
+  return resultado;
+}
+
+/**
+ * Decide se uma mensagem deve ser processada pelo bot
+ * Mensagens privadas sempre são processadas; mensagens de grupo seguem os modos do grupo.
+ * @param {Object} inbound Mensagem de entrada (modelo neutro de src/transports)
+ * @param {Object} params Parâmetros da decisão
+ * @param {String} params.text Texto da mensagem
+ * @param {Object} params.db Instância do banco de dados MongoDB
+ * @returns {Promise<Object>} { triggered, motivo, text }
+ */
+async function shouldRespond(inbound, { text, db }) {
+  if (!inbound.isGroup) {
+    return { triggered: true, motivo: 'privado', text };
+  }
+
+  const modes = await getGroupModes(db, inbound.chatId);
+  return evaluateTrigger(inbound, { text, modes });
+}
+
+module.exports = {
+  TRIGGER_MODES,
+  parseModes,
+  getGroupModes,
+  setGroupModes,
+  evaluateTrigger,
+  shouldRespond
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * Contabilidade de tokens e custos do provedor de LLM
+ * Cada chamada é registrada na coleção usage com remetente, grupo, modelo, tipo
+ * (aprendizado, pergunta ou embedding), tokens e custo estimado. Os relatórios somam o consumo
+ * por dia ou por mês e são usados pela API administrativa e pelo comando /uso.
+ */
+const UsageModel = require('../models/Usage');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('usageAccounting');
+
+// Preços padrão em dólares por milhão de tokens; modelos sem preço (ex: locais) custam zero
+const PRECOS_PADRAO = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'text-embedding-3-small': { prompt: 0.02, completion: 0 },
+  'text-embedding-3-large': { prompt: 0.13, completion: 0 },
+  'text-embedding-ada-002': { prompt: 0.1, completion: 0 }
+};
+
+// Períodos exibidos quando a consulta não informa o intervalo
+const PERIODOS_PADRAO = { dia: 7, mes: 3 };
+
+// Formato dos períodos aceitos em inicio e fim
+const FORMATOS_PERIODO = {
+  dia: /^\d{4}-\d{2}-\d{2}$/,
+  mes: /^\d{4}-\d{2}$/
+};
+
+/**
+ * Obtém a tabela de preços, com os valores de LLM_PRICING sobrepostos aos padrões
+ * Ex: LLM_PRICING={"llama3":{"prompt":0.1,"completion":0.1}}
+ * @returns {Object} Preços por modelo em dólares por milhão de tokens
+ */
+function getPricing() {
+  if (!process.env.LLM_PRICING) return PRECOS_PADRAO;
+
+  try {
+    return { ...PRECOS_PADRAO, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (error) {
+    logger.warn({ err: error }, 'LLM_PRICING inválido; usando os preços padrão');
+    return PRECOS_PADRAO;
+  }
+}
+
+/**
+ * Estima o custo de uma chamada
+ * Versões datadas usam o preço do modelo base (ex: gpt-4o-2024-08-06 → gpt-4o).
+ * @param {String} modelo Modelo usado
+ * @param {Object} usage Uso informado pelo provedor ({ prompt_tokens, completion_tokens })
+ * @returns {Number} Custo estimado em dólares
+ */
+function estimateCost(modelo, usage) {
+  if (!modelo || !usage) return 0;
+
+  const precos = getPricing();
+  const base = Object.keys(precos)
+    .filter(nome => modelo === nome || modelo.startsWith(`${nome}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!base) return 0;
+
+  const custo = ((usage.prompt_tokens || 0) * precos[base].prompt + (usage.completion_tokens || 0) * precos[base].completion) / 1e6;
+  return Number(custo.toFixed(8));
+}
+
+/**
+ * Registra o consumo de uma chamada ao provedor de LLM
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} chamada Dados da chamada
+ * @param {String} chamada.senderId Número de quem enviou a mensagem
+ * @param {String|null} chamada.groupId JID do grupo, se a mensagem veio de um grupo
+ * @param {String} chamada.provider Nome do provedor de LLM
+ * @param {String} chamada.model Modelo usado
+ * @param {String} chamada.tipo Tipo da chamada (ex: embedding); se omitido, aprendizado ou pergunta
+ * @param {Boolean} chamada.isLearningCommand Se a chamada foi feita por um /aprender
+ * @param {Object} chamada.usage Uso informado pelo provedor
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function recordLLMUsage(db, { senderId, groupId = null, provider, model, tipo, isLearningCommand, usage }) {
+  if (!usage) return { success: false, error: 'Uso não informado pelo provedor' };
+
+  return new UsageModel(db).recordUsage({
+    remetenteId: senderId,
+    grupoId: groupId,
+    provedor: provider || null,
+    modelo: model || null,
+    tipo: tipo || (isLearningCommand ? 'aprendizado' : 'pergunta'),
+    tokens: {
+      prompt: usage.prompt_tokens || 0,
+      completion: usage.completion_tokens || 0,
+      total: usage.total_tokens || 0
+    },
+    custo: estimateCost(model, usage)
+  });
+}
+
+/**
+ * Calcula o período (dia ou mês, em UTC) deslocado a partir de hoje
+ * @param {String} periodo dia ou mes
+ * @param {Number} deslocamento Quantidade de períodos para trás
+ * @returns {String} Período no formato AAAA-MM-DD ou AAAA-MM
+ */
+function periodoAnterior(periodo, deslocamento) {
+  const data = new Date();
+
+  if (periodo === 'mes') {
+    data.setUTCDate(1);
+    data.setUTCMonth(data.getUTCMonth() - deslocamento);
+    return data.toISOString().slice(0, 7);
+  }
+
+  data.setUTCDate(data.getUTCDate() - deslocamento);
+  return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Valida os parâmetros de um relatório de consumo, completando o intervalo padrão
+ * (últimos 7 dias ou últimos 3 meses)
+ * @param {Object} params Parâmetros informados
+ * @param {String} params.periodo dia (padrão) ou mes
+ * @param {String} params.inicio Primeiro período incluído
+ * @param {String} params.fim Último período incluído
+ * @param {String} params.agruparPor grupo, remetente, modelo ou tipo
+ * @param {String} params.remetenteId Restringe a um remetente
+ * @param {String} params.grupoId Restringe a um grupo
+ * @returns {Object} { valido, motivo, consulta }
+ */
+function parseUsageQuery({ periodo = 'dia', inicio, fim, agruparPor, remetenteId, grupoId } = {}) {
+  if (!UsageModel.PERIODOS[periodo]) {
+    return { valido: false, motivo: 'periodo deve ser dia ou mes' };
+  }
+
+  if (agruparPor && !UsageModel.AGRUPAMENTOS[agruparPor]) {
+    return { valido: false, motivo: `agrupar deve ser ${Object.keys(UsageModel.AGRUPAMENTOS).join(', ')}` };
+  }
+
+  const formato = FORMATOS_PERIODO[periodo];
+  if ((inicio && !formato.test(inicio)) || (fim && !formato.test(fim))) {
+    return { valido: false, motivo: `inicio e fim devem estar no formato ${periodo === 'dia' ? 'AAAA-MM-DD' : 'AAAA-MM'}` };
+  }
+
+  const consulta = {
+    periodo,
+    fim: fim || periodoAnterior(periodo, 0),
+    inicio: inicio || periodoAnterior(periodo, PERIODOS_PADRAO[periodo] - 1),
+    agruparPor: agruparPor || null,
+    remetenteId: remetenteId || null,
+    grupoId: grupoId || null
+  };
+
+  if (consulta.inicio > consulta.fim) {
+    return { valido: false, motivo: 'inicio deve ser anterior ou igual a fim' };
+  }
+
+  return { valido: true, consulta };
+}
+
+/**
+ * Gera o relatório de consumo de um intervalo
+ * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} consulta Consulta validada por parseUsageQuery
+ * @returns {Promise<Object>} { success, ...consulta, itens, total }
+ */
+async function getUsageReport(db, consulta) {
+  const resultado = await new UsageModel(db).getTotals(consulta);
+  if (!resultado.success) return resultado;
+
+  const itens = resultado.totals.map(({ _id, chamadas, prompt_tokens, completion_tokens, total_tokens, custo_estimado }) => ({
+    periodo: _id.periodo,
+    ...(consulta.agruparPor ? { chave: _id.chave === undefined ? null : _id.chave } : {}),
+    chamadas,
+    tokens: { prompt: prompt_tokens, completion: completion_tokens, total: total_tokens },
+    custo: Number(custo_estimado.toFixed(6))
+  }));
+
+  const total = itens.reduce((soma, item) => ({
+    chamadas: soma.chamadas + item.chamadas,
+    tokens: {
+      prompt: soma.tokens.prompt + item.tokens.prompt,
+      completion: soma.tokens.completion + item.tokens.completion,
+      total: soma.tokens.total + item.tokens.total
+    },
+    custo: soma.custo + item.custo
+  }), { chamadas: 0, tokens: { prompt: 0, completion: 0, total: 0 }, custo: 0 });
+  total.custo = Number(total.custo.toFixed(6));
+
+  return { success: true, ...consulta, itens, total };
+}
+
+module.exports = {
+  estimateCost,
+  recordLLMUsage,
+  parseUsageQuery,
+  getUsageReport
+};
\ No newline at end of file
@@ -2,10 +2,17 @@ const { default: makeWASocket, useMultiFileAuthState, DisconnectReason } = requi
 const qrcode = require('qrcode-terminal');
 const fs = require('fs');
 const path = require('path');
+const { getLogger } = require('../config/logger');
+const { recordReconnect } = require('./metrics');
 require('dotenv').config();
 
-// Processador de mensagens
-const messageProcessor = require('./messageProcessor');
+const logger = getLogger('whatsapp');
+
+// Logs internos do Baileys, com nível próprio (padrão: apenas avisos e erros)
+const baileysLogger = getLogger('baileys', { level: process.env.BAILEYS_LOG_LEVEL || 'warn' });
+
+// Adaptador do Baileys para o modelo neutro de mensagens
+const { createBaileysTransport, toInboundMessage } = require('../transports/baileysTransport');
 
 // Diretório para armazenar os dados de autenticação
 const AUTH_FOLDER = path.join(__dirname, '../../auth_info_baileys');
@@ -20,73 +27,47 @@ let sock = null;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 
-// Suprime logs do Baileys
-const suppressBaileysLogs = () => {
-  // Salva os métodos originais
-  const originalConsoleLog = console.log;
-  const originalConsoleInfo = console.info;
-  const originalConsoleDebug = console.debug;
-  
-  // Define uma função para filtrar logs
-  const filterBaileysLogs = (originalFn) => {
-    return function() {
-      // Converte os argumentos para string para verificar se é um log do Baileys
-      const logMessage = Array.from(arguments).join(' ');
-      
-      // Lista de padrões a ignorar (logs do Baileys)
-      const ignorePatterns = [
-        /\[@whiskeysockets\/baileys\]/i,
-        /\[baileys\]/i,
-        /\bconnection\b/i,
-        /\bcreds\b/i,
-        /\bhistory\b/i,
-        /\bstream\b/i,
-        /\bsocket\b/i,
-        /\bephemeral\b/i,
-        /\bnode_modules\b.*\bBaileys\b/i,
-        /\bauth\b/i,
-        /\bsyncing\b/i,
-        /\brateLimitExceeded\b/i,
-        /\berror in WhatsApp status check\b/i,
-        /\bentity has a newer version stored\b/i,
-        /\bSet presence\b/i,
-        /\bupdate check\b/i,
-        /\bKEY BUNDLE TYPE\b/i,
-        /\breconnecting\b/i,
-        /\battempting\b.*\bconnect\b/i,
-      ];
-      
-      // Verifica se deve filtrar o log
-      const shouldFilter = ignorePatterns.some(pattern => pattern.test(logMessage));
-      
-      // Se não deve filtrar, exibe o log
-      if (!shouldFilter) {
-        originalFn.apply(console, arguments);
-      }
-    };
-  };
-  
-  // Substitui os métodos para filtrar logs
-  console.log = filterBaileysLogs(originalConsoleLog);
-  console.info = filterBaileysLogs(originalConsoleInfo);
-  console.debug = filterBaileysLogs(originalConsoleDebug);
-};
-
-// Ativa o filtro de logs
-suppressBaileysLogs();
+// Estado exposto às verificações de saúde: connecting, open, closed ou logged_out
+let connectionState = { estado: 'connecting', desde: new Date(), desistiu: false };
+
+/**
+ * Atualiza o estado da conexão
+ * @param {String} estado Novo estado
+ * @param {Boolean} desistiu Se as tentativas de reconexão se esgotaram
+ */
+function setConnectionState(estado, desistiu = false) {
+  if (connectionState.estado !== estado || connectionState.desistiu !== desistiu) {
+    connectionState = { estado, desde: new Date(), desistiu };
+  }
+}
+
+/**
+ * Obtém o estado da conexão com o WhatsApp
+ * @returns {Object} { estado, desde, tentativas, desistiu }
+ */
+function getConnectionState() {
+  return { ...connectionState, tentativas: reconnectAttempts };
+}
+
+// Transporte do WhatsApp, sempre com o socket da conexão atual
+const transport = createBaileysTransport(() => sock);
 
 /**
  * Inicia a conexão com o WhatsApp
  * @param {Object} db Instância do banco de dados MongoDB
+ * @param {Object} messageRouter Roteador que filtra e enfileira as mensagens recebidas
  */
-async function startWhatsAppConnection(db) {
+async function startWhatsAppConnection(db, messageRouter) {
   try {
+    setConnectionState('connecting');
+
     // Carrega o estado da autenticação
     const { state, saveCreds } = await useMultiFileAuthState(AUTH_FOLDER);
 
-    // Cria uma nova conexão WhatsApp com logs desativados
+    // Cria uma nova conexão WhatsApp, com os logs do Baileys no logger da aplicação
     sock = makeWASocket({
       auth: state,
+      logger: baileysLogger,
       printQRInTerminal: true,
       defaultQueryTimeoutMs: 60000,
       getMessage: async () => {
@@ -103,25 +84,32 @@ async function startWhatsAppConnection(db) {
       
       // Exibe o código QR quando disponível
       if (qr) {
-        console.log('QR Code recebido, escaneie para autenticar:');
+        logger.info('QR Code recebido, escaneie para autenticar');
         qrcode.generate(qr, { small: true });
       }
 
-      if (connection === 'close') {
+      if (connection === 'connecting') {
+        setConnectionState('connecting');
+      } else if (connection === 'close') {
         const shouldReconnect = lastDisconnect?.error?.output?.statusCode !== DisconnectReason.loggedOut;
         
         if (shouldReconnect && reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+          setConnectionState('closed');
           reconnectAttempts++;
-          console.log(`Tentando reconectar (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})...`);
-          setTimeout(() => startWhatsAppConnection(db), 5000); // Espera 5 segundos antes de tentar reconectar
+          recordReconnect('closed');
+          logger.warn({ tentativa: reconnectAttempts, maximo: MAX_RECONNECT_ATTEMPTS }, 'Conexão fechada, tentando reconectar');
+          setTimeout(() => startWhatsAppConnection(db, messageRouter), 5000); // Espera 5 segundos antes de tentar reconectar
         } else if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-          console.log('Número máximo de tentativas de reconexão atingido.');
+          setConnectionState('closed', true);
+          logger.error('Número máximo de tentativas de reconexão atingido');
         } else {
-          console.log('Desconectado do WhatsApp por logout.');
+          setConnectionState('logged_out');
+          logger.warn('Desconectado do WhatsApp por logout');
         }
       } else if (connection === 'open') {
         reconnectAttempts = 0;
-        console.log('Conexão com WhatsApp estabelecida!');
+        setConnectionState('open');
+        logger.info('Conexão com WhatsApp estabelecida');
       }
     });
 
@@ -130,41 +118,30 @@ async function startWhatsAppConnection(db) {
       if (type !== 'notify') return; // Ignora se não for uma notificação
       
       for (const message of messages) {
-        // Verifica se a mensagem tem um remoteJid válido
-        if (!message.key || !message.key.remoteJid) {
-          continue;
-        }
-        
-        // Processa apenas mensagens de grupo se a configuração BOT_GROUP_ONLY estiver ativa
-        const isGroup = message.key.remoteJid.endsWith('@g.us');
-        const shouldProcess = 
-          process.env.BOT_GROUP_ONLY === 'true' ? isGroup : true;
+        // Mensagens sem chat ou sem conteúdo (ex: confirmações de leitura) são ignoradas
+        if (!message.message) continue;
 
-        if (message.key.fromMe) {
-          continue;
-        }
+        const inbound = toInboundMessage(message, { botJid: sock.user?.id });
+        if (!inbound) continue;
 
-        if (!message.message) {
-          continue;
-        }
-
-        if (shouldProcess) {
-          await messageProcessor.processMessage(message, sock, db);
-        }
+        await messageRouter.route(inbound, transport);
       }
     });
 
   } catch (error) {
-    console.error('Erro ao iniciar conexão com WhatsApp:', error.message);
+    logger.error({ err: error }, 'Erro ao iniciar conexão com WhatsApp');
+    setConnectionState('closed');
     
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
-      console.log(`Erro na conexão. Tentando reconectar (${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})...`);
-      setTimeout(() => startWhatsAppConnection(db), 5000);
+      recordReconnect('error');
+      logger.warn({ tentativa: reconnectAttempts, maximo: MAX_RECONNECT_ATTEMPTS }, 'Erro na conexão, tentando reconectar');
+      setTimeout(() => startWhatsAppConnection(db, messageRouter), 5000);
     } else {
-      console.log('Número máximo de tentativas de reconexão atingido após erro.');
+      setConnectionState('closed', true);
+      logger.error('Número máximo de tentativas de reconexão atingido após erro');
     }
   }
 }
 
-module.exports = { startWhatsAppConnection }; 
\ No newline at end of file
+module.exports = { startWhatsAppConnection, getConnectionState }; 
\ No newline at end of file
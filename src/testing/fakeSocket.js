@@ -0,0 +1,102 @@
+/**
+ * Socket do WhatsApp simulado
+ * Substitui o socket do Baileys em testes: registra as chamadas de sendMessage,
+ * sendPresenceUpdate e presenceSubscribe em vez de enviá-las ao WhatsApp.
+ */
+const { EventEmitter } = require('events');
+
+// JID do próprio bot nas mensagens simuladas
+const DEFAULT_BOT_JID = '5500000000000@s.whatsapp.net';
+
+/**
+ * Cria um socket simulado
+ * @param {Object} options Opções do socket
+ * @param {String} options.botJid JID do próprio bot (sock.user.id)
+ * @param {Function} options.onSend Função chamada a cada envio; se lançar um erro, o envio falha
+ * @returns {Object} Socket com a mesma interface usada pelo processador de mensagens
+ */
+function createFakeSocket({ botJid = DEFAULT_BOT_JID, onSend = null } = {}) {
+  // Mensagens enviadas: { jid, content, options }
+  const sent = [];
+  // Atualizações de presença: { type, jid }
+  const presence = [];
+  // Chats cuja presença foi assinada
+  const subscriptions = [];
+
+  return {
+    user: { id: botJid, name: 'Marvin' },
+    // Emissor de eventos no formato do Baileys (ex: sock.ev.emit('messages.upsert', ...))
+    ev: new EventEmitter(),
+    sent,
+    presence,
+    subscriptions,
+
+    /**
+     * Registra o envio de uma mensagem
+     * @param {String} jid JID do chat de destino
+     * @param {Object} content Conteúdo ({ text } ou documento)
+     * @param {Object} options Opções de envio (ex: { quoted })
+     * @returns {Promise<Object>} Mensagem enviada no formato do Baileys
+     */
+    async sendMessage(jid, content, options = {}) {
+      if (onSend) await onSend(jid, content, options);
+
+      sent.push({ jid, content, options });
+      return {
+        key: { remoteJid: jid, fromMe: true, id: `BOT${String(sent.length).padStart(6, '0')}` },
+        message: content.text ? { conversation: content.text } : content,
+        messageTimestamp: Math.floor(Date.now() / 1000)
+      };
+    },
+
+    /**
+     * Registra uma atualização de presença (composing, paused...)
+     * @param {String} type Tipo de presença
+     * @param {String} jid JID do chat
+     */
+    async sendPresenceUpdate(type, jid) {
+      presence.push({ type, jid });
+    },
+
+    /**
+     * Registra a assinatura de presença de um chat
+     * @param {String} jid JID do chat
+     */
+    async presenceSubscribe(jid) {
+      subscriptions.push(jid);
+    },
+
+    /**
+     * Textos enviados, opcionalmente filtrados por chat
+     * @param {String} jid JID do chat (opcional)
+     * @returns {String[]} Textos das mensagens enviadas
+     */
+    texts(jid = null) {
+      return sent
+        .filter(envio => !jid || envio.jid === jid)
+        .filter(envio => typeof envio.content.text === 'string')
+        .map(envio => envio.content.text);
+    },
+
+    /**
+     * Último texto enviado, opcionalmente filtrado por chat
+     * @param {String} jid JID do chat (opcional)
+     * @returns {String|null} Texto da última mensagem ou null
+     */
+    lastText(jid = null) {
+      const textos = this.texts(jid);
+      return textos.length > 0 ? textos[textos.length - 1] : null;
+    },
+
+    /**
+     * Descarta as chamadas registradas
+     */
+    reset() {
+      sent.length = 0;
+      presence.length = 0;
+      subscriptions.length = 0;
+    }
+  };
+}
+
+module.exports = { createFakeSocket, DEFAULT_BOT_JID };
\ No newline at end of file
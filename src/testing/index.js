@@ -0,0 +1,161 @@
+/**
+ * Ambiente de testes de integração do bot
+ * Reúne o socket simulado, os construtores de mensagens do Baileys, o banco em memória
+ * e os provedores simulados de LLM e embeddings para exercitar processMessage de ponta
+ * a ponta, pelo transporte do Baileys, sem WhatsApp, MongoDB ou OpenAI.
+ * As rotas HTTP são exercitadas com startTestServer.
+ *
+ * Exemplo:
+ *   const harness = await createTestHarness();
+ *   await harness.send(conversationMessage('/aprender meu nome é Ana'));
+ *   const [resposta] = await harness.send(conversationMessage('qual é o meu nome?'));
+ *   harness.close();
+ */
+const { createMemoryDatabase } = require('./memoryDatabase');
+const { createFakeSocket, DEFAULT_BOT_JID } = require('./fakeSocket');
+const { startTestServer } = require('./testServer');
+const builders = require('./messageBuilders');
+const { setLLMProvider, createMockProvider } = require('../providers/llm');
+const { setEmbeddingProvider, createStubEmbeddings } = require('../providers/embeddings');
+const { runMigrations } = require('../config/migrations');
+const { setLogDestination } = require('../config/logger');
+const { processMessage } = require('../services/messageProcessor');
+const { createMessageRouter } = require('../services/messageRouter');
+const { createBaileysTransport, toInboundMessage } = require('../transports/baileysTransport');
+
+// Variáveis de ambiente aplicadas durante os testes: limites de uso desativados,
+// para que uma sequência de mensagens do mesmo remetente não seja barrada, e bot
+// respondendo em qualquer chat (um arquivo .env local não altera os testes)
+const DEFAULT_TEST_ENV = {
+  BOT_NAME: 'Marvin',
+  BOT_GROUP_ONLY: 'false',
+  BOT_GROUP_ALLOWLIST: 'false',
+  BOT_TRIGGER_MODES: 'mencao,resposta,prefixo',
+  RATE_LIMIT_USER_PER_MINUTE: '0',
+  RATE_LIMIT_USER_PER_HOUR: '0',
+  RATE_LIMIT_GROUP_PER_MINUTE: '0',
+  RATE_LIMIT_GROUP_PER_HOUR: '0',
+  TOKEN_QUOTA_USER_DAILY: '0',
+  TOKEN_QUOTA_GROUP_DAILY: '0'
+};
+
+/**
+ * Remove a assinatura do bot ("*Marvin*\n\n") de uma resposta
+ * @param {String} texto Texto enviado pelo bot
+ * @returns {String} Texto sem a assinatura
+ */
+function stripSignature(texto) {
+  return String(texto).replace(/^\*[^*\n]+\*\n\n/, '');
+}
+
+/**
+ * Cria o ambiente de testes
+ * @param {Object} options Opções do ambiente
+ * @param {Array} options.fixtures Fixtures do LLM simulado no formato [{ match, response }]
+ * @param {Boolean} options.embeddings Se false, o cache usa apenas palavras-chave (padrão: embeddings simulados)
+ * @param {Object} options.env Variáveis de ambiente adicionais, restauradas em close()
+ * @param {Object} options.db Banco a utilizar (padrão: novo banco em memória)
+ * @param {Boolean} options.verbose Se true, exibe os logs da aplicação (padrão: apenas os erros, até close())
+ * @returns {Promise<Object>} { db, sock, transport, llm, logs, send, receive, close }
+ */
+async function createTestHarness({ fixtures = [], embeddings = true, env = {}, db = null, verbose = false } = {}) {
+  // Guarda os valores originais para restaurá-los ao final
+  const variaveis = { ...DEFAULT_TEST_ENV, ...env };
+  const originais = {};
+  for (const [nome, valor] of Object.entries(variaveis)) {
+    originais[nome] = process.env[nome];
+    if (valor === undefined || valor === null) delete process.env[nome];
+    else process.env[nome] = String(valor);
+  }
+
+  // Os logs informativos da aplicação poluiriam a saída dos testes; erros continuam visíveis.
+  // Todas as linhas ficam disponíveis em logs para as verificações dos testes.
+  const logs = [];
+  const destinoOriginal = setLogDestination({
+    write(linha) {
+      const entrada = JSON.parse(linha);
+      logs.push(entrada);
+
+      if (verbose) process.stdout.write(linha);
+      else if (entrada.level === 'error' || entrada.level === 'fatal') process.stderr.write(linha);
+    }
+  });
+
+  const llm = createMockProvider({ fixtures });
+  setLLMProvider(llm);
+  setEmbeddingProvider(embeddings ? createStubEmbeddings() : null);
+
+  const database = db || createMemoryDatabase();
+  await runMigrations(database);
+
+  const sock = createFakeSocket();
+  const transport = createBaileysTransport(() => sock);
+  // Sem a janela de união de mensagens, cada mensagem é processada assim que chega
+  const router = createMessageRouter(database, { queueOptions: { debounceMs: 0 } });
+
+  /**
+   * Textos enviados pelo bot a partir de uma posição do registro do socket
+   * @param {Number} inicio Quantidade de envios antes da mensagem
+   * @returns {String[]} Textos sem a assinatura
+   */
+  const repliesSince = (inicio) => sock.sent.slice(inicio)
+    .filter(envio => typeof envio.content.text === 'string')
+    .map(envio => stripSignature(envio.content.text));
+
+  return {
+    db: database,
+    sock,
+    transport,
+    llm,
+    logs,
+
+    /**
+     * Processa uma mensagem diretamente, como se já tivesse sido aceita pelo roteador
+     * @param {Object} message Mensagem no formato do Baileys (ver messageBuilders)
+     * @param {Object} options Opções repassadas a processMessage (ex: { text })
+     * @returns {Promise<String[]>} Textos enviados pelo bot em resposta, sem a assinatura
+     */
+    async send(message, options = {}) {
+      const antes = sock.sent.length;
+      await processMessage(toInboundMessage(message, { botJid: sock.user.id }), transport, database, options);
+      return repliesSince(antes);
+    },
+
+    /**
+     * Entrega uma mensagem como o WhatsApp: passa pela política de ativação, pelo
+     * controle de acesso e pela fila antes do processamento
+     * @param {Object} message Mensagem no formato do Baileys (ver messageBuilders)
+     * @returns {Promise<Object>} { aceita, motivo, replies }
+     */
+    async receive(message) {
+      const antes = sock.sent.length;
+      const { aceita, motivo } = await router.route(toInboundMessage(message, { botJid: sock.user.id }), transport);
+      await router.whenIdle();
+      return { aceita, motivo, replies: repliesSince(antes) };
+    },
+
+    /**
+     * Restaura os provedores, os logs e as variáveis de ambiente alteradas
+     */
+    close() {
+      setLLMProvider(null);
+      setEmbeddingProvider(undefined);
+      setLogDestination(destinoOriginal);
+
+      for (const [nome, valor] of Object.entries(originais)) {
+        if (valor === undefined) delete process.env[nome];
+        else process.env[nome] = valor;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createTestHarness,
+  stripSignature,
+  createMemoryDatabase,
+  createFakeSocket,
+  startTestServer,
+  DEFAULT_BOT_JID,
+  ...builders
+};
\ No newline at end of file
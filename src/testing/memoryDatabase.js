@@ -0,0 +1,679 @@
+/**
+ * Banco de dados em memória compatível com o subconjunto da API do driver do MongoDB
+ * usado pela aplicação (find, findOne, insertOne, updateOne com upsert, aggregate...)
+ *
+ * Destinado apenas a testes: os documentos vivem em arrays, os índices únicos são
+ * respeitados (erro com código 11000, como no MongoDB) e os demais índices são ignorados.
+ * Índices TTL não removem documentos; as consultas da aplicação já filtram por expira_em.
+ */
+const { ObjectId } = require('mongodb');
+
+// Código de erro do MongoDB para violação de índice único
+const DUPLICATE_KEY_CODE = 11000;
+
+/**
+ * Cria uma cópia profunda de um valor, preservando datas, ObjectIds e expressões regulares
+ * @param {*} valor Valor a copiar
+ * @returns {*} Cópia do valor
+ */
+function clone(valor) {
+  if (valor === null || typeof valor !== 'object') return valor;
+  if (valor instanceof Date) return new Date(valor.getTime());
+  if (valor instanceof ObjectId) return new ObjectId(valor.toHexString());
+  if (valor instanceof RegExp) return new RegExp(valor.source, valor.flags);
+  if (Array.isArray(valor)) return valor.map(clone);
+
+  const copia = {};
+  for (const [chave, item] of Object.entries(valor)) {
+    copia[chave] = clone(item);
+  }
+  return copia;
+}
+
+/**
+ * Converte um valor em uma forma comparável (datas e ObjectIds viram primitivos)
+ * @param {*} valor Valor do documento ou da consulta
+ * @returns {*} Valor comparável
+ */
+function comparable(valor) {
+  if (valor instanceof Date) return valor.getTime();
+  if (valor instanceof ObjectId) return valor.toHexString();
+  return valor;
+}
+
+/**
+ * Compara dois valores com a semântica de igualdade do MongoDB
+ * @param {*} a Primeiro valor
+ * @param {*} b Segundo valor
+ * @returns {Boolean} true se forem iguais
+ */
+function isEqual(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+
+  if (x === y) return true;
+  if (x === undefined || y === undefined) return (x === undefined || x === null) && (y === undefined || y === null);
+  if (typeof x !== 'object' || typeof y !== 'object' || x === null || y === null) return false;
+
+  if (Array.isArray(x) !== Array.isArray(y)) return false;
+  if (Array.isArray(x)) return x.length === y.length && x.every((item, i) => isEqual(item, y[i]));
+
+  const chavesX = Object.keys(x);
+  const chavesY = Object.keys(y);
+  return chavesX.length === chavesY.length && chavesX.every(chave => isEqual(x[chave], y[chave]));
+}
+
+/**
+ * Ordena dois valores (números, textos e datas), como em sort e nos operadores $gt/$lt
+ * @param {*} a Primeiro valor
+ * @param {*} b Segundo valor
+ * @returns {Number} Negativo, zero ou positivo
+ */
+function compareValues(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+
+  // Valores ausentes ficam antes de todos os outros, como no MongoDB
+  const ausenteX = x === undefined || x === null;
+  const ausenteY = y === undefined || y === null;
+  if (ausenteX || ausenteY) return ausenteX === ausenteY ? 0 : (ausenteX ? -1 : 1);
+
+  if (x < y) return -1;
+  if (x > y) return 1;
+  return 0;
+}
+
+/**
+ * Obtém os valores de um caminho com pontos ("relacionamentos.entidade"), percorrendo arrays
+ * @param {Object} documento Documento
+ * @param {String} caminho Caminho do campo
+ * @returns {Array} Valores encontrados (vazio se o campo não existir)
+ */
+function resolvePath(documento, caminho) {
+  let valores = [documento];
+
+  for (const parte of caminho.split('.')) {
+    const proximos = [];
+    for (const valor of valores) {
+      if (valor === null || valor === undefined) continue;
+
+      if (Array.isArray(valor) && !/^\d+$/.test(parte)) {
+        for (const item of valor) {
+          if (item !== null && typeof item === 'object' && parte in item) proximos.push(item[parte]);
+        }
+      } else if (typeof valor === 'object' && parte in valor) {
+        proximos.push(valor[parte]);
+      }
+    }
+    valores = proximos;
+  }
+
+  return valores;
+}
+
+/**
+ * Expande os valores de um campo para a comparação: arrays valem por si e por cada item
+ * @param {Array} valores Valores do campo
+ * @returns {Array} Valores candidatos
+ */
+function candidates(valores) {
+  const lista = [];
+  for (const valor of valores) {
+    lista.push(valor);
+    if (Array.isArray(valor)) lista.push(...valor);
+  }
+  return lista;
+}
+
+/**
+ * Verifica se um valor corresponde a um valor simples da consulta (igualdade ou RegExp)
+ * @param {*} valor Valor do documento
+ * @param {*} esperado Valor da consulta
+ * @returns {Boolean} true se corresponder
+ */
+function matchesValue(valor, esperado) {
+  if (esperado instanceof RegExp) return typeof valor === 'string' && esperado.test(valor);
+  return isEqual(valor, esperado);
+}
+
+/**
+ * Verifica se um objeto da consulta é uma expressão de operadores ({ $in: [...] })
+ * @param {*} valor Valor da consulta
+ * @returns {Boolean} true se todas as chaves forem operadores
+ */
+function isOperatorObject(valor) {
+  return valor !== null && typeof valor === 'object' && !Array.isArray(valor) &&
+    !(valor instanceof Date) && !(valor instanceof ObjectId) && !(valor instanceof RegExp) &&
+    Object.keys(valor).length > 0 && Object.keys(valor).every(chave => chave.startsWith('$'));
+}
+
+/**
+ * Avalia a condição de um campo
+ * @param {Array} valores Valores do campo no documento
+ * @param {*} condicao Valor ou expressão de operadores da consulta
+ * @returns {Boolean} true se a condição for satisfeita
+ */
+function matchesCondition(valores, condicao) {
+  if (!isOperatorObject(condicao)) {
+    if (valores.length === 0) return condicao === null;
+    return candidates(valores).some(valor => matchesValue(valor, condicao));
+  }
+
+  return Object.entries(condicao).every(([operador, argumento]) => {
+    const lista = candidates(valores);
+
+    switch (operador) {
+      case '$eq':
+        return matchesCondition(valores, argumento);
+      case '$ne':
+        return !matchesCondition(valores, argumento);
+      case '$in':
+        return argumento.some(esperado => matchesCondition(valores, esperado));
+      case '$nin':
+        return !argumento.some(esperado => matchesCondition(valores, esperado));
+      case '$exists':
+        return (valores.length > 0) === Boolean(argumento);
+      case '$gt':
+        return lista.some(valor => valor !== null && valor !== undefined && compareValues(valor, argumento) > 0);
+      case '$gte':
+        return lista.some(valor => valor !== null && valor !== undefined && compareValues(valor, argumento) >= 0);
+      case '$lt':
+        return lista.some(valor => valor !== null && valor !== undefined && compareValues(valor, argumento) < 0);
+      case '$lte':
+        return lista.some(valor => valor !== null && valor !== undefined && compareValues(valor, argumento) <= 0);
+      case '$regex': {
+        const regex = argumento instanceof RegExp ? argumento : new RegExp(argumento, condicao.$options || '');
+        return lista.some(valor => typeof valor === 'string' && regex.test(valor));
+      }
+      case '$options':
+        return true;
+      case '$not':
+        return !matchesCondition(valores, argumento);
+      case '$elemMatch':
+        return valores.some(valor => Array.isArray(valor) && valor.some(item => (
+          isOperatorObject(argumento) ? matchesCondition([item], argumento) : matchesQuery(item, argumento)
+        )));
+      case '$size':
+        return valores.some(valor => Array.isArray(valor) && valor.length === argumento);
+      case '$all':
+        return argumento.every(esperado => matchesCondition(valores, esperado));
+      default:
+        throw new Error(`Operador não suportado pelo banco em memória: ${operador}`);
+    }
+  });
+}
+
+/**
+ * Verifica se um documento corresponde a um filtro de consulta
+ * @param {Object} documento Documento
+ * @param {Object} consulta Filtro no formato do MongoDB
+ * @returns {Boolean} true se o documento corresponder
+ */
+function matchesQuery(documento, consulta = {}) {
+  return Object.entries(consulta).every(([chave, condicao]) => {
+    switch (chave) {
+      case '$or':
+        return condicao.some(subconsulta => matchesQuery(documento, subconsulta));
+      case '$and':
+        return condicao.every(subconsulta => matchesQuery(documento, subconsulta));
+      case '$nor':
+        return !condicao.some(subconsulta => matchesQuery(documento, subconsulta));
+      default:
+        return matchesCondition(resolvePath(documento, chave), condicao);
+    }
+  });
+}
+
+/**
+ * Define o valor de um caminho com pontos, criando os objetos intermediários
+ * @param {Object} documento Documento
+ * @param {String} caminho Caminho do campo
+ * @param {*} valor Valor a definir
+ */
+function setPath(documento, caminho, valor) {
+  const partes = caminho.split('.');
+  let alvo = documento;
+
+  for (const parte of partes.slice(0, -1)) {
+    if (alvo[parte] === null || typeof alvo[parte] !== 'object') alvo[parte] = {};
+    alvo = alvo[parte];
+  }
+
+  alvo[partes[partes.length - 1]] = clone(valor);
+}
+
+/**
+ * Obtém o valor de um caminho com pontos, sem percorrer arrays
+ * @param {Object} documento Documento
+ * @param {String} caminho Caminho do campo
+ * @returns {*} Valor do campo ou undefined
+ */
+function getPath(documento, caminho) {
+  return caminho.split('.').reduce((alvo, parte) => (alvo === null || alvo === undefined ? undefined : alvo[parte]), documento);
+}
+
+/**
+ * Remove um caminho com pontos
+ * @param {Object} documento Documento
+ * @param {String} caminho Caminho do campo
+ */
+function unsetPath(documento, caminho) {
+  const partes = caminho.split('.');
+  const pai = getPath(documento, partes.slice(0, -1).join('.')) || (partes.length === 1 ? documento : undefined);
+  if (pai && typeof pai === 'object') delete pai[partes[partes.length - 1]];
+}
+
+/**
+ * Aplica os operadores de atualização a um documento
+ * @param {Object} documento Documento a alterar
+ * @param {Object} atualizacao Operadores ($set, $inc, $push...)
+ * @param {Boolean} inserindo Se o documento está sendo criado por um upsert
+ */
+function applyUpdate(documento, atualizacao, inserindo) {
+  for (const [operador, campos] of Object.entries(atualizacao)) {
+    for (const [caminho, valor] of Object.entries(campos)) {
+      const atual = getPath(documento, caminho);
+      const itens = valor && typeof valor === 'object' && Array.isArray(valor.$each) ? valor.$each : [valor];
+
+      switch (operador) {
+        case '$set':
+          setPath(documento, caminho, valor);
+          break;
+        case '$setOnInsert':
+          if (inserindo) setPath(documento, caminho, valor);
+          break;
+        case '$unset':
+          unsetPath(documento, caminho);
+          break;
+        case '$inc':
+          setPath(documento, caminho, (atual || 0) + valor);
+          break;
+        case '$min':
+          if (atual === undefined || compareValues(valor, atual) < 0) setPath(documento, caminho, valor);
+          break;
+        case '$max':
+          if (atual === undefined || compareValues(valor, atual) > 0) setPath(documento, caminho, valor);
+          break;
+        case '$push':
+          setPath(documento, caminho, [...(atual || []), ...itens]);
+          break;
+        case '$addToSet':
+          setPath(documento, caminho, itens.reduce((lista, item) => (
+            lista.some(existente => isEqual(existente, item)) ? lista : [...lista, item]
+          ), atual || []));
+          break;
+        case '$pull':
+          setPath(documento, caminho, (atual || []).filter(item => (
+            isOperatorObject(valor) || valor instanceof RegExp || !(valor && typeof valor === 'object')
+              ? !matchesCondition([item], valor)
+              : !matchesQuery(item, valor)
+          )));
+          break;
+        default:
+          throw new Error(`Operador de atualização não suportado pelo banco em memória: ${operador}`);
+      }
+    }
+  }
+}
+
+/**
+ * Monta o documento inicial de um upsert a partir das igualdades do filtro
+ * @param {Object} consulta Filtro da atualização
+ * @returns {Object} Documento inicial
+ */
+function upsertBase(consulta) {
+  const documento = {};
+  for (const [chave, valor] of Object.entries(consulta)) {
+    if (!chave.startsWith('$') && !isOperatorObject(valor) && !(valor instanceof RegExp)) {
+      setPath(documento, chave, valor);
+    }
+  }
+  return documento;
+}
+
+/**
+ * Aplica uma projeção simples de inclusão ou exclusão
+ * @param {Object} documento Documento
+ * @param {Object} projecao Projeção ({ campo: 1 } ou { campo: 0 })
+ * @returns {Object} Documento projetado
+ */
+function applyProjection(documento, projecao) {
+  if (!projecao || Object.keys(projecao).length === 0) return documento;
+
+  const campos = Object.entries(projecao);
+  const inclusao = campos.some(([chave, valor]) => chave !== '_id' && valor);
+
+  if (!inclusao) {
+    const resultado = clone(documento);
+    campos.forEach(([chave]) => unsetPath(resultado, chave));
+    return resultado;
+  }
+
+  const resultado = projecao._id === 0 ? {} : { _id: documento._id };
+  for (const [chave, valor] of campos) {
+    if (valor && chave !== '_id' && getPath(documento, chave) !== undefined) {
+      setPath(resultado, chave, getPath(documento, chave));
+    }
+  }
+  return resultado;
+}
+
+/**
+ * Ordena documentos por uma especificação de ordenação ({ campo: 1, outro: -1 })
+ * @param {Array} documentos Documentos
+ * @param {Object} ordenacao Especificação de ordenação
+ * @returns {Array} Nova lista ordenada
+ */
+function sortDocuments(documentos, ordenacao) {
+  const criterios = Object.entries(ordenacao || {});
+  return [...documentos].sort((a, b) => {
+    for (const [chave, direcao] of criterios) {
+      const resultado = compareValues(getPath(a, chave), getPath(b, chave));
+      if (resultado !== 0) return resultado * (direcao === -1 || direcao === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Cria um cursor sobre uma lista de documentos, com sort/skip/limit/project encadeáveis
+ * @param {Function} carregar Função que devolve os documentos da consulta
+ * @param {Object} projecao Projeção inicial (opção projection do find)
+ * @returns {Object} Cursor
+ */
+function createCursor(carregar, projecao) {
+  let ordenacao = null;
+  let ignorar = 0;
+  let limite = 0;
+  let projecaoAtual = projecao;
+
+  const resultados = () => {
+    let documentos = carregar();
+    if (ordenacao) documentos = sortDocuments(documentos, ordenacao);
+    documentos = documentos.slice(ignorar, limite ? ignorar + limite : undefined);
+    return documentos.map(documento => applyProjection(clone(documento), projecaoAtual));
+  };
+
+  const cursor = {
+    sort(especificacao) { ordenacao = especificacao; return cursor; },
+    skip(quantidade) { ignorar = quantidade; return cursor; },
+    limit(quantidade) { limite = quantidade; return cursor; },
+    project(especificacao) { projecaoAtual = especificacao; return cursor; },
+    async toArray() { return resultados(); },
+    async *[Symbol.asyncIterator]() { yield* resultados(); }
+  };
+
+  return cursor;
+}
+
+/**
+ * Executa um pipeline de agregação ($match, $unwind, $group, $sort, $skip, $limit, $project)
+ * @param {Array} documentos Documentos da coleção
+ * @param {Array} pipeline Estágios da agregação
+ * @returns {Array} Documentos resultantes
+ */
+function runPipeline(documentos, pipeline) {
+  const valorDe = (documento, expressao) => {
+    if (typeof expressao === 'string' && expressao.startsWith('$')) return getPath(documento, expressao.slice(1));
+    // _id composto do $group (ex: { dia: '$dia', grupo: '$grupo_id' })
+    if (expressao && typeof expressao === 'object' && !Array.isArray(expressao) && !(expressao instanceof Date)) {
+      return Object.fromEntries(Object.entries(expressao).map(([chave, item]) => [chave, valorDe(documento, item)]));
+    }
+    return expressao;
+  };
+
+  return pipeline.reduce((atuais, estagio) => {
+    const [[operador, especificacao]] = Object.entries(estagio);
+
+    switch (operador) {
+      case '$match':
+        return atuais.filter(documento => matchesQuery(documento, especificacao));
+      case '$unwind': {
+        const caminho = (typeof especificacao === 'string' ? especificacao : especificacao.path).slice(1);
+        return atuais.flatMap(documento => {
+          const lista = getPath(documento, caminho);
+          if (!Array.isArray(lista)) return lista === undefined || lista === null ? [] : [documento];
+          return lista.map(item => {
+            const copia = clone(documento);
+            setPath(copia, caminho, item);
+            return copia;
+          });
+        });
+      }
+      case '$group': {
+        const grupos = new Map();
+        for (const documento of atuais) {
+          const _id = valorDe(documento, especificacao._id);
+          const chave = JSON.stringify(comparable(_id) === undefined ? null : comparable(_id));
+          if (!grupos.has(chave)) grupos.set(chave, { _id: _id === undefined ? null : _id });
+          const grupo = grupos.get(chave);
+
+          for (const [campo, acumulador] of Object.entries(especificacao)) {
+            if (campo === '_id') continue;
+            const [[tipo, expressao]] = Object.entries(acumulador);
+            const valor = valorDe(documento, expressao);
+
+            if (tipo === '$sum') grupo[campo] = (grupo[campo] || 0) + (typeof valor === 'number' ? valor : 0);
+            else if (tipo === '$first' && !(campo in grupo)) grupo[campo] = valor;
+            else if (tipo === '$last') grupo[campo] = valor;
+            else if (tipo === '$max' && (grupo[campo] === undefined || compareValues(valor, grupo[campo]) > 0)) grupo[campo] = valor;
+            else if (tipo === '$min' && (grupo[campo] === undefined || compareValues(valor, grupo[campo]) < 0)) grupo[campo] = valor;
+            else if (tipo === '$push') grupo[campo] = [...(grupo[campo] || []), valor];
+          }
+        }
+        return [...grupos.values()];
+      }
+      case '$sort':
+        return sortDocuments(atuais, especificacao);
+      case '$skip':
+        return atuais.slice(especificacao);
+      case '$limit':
+        return atuais.slice(0, especificacao);
+      case '$project':
+        return atuais.map(documento => applyProjection(documento, especificacao));
+      default:
+        throw new Error(`Estágio de agregação não suportado pelo banco em memória: ${operador}`);
+    }
+  }, documentos.map(clone));
+}
+
+/**
+ * Cria uma coleção em memória
+ * @param {String} nome Nome da coleção
+ * @returns {Object} Coleção com a API do driver do MongoDB
+ */
+function createCollection(nome) {
+  const documentos = [];
+  const indicesUnicos = [];
+
+  /**
+   * Garante que um documento não viola os índices únicos da coleção
+   * @param {Object} documento Documento a gravar
+   * @param {Object} original Documento armazenado que está sendo substituído, se houver
+   */
+  const verificarUnicidade = (documento, original = null) => {
+    const restricoes = [{ campos: ['_id'], esparso: false }, ...indicesUnicos];
+
+    for (const { campos, esparso } of restricoes) {
+      const valores = campos.map(campo => getPath(documento, campo));
+      if (esparso && valores.every(valor => valor === undefined)) continue;
+
+      const duplicado = documentos.find(outro => outro !== original &&
+        campos.every((campo, i) => isEqual(getPath(outro, campo), valores[i])));
+
+      if (duplicado) {
+        const error = new Error(`E11000 duplicate key error collection: ${nome} index: ${campos.join('_')}`);
+        error.code = DUPLICATE_KEY_CODE;
+        throw error;
+      }
+    }
+  };
+
+  const inserir = (documento) => {
+    const novo = clone(documento);
+    if (novo._id === undefined) novo._id = new ObjectId();
+    verificarUnicidade(novo);
+    documentos.push(novo);
+    return novo._id;
+  };
+
+  const atualizar = (documento, atualizacao, inserindo) => {
+    const alterado = clone(documento);
+    applyUpdate(alterado, atualizacao, inserindo);
+    verificarUnicidade(alterado, documento);
+
+    const mudou = !isEqual(alterado, documento);
+    Object.keys(documento).forEach(chave => delete documento[chave]);
+    Object.assign(documento, alterado);
+    return mudou;
+  };
+
+  const atualizarVarios = (consulta, atualizacao, opcoes, apenasUm) => {
+    const encontrados = documentos.filter(documento => matchesQuery(documento, consulta));
+    const alvos = apenasUm ? encontrados.slice(0, 1) : encontrados;
+
+    if (alvos.length === 0 && opcoes.upsert) {
+      const base = upsertBase(consulta);
+      applyUpdate(base, atualizacao, true);
+      const upsertedId = inserir(base);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+
+    let modificados = 0;
+    for (const documento of alvos) {
+      if (atualizar(documento, atualizacao, false)) modificados++;
+    }
+
+    return { acknowledged: true, matchedCount: alvos.length, modifiedCount: modificados, upsertedCount: 0, upsertedId: null };
+  };
+
+  return {
+    collectionName: nome,
+
+    async createIndex(campos, opcoes = {}) {
+      if (opcoes.unique) {
+        indicesUnicos.push({ campos: Object.keys(campos), esparso: Boolean(opcoes.sparse) });
+      }
+      return Object.entries(campos).map(([campo, direcao]) => `${campo}_${direcao}`).join('_');
+    },
+
+    find(consulta = {}, opcoes = {}) {
+      return createCursor(() => documentos.filter(documento => matchesQuery(documento, consulta)), opcoes.projection);
+    },
+
+    async findOne(consulta = {}, opcoes = {}) {
+      const [documento] = await this.find(consulta, opcoes).sort(opcoes.sort || null).limit(1).toArray();
+      return documento || null;
+    },
+
+    async countDocuments(consulta = {}) {
+      return documentos.filter(documento => matchesQuery(documento, consulta)).length;
+    },
+
+    async estimatedDocumentCount() {
+      return documentos.length;
+    },
+
+    async insertOne(documento) {
+      return { acknowledged: true, insertedId: inserir(documento) };
+    },
+
+    async insertMany(lista) {
+      const insertedIds = {};
+      lista.forEach((documento, i) => { insertedIds[i] = inserir(documento); });
+      return { acknowledged: true, insertedCount: lista.length, insertedIds };
+    },
+
+    async updateOne(consulta, atualizacao, opcoes = {}) {
+      return atualizarVarios(consulta, atualizacao, opcoes, true);
+    },
+
+    async updateMany(consulta, atualizacao, opcoes = {}) {
+      return atualizarVarios(consulta, atualizacao, opcoes, false);
+    },
+
+    async replaceOne(consulta, substituto, opcoes = {}) {
+      const documento = documentos.find(item => matchesQuery(item, consulta));
+
+      if (!documento) {
+        if (!opcoes.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+        const upsertedId = inserir({ ...upsertBase(consulta), ...substituto });
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+      }
+
+      const novo = { ...clone(substituto), _id: documento._id };
+      verificarUnicidade(novo, documento);
+      const mudou = !isEqual(novo, documento);
+      Object.keys(documento).forEach(chave => delete documento[chave]);
+      Object.assign(documento, novo);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: mudou ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    },
+
+    async deleteOne(consulta = {}) {
+      const indice = documentos.findIndex(documento => matchesQuery(documento, consulta));
+      if (indice === -1) return { acknowledged: true, deletedCount: 0 };
+      documentos.splice(indice, 1);
+      return { acknowledged: true, deletedCount: 1 };
+    },
+
+    async findOneAndDelete(consulta = {}, opcoes = {}) {
+      const [alvo] = sortDocuments(documentos.filter(documento => matchesQuery(documento, consulta)), opcoes.sort);
+      if (!alvo) return null;
+      documentos.splice(documentos.indexOf(alvo), 1);
+      return applyProjection(clone(alvo), opcoes.projection);
+    },
+
+    async deleteMany(consulta = {}) {
+      const antes = documentos.length;
+      const restantes = documentos.filter(documento => !matchesQuery(documento, consulta));
+      documentos.splice(0, documentos.length, ...restantes);
+      return { acknowledged: true, deletedCount: antes - restantes.length };
+    },
+
+    aggregate(pipeline = []) {
+      return createCursor(() => runPipeline(documentos, pipeline));
+    },
+
+    /**
+     * Documentos armazenados, para inspeção direta em testes
+     * @returns {Array} Cópia dos documentos
+     */
+    snapshot() {
+      return documentos.map(clone);
+    }
+  };
+}
+
+/**
+ * Cria um banco de dados em memória
+ * @returns {Object} Banco com a API de Db do driver do MongoDB (collection, listCollections, command, dropDatabase)
+ */
+function createMemoryDatabase() {
+  const colecoes = new Map();
+
+  return {
+    databaseName: 'memoria',
+
+    collection(nome) {
+      if (!colecoes.has(nome)) colecoes.set(nome, createCollection(nome));
+      return colecoes.get(nome);
+    },
+
+    listCollections() {
+      return createCursor(() => [...colecoes.keys()].map(nome => ({ name: nome, type: 'collection' })));
+    },
+
+    // Apenas o ping é suportado, usado pelas verificações de saúde
+    async command(comando) {
+      if (comando.ping) return { ok: 1 };
+      throw new Error(`Comando não suportado pelo banco em memória: ${Object.keys(comando)[0]}`);
+    },
+
+    async dropDatabase() {
+      colecoes.clear();
+      return true;
+    }
+  };
+}
+
+module.exports = { createMemoryDatabase, matchesQuery, DUPLICATE_KEY_CODE };
\ No newline at end of file
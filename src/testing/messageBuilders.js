@@ -0,0 +1,136 @@
+/**
+ * Construtores de mensagens do WhatsApp no formato entregue pelo Baileys (messages.upsert)
+ * Cobrem os tipos tratados pelo processador: conversation, extendedTextMessage
+ * (respostas, menções e links), legenda de imageMessage e mensagens de grupo com participant.
+ */
+
+// Sufixos dos JIDs do WhatsApp
+const USER_SUFFIX = '@s.whatsapp.net';
+const GROUP_SUFFIX = '@g.us';
+
+// Contador para gerar IDs de mensagem únicos
+let sequencia = 0;
+
+/**
+ * Converte um número em JID de usuário (números já completos são mantidos)
+ * @param {String} numero Número ou JID
+ * @returns {String} JID do usuário
+ */
+function userJid(numero) {
+  const texto = String(numero);
+  return texto.includes('@') ? texto : `${texto}${USER_SUFFIX}`;
+}
+
+/**
+ * Converte um ID em JID de grupo (IDs já completos são mantidos)
+ * @param {String} id ID ou JID do grupo
+ * @returns {String} JID do grupo
+ */
+function groupJid(id) {
+  const texto = String(id);
+  return texto.includes('@') ? texto : `${texto}${GROUP_SUFFIX}`;
+}
+
+/**
+ * Monta o envelope comum a todas as mensagens
+ * @param {Object} message Conteúdo da mensagem (campo message do Baileys)
+ * @param {Object} options Origem da mensagem
+ * @param {String} options.from Número ou JID do remetente
+ * @param {String} options.group ID ou JID do grupo, se a mensagem for de grupo
+ * @param {String} options.pushName Nome de exibição do remetente
+ * @param {String} options.id ID da mensagem (gerado se omitido)
+ * @param {Boolean} options.fromMe Se a mensagem foi enviada pelo próprio bot
+ * @returns {Object} Mensagem no formato do Baileys
+ */
+function buildEnvelope(message, { from = '5511999990000', group = null, pushName = 'Usuário Teste', id = null, fromMe = false } = {}) {
+  sequencia++;
+
+  const key = group
+    ? { remoteJid: groupJid(group), fromMe, id: id || `TESTE${sequencia}`, participant: userJid(from) }
+    : { remoteJid: userJid(from), fromMe, id: id || `TESTE${sequencia}` };
+
+  return {
+    key,
+    message,
+    pushName,
+    messageTimestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Mensagem de texto simples (campo conversation)
+ * @param {String} text Texto da mensagem
+ * @param {Object} options Origem da mensagem (ver buildEnvelope)
+ * @returns {Object} Mensagem no formato do Baileys
+ */
+function conversationMessage(text, options = {}) {
+  return buildEnvelope({ conversation: text }, options);
+}
+
+/**
+ * Mensagem de texto estendida, usada pelo WhatsApp em respostas, menções e links
+ * @param {String} text Texto da mensagem
+ * @param {Object} options Origem da mensagem (ver buildEnvelope) e contexto
+ * @param {String[]} options.mentions Números ou JIDs mencionados
+ * @param {Object} options.quoted Mensagem respondida (no formato do Baileys)
+ * @returns {Object} Mensagem no formato do Baileys
+ */
+function extendedTextMessage(text, { mentions = [], quoted = null, ...options } = {}) {
+  const contextInfo = {};
+
+  if (mentions.length > 0) {
+    contextInfo.mentionedJid = mentions.map(userJid);
+  }
+
+  if (quoted) {
+    contextInfo.stanzaId = quoted.key.id;
+    contextInfo.participant = quoted.key.participant || quoted.key.remoteJid;
+    contextInfo.quotedMessage = quoted.message;
+  }
+
+  return buildEnvelope({
+    extendedTextMessage: Object.keys(contextInfo).length > 0 ? { text, contextInfo } : { text }
+  }, options);
+}
+
+/**
+ * Imagem com legenda; o processador usa a legenda como texto
+ * @param {String} caption Legenda da imagem
+ * @param {Object} options Origem da mensagem (ver buildEnvelope)
+ * @returns {Object} Mensagem no formato do Baileys
+ */
+function imageMessage(caption, options = {}) {
+  return buildEnvelope({
+    imageMessage: {
+      url: 'https://mmg.whatsapp.net/teste.enc',
+      mimetype: 'image/jpeg',
+      caption,
+      fileLength: 1024,
+      height: 640,
+      width: 480
+    }
+  }, options);
+}
+
+/**
+ * Mensagem de texto enviada em um grupo por um participante
+ * @param {String} text Texto da mensagem
+ * @param {Object} options Origem da mensagem (ver buildEnvelope)
+ * @param {String} options.group ID ou JID do grupo (padrão: grupo de testes)
+ * @param {String[]} options.mentions Números ou JIDs mencionados (gera extendedTextMessage)
+ * @returns {Object} Mensagem no formato do Baileys
+ */
+function groupMessage(text, { group = '120363000000000001', mentions = [], ...options } = {}) {
+  return mentions.length > 0
+    ? extendedTextMessage(text, { ...options, group, mentions })
+    : conversationMessage(text, { ...options, group });
+}
+
+module.exports = {
+  userJid,
+  groupJid,
+  conversationMessage,
+  extendedTextMessage,
+  imageMessage,
+  groupMessage
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Servidor HTTP de testes
+ * Monta uma rota do Express em uma porta livre, para exercitá-la com fetch.
+ */
+const express = require('express');
+
+/**
+ * Inicia um servidor com a rota montada no caminho informado
+ * @param {Object} router Rota do Express (ex: createChatRouter(db))
+ * @param {String} path Caminho onde a rota é montada (ex: /chat)
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function startTestServer(router, path) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+
+  const server = await new Promise(resolve => {
+    const instancia = app.listen(0, () => resolve(instancia));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+
+    /**
+     * Encerra o servidor
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startTestServer };
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Transporte do WhatsApp (Baileys)
+ * Converte as mensagens recebidas em messages.upsert para o modelo neutro de entrada
+ * e envia as respostas pelo socket, citando a mensagem original e assinando os textos.
+ */
+const { createInboundMessage } = require('./inboundMessage');
+const { getLogger } = require('../config/logger');
+require('dotenv').config();
+
+const logger = getLogger('baileysTransport');
+
+// Nome do canal nas mensagens de entrada e no histórico dos fatos
+const CHANNEL = 'whatsapp';
+
+// Tipos de mensagem que podem trazer menções e citações (contextInfo)
+const CONTEXT_MESSAGE_TYPES = ['extendedTextMessage', 'imageMessage', 'videoMessage', 'documentMessage'];
+
+/**
+ * Extrai apenas o número de um JID, ignorando dispositivo e domínio
+ * Ex: "5511999999999:12@s.whatsapp.net" → "5511999999999"
+ * @param {String} jid JID do WhatsApp
+ * @returns {String} Número
+ */
+function jidNumber(jid) {
+  return String(jid || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Extrai o texto da mensagem do WhatsApp
+ * @param {Object} message Objeto de mensagem do WhatsApp
+ * @returns {String|null} Texto da mensagem ou null se não encontrado
+ */
+function extractMessageText(message) {
+  // Se não há mensagem, retorna null
+  if (!message || !message.message) return null;
+
+  // Verifica diferentes tipos de mensagem
+  if (message.message.conversation) {
+    return message.message.conversation.trim();
+  }
+
+  if (message.message.extendedTextMessage && message.message.extendedTextMessage.text) {
+    return message.message.extendedTextMessage.text.trim();
+  }
+
+  if (message.message.imageMessage && message.message.imageMessage.caption) {
+    return message.message.imageMessage.caption.trim();
+  }
+
+  return null;
+}
+
+/**
+ * Obtém o contextInfo (menções e mensagem citada) de uma mensagem do WhatsApp
+ * @param {Object} message Objeto de mensagem do WhatsApp
+ * @returns {Object} contextInfo ou objeto vazio
+ */
+function extractContextInfo(message) {
+  const content = message.message || {};
+  const tipo = CONTEXT_MESSAGE_TYPES.find(chave => content[chave] && content[chave].contextInfo);
+
+  return tipo ? content[tipo].contextInfo : {};
+}
+
+/**
+ * Converte uma mensagem do Baileys para o modelo neutro de entrada
+ * A menção ao bot (@número) é removida do texto.
+ * @param {Object} message Objeto de mensagem do WhatsApp
+ * @param {Object} options Opções da conversão
+ * @param {String} options.botJid JID do próprio bot (sock.user.id)
+ * @returns {Object|null} Mensagem de entrada ou null se a mensagem não tiver chat
+ */
+function toInboundMessage(message, { botJid = null } = {}) {
+  if (!message || !message.key || !message.key.remoteJid) return null;
+
+  const { remoteJid } = message.key;
+  const contextInfo = extractContextInfo(message);
+  const botNumber = jidNumber(botJid);
+
+  const mentionsBot = Boolean(botNumber) && (contextInfo.mentionedJid || []).some(jid => jidNumber(jid) === botNumber);
+  const replyToBot = Boolean(botNumber && contextInfo.quotedMessage) && jidNumber(contextInfo.participant) === botNumber;
+
+  let text = extractMessageText(message);
+  if (text && mentionsBot) {
+    text = text.replace(new RegExp(`@${botNumber}\\b`, 'g'), '').trim();
+  }
+
+  return createInboundMessage({
+    id: message.key.id,
+    channel: CHANNEL,
+    chatId: remoteJid,
+    isGroup: remoteJid.endsWith('@g.us'),
+    // Remove o sufixo do ID para obter apenas o número
+    sender: { id: jidNumber(message.key.participant || remoteJid), name: message.pushName || null },
+    text,
+    mentionsBot,
+    replyToBot,
+    fromSelf: Boolean(message.key.fromMe),
+    timestamp: message.messageTimestamp ? new Date(Number(message.messageTimestamp) * 1000) : new Date(),
+    raw: message
+  });
+}
+
+/**
+ * Cria o transporte do WhatsApp
+ * @param {Function} getSocket Função que devolve o socket atual (o socket muda a cada reconexão)
+ * @returns {Object} Transporte
+ */
+function createBaileysTransport(getSocket) {
+  return {
+    name: CHANNEL,
+
+    /**
+     * JID do próprio bot na conexão atual
+     * @returns {String|null} JID do bot
+     */
+    get botJid() {
+      const sock = getSocket();
+      return sock && sock.user ? sock.user.id : null;
+    },
+
+    /**
+     * Envia uma resposta, citando a mensagem original quando informada
+     * @param {String} chatId JID do chat de destino
+     * @param {Object} content Conteúdo da resposta ({ text } ou documento)
+     * @param {Object} options Opções de envio
+     * @param {Object} options.replyTo Mensagem de entrada a ser citada
+     */
+    async send(chatId, content, { replyTo = null } = {}) {
+      const sock = getSocket();
+
+      // Respostas de texto recebem a assinatura do bot
+      const payload = content.text
+        ? { ...content, text: `*${process.env.BOT_NAME || 'Marvin'}*\n\n${content.text}` }
+        : content;
+
+      if (!replyTo || !replyTo.raw) {
+        await sock.sendMessage(chatId, payload);
+        return;
+      }
+
+      try {
+        await sock.sendMessage(chatId, payload, { quoted: replyTo.raw });
+      } catch (sendError) {
+        logger.warn({ err: sendError }, 'Erro ao enviar resposta citando a mensagem');
+        // Tenta enviar sem citação caso falhe
+        await sock.sendMessage(chatId, payload);
+      }
+    },
+
+    /**
+     * Indica que o bot está digitando (composing) ou terminou (paused)
+     * @param {String} chatId JID do chat
+     * @param {Boolean} active Se o bot está digitando
+     */
+    async setTyping(chatId, active) {
+      const sock = getSocket();
+
+      if (active) {
+        await sock.presenceSubscribe(chatId);
+      }
+      await sock.sendPresenceUpdate(active ? 'composing' : 'paused', chatId);
+    }
+  };
+}
+
+module.exports = { CHANNEL, createBaileysTransport, toInboundMessage, extractMessageText, jidNumber };
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Transporte síncrono da rota POST /chat
+ * Permite conversar com o bot sem WhatsApp: as respostas enviadas durante o processamento
+ * de uma mensagem são acumuladas e devolvidas na própria resposta HTTP.
+ *
+ * O remetente é informado pelo cliente e não é verificado, então remetentes e chats recebem
+ * o prefixo http: e nunca se confundem com os do WhatsApp: não herdam papéis nem
+ * BOT_ADMIN_NUMBERS e têm seu próprio escopo de conhecimento. Sem grupo, o chat é o do
+ * remetente ("http:<senderId>"); com grupo, "http:<groupId>". O conhecimento global
+ * continua visível.
+ *
+ * Formato da requisição:
+ *   { "senderId": "5511999990000", "senderName": "Ana", "groupId": "120363000000000001", "text": "Olá" }
+ */
+const crypto = require('crypto');
+const { createInboundMessage } = require('./inboundMessage');
+
+// Nome do canal nas mensagens de entrada e no histórico dos fatos
+const CHANNEL = 'http';
+
+// Prefixo dos remetentes e chats da rota, como no transporte de webhook
+const PREFIX = 'http:';
+
+/**
+ * Valida e converte o corpo recebido em POST /chat para o modelo neutro de entrada
+ * @param {Object} body Corpo da requisição
+ * @returns {Object} { valido, motivo, mensagem }
+ */
+function parseChatRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { valido: false, motivo: 'corpo da requisição inválido' };
+  }
+
+  const { senderId, senderName, groupId, text } = body;
+
+  if (!/^\d+$/.test(String(senderId || ''))) {
+    return { valido: false, motivo: 'senderId é obrigatório e deve conter apenas dígitos' };
+  }
+
+  if (groupId !== undefined && groupId !== null && (typeof groupId !== 'string' || !groupId.trim())) {
+    return { valido: false, motivo: 'groupId deve ser um texto' };
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { valido: false, motivo: 'text é obrigatório' };
+  }
+
+  const grupo = groupId ? groupId.trim() : null;
+  const chatId = `${PREFIX}${grupo || senderId}`;
+
+  return {
+    valido: true,
+    mensagem: createInboundMessage({
+      id: crypto.randomUUID(),
+      channel: CHANNEL,
+      chatId,
+      isGroup: Boolean(grupo),
+      sender: { id: `${PREFIX}${senderId}`, name: typeof senderName === 'string' ? senderName : null },
+      text,
+      raw: body
+    })
+  };
+}
+
+/**
+ * Cria um transporte que acumula as respostas enviadas
+ * @returns {Object} Transporte, com as respostas em respostas
+ */
+function createHttpTransport() {
+  const respostas = [];
+
+  return {
+    name: CHANNEL,
+    respostas,
+
+    /**
+     * Guarda uma resposta para devolvê-la na resposta HTTP
+     * @param {String} chatId ID do chat
+     * @param {Object} content Conteúdo da resposta ({ text } ou documento)
+     */
+    async send(chatId, content) {
+      if (content.document) {
+        respostas.push({
+          document: {
+            fileName: content.fileName || null,
+            mimetype: content.mimetype || 'application/octet-stream',
+            base64: Buffer.from(content.document).toString('base64')
+          },
+          caption: content.caption || null
+        });
+        return;
+      }
+
+      respostas.push({ text: content.text });
+    },
+
+    // Não há indicação de digitação em uma resposta síncrona
+    async setTyping() {}
+  };
+}
+
+module.exports = { CHANNEL, PREFIX, createHttpTransport, parseChatRequest };
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Modelo de mensagem de entrada, independente do canal (ver src/transports/index.js)
+ */
+const crypto = require('crypto');
+
+/**
+ * Monta uma mensagem de entrada completando os campos opcionais
+ * @param {Object} campos Campos da mensagem (ver formato acima)
+ * @returns {Object} Mensagem de entrada
+ */
+function createInboundMessage({
+  id,
+  channel,
+  chatId,
+  isGroup = false,
+  sender,
+  text,
+  mentionsBot = false,
+  replyToBot = false,
+  fromSelf = false,
+  timestamp = new Date(),
+  raw = null,
+  correlationId = crypto.randomUUID()
+}) {
+  return {
+    id,
+    channel,
+    chatId,
+    isGroup: Boolean(isGroup),
+    sender: { id: String(sender.id), name: sender.name || null },
+    text: text ? String(text).trim() : null,
+    mentionsBot: Boolean(mentionsBot),
+    replyToBot: Boolean(replyToBot),
+    fromSelf: Boolean(fromSelf),
+    timestamp,
+    raw,
+    correlationId
+  };
+}
+
+module.exports = { createInboundMessage };
\ No newline at end of file
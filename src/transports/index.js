@@ -0,0 +1,38 @@
+/**
+ * Canais de mensagens (transportes)
+ *
+ * O processador de mensagens não conhece o canal: recebe uma mensagem de entrada
+ * neutra e responde por um transporte. Toda mensagem de entrada tem o formato:
+ * - id: ID da mensagem no canal
+ * - channel: nome do canal (whatsapp, webhook, http)
+ * - chatId: ID do chat, usado como escopo do conhecimento (JID no WhatsApp)
+ * - isGroup: se o chat é um grupo
+ * - sender: { id, name } (id apenas com dígitos, como os números do WhatsApp)
+ * - text: texto da mensagem
+ * - mentionsBot: se a mensagem menciona o bot
+ * - replyToBot: se a mensagem responde (cita) uma mensagem do bot
+ * - fromSelf: se a mensagem foi enviada pelo próprio bot
+ * - timestamp: data de envio
+ * - raw: mensagem original do canal
+ * - correlationId: ID que associa os logs do processamento da mensagem (gerado na criação)
+ *
+ * Todo transporte expõe a mesma interface:
+ * - name: nome do canal
+ * - send(chatId, content, { replyTo }): envia { text } ou { document, mimetype, fileName, caption }
+ * - setTyping(chatId, active): indica que o bot está (ou deixou de estar) digitando
+ */
+const { createInboundMessage } = require('./inboundMessage');
+const { createBaileysTransport, toInboundMessage, extractMessageText } = require('./baileysTransport');
+const { createWebhookTransport, parseWebhookMessage } = require('./webhookTransport');
+const { createHttpTransport, parseChatRequest } = require('./httpTransport');
+
+module.exports = {
+  createInboundMessage,
+  createBaileysTransport,
+  toInboundMessage,
+  extractMessageText,
+  createWebhookTransport,
+  parseWebhookMessage,
+  createHttpTransport,
+  parseChatRequest
+};
\ No newline at end of file
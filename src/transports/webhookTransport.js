@@ -0,0 +1,171 @@
+/**
+ * Transporte de webhook HTTP genérico
+ * Permite usar o bot em outros canais (chat interno, widget web): o cliente envia as
+ * mensagens para POST /webhook/messages e recebe as respostas por POST na URL
+ * configurada em WEBHOOK_OUTBOUND_URL, assinadas com HMAC-SHA256 do WEBHOOK_TOKEN
+ * no cabeçalho X-Marvin-Signature.
+ *
+ * Formato da mensagem recebida:
+ *   { "id": "msg-1", "chatId": "sala-42", "isGroup": false,
+ *     "sender": { "id": "42", "name": "Ana" }, "text": "Olá",
+ *     "mentionsBot": false, "replyToBot": false }
+ *
+ * Formato dos eventos enviados:
+ *   { "type": "message", "chatId": "sala-42", "replyTo": "msg-1", "text": "..." }
+ *   { "type": "message", "chatId": "sala-42", "document": { "fileName", "mimetype", "base64" }, "caption": "..." }
+ *   { "type": "typing", "chatId": "sala-42", "active": true } (apenas com WEBHOOK_SEND_TYPING=true)
+ */
+const crypto = require('crypto');
+const { createInboundMessage } = require('./inboundMessage');
+require('dotenv').config();
+
+// Nome do canal nas mensagens de entrada e no histórico dos fatos
+const CHANNEL = 'webhook';
+
+// Prefixo dos chats do webhook, para que não se confundam com os JIDs do WhatsApp
+// (o chatId é o escopo do conhecimento aprendido no chat)
+const CHAT_PREFIX = 'webhook:';
+
+// Prefixo dos remetentes do webhook: o ID informado pelo cliente não é verificado, então
+// não pode se confundir com um número do WhatsApp (papéis, BOT_ADMIN_NUMBERS e fatos pessoais)
+const SENDER_PREFIX = 'webhook:';
+
+// Tempo máximo de espera pela URL de saída
+const OUTBOUND_TIMEOUT_MS = 10000;
+
+/**
+ * Valida e converte o corpo recebido pelo webhook para o modelo neutro de entrada
+ * Os IDs de remetente devem conter apenas dígitos e recebem o prefixo webhook:, de modo
+ * que os fatos pessoais ficam separados dos números do WhatsApp e nenhum papel é herdado.
+ * @param {Object} body Corpo da requisição
+ * @returns {Object} { valido, motivo, mensagem }
+ */
+function parseWebhookMessage(body) {
+  if (!body || typeof body !== 'object') {
+    return { valido: false, motivo: 'corpo da requisição inválido' };
+  }
+
+  const { id, chatId, isGroup, sender, text, mentionsBot, replyToBot } = body;
+
+  if (typeof chatId !== 'string' || !chatId.trim()) {
+    return { valido: false, motivo: 'chatId é obrigatório' };
+  }
+
+  if (!sender || !/^\d+$/.test(String(sender.id || ''))) {
+    return { valido: false, motivo: 'sender.id é obrigatório e deve conter apenas dígitos' };
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    return { valido: false, motivo: 'text é obrigatório' };
+  }
+
+  return {
+    valido: true,
+    mensagem: createInboundMessage({
+      id: id ? String(id) : crypto.randomUUID(),
+      channel: CHANNEL,
+      chatId: `${CHAT_PREFIX}${chatId.trim()}`,
+      isGroup,
+      sender: { id: `${SENDER_PREFIX}${sender.id}`, name: typeof sender.name === 'string' ? sender.name : null },
+      text,
+      mentionsBot,
+      replyToBot,
+      raw: body
+    })
+  };
+}
+
+/**
+ * Obtém o chatId informado pelo cliente a partir do chatId interno
+ * @param {String} chatId ID interno do chat (com prefixo)
+ * @returns {String} ID do chat no cliente
+ */
+function externalChatId(chatId) {
+  return chatId.startsWith(CHAT_PREFIX) ? chatId.slice(CHAT_PREFIX.length) : chatId;
+}
+
+/**
+ * Cria o transporte de webhook
+ * @param {Object} options Opções do transporte
+ * @param {String} options.url URL que recebe as respostas do bot
+ * @param {String} options.token Segredo usado na assinatura das respostas
+ * @param {Boolean} options.sendTyping Se os eventos de digitação devem ser enviados
+ * @param {Function} options.fetchFn Implementação de fetch (substituível em testes)
+ * @returns {Object} Transporte
+ */
+function createWebhookTransport({
+  url = process.env.WEBHOOK_OUTBOUND_URL,
+  token = process.env.WEBHOOK_TOKEN,
+  sendTyping = process.env.WEBHOOK_SEND_TYPING === 'true',
+  fetchFn = (...args) => fetch(...args)
+} = {}) {
+  /**
+   * Envia um evento para a URL de saída
+   * @param {Object} evento Evento a enviar
+   */
+  const postEvent = async (evento) => {
+    if (!url) {
+      throw new Error('WEBHOOK_OUTBOUND_URL não configurada');
+    }
+
+    const corpo = JSON.stringify(evento);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (token) {
+      headers['X-Marvin-Signature'] = `sha256=${crypto.createHmac('sha256', token).update(corpo).digest('hex')}`;
+    }
+
+    const response = await fetchFn(url, {
+      method: 'POST',
+      headers,
+      body: corpo,
+      signal: AbortSignal.timeout(OUTBOUND_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook de saída respondeu ${response.status}`);
+    }
+  };
+
+  return {
+    name: CHANNEL,
+    // Se há uma URL para entregar as respostas
+    configured: Boolean(url),
+
+    /**
+     * Envia uma resposta para o cliente do webhook
+     * @param {String} chatId ID interno do chat
+     * @param {Object} content Conteúdo da resposta ({ text } ou documento)
+     * @param {Object} options Opções de envio
+     * @param {Object} options.replyTo Mensagem de entrada respondida
+     */
+    async send(chatId, content, { replyTo = null } = {}) {
+      const evento = { type: 'message', chatId: externalChatId(chatId), replyTo: replyTo ? replyTo.id : null };
+
+      if (content.document) {
+        evento.document = {
+          fileName: content.fileName || null,
+          mimetype: content.mimetype || 'application/octet-stream',
+          base64: Buffer.from(content.document).toString('base64')
+        };
+        evento.caption = content.caption || null;
+      } else {
+        evento.text = content.text;
+      }
+
+      await postEvent(evento);
+    },
+
+    /**
+     * Informa ao cliente que o bot está digitando, se configurado
+     * @param {String} chatId ID interno do chat
+     * @param {Boolean} active Se o bot está digitando
+     */
+    async setTyping(chatId, active) {
+      if (!sendTyping) return;
+      await postEvent({ type: 'typing', chatId: externalChatId(chatId), active: Boolean(active) });
+    }
+  };
+}
+
+module.exports = { CHANNEL, CHAT_PREFIX, SENDER_PREFIX, createWebhookTransport, parseWebhookMessage };
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Testes da API administrativa (rotas /admin)
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, startTestServer, conversationMessage } = require('../src/testing');
+const { createAdminRouter } = require('../src/routes/admin');
+
+const TOKEN = 'token-de-teste';
+const ANA = '5511911110000';
+
+describe('API administrativa', () => {
+  let harness;
+  let server;
+
+  /**
+   * Faz uma requisição à API
+   * @param {String} metodo Método HTTP
+   * @param {String} caminho Caminho a partir de /admin
+   * @param {Object} opcoes Corpo da requisição e token de acesso
+   * @returns {Promise<Object>} { status, body }
+   */
+  const requisitar = async (metodo, caminho, { body, token = TOKEN } = {}) => {
+    const response = await fetch(`${server.baseUrl}/admin${caminho}`, {
+      method: metodo,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Cria um fato global pela API
+   * @param {String} chave Conceito definido
+   * @param {String} valor Definição
+   * @returns {Promise<Object>} { status, body }
+   */
+  const criarDefinicao = (chave, valor) => requisitar('POST', '/facts', {
+    body: { tipo: 'definicao', chave, entidade: 'geral', valor }
+  });
+
+  beforeEach(async () => {
+    harness = await createTestHarness({ env: { ADMIN_API_TOKEN: TOKEN } });
+    server = await startTestServer(createAdminRouter(harness.db), '/admin');
+  });
+
+  afterEach(async () => {
+    await server.close();
+    harness.close();
+  });
+
+  it('exige o token de acesso', async () => {
+    assert.equal((await requisitar('GET', '/facts', { token: null })).status, 401);
+    assert.equal((await requisitar('GET', '/facts', { token: 'outro' })).status, 401);
+    assert.equal((await requisitar('GET', '/facts')).status, 200);
+
+    delete process.env.ADMIN_API_TOKEN;
+    const desativada = await requisitar('GET', '/facts');
+    assert.equal(desativada.status, 503);
+    assert.match(desativada.body.error, /ADMIN_API_TOKEN/);
+  });
+
+  it('pagina as listagens', async () => {
+    await criarDefinicao('api', 'interface de programação');
+    await criarDefinicao('sdk', 'kit de desenvolvimento');
+    await criarDefinicao('cli', 'interface de linha de comando');
+
+    const { status, body } = await requisitar('GET', '/facts?limit=2&page=2');
+
+    assert.equal(status, 200);
+    assert.equal(body.items.length, 1);
+    assert.equal(body.page, 2);
+    assert.equal(body.limit, 2);
+    assert.equal(body.total, 3);
+    assert.equal(body.totalPages, 2);
+
+    const busca = await requisitar('GET', '/facts?busca=linha');
+    assert.deepEqual(busca.body.items.map(fato => fato.chave), ['cli']);
+  });
+
+  it('valida os fatos e os identificadores', async () => {
+    const incompleto = await requisitar('POST', '/facts', { body: { tipo: 'definicao', chave: 'api' } });
+    assert.equal(incompleto.status, 400);
+    assert.match(incompleto.body.error, /campos obrigatórios/);
+
+    const tipoInvalido = await requisitar('POST', '/facts', { body: { tipo: 'segredo', chave: 'api', entidade: 'geral', valor: 'x' } });
+    assert.equal(tipoInvalido.status, 400);
+    assert.match(tipoInvalido.body.error, /tipo não permitido/);
+
+    assert.equal((await requisitar('GET', '/facts/abc')).status, 400);
+    assert.equal((await requisitar('GET', '/facts/0123456789abcdef01234567')).status, 404);
+
+    const criado = await criarDefinicao('api', 'interface de programação');
+    assert.equal(criado.status, 201);
+
+    const alteracaoInvalida = await requisitar('PATCH', `/facts/${criado.body.id}`, { body: { valor: '   ' } });
+    assert.equal(alteracaoInvalida.status, 400);
+  });
+
+  it('remove as respostas em cache ao alterar ou remover um fato', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+    const [fato] = harness.db.collection('facts').snapshot();
+    assert.equal(harness.db.collection('responses').snapshot().length, 1);
+
+    const alteracao = await requisitar('PATCH', `/facts/${fato._id}`, { body: { valor: 'Bia' } });
+    assert.equal(alteracao.status, 200);
+    assert.equal(harness.db.collection('responses').snapshot().length, 0);
+
+    const [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Bia.');
+
+    await harness.send(conversationMessage('/aprender meu nome é Bia', { from: ANA }));
+    const remocao = await requisitar('DELETE', `/facts/${fato._id}`);
+    assert.equal(remocao.status, 200);
+    assert.ok(remocao.body.deletedResponses > 0);
+    assert.equal(harness.db.collection('facts').snapshot().length, 0);
+    assert.equal((await requisitar('DELETE', `/facts/${fato._id}`)).status, 404);
+  });
+});
\ No newline at end of file
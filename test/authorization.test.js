@@ -0,0 +1,98 @@
+/**
+ * Testes da autorização: hierarquia de papéis e liberação de grupos
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage, groupMessage } = require('../src/testing');
+const { getRole, hasRole, isAdmin } = require('../src/services/authorization');
+
+const ADMIN = '5511900000000';
+const ANA = '5511911110000';
+const BRUNO = '5511922220000';
+
+describe('autorização', () => {
+  let harness;
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  describe('papéis', () => {
+    beforeEach(async () => {
+      harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN } });
+    });
+
+    it('aplica a hierarquia leitor < professor < admin', async () => {
+      const [resposta] = await harness.send(conversationMessage(`/papel ${ANA} professor`, { from: ADMIN }));
+      assert.equal(resposta, `${ANA} agora é professor.`);
+
+      assert.equal(await getRole(harness.db, ANA), 'professor');
+      assert.equal(await hasRole(harness.db, ANA, 'leitor'), true);
+      assert.equal(await hasRole(harness.db, ANA, 'professor'), true);
+      assert.equal(await isAdmin(harness.db, ANA), false);
+
+      assert.equal(await getRole(harness.db, BRUNO), 'leitor');
+      assert.equal(await hasRole(harness.db, BRUNO, 'professor'), false);
+      assert.equal(await hasRole(harness.db, ADMIN, 'professor'), true);
+    });
+
+    it('restringe /papel e o aprendizado global aos papéis exigidos', async () => {
+      const [negado] = await harness.send(conversationMessage(`/papel ${BRUNO} admin`, { from: ANA }));
+      assert.match(negado, /Apenas administradores/);
+      assert.equal(await getRole(harness.db, BRUNO), 'leitor');
+
+      const [global] = await harness.send(conversationMessage('/aprender global API é uma interface', { from: ANA }));
+      assert.match(global, /Apenas professores e administradores/);
+    });
+
+    it('mantém como admin quem está em BOT_ADMIN_NUMBERS', async () => {
+      const [proprio] = await harness.send(conversationMessage(`/papel ${ADMIN} leitor`, { from: ADMIN }));
+      assert.match(proprio, /não pode remover seu próprio papel/);
+
+      await harness.send(conversationMessage(`/papel ${ANA} admin`, { from: ADMIN }));
+      const [aviso] = await harness.send(conversationMessage(`/papel ${ADMIN} leitor`, { from: ANA }));
+      assert.match(aviso, /está em BOT_ADMIN_NUMBERS e continua admin/);
+      assert.equal(await getRole(harness.db, ADMIN), 'admin');
+    });
+  });
+
+  describe('grupos liberados', () => {
+    // Cada teste usa um grupo próprio, pois a liberação dos grupos fica em memória
+    let teste = 0;
+    let grupo;
+
+    beforeEach(async () => {
+      grupo = `12036300000000010${++teste}`;
+      harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN, BOT_GROUP_ALLOWLIST: 'true' } });
+    });
+
+    it('ignora grupos não liberados até que um administrador use /grupo liberar', async () => {
+      const pergunta = () => harness.receive(groupMessage('Marvin, o que é uma API?', { group: grupo, from: ANA }));
+
+      assert.equal((await pergunta()).motivo, 'grupo_nao_liberado');
+
+      const tentativa = await harness.receive(groupMessage('/grupo liberar', { group: grupo, from: ANA }));
+      assert.equal(tentativa.motivo, 'grupo_nao_liberado');
+
+      const liberacao = await harness.receive(groupMessage('/grupo liberar', { group: grupo, from: ADMIN }));
+      assert.equal(liberacao.aceita, true);
+      assert.deepEqual(liberacao.replies, ['Grupo liberado: o bot passa a responder aqui.']);
+
+      assert.equal((await pergunta()).aceita, true);
+    });
+
+    it('volta a ignorar o grupo após /grupo remover', async () => {
+      await harness.receive(groupMessage('/grupo liberar', { group: grupo, from: ADMIN }));
+      const remocao = await harness.receive(groupMessage('/grupo remover', { group: grupo, from: ADMIN }));
+      assert.deepEqual(remocao.replies, ['Liberação removida: o bot deixa de responder aqui.']);
+
+      const pergunta = await harness.receive(groupMessage('Marvin, o que é uma API?', { group: grupo, from: ANA }));
+      assert.equal(pergunta.motivo, 'grupo_nao_liberado');
+    });
+
+    it('atende conversas privadas independentemente da liberação', async () => {
+      const privada = await harness.receive(conversationMessage('o que é uma API?', { from: ANA }));
+      assert.equal(privada.aceita, true);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Testes da conversa por HTTP (POST /chat)
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, startTestServer, conversationMessage } = require('../src/testing');
+const { createChatRouter } = require('../src/routes/chat');
+
+const TOKEN = 'token-de-teste';
+const ADMIN = '5511900000000';
+
+describe('POST /chat', () => {
+  let harness;
+  let server;
+
+  /**
+   * Envia uma mensagem para a rota
+   * @param {Object} body Corpo da requisição
+   * @param {String} token Token de acesso
+   * @returns {Promise<Object>} { status, body }
+   */
+  const conversar = async (body, token = TOKEN) => {
+    const response = await fetch(`${server.baseUrl}/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    harness = await createTestHarness({ env: { ADMIN_API_TOKEN: TOKEN, BOT_ADMIN_NUMBERS: ADMIN } });
+    server = await startTestServer(createChatRouter(harness.db), '/chat');
+  });
+
+  afterEach(async () => {
+    await server.close();
+    harness.close();
+  });
+
+  it('exige o token e valida o corpo', async () => {
+    assert.equal((await conversar({ senderId: '55', text: 'oi' }, 'outro')).status, 401);
+
+    const invalido = await conversar({ senderId: 'ana', text: 'oi' });
+    assert.equal(invalido.status, 400);
+    assert.match(invalido.body.error, /senderId/);
+  });
+
+  it('aprende e responde com o diagnóstico do processamento', async () => {
+    const aprender = await conversar({ senderId: '5511911110000', text: '/aprender meu nome é Ana' });
+
+    assert.equal(aprender.status, 200);
+    assert.equal(aprender.body.chatId, 'http:5511911110000');
+    assert.equal(aprender.body.diagnostico.origem, 'aprendizado');
+    assert.deepEqual(aprender.body.diagnostico.fatos.map(fato => fato.valor), ['Ana']);
+
+    const perguntar = await conversar({ senderId: '5511911110000', text: 'qual é o meu nome?' });
+    const { diagnostico } = perguntar.body;
+
+    assert.deepEqual(perguntar.body.respostas, [{ text: 'Seu nome é Ana.' }]);
+    assert.equal(diagnostico.origem, 'consulta');
+    assert.equal(diagnostico.cache.hit, false);
+    assert.equal(diagnostico.taxonomia.categoria_conhecimento, 'IDENTIDADE');
+    assert.deepEqual(diagnostico.consulta, { tipo: 'identidade', alvo: 'usuario', parametros: { entidade: 'usuario' } });
+    assert.equal(diagnostico.fatos[0].escopo, 'http:5511911110000');
+  });
+
+  it('não expõe os fatos pessoais do número do WhatsApp informado', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: '5511911110000' }));
+
+    const { body } = await conversar({ senderId: '5511911110000', text: '/meusdados' });
+
+    assert.deepEqual(body.respostas, [{ text: 'Ainda não tenho nenhuma informação sobre você neste chat.' }]);
+  });
+
+  it('não concede papéis a quem informa o número de um administrador', async () => {
+    const papel = await conversar({ senderId: ADMIN, text: '/papel 5511922220000 admin' });
+    assert.deepEqual(papel.body.respostas, [{ text: 'Apenas administradores podem gerenciar papéis.' }]);
+    assert.deepEqual(harness.db.collection('user_roles').snapshot(), []);
+
+    const limite = await conversar({ senderId: ADMIN, text: '/limite 5511922220000 minuto=100' });
+    assert.match(limite.body.respostas[0].text, /Apenas administradores/);
+  });
+
+  it('recusa grupos não liberados', async () => {
+    process.env.BOT_GROUP_ALLOWLIST = 'true';
+
+    const { status, body } = await conversar({ senderId: '5511911110000', groupId: '120363000000000001', text: 'oi' });
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'grupo_nao_liberado');
+  });
+});
\ No newline at end of file
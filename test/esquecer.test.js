@@ -0,0 +1,50 @@
+/**
+ * Testes do comando /esquecer: remoção de fatos e das respostas em cache construídas a partir deles
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage } = require('../src/testing');
+
+const ANA = '5511911110000';
+const BRUNO = '5511922220000';
+
+describe('comando /esquecer', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createTestHarness();
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+  });
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  it('remove o fato e as respostas em cache que dependem dele', async () => {
+    const [fato] = harness.db.collection('facts').snapshot();
+    const emCache = harness.db.collection('responses').snapshot()
+      .filter(resposta => (resposta.fatos_ids || []).some(id => String(id) === String(fato._id)));
+    assert.equal(emCache.length, 1);
+
+    const [resposta] = await harness.send(conversationMessage('/esquecer meu nome', { from: ANA }));
+    assert.match(resposta, /^Removi 1 fato\(s\):\n- nome: Ana/);
+    assert.match(resposta, /1 resposta\(s\) em cache também foram removidas/);
+
+    assert.equal(harness.db.collection('facts').snapshot().length, 0);
+    assert.equal(harness.db.collection('responses').snapshot().length, 0);
+
+    const [pergunta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.notEqual(pergunta, 'Seu nome é Ana.');
+  });
+
+  it('não remove fatos pessoais de outro usuário', async () => {
+    const [resposta] = await harness.send(conversationMessage('/esquecer meu nome', { from: BRUNO }));
+    assert.equal(resposta, 'Nenhum fato encontrado para "meu nome".');
+    assert.equal(harness.db.collection('facts').snapshot().length, 1);
+  });
+
+  it('explica o uso quando a descrição não é informada', async () => {
+    const [resposta] = await harness.send(conversationMessage('/esquecer', { from: ANA }));
+    assert.match(resposta, /^Uso: \/esquecer <descrição>/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Testes do histórico de versões dos fatos: promoção a conhecimento global,
+ * reversão pelo modelo e pelo comando /reverter
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage, groupMessage } = require('../src/testing');
+const ResponseModel = require('../src/models/Response');
+const AccessControlModel = require('../src/models/AccessControl');
+
+const ADMIN = '5511900000000';
+const ANA = '5511911110000';
+const PROFESSOR = '5511933330000';
+const GRUPO = '120363000000000001';
+const GRUPO_JID = `${GRUPO}@g.us`;
+
+/**
+ * Monta um fato de definição de API no escopo informado
+ * @param {String} valor Valor da definição
+ * @param {String} escopo Escopo do fato
+ * @returns {Object} Fato no formato de saveFact
+ */
+function definicaoDeApi(valor, escopo) {
+  return { tipo: 'definicao', chave: 'significado', entidade: 'api', valor, escopo };
+}
+
+describe('histórico de versões dos fatos', () => {
+  let harness;
+  let responseModel;
+
+  beforeEach(async () => {
+    harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN } });
+    responseModel = new ResponseModel(harness.db);
+    await new AccessControlModel(harness.db).setRole(PROFESSOR, 'professor', ADMIN);
+  });
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  describe('/promover', () => {
+    it('não substitui um valor global diferente sem um administrador', async () => {
+      const global = await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+      await responseModel.saveFact(definicaoDeApi('aplicação para integração', GRUPO_JID));
+
+      const [resposta] = await harness.send(groupMessage('/promover significado api', { group: GRUPO, from: PROFESSOR }));
+
+      assert.match(resposta, /Já existe um valor diferente/);
+      assert.equal((await responseModel.findFactById(global.factId)).fact.valor, 'interface de programação');
+      assert.equal(harness.db.collection('facts').snapshot().length, 2);
+
+      const [negado] = await harness.send(groupMessage('/promover substituir significado api', { group: GRUPO, from: PROFESSOR }));
+      assert.match(negado, /Apenas administradores/);
+    });
+
+    it('substitui o valor global preservando o histórico e invalidando o cache', async () => {
+      const global = await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+      await responseModel.saveFact(definicaoDeApi('aplicação para integração', GRUPO_JID));
+      await harness.db.collection('responses').insertOne({ pergunta: 'o que é api', resposta: 'interface', fatos_ids: [global.factId] });
+
+      const [resposta] = await harness.send(groupMessage('/promover substituir significado api', { group: GRUPO, from: ADMIN }));
+
+      assert.match(resposta, /1 fato\(s\) agora valem para todos os chats/);
+
+      const fatos = harness.db.collection('facts').snapshot();
+      assert.equal(fatos.length, 1);
+      assert.equal(String(fatos[0]._id), String(global.factId));
+      assert.equal(fatos[0].valor, 'aplicação para integração');
+
+      const { versions } = await responseModel.getFactHistory(global.factId);
+      assert.deepEqual(versions.map(versao => versao.valor), ['aplicação para integração', 'interface de programação']);
+      assert.equal(versions[0].autor, ADMIN);
+      assert.deepEqual(harness.db.collection('responses').snapshot(), []);
+    });
+  });
+
+  describe('rollbackFact', () => {
+    it('restaura o valor de uma versão anterior como uma nova versão', async () => {
+      const { factId } = await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+      await responseModel.saveFact(definicaoDeApi('aplicação para integração', ResponseModel.GLOBAL_SCOPE));
+
+      const resultado = await responseModel.rollbackFact(factId, 1, { autor: ADMIN });
+
+      assert.equal(resultado.changed, true);
+      assert.equal(resultado.fact.valor, 'interface de programação');
+      assert.equal(resultado.fact.versao, 3);
+
+      const { versions } = await responseModel.getFactHistory(factId);
+      assert.deepEqual(versions.map(versao => [versao.versao, versao.valor, versao.revertido_de]), [
+        [3, 'interface de programação', 1],
+        [2, 'aplicação para integração', null],
+        [1, 'interface de programação', null]
+      ]);
+      assert.equal(versions[0].autor, ADMIN);
+    });
+
+    it('não cria versões para valores iguais nem para versões inexistentes', async () => {
+      const { factId } = await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+
+      const igual = await responseModel.rollbackFact(factId, 1);
+      assert.equal(igual.changed, false);
+
+      const inexistente = await responseModel.rollbackFact(factId, 9);
+      assert.equal(inexistente.success, false);
+      assert.equal(inexistente.message, 'Versão 9 não encontrada para este fato');
+
+      assert.equal((await responseModel.getFactHistory(factId)).versions.length, 1);
+    });
+  });
+
+  describe('/reverter', () => {
+    it('permite apenas a professores reverter fatos compartilhados', async () => {
+      const { factId } = await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+      await responseModel.saveFact(definicaoDeApi('aplicação para integração', ResponseModel.GLOBAL_SCOPE));
+      await harness.db.collection('responses').insertOne({ pergunta: 'o que é api', resposta: 'integração', fatos_ids: [factId] });
+
+      const [negado] = await harness.send(conversationMessage('/reverter 1 significado api', { from: ANA }));
+      assert.match(negado, /Nenhum fato que você possa reverter/);
+      assert.equal((await responseModel.findFactById(factId)).fact.valor, 'aplicação para integração');
+
+      const [resposta] = await harness.send(conversationMessage('/reverter v1 significado api', { from: PROFESSOR }));
+      assert.match(resposta, /^Fato restaurado para a versão 1:/);
+      assert.equal((await responseModel.findFactById(factId)).fact.valor, 'interface de programação');
+      assert.deepEqual(harness.db.collection('responses').snapshot(), []);
+
+      const [historico] = await harness.send(conversationMessage('/historico significado api', { from: ANA }));
+      assert.match(historico, /v3 \(atual\) .*: interface de programação \[restaurada da v1\]/);
+    });
+
+    it('informa o uso e as versões que não precisam ser restauradas', async () => {
+      await responseModel.saveFact(definicaoDeApi('interface de programação', ResponseModel.GLOBAL_SCOPE));
+
+      const [uso] = await harness.send(conversationMessage('/reverter significado api', { from: PROFESSOR }));
+      assert.match(uso, /^Uso: \/reverter <versão> <descrição>/);
+
+      const [igual] = await harness.send(conversationMessage('/reverter 1 significado api', { from: PROFESSOR }));
+      assert.match(igual, /já está com o valor da versão 1/);
+
+      const [inexistente] = await harness.send(conversationMessage('/reverter 4 significado api', { from: PROFESSOR }));
+      assert.equal(inexistente, 'Versão 4 não encontrada para este fato');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Testes das verificações de saúde (GET /health/live e GET /health/ready)
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, startTestServer, conversationMessage } = require('../src/testing');
+const { createHealthRouter } = require('../src/routes/health');
+
+describe('verificações de saúde', () => {
+  let harness;
+  let server;
+  let whatsapp;
+  let db;
+
+  /**
+   * Consulta uma rota de saúde
+   * @param {String} caminho live ou ready
+   * @returns {Promise<Object>} { status, body }
+   */
+  const verificar = async (caminho) => {
+    const response = await fetch(`${server.baseUrl}/health/${caminho}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeEach(async () => {
+    harness = await createTestHarness();
+    db = harness.db;
+    whatsapp = { estado: 'open', desde: new Date(), tentativas: 0, desistiu: false };
+    server = await startTestServer(createHealthRouter(() => db, { getWhatsAppState: () => whatsapp }), '/health');
+  });
+
+  afterEach(async () => {
+    await server.close();
+    harness.close();
+  });
+
+  it('fica pronto com o MongoDB, o WhatsApp e o LLM disponíveis', async () => {
+    await harness.send(conversationMessage('o que é uma API?'));
+
+    const { status, body } = await verificar('ready');
+
+    assert.equal(status, 200);
+    assert.equal(body.verificacoes.mongodb.ok, true);
+    assert.equal(body.verificacoes.whatsapp.estado, 'open');
+    assert.equal(body.verificacoes.llm.provedor, 'mock');
+    assert.ok(body.verificacoes.ultimaMensagem.ultimaMensagem);
+  });
+
+  it('não conta mensagens cuja resposta não foi entregue', async () => {
+    await harness.send(conversationMessage('o que é uma API?'));
+    const antes = (await verificar('ready')).body.verificacoes.ultimaMensagem.ultimaMensagem;
+
+    harness.sock.sendMessage = async () => { throw new Error('Connection Closed'); };
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await harness.send(conversationMessage('o que é um banco de dados?'));
+
+    assert.equal((await verificar('ready')).body.verificacoes.ultimaMensagem.ultimaMensagem, antes);
+  });
+
+  it('deixa de estar pronto quando o WhatsApp ou o MongoDB falham', async () => {
+    whatsapp = { ...whatsapp, estado: 'logged_out' };
+    let resultado = await verificar('ready');
+    assert.equal(resultado.status, 503);
+    assert.equal(resultado.body.verificacoes.whatsapp.ok, false);
+    assert.equal((await verificar('live')).status, 200);
+
+    whatsapp = { ...whatsapp, estado: 'open' };
+    harness.db.command = async () => { throw new Error('connection refused'); };
+    resultado = await verificar('ready');
+    assert.equal(resultado.status, 503);
+    assert.match(resultado.body.verificacoes.mongodb.erro, /connection refused/);
+  });
+
+  it('responde durante a inicialização, sem prontidão até o MongoDB estar disponível', async () => {
+    db = null;
+    whatsapp = { ...whatsapp, estado: 'connecting' };
+
+    const pronto = await verificar('ready');
+    assert.equal(pronto.status, 503);
+    assert.equal(pronto.body.status, 'indisponivel');
+    assert.equal(pronto.body.verificacoes.mongodb.ok, false);
+    assert.equal(pronto.body.verificacoes.whatsapp.estado, 'connecting');
+
+    assert.equal((await verificar('live')).status, 200);
+  });
+
+  it('pede reinício quando o WhatsApp desiste de reconectar', async () => {
+    whatsapp = { ...whatsapp, estado: 'closed', tentativas: 5, desistiu: true };
+
+    const { status, body } = await verificar('live');
+
+    assert.equal(status, 503);
+    assert.match(body.motivo, /desistiu/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Testes da extração de palavras-chave: stemmer, TF-IDF e normalização
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { stemWord, extractKeywords, normalizeKeywords, createIdf } = require('../src/services/keywordExtractor');
+
+describe('extração de palavras-chave', () => {
+  it('reduz flexões da mesma palavra ao mesmo radical', () => {
+    assert.equal(stemWord('empresas'), 'empres');
+    assert.equal(stemWord('empresa'), 'empres');
+    assert.equal(stemWord('definições'), 'defin');
+    assert.equal(stemWord('definir'), 'defin');
+    assert.equal(stemWord('programação'), stemWord('programar'));
+    assert.equal(stemWord('aplicações'), stemWord('aplicação'));
+  });
+
+  it('descarta stop words e pontuação e inclui bigramas', () => {
+    assert.deepEqual(extractKeywords('O que é uma API de programação?'), ['api', 'program', 'api program']);
+    assert.deepEqual(extractKeywords('O que é uma API de programação?', 10, { ngrams: false }), ['api', 'program']);
+    assert.deepEqual(extractKeywords('O que é uma API de programação?', 1), ['api']);
+    assert.deepEqual(extractKeywords(''), []);
+  });
+
+  it('ordena os termos pela frequência ponderada pelo IDF', () => {
+    const idf = createIdf({ documentFrequencies: { api: 9, program: 1 }, totalDocuments: 10 });
+
+    assert.ok(idf('program') > idf('api'));
+    assert.ok(idf('desconhecido') > idf('program'));
+    assert.deepEqual(extractKeywords('O que é uma API de programação?', 10, { idf, ngrams: false }), ['program', 'api']);
+  });
+
+  it('pesa todos os termos igualmente sem estatísticas do corpus', () => {
+    const idf = createIdf();
+    assert.equal(idf('api'), idf('program'));
+  });
+
+  it('normaliza palavras-chave livres no formato da extração', () => {
+    assert.deepEqual(normalizeKeywords(['Empresas', 'definições da API']), ['empres', 'defin', 'api', 'defin api']);
+    assert.deepEqual(normalizeKeywords(null), []);
+  });
+});
\ No newline at end of file
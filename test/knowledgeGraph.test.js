@@ -0,0 +1,38 @@
+/**
+ * Testes da interpretação de perguntas sobre o grafo de conhecimento
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGraphQuestion } = require('../src/services/knowledgeGraph');
+
+describe('parseGraphQuestion', () => {
+  it('interpreta cadeias de relações conhecidas', () => {
+    const consulta = parseGraphQuestion('qual o aniversário da irmã do meu amigo Pedro?', { relacoes: ['irmão', 'amigo'] });
+
+    assert.deepEqual(consulta, {
+      tipo: 'grafo',
+      alvo: 'cadeia',
+      parametros: {
+        inicio: null,
+        passos: [{ relacao: 'amigo', nome: 'Pedro' }, { relacao: 'irmã', nome: null }],
+        atributo: 'aniversário'
+      }
+    });
+  });
+
+  it('deixa para as consultas diretas as cadeias com relações desconhecidas', () => {
+    assert.equal(parseGraphQuestion('quem é o professor de matemática da turma A?', { relacoes: ['professor'] }), null);
+    assert.equal(parseGraphQuestion('qual o aniversário da irmã do meu amigo Pedro?'), null);
+    assert.equal(parseGraphQuestion('qual o aniversário da irmã do meu amigo Pedro?', { relacoes: ['amigo'] }), null);
+  });
+
+  it('deixa para as consultas diretas as perguntas de um único salto', () => {
+    assert.equal(parseGraphQuestion('qual o significado de API?', { relacoes: ['significado'] }), null);
+    assert.equal(parseGraphQuestion('o que é uma API?', { relacoes: ['amigo'] }), null);
+  });
+
+  it('interpreta amigos em comum e caminhos sem depender das relações conhecidas', () => {
+    assert.equal(parseGraphQuestion('quem são os amigos em comum de Ana e Bruno?').alvo, 'comum');
+    assert.equal(parseGraphQuestion('qual a ligação entre Ana e Bruno?').alvo, 'caminho');
+  });
+});
\ No newline at end of file
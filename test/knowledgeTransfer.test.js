@@ -0,0 +1,139 @@
+/**
+ * Testes da importação e exportação da base de conhecimento
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDatabase } = require('../src/testing');
+const { runMigrations } = require('../src/config/migrations');
+const ResponseModel = require('../src/models/Response');
+const { parseCsv, exportCollection, importCollection } = require('../src/services/knowledgeTransfer');
+
+/**
+ * Exporta uma coleção para um texto
+ * @param {Object} db Banco de dados
+ * @param {String} colecao Nome da coleção
+ * @param {String} formato jsonl ou csv
+ * @returns {Promise<String>} Conteúdo exportado
+ */
+async function exportar(db, colecao, formato) {
+  let conteudo = '';
+  await exportCollection(db, colecao, formato, { write: texto => { conteudo += texto; } });
+  return conteudo;
+}
+
+/**
+ * Grava fatos pela importação, com as entidades vinculadas como no aprendizado
+ * @param {Object} db Banco de dados
+ * @param {Array} fatos Fatos a gravar (textos são gravados como linhas do arquivo)
+ * @param {Object} opcoes Opções repassadas a importCollection
+ * @returns {Promise<Object>} Resumo da importação
+ */
+async function importarFatos(db, fatos, opcoes = {}) {
+  const conteudo = fatos.map(fato => typeof fato === 'string' ? fato : JSON.stringify(fato)).join('\n');
+  return importCollection(db, 'facts', conteudo, { formato: 'jsonl', ...opcoes });
+}
+
+/**
+ * Cria um banco em memória com as migrações aplicadas
+ * @returns {Promise<Object>} Banco de dados
+ */
+async function criarBanco() {
+  const db = createMemoryDatabase();
+  await runMigrations(db);
+  return db;
+}
+
+describe('parseCsv', () => {
+  it('respeita aspas, vírgulas, quebras de linha e o BOM', () => {
+    const texto = '﻿chave,valor\r\n' +
+      'api,"interface, de programação"\r\n' +
+      'citação,"ele disse ""olá"""\n' +
+      'endereço,"rua A\nsala 2"\n' +
+      '\n';
+
+    assert.deepEqual(parseCsv(texto), [
+      ['chave', 'valor'],
+      ['api', 'interface, de programação'],
+      ['citação', 'ele disse "olá"'],
+      ['endereço', 'rua A\nsala 2']
+    ]);
+  });
+});
+
+describe('importação e exportação', () => {
+  for (const formato of ['jsonl', 'csv']) {
+    it(`mantém as respostas ligadas aos fatos de origem (${formato})`, async () => {
+      const origem = await criarBanco();
+      const modeloOrigem = new ResponseModel(origem);
+      const { factId } = await modeloOrigem.saveFact({
+        tipo: 'definicao', chave: 'significado', entidade: 'api', valor: 'interface de programação, de aplicações'
+      });
+      await modeloOrigem.saveResponse({
+        pergunta: 'o que é api',
+        resposta: 'API significa "interface de programação".',
+        classificacao: 'global',
+        palavras_chave: ['api'],
+        fatos_ids: [factId]
+      }, { escopo: ResponseModel.GLOBAL_SCOPE });
+
+      const destino = await criarBanco();
+      const fatos = await importCollection(destino, 'facts', await exportar(origem, 'facts', formato), { formato });
+      const respostas = await importCollection(destino, 'responses', await exportar(origem, 'responses', formato), { formato });
+
+      assert.deepEqual(fatos.acoes, { criado: 1 });
+      assert.deepEqual(respostas.acoes, { criado: 1 });
+
+      const [fato] = destino.collection('facts').snapshot();
+      const [resposta] = destino.collection('responses').snapshot();
+      assert.equal(fato.valor, 'interface de programação, de aplicações');
+      assert.equal(resposta.resposta, 'API significa "interface de programação".');
+      assert.deepEqual(resposta.fatos_ids.map(String), [String(fato._id)]);
+
+      await new ResponseModel(destino).deleteResponsesByFactIds([fato._id]);
+      assert.deepEqual(destino.collection('responses').snapshot(), []);
+    });
+  }
+
+  it('conta as ações na simulação sem gravar nada', async () => {
+    const db = await criarBanco();
+    await importarFatos(db, [
+      { tipo: 'definicao', chave: 'significado', entidade: 'api', valor: 'interface de programação' },
+      { tipo: 'definicao', chave: 'significado', entidade: 'sdk', valor: 'kit de desenvolvimento' }
+    ]);
+
+    const resumo = await importarFatos(db, [
+      { tipo: 'definicao', chave: 'significado', entidade: 'api', valor: 'interface de programação' },
+      { tipo: 'definicao', chave: 'significado', entidade: 'sdk', valor: 'kit para desenvolvedores' },
+      { tipo: 'definicao', chave: 'significado', entidade: 'cli', valor: 'interface de linha de comando' },
+      { tipo: 'desconhecido', chave: 'x', entidade: 'y', valor: 'z' },
+      '{ inválido'
+    ], { simular: true });
+
+    assert.equal(resumo.total, 5);
+    assert.deepEqual(resumo.acoes, { inalterado: 1, atualizado: 1, criado: 1, invalido: 2 });
+    assert.deepEqual(resumo.rejeitados.map(({ linha }) => linha), [4, 5]);
+    assert.deepEqual(db.collection('facts').snapshot().map(fato => fato.valor).sort(), ['interface de programação', 'kit de desenvolvimento']);
+  });
+
+  it('atualiza o fato equivalente como saveFact, registrando a nova versão', async () => {
+    const db = await criarBanco();
+    const responseModel = new ResponseModel(db);
+    await importarFatos(db, [{ tipo: 'definicao', chave: 'significado', entidade: 'sdk', valor: 'kit de desenvolvimento' }]);
+    const [{ _id: factId }] = db.collection('facts').snapshot();
+    await responseModel.saveResponse({ resposta: 'SDK é um kit.', palavras_chave: ['sdk'], fatos_ids: [factId] }, {});
+
+    const conteudo = 'tipo,chave,entidade,valor\ndefinicao,significado,SDK,kit para desenvolvedores\n';
+    const resumo = await importCollection(db, 'facts', conteudo, { formato: 'csv' });
+
+    assert.deepEqual(resumo.acoes, { atualizado: 1 });
+
+    const fatos = db.collection('facts').snapshot();
+    assert.equal(fatos.length, 1);
+    assert.equal(fatos[0].valor, 'kit para desenvolvedores');
+    assert.equal(fatos[0].versao, 2);
+
+    const { versions } = await responseModel.getFactHistory(factId);
+    assert.equal(versions[0].autor, 'importacao');
+    assert.deepEqual(db.collection('responses').snapshot(), []);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Testes do logger estruturado: ID de correlação por mensagem e máscara de telefones
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage } = require('../src/testing');
+const { maskPhones } = require('../src/config/logger');
+
+describe('logger', () => {
+  it('mascara números de telefone e JIDs', () => {
+    assert.equal(maskPhones('5511911110000@s.whatsapp.net'), '***0000@s.whatsapp.net');
+    assert.equal(maskPhones('versão 3 de 12 fatos'), 'versão 3 de 12 fatos');
+  });
+
+  it('associa os logs de cada mensagem ao seu ID de correlação', async () => {
+    const harness = await createTestHarness();
+
+    try {
+      await harness.send(conversationMessage('/aprender meu nome é Ana', { from: '5511911110000' }));
+      await harness.send(conversationMessage('qual é o meu nome?', { from: '5511911110000' }));
+
+      const recebidas = harness.logs.filter(entrada => entrada.msg === 'Mensagem recebida');
+      assert.equal(recebidas.length, 2);
+      assert.notEqual(recebidas[0].correlationId, recebidas[1].correlationId);
+
+      const [armazenamento] = harness.logs.filter(entrada => entrada.msg === 'Armazenando conhecimento');
+      assert.equal(armazenamento.correlationId, recebidas[0].correlationId);
+      assert.equal(recebidas[0].chatId, '***0000@s.whatsapp.net');
+
+      assert.equal(JSON.stringify(harness.logs).includes('5511911110000'), false);
+    } finally {
+      harness.close();
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+/**
+ * Testes do banco em memória usado pelo ambiente de testes
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDatabase, DUPLICATE_KEY_CODE } = require('../src/testing/memoryDatabase');
+
+describe('banco em memória', () => {
+  it('filtra com operadores, caminhos em arrays e $elemMatch', async () => {
+    const facts = createMemoryDatabase().collection('facts');
+    await facts.insertMany([
+      { tipo: 'relacao', entidade: 'ana', relacionamentos: [{ tipo: 'amigo', entidade: 'carla' }] },
+      { tipo: 'relacao', entidade: 'bruno', relacionamentos: [{ tipo: 'irmão', entidade: 'carla' }] },
+      { tipo: 'definicao', entidade: 'geral', valor: 'Interface' }
+    ]);
+
+    assert.equal(await facts.countDocuments({ 'relacionamentos.entidade': 'carla' }), 2);
+    assert.equal(await facts.countDocuments({ relacionamentos: { $elemMatch: { tipo: 'amigo', entidade: 'carla' } } }), 1);
+    assert.equal(await facts.countDocuments({ $or: [{ entidade: { $in: ['ana'] } }, { valor: /^inter/i }] }), 2);
+    assert.equal(await facts.countDocuments({ valor: { $exists: false }, entidade: { $ne: 'ana' } }), 1);
+  });
+
+  it('faz upsert com $setOnInsert e respeita índices únicos', async () => {
+    const roles = createMemoryDatabase().collection('roles');
+    await roles.createIndex({ numero: 1 }, { unique: true });
+
+    const primeiro = await roles.updateOne(
+      { numero: '55' },
+      { $set: { papel: 'professor' }, $setOnInsert: { created_at: new Date(0) } },
+      { upsert: true }
+    );
+    await roles.updateOne({ numero: '55' }, { $set: { papel: 'admin' }, $setOnInsert: { created_at: new Date() } }, { upsert: true });
+
+    const documento = await roles.findOne({ numero: '55' });
+    assert.equal(primeiro.upsertedCount, 1);
+    assert.equal(documento.papel, 'admin');
+    assert.deepEqual(documento.created_at, new Date(0));
+
+    await assert.rejects(roles.insertOne({ numero: '55' }), error => error.code === DUPLICATE_KEY_CODE);
+  });
+
+  it('ordena, pagina e agrega', async () => {
+    const responses = createMemoryDatabase().collection('responses');
+    await responses.insertMany([
+      { palavras_chave: ['api', 'rest'], n: 2 },
+      { palavras_chave: ['api'], n: 1 },
+      { palavras_chave: ['grafo'], n: 3 }
+    ]);
+
+    const pagina = await responses.find({}).sort({ n: -1 }).skip(1).limit(1).toArray();
+    assert.deepEqual(pagina.map(documento => documento.n), [2]);
+
+    const frequencias = await responses.aggregate([
+      { $unwind: '$palavras_chave' },
+      { $group: { _id: '$palavras_chave', df: { $sum: 1 } } }
+    ]).toArray();
+    assert.deepEqual(Object.fromEntries(frequencias.map(({ _id, df }) => [_id, df])), { api: 2, rest: 1, grafo: 1 });
+  });
+
+  it('retira documentos de forma atômica com findOneAndDelete', async () => {
+    const pendentes = createMemoryDatabase().collection('pending_confirmations');
+    await pendentes.insertOne({ chat_id: 'chat', remetente_id: '55', fatos: [] });
+
+    const retiradas = await Promise.all([
+      pendentes.findOneAndDelete({ chat_id: 'chat', remetente_id: '55' }),
+      pendentes.findOneAndDelete({ chat_id: 'chat', remetente_id: '55' })
+    ]);
+
+    assert.deepEqual(retiradas.map(documento => documento && documento.remetente_id), ['55', null]);
+    assert.equal(await pendentes.countDocuments(), 0);
+  });
+});
\ No newline at end of file
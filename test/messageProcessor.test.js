@@ -0,0 +1,308 @@
+/**
+ * Testes de integração do processador de mensagens: aprendizado → consulta de ponta a ponta,
+ * com o socket simulado, o banco em memória e o LLM simulado
+ */
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createTestHarness,
+  conversationMessage,
+  extendedTextMessage,
+  imageMessage,
+  groupMessage,
+  stripSignature
+} = require('../src/testing');
+const ResponseModel = require('../src/models/Response');
+
+const ANA = '5511911110000';
+const BRUNO = '5511922220000';
+const GRUPO = '120363000000000001';
+
+/**
+ * Monta a fixture do LLM simulado para um /aprender de relação entre terceiros
+ * @param {String} texto Texto ensinado
+ * @param {String} sujeito Nome do sujeito da relação
+ * @param {String} relacao Tipo da relação
+ * @param {String} objeto Nome do objeto da relação
+ * @returns {Object} Fixture no formato { match, response }
+ */
+function relationFixture(texto, sujeito, relacao, objeto) {
+  return {
+    match: texto,
+    response: {
+      palavras_chave: [relacao],
+      resposta: 'Armazenei esta informação',
+      classificacao: 'global',
+      analise_taxonomica: {
+        tipo_interacao: 'informativa',
+        sujeito_principal: 'TERCEIRO',
+        categoria_conhecimento: 'RELAÇÃO',
+        contexto_aplicacao: 'GLOBAL',
+        nivel_certeza: 'ALTA'
+      },
+      conhecimento: {
+        armazenar: true,
+        entradas: [{
+          id: 'entrada_1',
+          tipo: 'fato_relacao',
+          sujeito: { tipo: 'TERCEIRO', valor: sujeito },
+          predicado: { tipo: relacao, valor: relacao },
+          objeto: { tipo: 'TERCEIRO', valor: objeto },
+          contexto: { certeza: 'ALTA', fonte: 'declaração_direta' }
+        }]
+      }
+    }
+  };
+}
+
+describe('aprendizado e consulta', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createTestHarness();
+  });
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  it('responde o nome ensinado com /aprender', async () => {
+    const [aprendizado] = await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+    assert.equal(aprendizado, 'Aprendizado concluído com sucesso. 1 fatos foram armazenados.');
+
+    const [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Ana.');
+  });
+
+  it('responde definições de conceitos ensinados', async () => {
+    await harness.send(conversationMessage('/aprender API significa interface de programação', { from: ANA }));
+
+    const [resposta] = await harness.send(conversationMessage('o que é API?', { from: ANA }));
+    assert.equal(resposta, 'API significa interface de programação.');
+  });
+
+  it('lê o texto de extendedTextMessage e da legenda de imagens', async () => {
+    await harness.send(extendedTextMessage('/aprender meu nome é Ana', { from: ANA }));
+
+    const [textoEstendido] = await harness.send(extendedTextMessage('qual é o meu nome?', { from: ANA }));
+    const [legenda] = await harness.send(imageMessage('qual é o meu nome?', { from: ANA }));
+
+    assert.equal(textoEstendido, 'Seu nome é Ana.');
+    assert.equal(legenda, 'Seu nome é Ana.');
+  });
+
+  it('responde citando a mensagem recebida e indica que está digitando', async () => {
+    const mensagem = conversationMessage('qual é o meu nome?', { from: ANA });
+    await harness.send(mensagem);
+
+    const [envio] = harness.sock.sent;
+    assert.equal(envio.jid, mensagem.key.remoteJid);
+    assert.equal(envio.options.quoted, mensagem);
+    assert.match(envio.content.text, /^\*Marvin\*\n\n/);
+    assert.deepEqual(harness.sock.presence.map(({ type }) => type), ['composing', 'paused']);
+  });
+
+  it('não responde com fatos pessoais de outro usuário', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+
+    const [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: BRUNO }));
+    assert.notEqual(resposta, 'Seu nome é Ana.');
+  });
+
+  it('restringe ao grupo o conhecimento aprendido nele', async () => {
+    await harness.send(groupMessage('/aprender meu nome é Ana', { group: GRUPO, from: ANA }));
+
+    const [noGrupo] = await harness.send(groupMessage('qual é o meu nome?', { group: GRUPO, from: ANA }));
+    const [noPrivado] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+
+    assert.equal(noGrupo, 'Seu nome é Ana.');
+    assert.notEqual(noPrivado, 'Seu nome é Ana.');
+  });
+
+  it('lista em /meusdados apenas os fatos visíveis no chat', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+
+    const [noGrupo] = await harness.send(groupMessage('/meusdados', { group: GRUPO, from: ANA }));
+    const [noPrivado] = await harness.send(conversationMessage('/meusdados', { from: ANA }));
+
+    assert.equal(noGrupo, 'Ainda não tenho nenhuma informação sobre você neste chat.');
+    assert.match(noPrivado, /nome: Ana/);
+  });
+});
+
+describe('contexto de conhecimento enviado ao LLM', () => {
+  let harness;
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  /**
+   * Obtém o bloco de dados do MongoDB enviado no prompt de sistema de uma chamada ao LLM
+   * @param {Object} chamada Requisição registrada pelo provedor simulado
+   * @returns {String} Bloco de contexto
+   */
+  const blocoDeContexto = (chamada) => {
+    const { content } = chamada.messages.find(mensagem => mensagem.role === 'system');
+    return content.slice(content.indexOf('DADOS DO MONGODB'));
+  };
+
+  /**
+   * Ensina o nome e o time de Ana e faz uma pergunta livre
+   * @returns {Promise<String>} Bloco de contexto enviado com a pergunta
+   */
+  const ensinarEPerguntar = async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+    await harness.send(conversationMessage('/aprender meu time é o Náutico', { from: ANA }));
+    await harness.send(conversationMessage('me fale sobre mim', { from: ANA }));
+    return blocoDeContexto(harness.llm.calls[harness.llm.calls.length - 1]);
+  };
+
+  it('envia os fatos ensinados no prompt', async () => {
+    harness = await createTestHarness();
+
+    const contexto = await ensinarEPerguntar();
+
+    assert.match(contexto, /"chave":"nome","entidade":"5511911110000","valor":"Ana"/);
+    assert.match(contexto, /"valor":"o Náutico"/);
+  });
+
+  it('trunca os fatos que não cabem no orçamento de tokens', async () => {
+    harness = await createTestHarness({ env: { KNOWLEDGE_CONTEXT_MAX_TOKENS: '45' } });
+
+    const contexto = await ensinarEPerguntar();
+
+    assert.match(contexto, /"valor":"Ana"/);
+    assert.doesNotMatch(contexto, /Náutico/);
+  });
+
+  it('não pede ao /aprender que informe dados ausentes', async () => {
+    harness = await createTestHarness();
+
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+    await harness.send(conversationMessage('qual é a capital da Islândia?', { from: BRUNO }));
+
+    const [aprendizado, pergunta] = harness.llm.calls.map(blocoDeContexto);
+    assert.doesNotMatch(aprendizado, /não está cadastrada/);
+    assert.match(pergunta, /não está cadastrada/);
+  });
+});
+
+describe('confirmação de fatos conflitantes', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createTestHarness();
+    await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+  });
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  it('pede confirmação e substitui o valor após /confirmar', async () => {
+    const [aviso] = await harness.send(conversationMessage('/aprender meu nome é Bia', { from: ANA }));
+    assert.match(aviso, /contradiz o que eu já sei/);
+    assert.match(aviso, /nome: Ana \(novo valor: Bia\)/);
+
+    await harness.send(conversationMessage('/confirmar', { from: ANA }));
+
+    const [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Bia.');
+  });
+
+  it('grava o aprendizado uma única vez com confirmações simultâneas', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Bia', { from: ANA }));
+
+    // As respostas são lidas do socket, pois os envios simultâneos se misturam no retorno de send
+    const antes = harness.sock.sent.length;
+    await Promise.all([
+      harness.send(conversationMessage('/confirmar', { from: ANA })),
+      harness.send(conversationMessage('/confirmar', { from: ANA }))
+    ]);
+
+    const textos = harness.sock.sent.slice(antes).map(envio => stripSignature(envio.content.text));
+    assert.equal(textos.filter(texto => texto.startsWith('Aprendizado concluído')).length, 1);
+    assert.equal(textos.filter(texto => texto.startsWith('Você não tem nenhum aprendizado')).length, 1);
+
+    const [fato] = harness.db.collection('facts').snapshot().filter(documento => documento.chave === 'nome');
+    assert.equal((await new ResponseModel(harness.db).getFactHistory(fato._id)).versions.length, 2);
+  });
+
+  it('pede nova confirmação quando o valor em conflito mudou', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Bia', { from: ANA }));
+    const [fato] = harness.db.collection('facts').snapshot().filter(documento => documento.chave === 'nome');
+    await new ResponseModel(harness.db).updateFact(fato._id, { valor: 'Carla' });
+
+    const [aviso] = await harness.send(conversationMessage('/confirmar', { from: ANA }));
+    assert.match(aviso, /^Os valores mudaram desde o seu \/aprender/);
+    assert.match(aviso, /nome: Carla \(novo valor: Bia\)/);
+
+    let [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Carla.');
+
+    await harness.send(conversationMessage('/confirmar', { from: ANA }));
+    [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Bia.');
+  });
+
+  it('mantém o valor atual após /cancelar', async () => {
+    await harness.send(conversationMessage('/aprender meu nome é Bia', { from: ANA }));
+    await harness.send(conversationMessage('/cancelar', { from: ANA }));
+
+    const [resposta] = await harness.send(conversationMessage('qual é o meu nome?', { from: ANA }));
+    assert.equal(resposta, 'Seu nome é Ana.');
+  });
+});
+
+describe('consultas ao grafo de conhecimento', () => {
+  let harness;
+
+  beforeEach(async () => {
+    harness = await createTestHarness({
+      fixtures: [
+        relationFixture('Ana é amiga de Carla', 'Ana', 'amigo', 'Carla'),
+        relationFixture('Bruno é amigo de Carla', 'Bruno', 'amigo', 'Carla'),
+        relationFixture('Ana é amiga de Diana', 'Ana', 'amigo', 'Diana')
+      ]
+    });
+
+    await harness.send(conversationMessage('/aprender Ana é amiga de Carla', { from: ANA }));
+    await harness.send(conversationMessage('/aprender Bruno é amigo de Carla', { from: ANA }));
+  });
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  it('vincula os terceiros a entidades canônicas', async () => {
+    const entidades = harness.db.collection('entities').snapshot().map(entidade => entidade.entidade_id);
+    assert.deepEqual(entidades.sort(), ['ent_ana', 'ent_bruno', 'ent_carla']);
+  });
+
+  it('não registra as entidades de um aprendizado cancelado', async () => {
+    const [aviso] = await harness.send(conversationMessage('/aprender Ana é amiga de Diana', { from: ANA }));
+    assert.match(aviso, /contradiz o que eu já sei/);
+
+    await harness.send(conversationMessage('/cancelar', { from: ANA }));
+
+    const entidades = harness.db.collection('entities').snapshot().map(entidade => entidade.entidade_id);
+    assert.deepEqual(entidades.sort(), ['ent_ana', 'ent_bruno', 'ent_carla']);
+  });
+
+  it('encontra amigos em comum', async () => {
+    const [resposta] = await harness.send(conversationMessage('quem são os amigos em comum de Ana e Bruno?', { from: ANA }));
+    assert.equal(resposta, 'amigos em comum de Ana e Bruno: Carla.');
+  });
+
+  it('descreve o caminho entre duas entidades', async () => {
+    const [resposta] = await harness.send(conversationMessage('qual a ligação entre Ana e Bruno?', { from: ANA }));
+    assert.match(resposta, /^Ana e Bruno estão ligados assim:/);
+    assert.match(resposta, /Carla/);
+  });
+
+  it('lista os tipos de relação aprendidos', async () => {
+    const { tipos } = await new ResponseModel(harness.db).listRelationTypes();
+    assert.ok(tipos.includes('amigo'));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+/**
+ * Testes da fila de mensagens por chat: união de mensagens e limite de concorrência
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageQueue } = require('../src/services/messageQueue');
+
+const ANA = '5511911110000';
+const BRUNO = '5511922220000';
+
+/**
+ * Monta um item de fila com uma mensagem identificada pelo próprio texto
+ * @param {String} text Texto da mensagem
+ * @param {String} senderId ID do remetente
+ * @returns {Object} Entrada de enqueue
+ */
+function entrada(text, senderId = ANA) {
+  return { message: { id: text }, text, senderId, transport: null };
+}
+
+describe('fila de mensagens', () => {
+  it('une mensagens em sequência rápida do mesmo remetente', async () => {
+    const processados = [];
+    const fila = createMessageQueue({
+      handler: async item => { processados.push({ text: item.text, id: item.message.id }); },
+      debounceMs: 30
+    });
+
+    fila.enqueue('chat', entrada('oi'));
+    fila.enqueue('chat', entrada('o que é uma API?'));
+    await fila.whenIdle();
+
+    assert.deepEqual(processados, [{ text: 'oi\no que é uma API?', id: 'o que é uma API?' }]);
+  });
+
+  it('não une comandos nem mensagens de remetentes diferentes', async () => {
+    const processados = [];
+    const fila = createMessageQueue({
+      handler: async item => { processados.push(item.text); },
+      debounceMs: 30
+    });
+
+    fila.enqueue('chat', entrada('oi'));
+    fila.enqueue('chat', entrada('/ajuda'));
+    fila.enqueue('chat', entrada('tudo bem?'));
+    fila.enqueue('chat', entrada('e você?', BRUNO));
+    await fila.whenIdle();
+
+    assert.deepEqual(processados, ['oi', '/ajuda', 'tudo bem?', 'e você?']);
+  });
+
+  it('processa cada chat em ordem e respeita o limite de chats simultâneos', async () => {
+    const processados = [];
+    let ativos = 0;
+    let maximo = 0;
+    const fila = createMessageQueue({
+      handler: async item => {
+        ativos++;
+        maximo = Math.max(maximo, ativos);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        processados.push(item.text);
+        ativos--;
+      },
+      maxConcurrentChats: 2,
+      debounceMs: 0
+    });
+
+    for (const chat of ['a', 'b', 'c']) {
+      fila.enqueue(chat, entrada(`${chat}1`));
+      fila.enqueue(chat, entrada(`${chat}2`, BRUNO));
+    }
+    await fila.whenIdle();
+
+    assert.equal(maximo, 2);
+    assert.equal(processados.length, 6);
+    for (const chat of ['a', 'b', 'c']) {
+      assert.ok(processados.indexOf(`${chat}1`) < processados.indexOf(`${chat}2`), chat);
+    }
+  });
+
+  it('continua processando após um erro do handler', async () => {
+    const processados = [];
+    const fila = createMessageQueue({
+      handler: async item => {
+        if (item.text === 'falha') throw new Error('erro simulado');
+        processados.push(item.text);
+      },
+      debounceMs: 0
+    });
+
+    fila.enqueue('chat', entrada('falha'));
+    fila.enqueue('chat', entrada('/ajuda'));
+    await fila.whenIdle();
+
+    assert.deepEqual(processados, ['/ajuda']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Testes das métricas do Prometheus
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, startTestServer, conversationMessage, groupMessage } = require('../src/testing');
+const { registry } = require('../src/services/metrics');
+const { createMetricsRouter } = require('../src/routes/metrics');
+
+/**
+ * Obtém o valor atual de uma série
+ * @param {String} nome Nome da métrica
+ * @param {Object} rotulos Rótulos da série
+ * @returns {Promise<Number>} Valor da série (0 se ainda não existir)
+ */
+async function valor(nome, rotulos) {
+  const { values } = await registry.getSingleMetric(nome).get();
+  const serie = values.find(item => Object.entries(rotulos).every(([chave, esperado]) => item.labels[chave] === esperado));
+  return serie ? serie.value : 0;
+}
+
+describe('métricas', () => {
+  it('contabiliza mensagens, consultas pela taxonomia e tokens', async () => {
+    const harness = await createTestHarness();
+
+    try {
+      await harness.receive(groupMessage('alguém sabe o que é API?'));
+      await harness.send(conversationMessage('/aprender meu nome é Ana', { from: '5511911110000' }));
+      await harness.send(conversationMessage('qual é o meu nome?', { from: '5511911110000' }));
+
+      assert.equal(await valor('marvin_messages_received_total', { channel: 'whatsapp', chat_type: 'grupo' }), 1);
+      assert.equal(await valor('marvin_messages_ignored_total', { chat_type: 'grupo', reason: 'nao_acionado' }), 1);
+      assert.equal(await valor('marvin_messages_processed_total', { chat_type: 'privado', origin: 'aprendizado' }), 1);
+      assert.equal(await valor('marvin_messages_processed_total', { chat_type: 'privado', origin: 'consulta' }), 1);
+      assert.equal(await valor('marvin_taxonomy_queries_total', { type: 'identidade', result: 'hit' }), 1);
+      assert.ok(await valor('marvin_response_cache_lookups_total', { method: 'semantico', result: 'miss' }) >= 1);
+      assert.ok(await valor('marvin_llm_tokens_total', { provider: 'mock', type: 'prompt' }) > 0);
+    } finally {
+      harness.close();
+    }
+  });
+
+  it('expõe as métricas em formato de texto', async () => {
+    const server = await startTestServer(createMetricsRouter(), '/metrics');
+
+    try {
+      const response = await fetch(`${server.baseUrl}/metrics`);
+      const corpo = await response.text();
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain/);
+      assert.match(corpo, /# TYPE marvin_llm_request_duration_seconds histogram/);
+      assert.match(corpo, /marvin_process_cpu_seconds_total/);
+    } finally {
+      await server.close();
+    }
+  });
+});
\ No newline at end of file
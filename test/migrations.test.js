@@ -0,0 +1,50 @@
+/**
+ * Testes das migrações de dados do MongoDB
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDatabase } = require('../src/testing');
+const { runMigrations } = require('../src/config/migrations');
+
+const ANA = '5511911110000';
+
+describe('migrações', () => {
+  it('registra o dono das respostas globais e descarta respostas pessoais sem dono', async () => {
+    const db = createMemoryDatabase();
+    const responses = db.collection('responses');
+
+    await responses.insertMany([
+      { resposta: 'API é uma interface de programação.', classificacao: 'global', palavras_chave: ['api'] },
+      { resposta: 'Seu nome é Ana.', classificacao: 'pessoal', palavras_chave: ['nome'] },
+      { resposta: 'Você mora em Recife.', classificacao: 'pessoal', palavras_chave: ['mora'], remetente_id: ANA, grupo_id: null }
+    ]);
+
+    await runMigrations(db);
+
+    const respostas = responses.snapshot();
+    assert.deepEqual(respostas.map(resposta => resposta.resposta).sort(), [
+      'API é uma interface de programação.',
+      'Você mora em Recife.'
+    ]);
+
+    const global = respostas.find(resposta => resposta.classificacao === 'global');
+    assert.equal(global.remetente_id, null);
+    assert.equal(global.grupo_id, null);
+    assert.equal(respostas.find(resposta => resposta.classificacao === 'pessoal').remetente_id, ANA);
+
+    const [migracao] = db.collection('migrations').snapshot();
+    assert.equal(migracao._id, '001_responses_owner');
+    assert.equal(migracao.resumo, '1 respostas pessoais removidas, 1 respostas globais atualizadas');
+  });
+
+  it('aplica cada migração uma única vez', async () => {
+    const db = createMemoryDatabase();
+
+    const aplicadas = await runMigrations(db);
+    assert.ok(aplicadas > 0);
+
+    await db.collection('responses').insertOne({ resposta: 'Seu nome é Ana.', classificacao: 'pessoal' });
+    assert.equal(await runMigrations(db), 0);
+    assert.equal(db.collection('responses').snapshot().length, 1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,42 @@
+/**
+ * Testes do provedor de LLM simulado
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../src/providers/llm');
+
+/**
+ * Obtém a análise taxonômica que o provedor simulado atribui a uma mensagem
+ * @param {String} texto Mensagem do usuário
+ * @returns {Promise<Object>} Análise taxonômica
+ */
+async function classificar(texto) {
+  const { content } = await createMockProvider({ fixtures: [] }).createChatCompletion({
+    messages: [{ role: 'system', content: 'prompt' }, { role: 'user', content: texto }]
+  });
+  return JSON.parse(content).analise_taxonomica;
+}
+
+describe('provedor de LLM simulado', () => {
+  it('reconhece perguntas de definição com acentos', async () => {
+    for (const texto of ['o que é api?', 'O que é uma API', 'o que significa SDK?']) {
+      const analise = await classificar(texto);
+      assert.equal(analise.categoria_conhecimento, 'DEFINIÇÃO', texto);
+      assert.equal(analise.sujeito_principal, 'CONCEITO', texto);
+    }
+  });
+
+  it('reconhece perguntas sobre terceiros com acentos', async () => {
+    for (const texto of ['quem é pedro?', 'Quem é a minha professora?']) {
+      const analise = await classificar(texto);
+      assert.equal(analise.sujeito_principal, 'TERCEIRO', texto);
+      assert.equal(analise.categoria_conhecimento, 'RELAÇÃO', texto);
+      assert.equal(analise.tipo_interacao, 'pergunta', texto);
+    }
+  });
+
+  it('classifica perguntas sobre o próprio usuário', async () => {
+    assert.equal((await classificar('qual é o meu nome?')).categoria_conhecimento, 'IDENTIDADE');
+    assert.equal((await classificar('quais são meus amigos?')).sujeito_principal, 'USUÁRIO');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Testes dos limites de uso: janelas de mensagens, cotas de tokens e limites personalizados
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage } = require('../src/testing');
+const { checkRateLimit, recordTokenUsage, getUsageSummary } = require('../src/services/rateLimiter');
+
+const ADMIN = '5511900000000';
+const ANA = '5511911110000';
+const BRUNO = '5511922220000';
+const GRUPO_JID = '120363000000000001@g.us';
+
+describe('limites de uso', () => {
+  let harness;
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  /**
+   * Move as mensagens já registradas para o passado, simulando a passagem do tempo
+   * @param {Number} minutos Minutos a retroceder
+   */
+  const envelhecerMensagens = async (minutos) => {
+    await harness.db.collection('rate_limit_events').updateMany({}, {
+      $set: { created_at: new Date(Date.now() - minutos * 60 * 1000) }
+    });
+  };
+
+  it('bloqueia o remetente no limite por minuto e avisa uma única vez', async () => {
+    harness = await createTestHarness({ env: { RATE_LIMIT_USER_PER_MINUTE: '2' } });
+
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+
+    const bloqueio = await checkRateLimit(harness.db, { senderId: ANA });
+    assert.equal(bloqueio.allowed, false);
+    assert.equal(bloqueio.motivo, 'usuario_minuto');
+    assert.equal(bloqueio.notificar, true);
+
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).notificar, false);
+    assert.equal((await checkRateLimit(harness.db, { senderId: BRUNO })).allowed, true);
+  });
+
+  it('libera o remetente quando a janela do minuto passa, mantendo o limite por hora', async () => {
+    harness = await createTestHarness({ env: { RATE_LIMIT_USER_PER_MINUTE: '2', RATE_LIMIT_USER_PER_HOUR: '3' } });
+
+    await checkRateLimit(harness.db, { senderId: ANA });
+    await checkRateLimit(harness.db, { senderId: ANA });
+    await envelhecerMensagens(2);
+
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+
+    const bloqueio = await checkRateLimit(harness.db, { senderId: ANA });
+    assert.equal(bloqueio.allowed, false);
+    assert.equal(bloqueio.motivo, 'usuario_hora');
+
+    await envelhecerMensagens(61);
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+  });
+
+  it('aplica o limite do grupo a todos os seus membros', async () => {
+    harness = await createTestHarness({ env: { RATE_LIMIT_GROUP_PER_MINUTE: '2' } });
+
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA, groupId: GRUPO_JID })).allowed, true);
+    assert.equal((await checkRateLimit(harness.db, { senderId: BRUNO, groupId: GRUPO_JID })).allowed, true);
+
+    const bloqueio = await checkRateLimit(harness.db, { senderId: ANA, groupId: GRUPO_JID });
+    assert.equal(bloqueio.motivo, 'grupo_minuto');
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+  });
+
+  it('bloqueia o remetente e o grupo ao esgotar a cota diária de tokens', async () => {
+    harness = await createTestHarness({ env: { TOKEN_QUOTA_USER_DAILY: '100', TOKEN_QUOTA_GROUP_DAILY: '150' } });
+
+    await recordTokenUsage(harness.db, { senderId: ANA, groupId: GRUPO_JID }, { total_tokens: 120 });
+
+    assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).motivo, 'usuario_tokens');
+    assert.equal((await checkRateLimit(harness.db, { senderId: BRUNO, groupId: GRUPO_JID })).allowed, true);
+
+    await recordTokenUsage(harness.db, { senderId: BRUNO, groupId: GRUPO_JID }, { total_tokens: 40 });
+    assert.equal((await checkRateLimit(harness.db, { senderId: BRUNO, groupId: GRUPO_JID })).motivo, 'grupo_tokens');
+  });
+
+  it('aplica os limites personalizados definidos com /limite', async () => {
+    harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN, RATE_LIMIT_USER_PER_MINUTE: '2' } });
+
+    const [negado] = await harness.send(conversationMessage(`/limite ${ANA} minuto=3`, { from: BRUNO }));
+    assert.match(negado, /Apenas administradores/);
+
+    const [resumo] = await harness.send(conversationMessage(`/limite ${ANA} minuto=3`, { from: ADMIN }));
+    assert.match(resumo, /\(personalizados\)/);
+    assert.match(resumo, /último minuto: 0\/3/);
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await checkRateLimit(harness.db, { senderId: ANA })).allowed, true);
+    }
+
+    const [aviso] = await harness.send(conversationMessage('o que é uma API?', { from: ANA }));
+    assert.match(aviso, /muito rápido/);
+    assert.deepEqual(await harness.send(conversationMessage('o que é uma API?', { from: ANA })), []);
+
+    const [padrao] = await harness.send(conversationMessage(`/limite ${ANA} padrao`, { from: ADMIN }));
+    assert.match(padrao, /voltou aos limites padrão/);
+
+    const { limites, personalizado } = await getUsageSummary(harness.db, ANA);
+    assert.equal(personalizado, false);
+    assert.equal(limites.porMinuto, 2);
+  });
+
+  it('não aplica os limites aos administradores', async () => {
+    harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN, RATE_LIMIT_USER_PER_MINUTE: '1' } });
+
+    await harness.send(conversationMessage('o que é uma API?', { from: ADMIN }));
+    await harness.send(conversationMessage('o que é um SDK?', { from: ADMIN }));
+
+    const [resumo] = await harness.send(conversationMessage(`/limite ${ANA} minuto=3`, { from: ADMIN }));
+    assert.match(resumo, /\(personalizados\)/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Testes do cache semântico de respostas: busca por similaridade e escolha do provedor de embeddings
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryDatabase, createTestHarness, conversationMessage } = require('../src/testing');
+const ResponseModel = require('../src/models/Response');
+const { getEmbeddingProvider, setEmbeddingProvider, createStubEmbeddings } = require('../src/providers/embeddings');
+
+describe('cache semântico de respostas', () => {
+  it('ranqueia candidatas pela similaridade e devolve a vencedora completa', async () => {
+    const responseModel = new ResponseModel(createMemoryDatabase());
+    const salvar = (resposta, embedding) => responseModel.saveResponse({
+      pergunta: resposta,
+      resposta,
+      classificacao: 'global',
+      palavras_chave: [resposta],
+      embedding,
+      embedding_modelo: 'teste',
+      fatos_ids: []
+    }, { escopo: ResponseModel.GLOBAL_SCOPE });
+
+    await salvar('API é uma interface de programação.', [1, 0]);
+    await salvar('SDK é um kit de desenvolvimento.', [0, 1]);
+
+    const resultado = await responseModel.findSimilarResponse([0.99, 0.1], { classificacao: 'global', modelo: 'teste' });
+
+    assert.equal(resultado.success, true);
+    assert.equal(resultado.response.resposta, 'API é uma interface de programação.');
+    assert.deepEqual(resultado.response.palavras_chave, ['API é uma interface de programação.']);
+    assert.ok(resultado.similarity > 0.99);
+
+    const distante = await responseModel.findSimilarResponse([0.7, 0.7], { classificacao: 'global', modelo: 'teste' });
+    assert.equal(distante.success, false);
+  });
+
+  it('não busca no cache ao processar um /aprender', async () => {
+    const harness = await createTestHarness();
+    const stub = createStubEmbeddings();
+    const textos = [];
+    setEmbeddingProvider({ ...stub, embed: texto => { textos.push(texto); return stub.embed(texto); } });
+
+    try {
+      await harness.send(conversationMessage('/aprender meu nome é Ana'));
+
+      // Apenas o embedding da resposta gravada; nenhum para a busca
+      assert.deepEqual(textos, ['meu nome é Ana']);
+    } finally {
+      harness.close();
+    }
+  });
+
+  describe('provedor de embeddings', () => {
+    const ambiente = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...ambiente };
+      setEmbeddingProvider(undefined);
+    });
+
+    it('usa o stub quando o provedor openai não tem chave de API', () => {
+      delete process.env.EMBEDDING_PROVIDER;
+      delete process.env.OPENAI_API_KEY;
+      setEmbeddingProvider(undefined);
+
+      assert.equal(getEmbeddingProvider().name, 'stub');
+    });
+
+    it('usa a OpenAI quando a chave de API está configurada', () => {
+      process.env.EMBEDDING_PROVIDER = 'openai';
+      process.env.OPENAI_API_KEY = 'sk-teste';
+      setEmbeddingProvider(undefined);
+
+      assert.equal(getEmbeddingProvider().name, 'openai');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * Testes dos transportes: conversão das mensagens do Baileys, canal de webhook
+ * e roteamento pela política de ativação em grupos
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  createTestHarness,
+  conversationMessage,
+  extendedTextMessage,
+  groupMessage,
+  DEFAULT_BOT_JID
+} = require('../src/testing');
+const { toInboundMessage } = require('../src/transports/baileysTransport');
+const { createWebhookTransport, parseWebhookMessage } = require('../src/transports/webhookTransport');
+
+const BOT_NUMBER = DEFAULT_BOT_JID.split('@')[0];
+
+describe('transporte do Baileys', () => {
+  it('converte mensagens de grupo para o modelo neutro', () => {
+    const mensagem = groupMessage(`@${BOT_NUMBER} qual é o meu nome?`, {
+      group: '120363000000000009',
+      from: '5511911110000',
+      pushName: 'Ana',
+      mentions: [BOT_NUMBER]
+    });
+
+    const inbound = toInboundMessage(mensagem, { botJid: `${BOT_NUMBER}:7@s.whatsapp.net` });
+
+    assert.equal(inbound.channel, 'whatsapp');
+    assert.equal(inbound.chatId, '120363000000000009@g.us');
+    assert.equal(inbound.isGroup, true);
+    assert.deepEqual(inbound.sender, { id: '5511911110000', name: 'Ana' });
+    assert.equal(inbound.mentionsBot, true);
+    assert.equal(inbound.text, 'qual é o meu nome?');
+    assert.equal(inbound.raw, mensagem);
+  });
+
+  it('reconhece respostas a mensagens do bot', () => {
+    const doBot = conversationMessage('Seu nome é Ana.', { from: BOT_NUMBER, fromMe: true });
+    const resposta = extendedTextMessage('obrigado', { group: '120363000000000009', quoted: doBot });
+
+    assert.equal(toInboundMessage(resposta, { botJid: DEFAULT_BOT_JID }).replyToBot, true);
+    assert.equal(toInboundMessage(doBot, { botJid: DEFAULT_BOT_JID }).fromSelf, true);
+  });
+});
+
+describe('roteamento em grupos', () => {
+  let harness;
+
+  afterEach(() => {
+    harness.close();
+  });
+
+  it('ignora mensagens de grupo que não acionam o bot', async () => {
+    harness = await createTestHarness();
+
+    const resultado = await harness.receive(groupMessage('alguém sabe o que é API?'));
+
+    assert.equal(resultado.aceita, false);
+    assert.equal(resultado.motivo, 'nao_acionado');
+    assert.deepEqual(resultado.replies, []);
+  });
+
+  it('responde quando o bot é mencionado ou chamado pelo nome', async () => {
+    harness = await createTestHarness();
+
+    const mencao = await harness.receive(groupMessage(`@${BOT_NUMBER} qual é o meu nome?`, { mentions: [BOT_NUMBER] }));
+    const prefixo = await harness.receive(groupMessage('Marvin, qual é o meu nome?'));
+
+    assert.equal(mencao.motivo, 'mencao');
+    assert.equal(prefixo.motivo, 'prefixo');
+    assert.equal(mencao.replies.length, 1);
+    assert.equal(prefixo.replies.length, 1);
+  });
+});
+
+describe('transporte de webhook', () => {
+  it('valida as mensagens recebidas e prefixa o chat', () => {
+    assert.equal(parseWebhookMessage({ chatId: 'sala', sender: { id: 'ana' }, text: 'oi' }).valido, false);
+    assert.equal(parseWebhookMessage({ chatId: 'sala', sender: { id: '55' }, text: ' ' }).valido, false);
+
+    const { valido, mensagem } = parseWebhookMessage({
+      id: 'msg-1',
+      chatId: 'sala-42',
+      isGroup: true,
+      sender: { id: '5511911110000', name: 'Ana' },
+      text: ' Marvin, oi '
+    });
+
+    assert.equal(valido, true);
+    assert.equal(mensagem.channel, 'webhook');
+    assert.equal(mensagem.chatId, 'webhook:sala-42');
+    assert.equal(mensagem.sender.id, 'webhook:5511911110000');
+    assert.equal(mensagem.isGroup, true);
+    assert.equal(mensagem.text, 'Marvin, oi');
+  });
+
+  it('entrega respostas assinadas para a URL de saída', async () => {
+    const requisicoes = [];
+    const transport = createWebhookTransport({
+      url: 'https://chat.exemplo/marvin',
+      token: 'segredo',
+      fetchFn: async (url, opcoes) => {
+        requisicoes.push({ url, ...opcoes });
+        return { ok: true, status: 200 };
+      }
+    });
+
+    const { mensagem } = parseWebhookMessage({ id: 'msg-1', chatId: 'sala-42', sender: { id: '55' }, text: 'oi' });
+    await transport.send(mensagem.chatId, { text: 'Olá!' }, { replyTo: mensagem });
+    await transport.send(mensagem.chatId, { document: Buffer.from('{}'), mimetype: 'application/json', fileName: 'dados.json' });
+    await transport.setTyping(mensagem.chatId, true);
+
+    assert.equal(requisicoes.length, 2);
+
+    const [texto, documento] = requisicoes;
+    assert.deepEqual(JSON.parse(texto.body), { type: 'message', chatId: 'sala-42', replyTo: 'msg-1', text: 'Olá!' });
+    assert.equal(texto.headers['X-Marvin-Signature'], `sha256=${crypto.createHmac('sha256', 'segredo').update(texto.body).digest('hex')}`);
+    assert.equal(JSON.parse(documento.body).document.base64, Buffer.from('{}').toString('base64'));
+  });
+
+  it('responde pelo webhook as mensagens processadas', async () => {
+    const harness = await createTestHarness();
+    const enviados = [];
+    const transport = createWebhookTransport({
+      url: 'https://chat.exemplo/marvin',
+      fetchFn: async (url, opcoes) => {
+        enviados.push(JSON.parse(opcoes.body));
+        return { ok: true, status: 200 };
+      }
+    });
+
+    try {
+      const { processMessage } = require('../src/services/messageProcessor');
+      const aprender = parseWebhookMessage({ chatId: 'sala-42', sender: { id: '5511911110000' }, text: '/aprender meu nome é Ana' });
+      const perguntar = parseWebhookMessage({ chatId: 'sala-42', sender: { id: '5511911110000' }, text: 'qual é o meu nome?' });
+
+      await processMessage(aprender.mensagem, transport, harness.db);
+      await processMessage(perguntar.mensagem, transport, harness.db);
+
+      assert.deepEqual(enviados.map(evento => evento.text), [
+        'Aprendizado concluído com sucesso. 1 fatos foram armazenados.',
+        'Seu nome é Ana.'
+      ]);
+
+      const [fato] = harness.db.collection('facts').snapshot();
+      assert.equal(fato.escopo, 'webhook:sala-42');
+    } finally {
+      harness.close();
+    }
+  });
+
+  it('não concede papéis a números do WhatsApp informados pelo webhook', async () => {
+    const harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: '5511900000000' } });
+    const enviados = [];
+    const transport = createWebhookTransport({
+      url: 'https://chat.exemplo/marvin',
+      fetchFn: async (url, opcoes) => {
+        enviados.push(JSON.parse(opcoes.body));
+        return { ok: true, status: 200 };
+      }
+    });
+
+    try {
+      const { processMessage } = require('../src/services/messageProcessor');
+      const { mensagem } = parseWebhookMessage({ chatId: 'sala-42', sender: { id: '5511900000000' }, text: '/papel 5511922220000 admin' });
+
+      await processMessage(mensagem, transport, harness.db);
+
+      assert.match(enviados[0].text, /administradores/);
+      assert.deepEqual(harness.db.collection('user_roles').snapshot(), []);
+    } finally {
+      harness.close();
+    }
+  });
+});
\ No newline at end of file
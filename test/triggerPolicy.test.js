@@ -0,0 +1,75 @@
+/**
+ * Testes da política de ativação do bot em grupos e do comando /modo
+ */
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage, groupMessage } = require('../src/testing');
+const { parseModes, evaluateTrigger } = require('../src/services/triggerPolicy');
+
+const ADMIN = '5511900000000';
+const ANA = '5511911110000';
+
+describe('política de ativação', () => {
+  it('reconhece apenas os modos válidos', () => {
+    assert.deepEqual(parseModes('Mencao, resposta todas,qualquer'), ['mencao', 'resposta', 'todas']);
+    assert.deepEqual(parseModes(''), []);
+  });
+
+  it('aciona o bot conforme os modos do grupo', () => {
+    const inbound = { mentionsBot: false, replyToBot: false };
+    const avaliar = (text, modes, extras = {}) => evaluateTrigger({ ...inbound, ...extras }, { text, modes });
+
+    assert.equal(avaliar('/aprender algo', ['comandos']).motivo, 'comando');
+    assert.equal(avaliar('o que é uma API?', ['comandos']).triggered, false);
+    assert.equal(avaliar('o que é uma API?', ['todas']).motivo, 'todas');
+
+    assert.equal(avaliar('o que é uma API?', ['mencao']).triggered, false);
+    assert.equal(avaliar('o que é uma API?', ['mencao'], { mentionsBot: true }).motivo, 'mencao');
+    assert.equal(avaliar('o que é uma API?', ['resposta'], { replyToBot: true }).motivo, 'resposta');
+
+    const prefixo = avaliar('Marvin, o que é uma API?', ['prefixo']);
+    assert.equal(prefixo.motivo, 'prefixo');
+    assert.equal(prefixo.text, 'o que é uma API?');
+    assert.equal(avaliar('Marvinho, tudo bem?', ['prefixo']).triggered, false);
+  });
+
+  describe('comando /modo', () => {
+    let harness;
+
+    afterEach(() => {
+      harness.close();
+    });
+
+    it('permite apenas a administradores alterar os modos do grupo', async () => {
+      harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN } });
+      const grupo = '120363000000000901';
+
+      const { replies: [atuais] } = await harness.receive(groupMessage('/modo', { group: grupo, from: ANA }));
+      assert.match(atuais, /^Modos ativos neste grupo: mencao, resposta, prefixo/);
+
+      const { replies: [negado] } = await harness.receive(groupMessage('/modo comandos', { group: grupo, from: ANA }));
+      assert.equal(negado, 'Apenas administradores podem alterar o modo de ativação do bot.');
+
+      const { replies: [invalido] } = await harness.receive(groupMessage('/modo sempre', { group: grupo, from: ADMIN }));
+      assert.match(invalido, /^Nenhum modo válido informado/);
+
+      const { replies: [alterado] } = await harness.receive(groupMessage('/modo comandos', { group: grupo, from: ADMIN }));
+      assert.match(alterado, /^Modo de ativação atualizado: comandos/);
+
+      const prefixo = await harness.receive(groupMessage('Marvin, o que é uma API?', { group: grupo, from: ANA }));
+      assert.equal(prefixo.aceita, false);
+      assert.equal(prefixo.motivo, 'nao_acionado');
+
+      const comando = await harness.receive(groupMessage('/modo', { group: grupo, from: ANA }));
+      assert.equal(comando.motivo, 'comando');
+      assert.match(comando.replies[0], /^Modos ativos neste grupo: comandos/);
+    });
+
+    it('explica que o modo não se aplica a conversas privadas', async () => {
+      harness = await createTestHarness({ env: { BOT_ADMIN_NUMBERS: ADMIN } });
+
+      const { replies: [resposta] } = await harness.receive(conversationMessage('/modo comandos', { from: ADMIN }));
+      assert.match(resposta, /^O comando \/modo só pode ser usado em grupos/);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Testes da contabilidade de tokens e custos do provedor de LLM
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestHarness, conversationMessage } = require('../src/testing');
+const { setEmbeddingProvider, createStubEmbeddings } = require('../src/providers/embeddings');
+const { estimateCost, parseUsageQuery, getUsageReport } = require('../src/services/usageAccounting');
+
+const ADMIN = '5511900000000';
+const ANA = '5511911110000';
+
+describe('contabilidade de uso do LLM', () => {
+  it('estima o custo pelo preço do modelo base', () => {
+    const usage = { prompt_tokens: 1000000, completion_tokens: 500000 };
+
+    assert.equal(estimateCost('gpt-4o-mini', usage), 0.45);
+    assert.equal(estimateCost('gpt-4o-2024-08-06', usage), 7.5);
+    assert.equal(estimateCost('llama3', usage), 0);
+  });
+
+  it('valida os parâmetros do relatório', () => {
+    assert.equal(parseUsageQuery({ periodo: 'ano' }).valido, false);
+    assert.equal(parseUsageQuery({ agruparPor: 'chat' }).valido, false);
+    assert.equal(parseUsageQuery({ periodo: 'mes', inicio: '2026-01-01' }).valido, false);
+
+    const { consulta } = parseUsageQuery({ periodo: 'mes', inicio: '2026-01' });
+    assert.equal(consulta.inicio, '2026-01');
+    assert.match(consulta.fim, /^\d{4}-\d{2}$/);
+  });
+
+  it('registra cada chamada e soma o consumo por remetente e tipo', async () => {
+    const harness = await createTestHarness({
+      env: {
+        BOT_ADMIN_NUMBERS: ADMIN,
+        LLM_PRICING: JSON.stringify({ mock: { prompt: 1, completion: 2 } })
+      }
+    });
+
+    try {
+      await harness.send(conversationMessage('/aprender meu nome é Ana', { from: ANA }));
+      await harness.send(conversationMessage('o que é uma API?', { from: ANA }));
+
+      const { consulta } = parseUsageQuery({ agruparPor: 'tipo' });
+      const relatorio = await getUsageReport(harness.db, consulta);
+
+      assert.equal(relatorio.success, true);
+      assert.deepEqual(relatorio.itens.map(item => item.chave).sort(), ['aprendizado', 'pergunta']);
+      assert.equal(relatorio.total.chamadas, 2);
+      assert.ok(relatorio.total.tokens.total > 0);
+      assert.ok(relatorio.total.custo > 0);
+
+      const negado = await harness.send(conversationMessage('/uso', { from: ANA }));
+      assert.match(negado[0], /Apenas administradores/);
+
+      const [resposta] = await harness.send(conversationMessage('/uso remetente', { from: ADMIN }));
+      assert.match(resposta, /Consumo do LLM por dia/);
+      assert.match(resposta, new RegExp(`${ANA}: 2 chamada\\(s\\)`));
+      assert.match(resposta, /Total: 2 chamada\(s\)/);
+    } finally {
+      harness.close();
+    }
+  });
+
+  it('registra os tokens dos embeddings com o tipo embedding', async () => {
+    const harness = await createTestHarness();
+    const stub = createStubEmbeddings();
+    setEmbeddingProvider({
+      name: 'openai',
+      model: 'text-embedding-3-small',
+      embed: async texto => ({ ...(await stub.embed(texto)), usage: { prompt_tokens: 1000, total_tokens: 1000 } })
+    });
+
+    try {
+      await harness.send(conversationMessage('o que é uma API?', { from: ANA }));
+
+      const registros = await harness.db.collection('usage').find({ tipo: 'embedding' }).toArray();
+
+      assert.ok(registros.length > 0);
+      assert.ok(registros.every(registro => registro.remetente_id === ANA && registro.modelo === 'text-embedding-3-small'));
+      assert.equal(registros[0].custo_estimado, estimateCost('text-embedding-3-small', { prompt_tokens: 1000 }));
+      assert.ok(registros[0].custo_estimado > 0);
+    } finally {
+      harness.close();
+    }
+  });
+});
\ No newline at end of file